@@ -0,0 +1,343 @@
+/**
+ * Discogs collection API
+ *
+ * Calls that act on the logged-in user's Discogs account: identity, profile and
+ * the collection folders, including adding, removing and editing custom field values.
+ * Every call is signed with the user's OAuth session through the shared client,
+ * so they fail with an AuthError when nobody is logged in.
+ *
+ * API Documentation: https://www.discogs.com/developers/#page:user-collection
+ */
+
+import { AUTH_MODES, discogsRequest } from './discogsClient';
+import { isAbortError, toApiError } from './errors';
+
+// Folder 0 lists every release in the collection; releases can't be added to it
+export const ALL_FOLDER_ID = 0;
+// Folder 1 ("Uncategorized") is where Discogs puts releases by default
+export const UNCATEGORIZED_FOLDER_ID = 1;
+
+/**
+ * Collection item in our record format plus its collection metadata
+ * @typedef {Object} CollectionItem
+ * @property {number} id - Discogs release ID
+ * @property {number} instanceId - ID of this copy; the same release can be in a collection more than once
+ * @property {number} folderId - Folder holding this copy
+ * @property {number} rating - User rating from 0 to 5
+ * @property {string} dateAdded - ISO date the copy was added
+ * @property {{field_id: number, value: string}[]} notes - Custom field values
+ */
+
+/**
+ * Transform the `basic_information` Discogs attaches to collection and wantlist items
+ * Keeps the fields SearchResultsScreen and RecordDetailScreen read.
+ * @param {number} releaseId - Discogs release ID
+ * @param {Object} [info] - Raw basic_information object
+ * @returns {Object} - Record in our app format
+ */
+export const transformBasicInformation = (releaseId, info = {}) => {
+  const artist = (info.artists || []).map(a => a.name).join(', ');
+  const formats = info.formats || [];
+  const labels = info.labels || [];
+
+  return {
+    id: releaseId,
+    type: 'release',
+    title: artist ? `${artist} - ${info.title}` : info.title,
+    artist,
+    album: info.title,
+    year: info.year || 0,
+    genres: info.genres || [],
+    styles: info.styles || [],
+    formats: formats.map(format => format.name),
+    label: labels[0]?.name || '',
+    labels: labels.map(label => label.name),
+    catno: labels[0]?.catno || '',
+    imageUrl: info.thumb || info.cover_image || '',
+
+    // Backward compatibility fields
+    thumb: info.thumb,
+    cover_image: info.cover_image,
+    resource_url: info.resource_url,
+    format: formats.map(format => [format.name, ...(format.descriptions || [])].join(', ')).join(' + '),
+    genre: (info.genres || []).join(', '),
+    style: (info.styles || []).join(', '),
+    master_id: info.master_id || null,
+  };
+};
+
+/**
+ * Transform a collection folder release to our record format
+ * @param {Object} item - Raw item from /collection/folders/{id}/releases
+ * @returns {CollectionItem}
+ */
+const transformCollectionItem = (item) => ({
+  ...transformBasicInformation(item.id, item.basic_information),
+  instanceId: item.instance_id,
+  folderId: item.folder_id,
+  rating: item.rating || 0,
+  dateAdded: item.date_added,
+  notes: item.notes || [],
+});
+
+/**
+ * Get the logged-in user's identity
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{id: number, username: string, resource_url: string, consumer_name: string}>}
+ */
+export const getIdentity = async (options = {}) => {
+  try {
+    return await discogsRequest('/oauth/identity', {
+      auth: AUTH_MODES.OAUTH,
+      signal: options.signal,
+    });
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get identity failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Get a user's public profile
+ * @param {string} username - Discogs username
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{id: number, username: string, name: string, avatarUrl: string|null}>}
+ */
+export const getUserProfile = async (username, options = {}) => {
+  try {
+    const data = await discogsRequest(`/users/${encodeURIComponent(username)}`, {
+      auth: AUTH_MODES.OAUTH,
+      signal: options.signal,
+    });
+    return {
+      id: data.id,
+      username: data.username,
+      name: data.name || '',
+      avatarUrl: data.avatar_url || null,
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get user profile failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * List the user's collection folders
+ * @param {string} username - Discogs username
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{id: number, name: string, count: number}[]>} - Folders, "All" first
+ */
+export const getCollectionFolders = async (username, options = {}) => {
+  try {
+    const data = await discogsRequest(`/users/${encodeURIComponent(username)}/collection/folders`, {
+      auth: AUTH_MODES.OAUTH,
+      signal: options.signal,
+    });
+
+    return (data.folders || []).map(folder => ({
+      id: folder.id,
+      name: folder.name,
+      count: folder.count || 0,
+    }));
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get collection folders failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * List releases in a collection folder
+ * @param {string} username - Discogs username
+ * @param {number} folderId - Folder ID (ALL_FOLDER_ID for the whole collection)
+ * @param {Object} [options] - Pagination, sort and request options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.perPage=100] - Results per page (max 100)
+ * @param {string} [options.sort='added'] - label, artist, title, catno, format, rating, added or year
+ * @param {string} [options.sortOrder='desc'] - asc or desc
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{results: CollectionItem[], pagination: Object}>}
+ */
+export const getCollectionFolderReleases = async (username, folderId, options = {}) => {
+  const {
+    page = 1,
+    perPage = 100,
+    sort = 'added',
+    sortOrder = 'desc',
+    signal,
+  } = options;
+
+  try {
+    console.log('📚 Getting collection folder:', folderId, { page });
+
+    const data = await discogsRequest(
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases`,
+      {
+        auth: AUTH_MODES.OAUTH,
+        params: {
+          page,
+          per_page: Math.min(perPage, 100), // Discogs max is 100
+          sort,
+          sort_order: sortOrder,
+        },
+        signal,
+      }
+    );
+
+    return {
+      results: (data.releases || []).map(transformCollectionItem),
+      pagination: data.pagination || { page: 1, pages: 1, per_page: perPage, items: 0, urls: {} },
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get collection releases failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Add a release to a collection folder
+ * @param {string} username - Discogs username
+ * @param {number} folderId - Target folder (not ALL_FOLDER_ID)
+ * @param {number} releaseId - Discogs release ID
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{instance_id: number, resource_url: string}>} - The new copy
+ */
+export const addToCollectionFolder = async (username, folderId, releaseId, options = {}) => {
+  try {
+    console.log('➕ Adding release to collection:', releaseId, 'folder', folderId);
+
+    return await discogsRequest(
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases/${releaseId}`,
+      {
+        method: 'POST',
+        auth: AUTH_MODES.OAUTH,
+        signal: options.signal,
+      }
+    );
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Add to collection failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Remove one copy of a release from a collection folder
+ * @param {string} username - Discogs username
+ * @param {number} folderId - Folder holding the copy
+ * @param {number} releaseId - Discogs release ID
+ * @param {number} instanceId - Copy to remove
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<void>}
+ */
+export const removeFromCollectionFolder = async (username, folderId, releaseId, instanceId, options = {}) => {
+  try {
+    console.log('➖ Removing release from collection:', releaseId, 'instance', instanceId);
+
+    await discogsRequest(
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases/${releaseId}/instances/${instanceId}`,
+      {
+        method: 'DELETE',
+        auth: AUTH_MODES.OAUTH,
+        signal: options.signal,
+      }
+    );
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Remove from collection failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * List the user's custom collection fields (e.g. Media Condition, Notes)
+ * @param {string} username - Discogs username
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{id: number, name: string, type: string, options?: string[], lines?: number, position: number}[]>}
+ *   Fields in display order; `type` is "dropdown" (with `options`) or "textarea"
+ */
+export const getCollectionFields = async (username, options = {}) => {
+  try {
+    const data = await discogsRequest(`/users/${encodeURIComponent(username)}/collection/fields`, {
+      auth: AUTH_MODES.OAUTH,
+      signal: options.signal,
+    });
+
+    return (data.fields || []).sort((a, b) => a.position - b.position);
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get collection fields failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Set a custom field value on one copy in the collection
+ * @param {string} username - Discogs username
+ * @param {Object} instance - The copy to edit
+ * @param {number} instance.folderId - Folder holding the copy
+ * @param {number} instance.releaseId - Discogs release ID
+ * @param {number} instance.instanceId - Copy ID
+ * @param {number} fieldId - Custom field ID
+ * @param {string} value - New value; dropdown fields only accept one of their options
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<void>}
+ */
+export const editCollectionFieldValue = async (username, instance, fieldId, value, options = {}) => {
+  const { folderId, releaseId, instanceId } = instance;
+
+  try {
+    await discogsRequest(
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases/${releaseId}/instances/${instanceId}/fields/${fieldId}`,
+      {
+        method: 'POST',
+        auth: AUTH_MODES.OAUTH,
+        body: { value },
+        signal: options.signal,
+      }
+    );
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Edit collection field failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+export default {
+  getIdentity,
+  getUserProfile,
+  getCollectionFolders,
+  getCollectionFolderReleases,
+  addToCollectionFolder,
+  removeFromCollectionFolder,
+  getCollectionFields,
+  editCollectionFieldValue,
+  ALL_FOLDER_ID,
+  UNCATEGORIZED_FOLDER_ID,
+};
@@ -11,32 +11,23 @@
  * - Secure credential handling via environment variables
  * - Comprehensive search with multiple filters
  * - Rate limiting and error handling
- * - Mock data support for development
+ * - Runs against the fixture mock server when EXPO_PUBLIC_DISCOGS_API_URL is set
  * - Normalized data schema with backward compatibility
  * - Request throttling and automatic retry with backoff
+ * 
+ * All HTTP traffic goes through the shared client in ./discogsClient,
+ * which owns auth selection, the User-Agent, cancellation and the rate-limit queue.
+ * Failures surface as the typed errors from ./errors (AuthError, NotFoundError, ...).
  */
 
-import Constants from 'expo-constants';
-import { isAuthenticated, makeAuthenticatedRequest } from './oauth';
-
-// Rate limiting configuration
-const RATE_LIMIT_CONFIG = {
-  MAX_REQUESTS_PER_MINUTE: 60, // Discogs allows 60 requests per minute
-  REQUEST_INTERVAL: 1000, // Minimum 1 second between requests
-  RETRY_ATTEMPTS: 3,
-  BACKOFF_MULTIPLIER: 2,
-  INITIAL_BACKOFF: 2000, // Start with 2 second delay
-};
-
-// Request queue and rate limiting state
-let requestQueue = [];
-let isProcessingQueue = false;
-let lastRequestTime = 0;
-let requestCount = 0;
-let requestWindowStart = Date.now();
-
-// Discogs API configuration
-const DISCOGS_BASE_URL = 'https://api.discogs.com';
+import { AUTH_MODES, discogsRequest } from './discogsClient';
+import { ApiError, AuthError, NotFoundError, RateLimitError, isAbortError, toApiError } from './errors';
+import { isAuthenticated } from './oauth';
+import { getBarcodeVariants, normalizeCatalogNumber } from '../utils/barcode';
+import { applyExclusions } from '../utils/searchQuery';
+import { filterByFormatDetails, getFormatSearchHint } from '../utils/recordFormats';
+import labelReleaseCountCache from '../utils/LabelReleaseCountCache';
+import { filterByRarity, scoreSearchResultRarity, withRarity } from '../utils/rarity';
 
 // API endpoints
 const ENDPOINTS = {
@@ -45,91 +36,34 @@ const ENDPOINTS = {
   artist: '/artists',
   label: '/labels',
   master: '/masters',
+  marketplaceStats: '/marketplace/stats',
+  priceSuggestions: '/marketplace/price_suggestions',
 };
 
-/**
- * Rate limiting utilities
- */
-
-/**
- * Sleep utility for delays
- */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Marketplace configuration
+const DEFAULT_CURRENCY = 'USD';
+const MARKETPLACE_CACHE_TTL = 10 * 60 * 1000; // Prices move slowly; avoid re-spending the rate limit on every page
 
-/**
- * Check if we're within rate limits
- */
-const checkRateLimit = () => {
-  const now = Date.now();
-  
-  // Reset window if it's been more than a minute
-  if (now - requestWindowStart > 60000) {
-    requestCount = 0;
-    requestWindowStart = now;
-  }
-  
-  return requestCount < RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_MINUTE;
-};
+// Discogs media conditions, best first
+const CONDITION_ORDER = [
+  'Mint (M)',
+  'Near Mint (NM or M-)',
+  'Very Good Plus (VG+)',
+  'Very Good (VG)',
+  'Good Plus (G+)',
+  'Good (G)',
+  'Fair (F)',
+  'Poor (P)',
+];
 
-/**
- * Wait for rate limit compliance
- */
-const waitForRateLimit = async () => {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  
-  // Ensure minimum interval between requests
-  if (timeSinceLastRequest < RATE_LIMIT_CONFIG.REQUEST_INTERVAL) {
-    const waitTime = RATE_LIMIT_CONFIG.REQUEST_INTERVAL - timeSinceLastRequest;
-    console.log(`⏱️ Rate limiting: waiting ${waitTime}ms`);
-    await sleep(waitTime);
-  }
-  
-  // Wait if we've exceeded requests per minute
-  if (!checkRateLimit()) {
-    const waitTime = 60000 - (Date.now() - requestWindowStart);
-    console.log(`⏳ Rate limit exceeded: waiting ${Math.ceil(waitTime/1000)}s`);
-    await sleep(waitTime);
-    requestCount = 0;
-    requestWindowStart = Date.now();
-  }
-};
+// Filters that take several values; Discogs accepts one per request, so searches fan out
+const MULTI_VALUE_FILTERS = ['genre', 'style', 'country', 'format'];
+export const MAX_SEARCH_COMBINATIONS = 12; // Each combination costs a request per page
+const MIN_FAN_OUT_PAGE_SIZE = 10;
+const PRICE_FILTER_PAGE_SIZE = 20; // Each result costs a marketplace stats request
 
-/**
- * Execute a request with rate limiting and retry logic
- */
-const executeRateLimitedRequest = async (requestFn, attempt = 1) => {
-  try {
-    await waitForRateLimit();
-    
-    lastRequestTime = Date.now();
-    requestCount++;
-    
-    const result = await requestFn();
-    return result;
-    
-  } catch (error) {
-    console.error(`🔄 Request attempt ${attempt} failed:`, error.message);
-    
-    // Check if it's a rate limit error
-    if (error.message.includes('Rate limit') || error.message.includes('429')) {
-      if (attempt <= RATE_LIMIT_CONFIG.RETRY_ATTEMPTS) {
-        const backoffTime = RATE_LIMIT_CONFIG.INITIAL_BACKOFF * Math.pow(RATE_LIMIT_CONFIG.BACKOFF_MULTIPLIER, attempt - 1);
-        console.log(`⏰ Rate limited: retrying in ${backoffTime/1000}s (attempt ${attempt}/${RATE_LIMIT_CONFIG.RETRY_ATTEMPTS})`);
-        
-        await sleep(backoffTime);
-        return executeRateLimitedRequest(requestFn, attempt + 1);
-      } else {
-        console.error('❌ Max retry attempts reached for rate limiting');
-        // Fall back to mock data after all retries
-        throw new Error('Rate limit exceeded - using mock data');
-      }
-    }
-    
-    // For other errors, throw immediately
-    throw error;
-  }
-};
+// Marketplace stats cache: `${releaseId}:${currency}` -> { stats, timestamp }
+const marketplaceStatsCache = new Map();
 
 /**
  * Search parameters object structure for documentation
@@ -192,8 +126,8 @@ const executeRateLimitedRequest = async (requestFn, attempt = 1) => {
  * @property {string[]} [barcode] - Barcode array
  * @property {string} [catno] - Catalog number
  * @property {Object} [community] - Community stats
- * @property {number} [community.want] - Want count
- * @property {number} [community.have] - Have count
+ * @property {number} [community.want] - Want count, null when Discogs omits it
+ * @property {number} [community.have] - Have count, null when Discogs omits it
  */
 
 /**
@@ -262,7 +196,7 @@ const transformSearchResult = (discogsResult) => {
     barcode: discogsResult.barcode,
     
     // Community data
-    community: discogsResult.community || { want: 0, have: 0 },
+    community: discogsResult.community || { want: null, have: null },
     
     // Master release info
     master_id: discogsResult.master_id,
@@ -292,60 +226,6 @@ const extractAlbumFromTitle = (title) => {
   return parts.slice(1).join(' - ') || title;
 };
 
-/**
- * Generic API request function with error handling and cancellation support
- * @param {string} url - API URL to fetch
- * @param {object} options - Fetch options
- * @param {AbortSignal} [signal] - AbortController signal for cancellation
- * @returns {Promise<any>} - API response data
- */
-const apiRequest = async (url, options = {}, signal = null) => {
-  try {
-    console.log('🔄 Making API request to:', url);
-    
-    const defaultOptions = {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'LuckyFindMVP/1.0.0 +https://yourapp.com', // Required by Discogs API
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        // Add Authorization header when you have a token
-        // 'Authorization': `Discogs token=${YOUR_DISCOGS_TOKEN}`,
-      },
-      signal, // Add abort signal for cancellation
-      ...options,
-    };
-    
-    const response = await fetch(url, defaultOptions);
-    
-    // Check for rate limiting
-    if (response.status === 429) {
-      console.warn('⚠️ Rate limit reached, please wait before making more requests');
-      throw new Error('Rate limit exceeded. Please try again in a moment.');
-    }
-    
-    // Check for other errors
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ API Error:', response.status, errorText);
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    console.log('✅ API request successful');
-    return data;
-    
-  } catch (error) {
-    // Don't log abort errors as they're expected
-    if (error.name === 'AbortError') {
-      console.log('🔄 Request cancelled');
-      throw error;
-    }
-    console.error('❌ API Request failed:', error.message);
-    throw error;
-  }
-};
-
 /**
  * Search for records in the Discogs database without authentication
  * 
@@ -358,13 +238,17 @@ const apiRequest = async (url, options = {}, signal = null) => {
  * @param {string} [searchParams.style] - Style/format filter
  * @param {string} [searchParams.artist] - Artist name filter
  * @param {string} [searchParams.label] - Record label filter
+ * @param {string} [searchParams.catno] - Catalog number filter
+ * @param {string} [searchParams.barcode] - Barcode filter
  * @param {string} [searchParams.yearFrom] - Start year for range
  * @param {string} [searchParams.yearTo] - End year for range
  * @param {number} [searchParams.page=1] - Page number for pagination
  * @param {number} [searchParams.per_page=50] - Results per page
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
  * @returns {Promise<SearchResponse>} - Search results with pagination
  */
-export const searchRecordsPublic = async (searchParams) => {
+export const searchRecordsPublic = async (searchParams, options = {}) => {
   try {
     console.log('🔍 Searching Discogs (public API) with parameters:', searchParams);
     
@@ -379,10 +263,9 @@ export const searchRecordsPublic = async (searchParams) => {
       // Genre filter
       genre: searchParams.genre,
       
-      // Style/format filter - Discogs prefers 'style' parameter
+      // Style and format filters
       style: searchParams.style,
-      // Don't duplicate with format unless specifically needed
-      ...(searchParams.format && !searchParams.style ? { format: searchParams.format } : {}),
+      format: searchParams.format,
       
       // Artist filter
       artist: searchParams.artist,
@@ -393,6 +276,10 @@ export const searchRecordsPublic = async (searchParams) => {
       // Country filter
       country: searchParams.country,
       
+      // Identification filters (identify mode)
+      catno: searchParams.catno,
+      barcode: searchParams.barcode,
+      
       // Year filter
       year: buildYearFilter(searchParams.yearFrom, searchParams.yearTo),
       
@@ -401,62 +288,10 @@ export const searchRecordsPublic = async (searchParams) => {
       per_page: Math.min(searchParams.per_page || 50, 100), // Max 100 per page
     };
     
-    // Remove empty parameters
-    const cleanParams = Object.fromEntries(
-      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
-    );
-    
-    // Get authentication credentials from environment
-    const personalToken = Constants.expoConfig?.extra?.DISCOGS_PERSONAL_TOKEN || 
-                         process.env.EXPO_PUBLIC_DISCOGS_PERSONAL_TOKEN;
-    const consumerKey = Constants.expoConfig?.extra?.DISCOGS_CONSUMER_KEY || 
-                       process.env.EXPO_PUBLIC_DISCOGS_CONSUMER_KEY;
-    const consumerSecret = Constants.expoConfig?.extra?.DISCOGS_CONSUMER_SECRET || 
-                          process.env.EXPO_PUBLIC_DISCOGS_CONSUMER_SECRET;
-    
-    // Build query string
-    const queryString = new URLSearchParams(cleanParams).toString();
-    const url = `${DISCOGS_BASE_URL}${ENDPOINTS.search}?${queryString}`;
-    
-    console.log('📡 Making API request to:', url);
-    
-    // Prepare headers
-    const headers = {
-      'User-Agent': 'LuckyFindMVP/1.0 +https://github.com/luba/LuckyFindMVP',
-    };
-    
-    // Use Personal Access Token if available (preferred method)
-    if (personalToken) {
-      headers['Authorization'] = `Discogs token=${personalToken}`;
-      console.log('🔑 Using Personal Access Token authentication');
-    } else if (consumerKey && consumerSecret) {
-      headers['Authorization'] = `Discogs key=${consumerKey}, secret=${consumerSecret}`;
-      console.log('🔑 Using Key + Secret authentication');
-    } else {
-      console.warn('⚠️ No authentication credentials found, API may fail');
-    }
-    
-    // Make rate-limited API request
-    const data = await executeRateLimitedRequest(async () => {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: headers,
-      });
-      
-      // Handle rate limiting
-      if (response.status === 429) {
-        console.warn('⚠️ Rate limit reached, please wait before making more requests');
-        throw new Error('Rate limit exceeded. Please try again in a moment.');
-      }
-      
-      // Handle errors
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('❌ Public API Error:', response.status, errorText);
-        throw new Error(`API Error: ${response.status} - ${errorText}`);
-      }
-      
-      return await response.json();
+    // Make rate-limited API request through the shared client
+    const data = await discogsRequest(ENDPOINTS.search, {
+      params,
+      signal: options.signal,
     });
     console.log('✅ Public search successful, found', data.results?.length || 0, 'results');
     
@@ -475,36 +310,17 @@ export const searchRecordsPublic = async (searchParams) => {
     };
     
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    
     console.error('❌ Public search failed:', error.message);
     console.error('❌ Error details:', {
       status: error.status,
       message: error.message,
-      hasToken: !!personalToken,
-      hasConsumerKey: !!consumerKey,
     });
     
-    // Force real API usage - disable mock fallback for production
-    console.warn('⚠️ Real API failed, but mock fallback is disabled');
-    console.warn('⚠️ Error details:', error.message);
-    
-    // Uncomment the lines below if you want mock data fallback:
-    /*
-    if (error.message.includes('401') || error.message.includes('authenticate')) {
-      console.warn('⚠️ Authentication failed - using mock data for development');
-      const filters = {
-        searchQuery: searchParams.query || searchParams.searchQuery,
-        genre: searchParams.genre,
-        style: searchParams.style,
-        artist: searchParams.artist,
-        label: searchParams.label,
-        yearFrom: searchParams.yearFrom,
-        yearTo: searchParams.yearTo,
-      };
-      return await mockAdvancedSearch(filters);
-    }
-    */
-    
-    // For other errors (network, rate limit, etc.), throw the error
+    // Surface the typed error (auth, network, rate limit, ...) to the caller
     throw error;
   }
 };
@@ -528,19 +344,15 @@ export const searchRecordsPublic = async (searchParams) => {
  * @param {string} [searchParams.priceMax] - Maximum price
  * @param {number} [searchParams.page=1] - Page number for pagination
  * @param {number} [searchParams.per_page=50] - Results per page
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
  * @returns {Promise<SearchResponse>} - Search results with pagination
- * @throws {Error} - If authentication fails or API request fails
+ * @throws {AuthError|RateLimitError|ApiError} - If authentication fails or API request fails
  */
-export const searchRecords = async (searchParams) => {
+export const searchRecords = async (searchParams, options = {}) => {
   try {
     console.log('🔍 Searching Discogs with parameters:', searchParams);
     
-    // Check authentication status
-    const authenticated = await isAuthenticated();
-    if (!authenticated) {
-      throw new Error('Authentication required. Please log in to Discogs first.');
-    }
-    
     // Prepare search parameters for Discogs API
     const params = {
       // Main search query
@@ -570,20 +382,14 @@ export const searchRecords = async (searchParams) => {
       per_page: Math.min(searchParams.per_page || 50, 100), // Discogs max is 100
     };
     
-    // Remove empty parameters
-    Object.keys(params).forEach(key => {
-      if (params[key] === undefined || params[key] === null || params[key] === '') {
-        delete params[key];
-      }
-    });
-    
-    // Build full API URL
-    const url = `${DISCOGS_BASE_URL}${ENDPOINTS.search}`;
-    
     console.log('🔄 Making authenticated request to Discogs API...');
     
-    // Make authenticated API request
-    const response = await makeAuthenticatedRequest(url, 'GET', params);
+    // Make OAuth-signed API request (fails if the user is not logged in)
+    const response = await discogsRequest(ENDPOINTS.search, {
+      params,
+      signal: options.signal,
+      auth: AUTH_MODES.OAUTH,
+    });
     
     console.log(`✅ Search completed successfully. Found ${response.pagination?.items || 0} results`);
     
@@ -600,15 +406,22 @@ export const searchRecords = async (searchParams) => {
     };
     
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    
     console.error('❌ Search records failed:', error.message);
     
-    // Re-throw with more specific error message
-    if (error.message.includes('Authentication')) {
-      throw new Error('Authentication failed. Please log in to your Discogs account.');
-    } else if (error.message.includes('Rate limit')) {
-      throw new Error('Too many requests. Please wait a moment before searching again.');
+    // Re-throw with more specific error message, keeping the error type
+    if (error instanceof AuthError) {
+      throw new AuthError('Authentication failed. Please log in to your Discogs account.', { cause: error });
+    } else if (error instanceof RateLimitError) {
+      throw new RateLimitError('Too many requests. Please wait a moment before searching again.', {
+        retryAfter: error.retryAfter,
+        cause: error,
+      });
     } else {
-      throw new Error(`Search failed: ${error.message}`);
+      throw toApiError(error);
     }
   }
 };
@@ -616,48 +429,167 @@ export const searchRecords = async (searchParams) => {
 /**
  * Get detailed information about a specific release
  * @param {number} releaseId - Discogs release ID
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
  * @returns {Promise<any>} - Detailed release information
  */
-export const getReleaseDetails = async (releaseId) => {
+export const getReleaseDetails = async (releaseId, options = {}) => {
   try {
-    const url = `${DISCOGS_BASE_URL}${ENDPOINTS.release}/${releaseId}`;
-    const response = await apiRequest(url);
-    return response;
+    return await discogsRequest(`${ENDPOINTS.release}/${releaseId}`, {
+      signal: options.signal,
+    });
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.error('❌ Get release details failed:', error.message);
-    throw new Error(`Failed to get release details: ${error.message}`);
+    throw toApiError(error);
   }
 };
 
 /**
  * Get artist information
  * @param {number} artistId - Discogs artist ID
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
  * @returns {Promise<any>} - Artist information
  */
-export const getArtistInfo = async (artistId) => {
+export const getArtistInfo = async (artistId, options = {}) => {
   try {
-    const url = `${DISCOGS_BASE_URL}${ENDPOINTS.artist}/${artistId}`;
-    const response = await apiRequest(url);
-    return response;
+    return await discogsRequest(`${ENDPOINTS.artist}/${artistId}`, {
+      signal: options.signal,
+    });
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.error('❌ Get artist info failed:', error.message);
-    throw new Error(`Failed to get artist info: ${error.message}`);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Discogs roles grouped into the filters the artist screen offers
+ * 'Appearance' covers both whole-release and single-track appearances.
+ */
+export const ARTIST_ROLE_GROUPS = {
+  main: ['Main'],
+  remix: ['Remix'],
+  appearance: ['Appearance', 'TrackAppearance'],
+};
+
+/**
+ * Transform an artist discography entry into the app's record shape
+ * @param {Object} release - Raw entry from /artists/{id}/releases
+ * @returns {Record} - Record object; masters carry isMaster and master_id
+ */
+const transformArtistRelease = (release) => {
+  const isMaster = release.type === 'master';
+
+  return {
+    id: isMaster ? release.main_release || release.id : release.id,
+    type: release.type,
+    title: release.artist ? `${release.artist} - ${release.title}` : release.title,
+    artist: release.artist || '',
+    year: parseInt(release.year) || 0,
+    role: release.role || 'Main',
+    label: release.label || '',
+    format: release.format || '',
+    imageUrl: release.thumb || '',
+    resourceUrl: release.resource_url || '',
+    price: null,
+
+    // Backward compatibility fields
+    album: release.title,
+    thumb: release.thumb,
+    cover_image: release.thumb,
+    resource_url: release.resource_url,
+
+    status: release.status,
+    community: {
+      want: release.stats?.community?.in_wantlist ?? null,
+      have: release.stats?.community?.in_collection ?? null,
+    },
+    isMaster,
+    master_id: isMaster ? release.id : undefined,
+  };
+};
+
+/**
+ * Get an artist's discography
+ * Discogs has no role filter on this endpoint, so filter loaded pages with ARTIST_ROLE_GROUPS.
+ * @param {number} artistId - Discogs artist ID
+ * @param {Object} [options] - Pagination, sort and request options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.perPage=50] - Results per page (max 100)
+ * @param {string} [options.sort='year'] - year, title or format
+ * @param {string} [options.sortOrder='asc'] - asc or desc
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<SearchResponse>} - Discography page with pagination
+ */
+export const getArtistReleases = async (artistId, options = {}) => {
+  const {
+    page = 1,
+    perPage = 50,
+    sort = 'year',
+    sortOrder = 'asc',
+    signal,
+  } = options;
+
+  try {
+    console.log('🎤 Getting releases for artist:', artistId, { page, sort, sortOrder });
+
+    const data = await discogsRequest(`${ENDPOINTS.artist}/${artistId}/releases`, {
+      params: {
+        page,
+        per_page: Math.min(perPage, 100), // Discogs max is 100
+        sort,
+        sort_order: sortOrder,
+      },
+      signal,
+    });
+
+    const results = (data.releases || []).map(transformArtistRelease);
+    console.log(`✅ Found ${results.length} artist releases (page ${page})`);
+
+    return {
+      results,
+      pagination: data.pagination || {
+        page: 1,
+        pages: 1,
+        per_page: perPage,
+        items: results.length,
+        urls: {},
+      },
+    };
+
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get artist releases failed:', error.message);
+    throw toApiError(error);
   }
 };
 
 /**
  * Get label information
  * @param {number} labelId - Discogs label ID
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
  * @returns {Promise<any>} - Label information
  */
-export const getLabelInfo = async (labelId) => {
+export const getLabelInfo = async (labelId, options = {}) => {
   try {
-    const url = `${DISCOGS_BASE_URL}${ENDPOINTS.label}/${labelId}`;
-    const response = await apiRequest(url);
-    return response;
+    return await discogsRequest(`${ENDPOINTS.label}/${labelId}`, {
+      signal: options.signal,
+    });
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.error('❌ Get label info failed:', error.message);
-    throw new Error(`Failed to get label info: ${error.message}`);
+    throw toApiError(error);
   }
 };
 
@@ -666,9 +598,11 @@ export const getLabelInfo = async (labelId) => {
  * @param {string} labelName - Label name to search for
  * @param {number} page - Page number for pagination
  * @param {number} perPage - Results per page
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
  * @returns {Promise<SearchResponse>} - Label releases with pagination
  */
-export const getLabelReleases = async (labelName, page = 1, perPage = 50) => {
+export const getLabelReleases = async (labelName, page = 1, perPage = 50, options = {}) => {
   try {
     console.log('🏷️ Getting releases for label:', labelName);
     
@@ -681,421 +615,1241 @@ export const getLabelReleases = async (labelName, page = 1, perPage = 50) => {
     };
     
     // Use the existing search function
-    const results = await searchRecordsPublic(searchParams);
+    const results = await searchRecordsPublic(searchParams, options);
     
     console.log(`✅ Found ${results.results?.length || 0} releases for label "${labelName}"`);
     
     return results;
     
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.error('❌ Get label releases failed:', error.message);
-    throw new Error(`Failed to get releases for label "${labelName}": ${error.message}`);
+    throw toApiError(error);
   }
 };
 
 /**
- * Search for labels and get their release counts
- * @param {string} labelQuery - Label search query
- * @param {number} minReleases - Minimum number of releases
- * @param {number} maxReleases - Maximum number of releases
- * @returns {Promise<any[]>} - Array of labels with release counts
+ * Resolve a label name to its Discogs ID
+ * Prefers an exact (case-insensitive) title match over the top search hit,
+ * so "Warp" does not resolve to "Warp Records (2)".
+ * @param {string} labelName - Label name as shown on a release
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<number|null>} - Label ID, or null when nothing matches
  */
-export const searchLabelsByReleaseCount = async (labelQuery = '', minReleases = 0, maxReleases = Infinity) => {
+export const resolveLabelId = async (labelName, options = {}) => {
+  const name = labelName?.trim();
+  if (!name) return null;
+
   try {
-    console.log('🏷️ Searching labels with release count filter:', { labelQuery, minReleases, maxReleases });
-    
-    // Search for labels
-    const searchParams = {
-      q: labelQuery,
-      type: 'label',
-      per_page: 100, // Get more results to filter
-    };
-    
-    const url = `${DISCOGS_BASE_URL}${ENDPOINTS.search}?${new URLSearchParams(searchParams)}`;
-    
-    // Get authentication credentials
-    const personalToken = Constants.expoConfig?.extra?.DISCOGS_PERSONAL_TOKEN || 
-                         process.env.EXPO_PUBLIC_DISCOGS_PERSONAL_TOKEN;
-    
-    const headers = {
-      'User-Agent': 'LuckyFindMVP/1.0 +https://github.com/luba/LuckyFindMVP',
-    };
-    
-    if (personalToken) {
-      headers['Authorization'] = `Discogs token=${personalToken}`;
-    }
-    
-    const data = await executeRateLimitedRequest(async () => {
-      const response = await fetch(url, { headers });
-      
-      if (response.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again in a moment.');
-      }
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || `HTTP ${response.status}`);
-      }
-      
-      return await response.json();
-    });
-    
-    // Filter labels by release count
-    const filteredLabels = (data.results || []).filter(label => {
-      const releaseCount = label.releases || 0;
-      return releaseCount >= minReleases && releaseCount <= maxReleases;
+    const data = await discogsRequest(ENDPOINTS.search, {
+      params: {
+        q: name,
+        type: 'label',
+        per_page: 10,
+      },
+      signal: options.signal,
     });
-    
-    console.log(`✅ Found ${filteredLabels.length} labels matching release count criteria`);
-    return filteredLabels;
-    
+
+    const labels = data.results || [];
+    const exactMatch = labels.find(label => label.title?.toLowerCase() === name.toLowerCase());
+    const match = exactMatch || labels[0];
+
+    console.log(`🏷️ Resolved label "${name}" to`, match?.id || 'nothing');
+    return match?.id || null;
+
   } catch (error) {
-    console.error('❌ Label release count search failed:', error.message);
-    throw new Error(`Failed to search labels by release count: ${error.message}`);
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Resolve label ID failed:', error.message);
+    throw toApiError(error);
   }
 };
 
 /**
- * Advanced search with multiple filters
- * This is a convenience wrapper around searchRecords that accepts
- * the same filter format used by the SearchScreen component
- * 
- * @param {object} filters - Filter object containing search criteria
- * @param {string} [filters.searchQuery] - Main search query
- * @param {string} [filters.genre] - Genre filter
- * @param {string} [filters.style] - Style/format filter  
- * @param {string} [filters.artist] - Artist filter
- * @param {string} [filters.label] - Label filter
- * @param {string} [filters.yearFrom] - Start year for range
- * @param {string} [filters.yearTo] - End year for range
- * @param {string} [filters.priceMin] - Minimum price (note: Discogs doesn't support price filtering)
- * @param {string} [filters.priceMax] - Maximum price (note: Discogs doesn't support price filtering)
- * @param {number} [filters.page=1] - Page number
- * @param {number} [filters.perPage=50] - Results per page
- * @returns {Promise<SearchResponse>} - Filtered search results
- * @throws {Error} - If search fails or authentication is required
+ * Transform a label catalogue entry into the app's record shape
+ * @param {Object} release - Raw entry from /labels/{id}/releases
+ * @returns {Record} - Record object
+ */
+const transformLabelRelease = (release) => ({
+  id: release.id,
+  title: release.title,
+  artist: release.artist || '',
+  year: parseInt(release.year) || 0,
+  catno: release.catno || '',
+  format: release.format || '',
+  imageUrl: release.thumb || '',
+  resourceUrl: release.resource_url || '',
+  price: null,
+
+  // Backward compatibility fields
+  album: release.title,
+  thumb: release.thumb,
+  cover_image: release.thumb,
+  resource_url: release.resource_url,
+
+  status: release.status,
+  community: {
+    want: release.stats?.community?.in_wantlist ?? null,
+    have: release.stats?.community?.in_collection ?? null,
+  },
+});
+
+/**
+ * Get a label's exact catalogue by ID
+ * Unlike getLabelReleases, this never mixes in labels with similar names.
+ * @param {number} labelId - Discogs label ID
+ * @param {Object} [options] - Pagination, sort and request options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.perPage=50] - Results per page (max 100)
+ * @param {string} [options.sort='year'] - year, title, catno or format
+ * @param {string} [options.sortOrder='desc'] - asc or desc
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<SearchResponse>} - Catalogue page with pagination
  */
-export const advancedSearch = async (filters) => {
+export const getLabelReleasesById = async (labelId, options = {}) => {
+  const {
+    page = 1,
+    perPage = 50,
+    sort = 'year',
+    sortOrder = 'desc',
+    signal,
+  } = options;
+
   try {
-    console.log('🔍 Advanced search with filters:', filters);
-    
-    // Map filter object to search parameters
-    const searchParams = {
-      query: filters.searchQuery || filters.query,
-      genre: filters.genre,
-      style: filters.style,
-      format: filters.format || filters.style,
-      artist: filters.artist,
-      label: filters.label,
-      country: filters.country,
-      yearFrom: filters.yearFrom,
-      yearTo: filters.yearTo,
-      page: filters.page || 1,
-      per_page: filters.perPage || filters.per_page || 50,
+    console.log('🏷️ Getting catalogue for label:', labelId, { page, sort, sortOrder });
+
+    const data = await discogsRequest(`${ENDPOINTS.label}/${labelId}/releases`, {
+      params: {
+        page,
+        per_page: Math.min(perPage, 100), // Discogs max is 100
+        sort,
+        sort_order: sortOrder,
+      },
+      signal,
+    });
+
+    const results = (data.releases || []).map(transformLabelRelease);
+    console.log(`✅ Found ${results.length} label releases (page ${page})`);
+
+    return {
+      results,
+      pagination: data.pagination || {
+        page: 1,
+        pages: 1,
+        per_page: perPage,
+        items: results.length,
+        urls: {},
+      },
     };
-    
-    // Note: Discogs API doesn't support price filtering directly
-    // Price information would need to be filtered from marketplace data
-    if (filters.priceMin || filters.priceMax) {
-      console.warn('⚠️ Price filtering is not supported by Discogs search API. Use marketplace API for pricing data.');
-    }
-    
-    return await searchRecordsPublic(searchParams);
-    
+
   } catch (error) {
-    console.error('❌ Advanced search failed:', error.message);
-    throw error; // Re-throw to preserve the original error message
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get label catalogue failed:', error.message);
+    throw toApiError(error);
   }
 };
 
 /**
- * Get suggestions for search autocomplete
- * @param {string} query - Partial search query
- * @param {string} type - Type of suggestion (artist, label, etc.)
- * @returns {Promise<any[]>} - Array of suggestions
+ * Get how many releases a label has
+ * Label search results don't carry the count, so it comes from the size of the
+ * label's catalogue and is cached per label.
+ * @param {number} labelId - Discogs label ID
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<number>} - Number of releases on the label
  */
-export const getSuggestions = async (query, type = 'artist') => {
+export const getLabelReleaseCount = async (labelId, options = {}) => {
+  await labelReleaseCountCache.ready;
+
+  const cached = labelReleaseCountCache.get(labelId);
+  if (cached !== null) {
+    return cached;
+  }
+
   try {
-    if (!query || query.length < 2) {
-      return [];
-    }
-    
-    const searchParams = {
-      q: query,
-      type: type,
-      per_page: 10, // Limit suggestions
-    };
-    
-    const response = await searchRecords(searchParams);
-    return response.results || [];
-    
+    const data = await discogsRequest(`${ENDPOINTS.label}/${labelId}/releases`, {
+      params: { page: 1, per_page: 1 },
+      signal: options.signal,
+    });
+
+    const count = data.pagination?.items ?? (data.releases || []).length;
+    labelReleaseCountCache.set(labelId, count);
+    return count;
+
   } catch (error) {
-    console.error('❌ Get suggestions failed:', error.message);
-    return []; // Return empty array on error to prevent UI crashes
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Label release count failed:', error.message);
+    throw toApiError(error);
   }
 };
 
 /**
- * Mock data for development and testing
- * Remove this in production when real API is integrated
+ * Whether a release count falls inside a min/max window
  */
-export const mockSearchResults = {
-  pagination: {
-    page: 1,
-    pages: 10,
-    per_page: 50,
-    items: 500,
-    urls: {},
-  },
-  results: [
-    {
-      // Normalized schema fields (primary)
-      id: 1,
-      title: 'The Beatles - Abbey Road',
-      artist: 'The Beatles',
-      year: 1969,
-      genres: ['Rock'],
-      styles: ['Pop Rock'],
-      formats: ['Vinyl', 'LP', 'Album'],
-      label: 'Apple Records',
-      country: 'UK',
-      imageUrl: 'https://via.placeholder.com/150x150/D2B48C/000000?text=Abbey+Road',
-      resourceUrl: 'https://api.discogs.com/releases/1',
-      labelReleaseCount: 127,
-      price: null,
-      tracklist: [],
-      
-      // Backward compatibility fields (deprecated)
-      type: 'release',
-      album: 'Abbey Road',
-      thumb: 'https://via.placeholder.com/150x150/D2B48C/000000?text=Abbey+Road',
-      cover_image: 'https://via.placeholder.com/500x500/D2B48C/000000?text=Abbey+Road',
-      resource_url: 'https://api.discogs.com/releases/1',
-      format: 'Vinyl, LP, Album',
-      labels: ['Apple Records'],
-      genre: 'Rock',
-      style: 'Pop Rock',
-      community: { want: 1500, have: 3200 },
-    },
-    {
-      // Normalized schema fields (primary)
-      id: 2,
-      title: 'Pink Floyd - The Dark Side of the Moon',
-      artist: 'Pink Floyd',
-      year: 1973,
-      genres: ['Rock'],
-      styles: ['Progressive Rock'],
-      formats: ['Vinyl', 'LP', 'Album'],
-      label: 'Harvest',
-      country: 'UK',
-      imageUrl: 'https://via.placeholder.com/150x150/D2B48C/000000?text=Dark+Side',
-      resourceUrl: 'https://api.discogs.com/releases/2',
-      labelReleaseCount: 89,
-      price: null,
-      tracklist: [],
-      
-      // Backward compatibility fields (deprecated)
-      type: 'release',
-      album: 'The Dark Side of the Moon',
-      thumb: 'https://via.placeholder.com/150x150/D2B48C/000000?text=Dark+Side',
-      cover_image: 'https://via.placeholder.com/500x500/D2B48C/000000?text=Dark+Side',
-      resource_url: 'https://api.discogs.com/releases/2',
-      format: 'Vinyl, LP, Album',
-      labels: ['Harvest'],
-      genre: 'Rock',
-      style: 'Progressive Rock',
-      community: { want: 2100, have: 4800 },
-    },
-    {
-      // Normalized schema fields (primary)
-      id: 3,
-      title: 'Led Zeppelin - Led Zeppelin IV',
-      artist: 'Led Zeppelin',
-      year: 1971,
-      genres: ['Rock'],
-      styles: ['Hard Rock'],
-      formats: ['Vinyl', 'LP', 'Album'],
-      label: 'Atlantic',
-      country: 'US',
-      imageUrl: 'https://via.placeholder.com/150x150/D2B48C/000000?text=Led+Zep+IV',
-      resourceUrl: 'https://api.discogs.com/releases/3',
-      labelReleaseCount: 234,
-      price: null,
-      tracklist: [],
-      
-      // Backward compatibility fields (deprecated)
-      type: 'release',
-      album: 'Led Zeppelin IV',
-      thumb: 'https://via.placeholder.com/150x150/D2B48C/000000?text=Led+Zep+IV',
-      cover_image: 'https://via.placeholder.com/500x500/D2B48C/000000?text=Led+Zep+IV',
-      resource_url: 'https://api.discogs.com/releases/3',
-      format: 'Vinyl, LP, Album',
-      labels: ['Atlantic'],
-      genre: 'Rock',
-      style: 'Hard Rock',
-      community: { want: 1800, have: 2900 },
-    },
-    {
-      id: 4,
-      type: 'release',
-      title: 'Miles Davis - Kind of Blue',
-      artist: 'Miles Davis',
-      album: 'Kind of Blue',
-      thumb: 'https://via.placeholder.com/150x150/D2B48C/000000?text=Kind+Blue',
-      cover_image: 'https://via.placeholder.com/500x500/D2B48C/000000?text=Kind+Blue',
-      resource_url: 'https://api.discogs.com/releases/4',
-      year: '1959',
-      format: 'Vinyl, LP, Album',
-      formats: ['Vinyl', 'LP', 'Album'],
-      label: 'Columbia',
-      labels: ['Columbia'],
-      genre: 'Jazz',
-      genres: ['Jazz'],
-      style: 'Cool Jazz',
-      styles: ['Cool Jazz'],
-      country: 'US',
-      community: { want: 2500, have: 1800 },
-    },
-    {
-      id: 5,
-      type: 'release',
-      title: 'Fleetwood Mac - Rumours',
-      artist: 'Fleetwood Mac',
-      album: 'Rumours',
-      thumb: 'https://via.placeholder.com/150x150/D2B48C/000000?text=Rumours',
-      cover_image: 'https://via.placeholder.com/500x500/D2B48C/000000?text=Rumours',
-      resource_url: 'https://api.discogs.com/releases/5',
-      year: '1977',
-      format: 'Vinyl, LP, Album',
-      formats: ['Vinyl', 'LP', 'Album'],
-      label: 'Warner Bros.',
-      labels: ['Warner Bros.'],
-      genre: 'Rock',
-      genres: ['Rock'],
-      style: 'Pop Rock',
-      styles: ['Pop Rock'],
-      country: 'US',
-      community: { want: 1200, have: 3800 },
-    },
-  ],
+const isInReleaseWindow = (count, minReleases, maxReleases) => count >= minReleases && count <= maxReleases;
+
+/**
+ * Whether a search result was released on the label with exactly this name
+ * Discogs disambiguates shared names with a suffix ("Rush (2)"), so an exact match is enough.
+ */
+const isOnLabel = (record, labelName) => {
+  const target = labelName.trim().toLowerCase();
+  return (record.labels || [record.label]).some(name => (name || '').trim().toLowerCase() === target);
 };
 
 /**
- * Development/testing function that returns mock data
- * Enhanced to filter results based on search criteria
- * @param {object} filters - Search filters
- * @returns {Promise<object>} - Filtered mock search results
+ * Search for labels and get their release counts
+ * @param {string} labelQuery - Label search query
+ * @param {number} minReleases - Minimum number of releases
+ * @param {number} maxReleases - Maximum number of releases
+ * @param {Object} [options] - Pagination and request options
+ * @param {number} [options.page=1] - Label search page
+ * @param {number} [options.perPage=50] - Labels per page; each uncached count costs a request
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<any[]>} - Labels in the window, each with `releaseCount`
  */
-export const mockAdvancedSearch = async (filters) => {
-  // Simulate API delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  console.log('🔄 Mock search with filters:', filters);
-  
-  // Create additional techno/electronic records for testing
-  const additionalRecords = [
-    {
-      id: 101,
-      type: 'release',
-      title: 'Plastikman - Sheet One',
-      artist: 'Plastikman',
-      album: 'Sheet One',
-      thumb: 'https://via.placeholder.com/150x150/FFFF00/000000?text=Sheet+One',
-      cover_image: 'https://via.placeholder.com/500x500/FFFF00/000000?text=Sheet+One',
-      resource_url: 'https://api.discogs.com/releases/101',
-      year: '1993',
-      format: 'Vinyl, LP, Album',
-      formats: ['Vinyl', 'LP', 'Album'],
-      label: 'Plus 8',
-      labels: ['Plus 8'],
-      genre: 'Electronic',
-      genres: ['Electronic'],
-      style: 'Techno',
-      styles: ['Techno'],
-      country: 'Canada',
-      community: { want: 800, have: 1200 },
-    },
-    {
-      id: 102,
-      type: 'release',
-      title: 'Underground Resistance - Revolution For Change',
-      artist: 'Underground Resistance',
-      album: 'Revolution For Change',
-      thumb: 'https://via.placeholder.com/150x150/FFFF00/000000?text=Revolution',
-      cover_image: 'https://via.placeholder.com/500x500/FFFF00/000000?text=Revolution',
-      resource_url: 'https://api.discogs.com/releases/102',
-      year: '1992',
-      format: 'Vinyl, 12"',
-      formats: ['Vinyl', '12"'],
-      label: 'Underground Resistance',
-      labels: ['Underground Resistance'],
-      genre: 'Electronic',
-      genres: ['Electronic'],
-      style: 'Techno',
-      styles: ['Techno'],
-      country: 'US',
-      community: { want: 1500, have: 900 },
+export const searchLabelsByReleaseCount = async (labelQuery = '', minReleases = 0, maxReleases = Infinity, options = {}) => {
+  const { page = 1, perPage = 50, signal } = options;
+
+  try {
+    console.log('🏷️ Searching labels with release count filter:', { labelQuery, minReleases, maxReleases, page });
+    
+    const data = await discogsRequest(ENDPOINTS.search, {
+      params: {
+        q: labelQuery,
+        type: 'label',
+        page,
+        per_page: perPage,
+      },
+      signal,
+    });
+    
+    // Counts are looked up one label at a time so they queue behind the rate limiter
+    const filteredLabels = [];
+    for (const label of data.results || []) {
+      const releaseCount = await getLabelReleaseCount(label.id, { signal });
+      if (isInReleaseWindow(releaseCount, minReleases, maxReleases)) {
+        filteredLabels.push({ ...label, releaseCount });
+      }
+    }
+    
+    console.log(`✅ Found ${filteredLabels.length} labels matching release count criteria`);
+    return filteredLabels;
+    
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Label release count search failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Transform a master version into the app's record shape
+ * Versions carry less data than search results (no genres/styles), so the
+ * master's artist and genres are passed in to fill the gaps.
+ * @param {Object} version - Raw version from /masters/{id}/versions
+ * @param {Object} [master] - Master release the version belongs to
+ * @returns {Record} - Record object usable by the list and detail screens
+ */
+const transformMasterVersion = (version, master = null) => {
+  const artist = master?.artists?.map(a => a.name).join(', ') || extractArtistFromTitle(version.title);
+  const formats = version.major_formats || [];
+
+  return {
+    id: version.id,
+    type: 'release',
+    title: master?.artists ? `${artist} - ${version.title}` : version.title,
+    artist,
+    year: parseInt(version.released) || 0,
+    genres: master?.genres || [],
+    styles: master?.styles || [],
+    formats,
+    label: version.label || '',
+    country: version.country || '',
+    imageUrl: version.thumb || '',
+    resourceUrl: version.resource_url || '',
+    labelReleaseCount: 0,
+    price: null,
+    tracklist: [],
+
+    // Backward compatibility fields
+    album: version.title,
+    thumb: version.thumb,
+    cover_image: version.thumb,
+    resource_url: version.resource_url,
+    format: version.format || formats.join(', '),
+    labels: version.label ? [version.label] : [],
+    genre: (master?.genres || []).join(', '),
+    style: (master?.styles || []).join(', '),
+
+    catno: version.catno,
+    status: version.status,
+    community: {
+      want: version.stats?.community?.in_wantlist ?? null,
+      have: version.stats?.community?.in_collection ?? null,
     },
-  ];
-
-  // Combine original and additional records
-  const allRecords = [...mockSearchResults.results, ...additionalRecords];
-  
-  // Filter results based on search criteria
-  let filteredResults = allRecords;
-  
-  if (filters.style) {
-    filteredResults = filteredResults.filter(record => 
-      record.styles?.some(s => s.toLowerCase().includes(filters.style.toLowerCase())) ||
-      record.style?.toLowerCase().includes(filters.style.toLowerCase())
-    );
+    master_id: master?.id,
+    isMainRelease: !!master && master.main_release === version.id,
+  };
+};
+
+/**
+ * Get a master release (the group of all versions of one album)
+ * @param {number} masterId - Discogs master ID
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<any>} - Master release information
+ */
+export const getMasterRelease = async (masterId, options = {}) => {
+  try {
+    return await discogsRequest(`${ENDPOINTS.master}/${masterId}`, {
+      signal: options.signal,
+    });
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get master release failed:', error.message);
+    throw toApiError(error);
   }
-  
-  if (filters.genre) {
-    filteredResults = filteredResults.filter(record => 
-      record.genres?.some(g => g.toLowerCase().includes(filters.genre.toLowerCase())) ||
-      record.genre?.toLowerCase().includes(filters.genre.toLowerCase())
-    );
+};
+
+/**
+ * Get all versions (pressings) of a master release
+ * @param {number} masterId - Discogs master ID
+ * @param {Object} [options] - Pagination, filter and request options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.perPage=50] - Results per page (max 100)
+ * @param {string} [options.format] - Format filter (e.g. 'Vinyl')
+ * @param {string} [options.country] - Country filter (e.g. 'UK')
+ * @param {string|number} [options.year] - Release year filter
+ * @param {string} [options.label] - Label filter
+ * @param {string} [options.sort='released'] - released, title, format, label, catno or country
+ * @param {string} [options.sortOrder='asc'] - asc or desc
+ * @param {Object} [options.master] - Master release, used to fill artist/genres on versions
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{results: Record[], pagination: Object, availableFilters: Object}>}
+ */
+export const getMasterVersions = async (masterId, options = {}) => {
+  const {
+    page = 1,
+    perPage = 50,
+    format,
+    country,
+    year,
+    label,
+    sort = 'released',
+    sortOrder = 'asc',
+    master = null,
+    signal,
+  } = options;
+
+  try {
+    console.log('💿 Getting versions for master:', masterId, { page, format, country, year });
+
+    const data = await discogsRequest(`${ENDPOINTS.master}/${masterId}/versions`, {
+      params: {
+        page,
+        per_page: Math.min(perPage, 100), // Discogs max is 100
+        format,
+        country,
+        released: year,
+        label,
+        sort,
+        sort_order: sortOrder,
+      },
+      signal,
+    });
+
+    const results = (data.versions || []).map(version => transformMasterVersion(version, master));
+    console.log(`✅ Found ${results.length} versions (page ${page})`);
+
+    return {
+      results,
+      pagination: data.pagination || {
+        page: 1,
+        pages: 1,
+        per_page: perPage,
+        items: results.length,
+        urls: {},
+      },
+      // { format: { Vinyl: 12, CD: 4 }, country: {...}, released: {...}, label: {...} }
+      availableFilters: data.filters?.available || {},
+    };
+
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get master versions failed:', error.message);
+    throw toApiError(error);
   }
-  
-  if (filters.artist) {
-    filteredResults = filteredResults.filter(record => 
-      record.artist?.toLowerCase().includes(filters.artist.toLowerCase())
-    );
+};
+
+/**
+ * Get marketplace statistics for a release
+ * @param {number} releaseId - Discogs release ID
+ * @param {Object} [options] - Request options
+ * @param {string} [options.currency='USD'] - Currency for prices
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<MarketplaceStats>} - Lowest price and number of copies for sale
+ */
+export const getMarketplaceStats = async (releaseId, options = {}) => {
+  const currency = options.currency || DEFAULT_CURRENCY;
+  const cacheKey = `${releaseId}:${currency}`;
+  const cached = marketplaceStatsCache.get(cacheKey);
+
+  if (cached && Date.now() - cached.timestamp < MARKETPLACE_CACHE_TTL) {
+    return cached.stats;
   }
-  
-  if (filters.searchQuery) {
-    const query = filters.searchQuery.toLowerCase();
-    filteredResults = filteredResults.filter(record => 
-      record.title?.toLowerCase().includes(query) ||
-      record.artist?.toLowerCase().includes(query) ||
-      record.album?.toLowerCase().includes(query)
-    );
+
+  try {
+    const data = await discogsRequest(`${ENDPOINTS.marketplaceStats}/${releaseId}`, {
+      params: { curr_abbr: currency },
+      signal: options.signal,
+    });
+
+    const stats = {
+      lowestPrice: data?.lowest_price?.value ?? null,
+      currency: data?.lowest_price?.currency || currency,
+      numForSale: data?.num_for_sale ?? 0,
+      blockedFromSale: !!data?.blocked_from_sale,
+    };
+
+    marketplaceStatsCache.set(cacheKey, { stats, timestamp: Date.now() });
+    return stats;
+
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get marketplace stats failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Get suggested selling prices by condition for a release
+ * Requires the user's OAuth session and seller settings on Discogs.
+ * @param {number} releaseId - Discogs release ID
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<PriceSuggestion[]>} - Suggestions ordered from Mint to Poor
+ */
+export const getPriceSuggestions = async (releaseId, options = {}) => {
+  try {
+    const data = await discogsRequest(`${ENDPOINTS.priceSuggestions}/${releaseId}`, {
+      auth: AUTH_MODES.OAUTH,
+      signal: options.signal,
+    });
+
+    return Object.entries(data || {})
+      .map(([condition, price]) => ({
+        condition,
+        value: price?.value ?? null,
+        currency: price?.currency || DEFAULT_CURRENCY,
+      }))
+      .filter(suggestion => suggestion.value !== null)
+      .sort((a, b) => CONDITION_ORDER.indexOf(a.condition) - CONDITION_ORDER.indexOf(b.condition));
+
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get price suggestions failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Get marketplace stats plus suggested prices when the user is logged in
+ * Suggestions are optional: they are null for anonymous users or accounts without seller settings.
+ * @param {number} releaseId - Discogs release ID
+ * @param {Object} [options] - Request options (currency, signal)
+ * @returns {Promise<MarketplaceStats>} - Stats with a `suggestions` array or null
+ */
+export const getReleasePricing = async (releaseId, options = {}) => {
+  const stats = await getMarketplaceStats(releaseId, options);
+  let suggestions = null;
+
+  if (await isAuthenticated()) {
+    try {
+      suggestions = await getPriceSuggestions(releaseId, options);
+    } catch (error) {
+      if (!(error instanceof AuthError || error instanceof NotFoundError)) {
+        throw error;
+      }
+      console.warn('⚠️ Price suggestions unavailable:', error.message);
+    }
+  }
+
+  return { ...stats, suggestions };
+};
+
+/**
+ * Fill in `price` and `marketplace` on search results from marketplace stats
+ * Costs one request per record, so only run it when prices are actually needed.
+ * Records whose stats fail to load keep a null price.
+ * @param {Record[]} records - Transformed search results
+ * @param {Object} [options] - Request options (currency, signal)
+ * @param {Function} [options.onProgress] - Called with { checked, total } as each price loads
+ * @returns {Promise<Record[]>} - New record objects with pricing attached
+ */
+export const enrichWithMarketplacePrices = async (records, options = {}) => {
+  const { onProgress, ...requestOptions } = options;
+  let checked = 0;
+
+  console.log(`💰 Loading marketplace prices for ${records.length} records`);
+  onProgress?.({ checked, total: records.length });
+
+  return Promise.all(records.map(async (record) => {
+    try {
+      const marketplace = await getMarketplaceStats(record.id, requestOptions);
+      return { ...record, price: marketplace.lowestPrice, marketplace };
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      return record;
+    } finally {
+      checked += 1;
+      onProgress?.({ checked, total: records.length });
+    }
+  }));
+};
+
+/**
+ * Keep records whose lowest marketplace price falls inside the range
+ * Records without a known price are dropped once any bound is set.
+ * @param {Record[]} records - Records enriched with marketplace prices
+ * @param {number} [priceMin] - Minimum price (inclusive)
+ * @param {number} [priceMax] - Maximum price (inclusive)
+ * @returns {Record[]} - Matching records
+ */
+export const filterByPriceRange = (records, priceMin, priceMax) => {
+  if (!priceMin && !priceMax) {
+    return records;
+  }
+
+  return records.filter(record => {
+    if (record.price === null || record.price === undefined) return false;
+    if (priceMin && record.price < priceMin) return false;
+    if (priceMax && record.price > priceMax) return false;
+    return true;
+  });
+};
+
+/**
+ * Map the SearchScreen filter object to searchRecordsPublic parameters
+ * @param {Object} filters - Filters with at most one value per field
+ * @returns {SearchParams}
+ */
+const toSearchParams = (filters) => ({
+  query: filters.searchQuery || filters.query,
+  genre: filters.genre,
+  style: filters.style,
+  format: filters.format,
+  artist: filters.artist,
+  label: filters.label,
+  country: filters.country,
+  yearFrom: filters.yearFrom,
+  yearTo: filters.yearTo,
+  catno: filters.catno,
+  barcode: filters.barcode,
+  page: filters.page || 1,
+  per_page: filters.perPage || filters.per_page || 50,
+});
+
+/**
+ * Values selected for a filter, whether it holds one value or an array
+ */
+const getFilterValues = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+/**
+ * Results per page for advancedSearch
+ * A price filter costs a marketplace request per result, and those share the rate
+ * limit with everything else, so price-filtered pages are kept small.
+ * @param {Object} filters - advancedSearch filters
+ * @returns {number}
+ */
+const getSearchPageSize = (filters) => {
+  const perPage = Math.min(filters.perPage || filters.per_page || 50, 100);
+  return filters.priceMin || filters.priceMax ? Math.min(perPage, PRICE_FILTER_PAGE_SIZE) : perPage;
+};
+
+/**
+ * Expand multi-value filters into one filter set per combination
+ * e.g. style ['techno', 'house'] × country ['Germany', 'UK'] -> 4 filter sets
+ * @param {Object} filters - Filters whose genre, style, country or format may be arrays
+ * @returns {Object[]} - Filter sets with a single value (or none) per field
+ */
+export const expandFilterCombinations = (filters) => {
+  return MULTI_VALUE_FILTERS.reduce((combinations, key) => {
+    const values = getFilterValues(filters[key]);
+    if (values.length === 0) {
+      return combinations.map(combination => ({ ...combination, [key]: undefined }));
+    }
+    return combinations.flatMap(combination => values.map(value => ({ ...combination, [key]: value })));
+  }, [{ ...filters }]);
+};
+
+/**
+ * Run one search per filter combination and merge the pages
+ *
+ * Combinations are searched one after another so they queue behind the rate
+ * limiter instead of flooding it. Each gets a share of the page size, so page N
+ * of the merge is page N of every combination that still has one. Results are
+ * interleaved and deduplicated by release ID. If Discogs starts rate limiting
+ * part way through, the combinations already fetched are returned with `incomplete`.
+ *
+ * @param {Object[]} combinations - From expandFilterCombinations
+ * @param {Object} filters - Original filters, for page and page size
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<SearchResponse>} - Merged results; `fanOut` describes the searches made
+ */
+const fanOutSearch = async (combinations, filters, options = {}) => {
+  const page = filters.page || 1;
+  const perPage = Math.min(filters.perPage || filters.per_page || 50, 100);
+  // Every price-filtered result costs a marketplace request, so those shares don't get topped up
+  const minShareSize = filters.priceMin || filters.priceMax ? 1 : MIN_FAN_OUT_PAGE_SIZE;
+  const shareSize = Math.max(minShareSize, Math.ceil(perPage / combinations.length));
+
+  console.log(`🔀 Fanning search out over ${combinations.length} filter combinations (page ${page})`);
+
+  const responses = [];
+  let incomplete = false;
+
+  for (const combination of combinations) {
+    try {
+      const response = await searchRecordsPublic(toSearchParams({ ...combination, page, per_page: shareSize }), options);
+      responses.push(response);
+    } catch (error) {
+      if (error instanceof RateLimitError && responses.length > 0) {
+        console.warn(`⏳ Rate limited after ${responses.length} of ${combinations.length} combinations, returning partial results`);
+        incomplete = true;
+        break;
+      }
+      throw error;
+    }
   }
-  
-  console.log(`🔄 Mock search filtered from ${allRecords.length} to ${filteredResults.length} results`);
-  
+
+  // Round-robin so no single combination crowds the top of the list
+  const seen = new Set();
+  const results = [];
+  const longest = Math.max(...responses.map(response => response.results.length));
+  for (let index = 0; index < longest; index++) {
+    responses.forEach(response => {
+      const record = response.results[index];
+      if (record && !seen.has(record.id)) {
+        seen.add(record.id);
+        results.push(record);
+      }
+    });
+  }
+
+  const fetchedCount = responses.reduce((total, response) => total + response.results.length, 0);
+  console.log(`✅ Merged ${results.length} records (${fetchedCount - results.length} duplicates)`);
+
   return {
-    ...mockSearchResults,
-    results: filteredResults,
+    results,
     pagination: {
-      ...mockSearchResults.pagination,
-      items: filteredResults.length,
-      pages: Math.ceil(filteredResults.length / 50),
+      page,
+      pages: Math.max(...responses.map(response => response.pagination?.pages || 0)),
+      per_page: perPage,
+      // Upper bound: a release can match several combinations
+      items: responses.reduce((total, response) => total + (response.pagination?.items || 0), 0),
+      urls: {},
+    },
+    fanOut: {
+      combinations: combinations.length,
+      searched: responses.length,
+      duplicates: fetchedCount - results.length,
+      incomplete,
+    },
+  };
+};
+
+/**
+ * Advanced search with multiple filters
+ * This is a convenience wrapper around searchRecords that accepts
+ * the same filter format used by the SearchScreen component
+ * 
+ * @param {object} filters - Filter object containing search criteria
+ * @param {string} [filters.searchQuery] - Main search query
+ * @param {string|string[]} [filters.genre] - Genre filter; several values fan out
+ * @param {string|string[]} [filters.style] - Style filter; several values fan out
+ * @param {string|string[]} [filters.country] - Country filter; several values fan out
+ * @param {string|string[]} [filters.format] - Format filter; several values fan out
+ * @param {string} [filters.artist] - Artist filter
+ * @param {string} [filters.label] - Label filter
+ * @param {string} [filters.yearFrom] - Start year for range
+ * @param {string} [filters.yearTo] - End year for range
+ * @param {string} [filters.catno] - Catalog number filter
+ * @param {string} [filters.barcode] - Barcode filter
+ * @param {{field: string, value: string}[]} [filters.exclude] - Exclusion terms from the query language (applied after the fetch)
+ * @param {{size?: string, speed?: string, flags?: string[]}} [filters.formatDetails] - Vinyl size, speed and
+ *   descriptor flags (applied after the fetch; one of them is sent as `format` when no format is selected)
+ * @param {number} [filters.maxHave] - Maximum Discogs users owning the release (applied after the fetch)
+ * @param {string} [filters.minRarity] - Minimum rarity tier, a RARITY_TIERS key (applied after the fetch)
+ * @param {number} [filters.priceMin] - Minimum lowest marketplace price (applied after the fetch)
+ * @param {number} [filters.priceMax] - Maximum lowest marketplace price (applied after the fetch)
+ * @param {number} [filters.page=1] - Page number
+ * @param {number} [filters.perPage=50] - Results per page; at most PRICE_FILTER_PAGE_SIZE with a price bound
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @param {Function} [options.onPriceProgress] - Called with { checked, total } while prices load
+ * @returns {Promise<SearchResponse>} - Filtered search results, each with `rarity` (see utils/rarity)
+ * @throws {Error} - If search fails or authentication is required
+ */
+export const advancedSearch = async (filters, options = {}) => {
+  const { onPriceProgress, ...requestOptions } = options;
+
+  try {
+    console.log('🔍 Advanced search with filters:', filters);
+    
+    // Discogs matches one format description at a time, so the rarest descriptor
+    // narrows the search and all of them are checked on the results below
+    const formatHint = getFilterValues(filters.format).length ? null : getFormatSearchHint(filters.formatDetails);
+    const searchFilters = {
+      ...filters,
+      ...(formatHint ? { format: formatHint } : {}),
+      perPage: getSearchPageSize(filters),
+    };
+    
+    const combinations = expandFilterCombinations(searchFilters);
+    if (combinations.length > MAX_SEARCH_COMBINATIONS) {
+      throw new ApiError(
+        `Too many filter combinations (${combinations.length}). Select fewer genres, styles, countries or formats.`,
+        { status: 400 }
+      );
+    }
+    
+    const fetched = combinations.length === 1
+      ? await searchRecordsPublic(toSearchParams(combinations[0]), requestOptions)
+      : await fanOutSearch(combinations, searchFilters, requestOptions);
+    
+    // Discogs search can't exclude terms (-format:CD), so they are dropped from this page
+    const kept = applyExclusions(fetched.results, filters.exclude);
+    let response = kept === fetched.results
+      ? fetched
+      : { ...fetched, results: kept, excluded: fetched.results.length - kept.length };
+    
+    if (response.excluded) {
+      console.log(`🚫 Exclusions removed ${response.excluded} of ${fetched.results.length} records`);
     }
+    
+    const formatMatches = filterByFormatDetails(response.results, filters.formatDetails);
+    if (formatMatches !== response.results) {
+      console.log(`💿 Format details kept ${formatMatches.length} of ${response.results.length} records`);
+      response = { ...response, results: formatMatches, formatFiltered: response.results.length - formatMatches.length };
+    }
+    
+    // Discogs search can't filter on owner counts, so obscurity is checked on the page too.
+    // Records without a count can't be shown to be obscure, so they are dropped.
+    if (filters.maxHave !== undefined) {
+      const obscure = response.results.filter(record => record.community?.have != null && record.community.have <= filters.maxHave);
+      console.log(`🕳️ Max ${filters.maxHave} owners kept ${obscure.length} of ${response.results.length} records`);
+      response = { ...response, results: obscure };
+    }
+    
+    // Discogs search has no price filter, so prices are applied after the fetch
+    // from marketplace stats. Only this page is filtered; pagination stays Discogs'.
+    if (filters.priceMin || filters.priceMax) {
+      const enriched = await enrichWithMarketplacePrices(response.results, { ...requestOptions, onProgress: onPriceProgress });
+      const results = filterByPriceRange(enriched, filters.priceMin, filters.priceMax);
+      
+      console.log(`💰 Price filter kept ${results.length} of ${enriched.length} records`);
+      
+      response = {
+        ...response,
+        results,
+        priceFilter: {
+          min: filters.priceMin || null,
+          max: filters.priceMax || null,
+          checked: enriched.length,
+          matched: results.length,
+        },
+      };
+    }
+    
+    // Rarity is scored from the counts each result carries (and its marketplace
+    // stats when prices were loaded), so the minimum tier also filters this page only
+    const scored = withRarity(response.results);
+    const results = filterByRarity(scored, filters.minRarity);
+    if (results !== scored) {
+      console.log(`💎 Min rarity ${filters.minRarity} kept ${results.length} of ${scored.length} records`);
+    }
+    
+    return { ...response, results };
+    
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error('❌ Advanced search failed:', error.message);
+    }
+    throw error; // Re-throw to preserve the original error type
+  }
+};
+
+// Small-label discovery budget: uncached release-count lookups per page of results
+const MAX_LABEL_LOOKUPS_PER_PAGE = 20;
+// Lookups allowed while the page is still empty, before giving up on it
+const MAX_LABEL_LOOKUPS_WITHOUT_RESULTS = 60;
+const LABEL_SEARCH_PAGE_SIZE = 50;
+
+/**
+ * Where small-label discovery left off; JSON-serializable so it can travel
+ * with the results to the next screen
+ * @typedef {Object} SmallLabelCursor
+ * @property {number} page - Result pages returned so far
+ * @property {number} labelPage - Label search pages fetched so far
+ * @property {number|null} labelPages - Label search pages in total, once known
+ * @property {{id: number, name: string}[]} uncheckedLabels - Fetched labels whose count isn't checked yet
+ * @property {{id: number, name: string, releaseCount: number}[]} pendingLabels - Matching labels not paged yet
+ * @property {{id: number, name: string, releaseCount: number}|null} currentLabel - Label being paged through
+ * @property {number} releasePage - Next page of the current label's releases
+ * @property {number} labelsChecked - Labels whose count was checked
+ * @property {number} labelsMatched - Labels inside the release-count window
+ * @property {boolean} done - Nothing left to fetch
+ */
+
+const createSmallLabelCursor = () => ({
+  page: 0,
+  labelPage: 0,
+  labelPages: null,
+  uncheckedLabels: [],
+  pendingLabels: [],
+  currentLabel: null,
+  releasePage: 1,
+  labelsChecked: 0,
+  labelsMatched: 0,
+  done: false,
+});
+
+/**
+ * Releases from small labels ("max label releases" discovery)
+ *
+ * Labels matching the label filter (or the free text) are streamed from the label
+ * search, their release counts checked (cached per label), and the releases of each
+ * label inside the window paged through in turn with the other filters applied.
+ * Each call returns about one page of results and a cursor to continue from, so
+ * labels are only checked and paged as the user scrolls.
+ * If Discogs starts rate limiting after some results were found, they are
+ * returned with `incomplete` and the cursor resumes where it stopped.
+ *
+ * @param {Object} filters - advancedSearch filters plus the release-count window
+ * @param {number} [filters.minReleases=0] - Minimum releases on a label
+ * @param {number} [filters.maxReleases] - Maximum releases on a label
+ * @param {Object} [options] - Request options
+ * @param {SmallLabelCursor} [options.cursor] - Cursor from the previous page; omit to start
+ * @param {Function} [options.onProgress] - Called with { labelsChecked, labelsMatched, label } after each label check
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<SearchResponse>} - Results carry `sourceLabel`; the response carries `cursor` and `smallLabels`
+ */
+export const searchSmallLabelReleases = async (filters, options = {}) => {
+  const { signal, onProgress } = options;
+  const perPage = getSearchPageSize(filters);
+  const minReleases = filters.minReleases || 0;
+  const maxReleases = filters.maxReleases || Infinity;
+  // Free text finds the labels; it only narrows their releases when a label filter is set too
+  const labelQuery = filters.label || filters.searchQuery || '';
+  // The minimum rarity is applied here, once label size is known
+  const releaseFilters = { ...filters, searchQuery: filters.label ? filters.searchQuery : undefined, minRarity: undefined };
+
+  const cursor = options.cursor
+    ? {
+      ...options.cursor,
+      uncheckedLabels: [...options.cursor.uncheckedLabels],
+      pendingLabels: [...options.cursor.pendingLabels],
+    }
+    : createSmallLabelCursor();
+  cursor.page += 1;
+
+  const results = [];
+  const seen = new Set();
+  let lookups = 0;
+  let incomplete = false;
+
+  console.log('🏷️ Small-label discovery:', { labelQuery, minReleases, maxReleases, page: cursor.page });
+
+  try {
+    while (results.length < perPage && !cursor.done) {
+      // Page through the current label's releases
+      if (cursor.currentLabel) {
+        const label = cursor.currentLabel;
+        const response = await advancedSearch(
+          { ...releaseFilters, label: label.name, page: cursor.releasePage, perPage },
+          { signal }
+        );
+
+        // The label filter is a text match, so releases on similarly named labels come
+        // back too; keep only those on this exact label so the size guarantee holds
+        const onLabel = response.results.filter(record => isOnLabel(record, label.name));
+        if (onLabel.length < response.results.length) {
+          console.log(`🏷️ Dropped ${response.results.length - onLabel.length} releases from labels named like ${label.name}`);
+        }
+
+        const labelled = onLabel.map(record => {
+          const tagged = { ...record, sourceLabel: label };
+          return { ...tagged, rarity: scoreSearchResultRarity(tagged) };
+        });
+        filterByRarity(labelled, filters.minRarity).forEach(record => {
+          if (!seen.has(record.id)) {
+            seen.add(record.id);
+            results.push(record);
+          }
+        });
+
+        if (cursor.releasePage >= (response.pagination?.pages || 1)) {
+          cursor.currentLabel = null;
+          cursor.releasePage = 1;
+        } else {
+          cursor.releasePage += 1;
+        }
+        continue;
+      }
+
+      if (cursor.pendingLabels.length > 0) {
+        cursor.currentLabel = cursor.pendingLabels.shift();
+        continue;
+      }
+
+      // Check the next label's release count, within the lookup budget
+      if (cursor.uncheckedLabels.length > 0) {
+        const label = cursor.uncheckedLabels[0];
+        const isCached = labelReleaseCountCache.get(label.id) !== null;
+        const budget = results.length > 0 ? MAX_LABEL_LOOKUPS_PER_PAGE : MAX_LABEL_LOOKUPS_WITHOUT_RESULTS;
+        if (!isCached && lookups >= budget) break;
+
+        const releaseCount = await getLabelReleaseCount(label.id, { signal });
+        if (!isCached) lookups += 1;
+
+        cursor.uncheckedLabels.shift();
+        cursor.labelsChecked += 1;
+        if (isInReleaseWindow(releaseCount, minReleases, maxReleases)) {
+          cursor.labelsMatched += 1;
+          cursor.pendingLabels.push({ ...label, releaseCount });
+          console.log(`🏷️ ${label.name}: ${releaseCount} releases, in window`);
+        }
+
+        onProgress?.({ labelsChecked: cursor.labelsChecked, labelsMatched: cursor.labelsMatched, label });
+        continue;
+      }
+
+      // Stream the next page of labels
+      if (cursor.labelPages !== null && cursor.labelPage >= cursor.labelPages) {
+        cursor.done = true;
+        break;
+      }
+
+      const labelPage = await discogsRequest(ENDPOINTS.search, {
+        params: {
+          q: labelQuery,
+          type: 'label',
+          page: cursor.labelPage + 1,
+          per_page: LABEL_SEARCH_PAGE_SIZE,
+        },
+        signal,
+      });
+
+      cursor.labelPage += 1;
+      cursor.labelPages = labelPage.pagination?.pages || cursor.labelPage;
+      cursor.uncheckedLabels = (labelPage.results || []).map(label => ({ id: label.id, name: label.title }));
+    }
+  } catch (error) {
+    if (!(error instanceof RateLimitError && results.length > 0)) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      console.error('❌ Small-label discovery failed:', error.message);
+      throw toApiError(error);
+    }
+    console.warn(`⏳ Rate limited after ${results.length} small-label releases, returning partial results`);
+    incomplete = true;
+  }
+
+  console.log(`✅ Small-label page ${cursor.page}: ${results.length} releases, ${cursor.labelsMatched} of ${cursor.labelsChecked} labels in window`);
+
+  return {
+    results,
+    pagination: {
+      page: cursor.page,
+      pages: cursor.done ? cursor.page : cursor.page + 1,
+      per_page: perPage,
+      items: null, // Unknown until every label is checked
+      urls: {},
+    },
+    cursor,
+    smallLabels: {
+      minReleases,
+      maxReleases: filters.maxReleases || null,
+      labelsChecked: cursor.labelsChecked,
+      labelsMatched: cursor.labelsMatched,
+      incomplete,
+    },
   };
 };
 
+// "Feeling lucky": Discogs only pages through the first 10,000 results of a search
+const LUCKY_PAGE_SIZE = 50;
+const LUCKY_MAX_RESULTS = 10000;
+
+/**
+ * Page size a lucky dig searches with (smaller with a price filter)
+ */
+const getLuckyPageSize = (filters) => getSearchPageSize({ ...filters, perPage: LUCKY_PAGE_SIZE });
+const MAX_LUCKY_ATTEMPTS = 3;
+
+/**
+ * Random integer from 1 to max
+ */
+const randomPage = (max) => 1 + Math.floor(Math.random() * Math.max(1, max));
+
+/**
+ * Pick a record at random, weighted toward obscure ones
+ * Weight is 1 / sqrt(1 + owners): a record nobody owns is ten times as likely as
+ * one with 99 owners, without ruling the well-known ones out. Records without an
+ * owner count get the average weight of the others rather than counting as unowned.
+ * @param {Object[]} records - Candidates with `community.have`
+ * @returns {Object|null}
+ */
+export const pickObscureRecord = (records) => {
+  if (records.length === 0) return null;
+
+  const knownWeights = records
+    .filter(record => record.community?.have != null)
+    .map(record => 1 / Math.sqrt(1 + record.community.have));
+  const neutralWeight = knownWeights.length > 0
+    ? knownWeights.reduce((total, weight) => total + weight, 0) / knownWeights.length
+    : 1;
+
+  const weights = records.map(record => (
+    record.community?.have != null ? 1 / Math.sqrt(1 + record.community.have) : neutralWeight
+  ));
+  let roll = Math.random() * weights.reduce((total, weight) => total + weight, 0);
+
+  for (let index = 0; index < records.length; index++) {
+    roll -= weights[index];
+    if (roll <= 0) return records[index];
+  }
+  return records[records.length - 1];
+};
+
+/**
+ * Candidate page for a lucky pick, from a random spot in the results
+ * Small-label digs start the label stream at a random label search page.
+ */
+const fetchLuckyPage = async (filters, pages, options) => {
+  if (!filters.maxReleases) {
+    return advancedSearch({ ...filters, page: randomPage(pages), perPage: getLuckyPageSize(filters) }, options);
+  }
+
+  const labelPage = randomPage(pages);
+  return searchSmallLabelReleases(
+    { ...filters, perPage: LUCKY_PAGE_SIZE },
+    {
+      ...options,
+      cursor: { ...createSmallLabelCursor(), labelPage: labelPage - 1, labelPages: pages },
+    }
+  );
+};
+
+/**
+ * Pick a random release within the filters ("Feeling lucky")
+ *
+ * The first request only learns how many pages the filters match; then a random
+ * page is fetched and one record picked from it, weighted toward records few
+ * people own (pickObscureRecord). Pages with nothing new are retried a few times.
+ * With `maxReleases` set, the random page is a page of the label search and the
+ * pick comes from small labels on it.
+ *
+ * @param {Object} filters - advancedSearch filters, optionally with maxReleases and maxHave
+ * @param {Object} [options] - Request options
+ * @param {number[]} [options.excludeIds] - Release IDs not to pick again, e.g. recent picks
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{record: Object, page: number, pages: number, candidates: number}|null>}
+ *   The pick, or null when the filters match nothing new
+ */
+export const findLuckyRelease = async (filters, options = {}) => {
+  const { excludeIds = [], signal } = options;
+  const excluded = new Set(excludeIds);
+
+  try {
+    console.log('🍀 Digging for a lucky record:', filters);
+
+    // One cheap request to learn how far the results go
+    const probe = filters.maxReleases
+      ? await discogsRequest(ENDPOINTS.search, {
+        params: { q: filters.label || filters.searchQuery || '', type: 'label', per_page: LABEL_SEARCH_PAGE_SIZE },
+        signal,
+      })
+      // Only the total is needed, so skip pricing the probe's one result
+      : await advancedSearch({ ...filters, priceMin: undefined, priceMax: undefined, page: 1, perPage: 1 }, { signal });
+    const pageSize = filters.maxReleases ? LABEL_SEARCH_PAGE_SIZE : getLuckyPageSize(filters);
+    const totalPages = filters.maxReleases
+      ? probe.pagination?.pages || 0
+      : Math.ceil((probe.pagination?.items || 0) / pageSize);
+    const pages = Math.min(totalPages, Math.floor(LUCKY_MAX_RESULTS / pageSize));
+
+    if (pages === 0) {
+      console.log('🍀 Nothing matches these filters');
+      return null;
+    }
+
+    for (let attempt = 1; attempt <= MAX_LUCKY_ATTEMPTS; attempt++) {
+      const response = await fetchLuckyPage(filters, pages, { signal });
+      const candidates = response.results.filter(record => !excluded.has(record.id));
+      const record = pickObscureRecord(candidates);
+
+      if (record) {
+        console.log(`🍀 Picked "${record.title}" (${record.community?.have ?? 'unknown'} owners) from ${candidates.length} candidates, attempt ${attempt}`);
+        return {
+          record,
+          page: response.pagination?.page || 1,
+          pages,
+          candidates: candidates.length,
+        };
+      }
+    }
+
+    console.log(`🍀 No new records after ${MAX_LUCKY_ATTEMPTS} random pages`);
+    return null;
+
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Lucky dig failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Identify a release from a barcode or a catalog number
+ *
+ * Used when a record is in hand: the barcode (or catalog number and label) is
+ * precise enough that one result usually means that exact pressing.
+ * - barcode: also tried in its UPC-A / EAN-13 alternate form, since Discogs has both
+ * - catno: results whose catalog number matches exactly (ignoring spaces and dashes)
+ *   are kept over Discogs' looser matches
+ *
+ * @param {Object} identifiers - What is printed on the record
+ * @param {string} [identifiers.barcode] - Validated, normalized UPC/EAN digits
+ * @param {string} [identifiers.catno] - Catalog number
+ * @param {string} [identifiers.label] - Label name to narrow a catalog number search
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<SearchResponse>} - Matching releases; the params used are in `searchParams`
+ */
+export const identifyRelease = async ({ barcode, catno, label } = {}, options = {}) => {
+  try {
+    if (barcode) {
+      console.log('🔎 Identifying release by barcode:', barcode);
+
+      let response = null;
+      for (const variant of getBarcodeVariants(barcode)) {
+        const searchParams = { barcode: variant, per_page: 100 };
+        response = { ...await searchRecordsPublic(searchParams, options), searchParams };
+        if (response.results.length > 0) break;
+      }
+
+      console.log(`✅ Barcode ${barcode} matched ${response.results.length} releases`);
+      return response;
+    }
+
+    const wanted = normalizeCatalogNumber(catno);
+    if (!wanted) {
+      return { results: [], pagination: { page: 1, pages: 0, per_page: 100, items: 0, urls: {} }, searchParams: {} };
+    }
+
+    console.log('🔎 Identifying release by catalog number:', catno, label || '');
+
+    const searchParams = { catno: catno.trim(), label: label?.trim() || undefined, per_page: 100 };
+    const response = await searchRecordsPublic(searchParams, options);
+
+    const exactMatches = response.results.filter(record => normalizeCatalogNumber(record.catno) === wanted);
+    if (exactMatches.length === 0 || exactMatches.length === response.results.length) {
+      console.log(`✅ Catalog number ${catno} matched ${response.results.length} releases`);
+      return { ...response, searchParams };
+    }
+
+    // Drop the looser matches; they are only on this page, so pagination is rebuilt
+    console.log(`✅ Catalog number ${catno} matched ${exactMatches.length} of ${response.results.length} releases exactly`);
+    return {
+      results: exactMatches,
+      pagination: { page: 1, pages: 1, per_page: 100, items: exactMatches.length, urls: {} },
+      searchParams,
+    };
+
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Identify release failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Get suggestions for search autocomplete
+ * @param {string} query - Partial search query
+ * @param {string} type - Type of suggestion (artist, label, etc.)
+ * @returns {Promise<any[]>} - Array of suggestions
+ */
+export const getSuggestions = async (query, type = 'artist') => {
+  try {
+    if (!query || query.length < 2) {
+      return [];
+    }
+    
+    const searchParams = {
+      q: query,
+      type: type,
+      per_page: 10, // Limit suggestions
+    };
+    
+    const response = await searchRecords(searchParams);
+    return response.results || [];
+    
+  } catch (error) {
+    console.error('❌ Get suggestions failed:', error.message);
+    return []; // Return empty array on error to prevent UI crashes
+  }
+};
+
 // Export all functions for use in components
 export default {
   searchRecords,
   getReleaseDetails,
   getArtistInfo,
+  getArtistReleases,
   getLabelInfo,
   getLabelReleases,
+  resolveLabelId,
+  getLabelReleasesById,
   searchLabelsByReleaseCount,
+  getLabelReleaseCount,
+  searchSmallLabelReleases,
+  findLuckyRelease,
   advancedSearch,
+  expandFilterCombinations,
+  identifyRelease,
+  getMasterRelease,
+  getMasterVersions,
+  getMarketplaceStats,
+  getPriceSuggestions,
+  getReleasePricing,
+  enrichWithMarketplacePrices,
+  filterByPriceRange,
   getSuggestions,
-  mockAdvancedSearch,
-  mockSearchResults,
 };
\ No newline at end of file
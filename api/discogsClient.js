@@ -0,0 +1,535 @@
+/**
+ * Discogs HTTP client
+ *
+ * Single request path for every Discogs endpoint. Handles:
+ * - Auth selection (personal token, consumer key/secret, or user OAuth), signed
+ *   by the active signing backend (in the app, or on the signing proxy)
+ * - One User-Agent for the whole app
+ * - AbortSignal cancellation, including while a request waits in the queue
+ * - Serialized rate-limit queue with retry and exponential backoff on 429
+ * - Adaptive throttling driven by X-Discogs-Ratelimit response headers
+ * - Typed errors (see ./errors) for 401/403, 404, 429 and network failures
+ * - Connectivity reporting so screens can switch to offline mode
+ * - Session rejection events when Discogs answers 401 to a user-signed request
+ *
+ * Usage:
+ *   const data = await discogsRequest('/releases/249504', { signal });
+ *   const results = await discogsRequest('/database/search', { params: { q: 'Chain Reaction' } });
+ */
+
+import { DISCOGS_BASE_URL, USER_AGENT } from './discogsConfig';
+import connectivityManager from '../utils/ConnectivityManager';
+import { AbortError, AuthError, NetworkError, RateLimitError, createHttpError, isAbortError, toApiError } from './errors';
+import { getOAuthHeaders, isAuthenticated } from './oauth';
+import { getSigningBackend } from './signingBackend';
+
+// Rate limiting configuration
+// Discogs reports the real quota on every response via X-Discogs-Ratelimit headers;
+// these values are only used until the first response arrives.
+const RATE_LIMIT_CONFIG = {
+  AUTHENTICATED_LIMIT: 60, // Requests per minute with a token, key/secret or OAuth
+  UNAUTHENTICATED_LIMIT: 25, // Requests per minute for anonymous clients
+  WINDOW_MS: 60000, // Discogs uses a moving 60 second window
+  SLOWDOWN_THRESHOLD: 5, // Start stretching the interval when this many requests remain
+  RETRY_ATTEMPTS: 3,
+  BACKOFF_MULTIPLIER: 2,
+  INITIAL_BACKOFF: 2000, // Start with 2 second delay
+};
+
+// Request queue and rate limiting state
+const requestQueue = [];
+let isProcessingQueue = false;
+let lastRequestTime = 0;
+let requestTimestamps = []; // Send times inside the current window
+let lastRequestAuthenticated = false;
+
+// Latest quota reported by Discogs
+const rateLimitState = {
+  limit: null,
+  used: null,
+  remaining: null,
+  cooldownUntil: 0, // No requests are sent before this timestamp
+  updatedAt: 0,
+};
+
+// Subscribers notified whenever the quota changes
+const rateLimitListeners = new Set();
+
+// Subscribers notified when Discogs rejects the user's OAuth tokens
+const sessionRejectedListeners = new Set();
+
+/**
+ * Auth modes accepted by discogsRequest
+ * - auto:  personal token, then key/secret, then the user's OAuth session, else anonymous
+ * - app:   personal token or key/secret only (never the user's session)
+ * - oauth: the user's OAuth session, fails when not logged in
+ * - none:  anonymous request
+ */
+export const AUTH_MODES = {
+  AUTO: 'auto',
+  APP: 'app',
+  OAUTH: 'oauth',
+  NONE: 'none',
+};
+
+/**
+ * Sleep utility for delays
+ * Rejects with AbortError as soon as the signal fires, so a cancelled request
+ * doesn't hold the queue through a cooldown.
+ */
+const sleep = (ms, signal = null) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new AbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new AbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Drop request timestamps that fell out of the moving window
+ */
+const pruneRequestTimestamps = (now = Date.now()) => {
+  requestTimestamps = requestTimestamps.filter(time => now - time < RATE_LIMIT_CONFIG.WINDOW_MS);
+};
+
+/**
+ * Effective per-minute limit: reported by Discogs, else the documented default
+ */
+const getEffectiveLimit = () => {
+  if (rateLimitState.limit) {
+    return rateLimitState.limit;
+  }
+  return lastRequestAuthenticated
+    ? RATE_LIMIT_CONFIG.AUTHENTICATED_LIMIT
+    : RATE_LIMIT_CONFIG.UNAUTHENTICATED_LIMIT;
+};
+
+/**
+ * Requests left in the window: reported by Discogs, else our own count
+ */
+const getEffectiveRemaining = () => {
+  if (rateLimitState.remaining !== null) {
+    return rateLimitState.remaining;
+  }
+  pruneRequestTimestamps();
+  return Math.max(0, getEffectiveLimit() - requestTimestamps.length);
+};
+
+/**
+ * Minimum spacing between requests
+ * Spreads the quota evenly over the window, and stretches the gap
+ * as the remaining budget approaches zero.
+ */
+const getRequestInterval = () => {
+  const baseInterval = RATE_LIMIT_CONFIG.WINDOW_MS / getEffectiveLimit();
+  const remaining = getEffectiveRemaining();
+
+  if (remaining > 0 && remaining < RATE_LIMIT_CONFIG.SLOWDOWN_THRESHOLD) {
+    return Math.round(baseInterval * (RATE_LIMIT_CONFIG.SLOWDOWN_THRESHOLD / remaining));
+  }
+
+  return Math.round(baseInterval);
+};
+
+/**
+ * Estimate when the next slot frees up once the budget is exhausted
+ * The oldest request we sent leaves the moving window first.
+ */
+const estimateCooldownEnd = (now = Date.now()) => {
+  pruneRequestTimestamps(now);
+  const oldest = requestTimestamps[0];
+  return oldest ? oldest + RATE_LIMIT_CONFIG.WINDOW_MS : now + RATE_LIMIT_CONFIG.WINDOW_MS;
+};
+
+/**
+ * Get the current rate limit budget for display
+ * @returns {{limit: number, used: number, remaining: number, resetInSeconds: number, isThrottled: boolean, queueLength: number, isReported: boolean}}
+ */
+export const getRateLimitStatus = () => {
+  const now = Date.now();
+  const limit = getEffectiveLimit();
+  const remaining = getEffectiveRemaining();
+  const resetInMs = Math.max(0, rateLimitState.cooldownUntil - now);
+
+  return {
+    limit,
+    used: rateLimitState.used ?? (limit - remaining),
+    remaining,
+    resetInSeconds: Math.ceil(resetInMs / 1000),
+    isThrottled: resetInMs > 0 || remaining < RATE_LIMIT_CONFIG.SLOWDOWN_THRESHOLD,
+    queueLength: requestQueue.length,
+    isReported: rateLimitState.remaining !== null,
+  };
+};
+
+/**
+ * Subscribe to rate limit budget changes
+ * @param {Function} listener - Called with getRateLimitStatus() on every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToRateLimit = (listener) => {
+  rateLimitListeners.add(listener);
+  return () => rateLimitListeners.delete(listener);
+};
+
+/**
+ * Notify subscribers of the latest budget
+ */
+const notifyRateLimitListeners = () => {
+  if (rateLimitListeners.size === 0) return;
+
+  const status = getRateLimitStatus();
+  rateLimitListeners.forEach(listener => {
+    try {
+      listener(status);
+    } catch (error) {
+      console.error('❌ Rate limit listener failed:', error.message);
+    }
+  });
+};
+
+/**
+ * Subscribe to 401 responses for requests signed with the user's OAuth tokens
+ * Lets the session manager check whether the tokens were revoked.
+ * @param {Function} listener - Called with the request path
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToSessionRejected = (listener) => {
+  sessionRejectedListeners.add(listener);
+  return () => sessionRejectedListeners.delete(listener);
+};
+
+const notifySessionRejected = (path) => {
+  sessionRejectedListeners.forEach(listener => {
+    try {
+      listener(path);
+    } catch (error) {
+      console.error('❌ Session listener failed:', error.message);
+    }
+  });
+};
+
+/**
+ * Update the limiter from X-Discogs-Ratelimit response headers
+ * @param {Headers} headers - Response headers
+ */
+const updateRateLimitFromHeaders = (headers) => {
+  const limit = parseInt(headers?.get?.('X-Discogs-Ratelimit'), 10);
+  const used = parseInt(headers?.get?.('X-Discogs-Ratelimit-Used'), 10);
+  const remaining = parseInt(headers?.get?.('X-Discogs-Ratelimit-Remaining'), 10);
+
+  // Headers can be hidden (e.g. by CORS on web); keep counting locally then
+  if (isNaN(remaining)) {
+    return;
+  }
+
+  rateLimitState.limit = isNaN(limit) ? rateLimitState.limit : limit;
+  rateLimitState.used = isNaN(used) ? null : used;
+  rateLimitState.remaining = remaining;
+  rateLimitState.updatedAt = Date.now();
+
+  if (remaining <= 0) {
+    rateLimitState.cooldownUntil = Math.max(rateLimitState.cooldownUntil, estimateCooldownEnd());
+    console.log(`⏳ Discogs budget exhausted (${rateLimitState.used}/${rateLimitState.limit})`);
+  }
+};
+
+/**
+ * Wait for rate limit compliance
+ * @param {AbortSignal} [signal] - Cuts the wait short with an AbortError
+ */
+const waitForRateLimit = async (signal = null) => {
+  // Budget exhausted or a 429 told us to back off
+  const cooldownTime = rateLimitState.cooldownUntil - Date.now();
+  if (cooldownTime > 0) {
+    console.log(`⏳ Rate limit cooldown: waiting ${Math.ceil(cooldownTime/1000)}s`);
+    notifyRateLimitListeners();
+    await sleep(cooldownTime, signal);
+
+    // The reported budget is stale after the cooldown; trust the next response
+    rateLimitState.remaining = null;
+    rateLimitState.used = null;
+    notifyRateLimitListeners();
+  }
+
+  // Without reported headers, fall back to counting our own requests
+  if (getEffectiveRemaining() <= 0) {
+    const waitTime = estimateCooldownEnd() - Date.now();
+    if (waitTime > 0) {
+      console.log(`⏳ Rate limit exceeded: waiting ${Math.ceil(waitTime/1000)}s`);
+      rateLimitState.cooldownUntil = Date.now() + waitTime;
+      notifyRateLimitListeners();
+      await sleep(waitTime, signal);
+    }
+  }
+
+  // Ensure minimum interval between requests
+  const requestInterval = getRequestInterval();
+  const timeSinceLastRequest = Date.now() - lastRequestTime;
+  if (timeSinceLastRequest < requestInterval) {
+    const waitTime = requestInterval - timeSinceLastRequest;
+    console.log(`⏱️ Rate limiting: waiting ${waitTime}ms`);
+    await sleep(waitTime, signal);
+  }
+};
+
+/**
+ * Execute a request with retry logic
+ * Must only be called from the queue so requests stay spaced out.
+ */
+const executeWithRetry = async (requestFn, signal, attempt = 1) => {
+  try {
+    if (signal?.aborted) {
+      throw new AbortError();
+    }
+
+    await waitForRateLimit(signal);
+
+    // Cancelled during the wait: don't spend the budget on it
+    if (signal?.aborted) {
+      throw new AbortError();
+    }
+
+    lastRequestTime = Date.now();
+    requestTimestamps.push(lastRequestTime);
+
+    return await requestFn();
+
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+
+    console.error(`🔄 Request attempt ${attempt} failed:`, error.message);
+
+    if (error instanceof RateLimitError) {
+      // Prefer the server's Retry-After over our own backoff schedule
+      const backoffTime = error.retryAfter
+        ? error.retryAfter * 1000
+        : RATE_LIMIT_CONFIG.INITIAL_BACKOFF * Math.pow(RATE_LIMIT_CONFIG.BACKOFF_MULTIPLIER, attempt - 1);
+
+      rateLimitState.remaining = 0;
+      rateLimitState.cooldownUntil = Math.max(rateLimitState.cooldownUntil, Date.now() + backoffTime);
+      error.retryAfter = Math.ceil((rateLimitState.cooldownUntil - Date.now()) / 1000);
+      notifyRateLimitListeners();
+
+      if (attempt <= RATE_LIMIT_CONFIG.RETRY_ATTEMPTS) {
+        console.log(`⏰ Rate limited: retrying in ${error.retryAfter}s (attempt ${attempt}/${RATE_LIMIT_CONFIG.RETRY_ATTEMPTS})`);
+
+        // waitForRateLimit sleeps through the cooldown before the next attempt
+        return executeWithRetry(requestFn, signal, attempt + 1);
+      }
+      console.error('❌ Max retry attempts reached for rate limiting');
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Process queued requests one at a time
+ */
+const processQueue = async () => {
+  if (isProcessingQueue) return;
+  isProcessingQueue = true;
+
+  try {
+    while (requestQueue.length > 0) {
+      const { requestFn, signal, resolve, reject } = requestQueue.shift();
+
+      // Skip requests cancelled while they were waiting
+      if (signal?.aborted) {
+        reject(new AbortError());
+        continue;
+      }
+
+      try {
+        resolve(await executeWithRetry(requestFn, signal));
+      } catch (error) {
+        reject(error);
+      }
+    }
+  } finally {
+    isProcessingQueue = false;
+    notifyRateLimitListeners();
+  }
+};
+
+/**
+ * Queue a request behind the rate limiter
+ * @param {Function} requestFn - Async function performing the request
+ * @param {AbortSignal} [signal] - Cancels the request while queued or in flight
+ * @returns {Promise<any>} - Result of requestFn
+ */
+export const executeRateLimitedRequest = (requestFn, signal = null) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortError());
+      return;
+    }
+
+    requestQueue.push({ requestFn, signal, resolve, reject });
+    notifyRateLimitListeners();
+    processQueue();
+  });
+};
+
+/**
+ * Build a full Discogs URL from a path and query parameters
+ * Empty parameters are dropped.
+ * @param {string} path - Endpoint path (e.g. '/releases/1') or absolute URL
+ * @param {Object} [params] - Query parameters
+ * @returns {string} - Full request URL
+ */
+export const buildDiscogsUrl = (path, params = {}) => {
+  const baseUrl = path.startsWith('http') ? path : `${DISCOGS_BASE_URL}${path}`;
+  const cleanParams = Object.fromEntries(
+    Object.entries(params).filter(([_, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const queryString = new URLSearchParams(cleanParams).toString();
+
+  return queryString ? `${baseUrl}?${queryString}` : baseUrl;
+};
+
+/**
+ * Resolve the auth headers for a request
+ * @param {string} auth - One of AUTH_MODES
+ * @param {string} url - Request URL without query string (used for OAuth signing)
+ * @param {string} method - HTTP method
+ * @param {Object} params - Query parameters (used for OAuth signing)
+ * @returns {Promise<{headers: Object, isUserSession: boolean}>} - Empty headers for anonymous requests
+ */
+const resolveAuthHeaders = async (auth, url, method, params) => {
+  if (auth === AUTH_MODES.NONE) {
+    return { headers: {}, isUserSession: false };
+  }
+
+  if (auth === AUTH_MODES.OAUTH) {
+    if (!(await isAuthenticated())) {
+      throw new AuthError('Authentication required. Please log in to Discogs first.');
+    }
+    return { headers: await getOAuthHeaders(url, method, params), isUserSession: true };
+  }
+
+  const appHeaders = getSigningBackend().getAppHeaders();
+  if (Object.keys(appHeaders).length > 0) {
+    return { headers: appHeaders, isUserSession: false };
+  }
+
+  // Fall back to the user's own session when the app has no credentials
+  if (auth === AUTH_MODES.AUTO && await isAuthenticated()) {
+    return { headers: await getOAuthHeaders(url, method, params), isUserSession: true };
+  }
+
+  console.warn('⚠️ No authentication credentials found, API may fail');
+  return { headers: {}, isUserSession: false };
+};
+
+/**
+ * Perform a Discogs API request through the shared client
+ * @param {string} path - Endpoint path (e.g. '/database/search') or absolute Discogs URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.params] - Query parameters
+ * @param {Object} [options.body] - JSON body for POST/PUT requests
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @param {string} [options.auth='auto'] - One of AUTH_MODES
+ * @returns {Promise<any>} - Parsed JSON response (null for empty responses)
+ * @throws {AuthError|NotFoundError|RateLimitError|NetworkError|AbortError|ApiError}
+ */
+export const discogsRequest = async (path, options = {}) => {
+  const {
+    method = 'GET',
+    params = {},
+    body,
+    signal = null,
+    auth = AUTH_MODES.AUTO,
+  } = options;
+
+  const baseUrl = path.startsWith('http') ? path.split('?')[0] : `${DISCOGS_BASE_URL}${path}`;
+  const url = buildDiscogsUrl(path, params);
+
+  return executeRateLimitedRequest(async () => {
+    console.log('📡 Making API request to:', url);
+
+    // Sign inside the queue so OAuth timestamps are fresh when the request is sent
+    const { headers: authHeaders, isUserSession } = await resolveAuthHeaders(auth, baseUrl, method, params);
+    lastRequestAuthenticated = Object.keys(authHeaders).length > 0;
+
+    const headers = {
+      ...authHeaders,
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/json',
+    };
+
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        signal,
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+      });
+    } catch (error) {
+      // Offline, DNS failure or cancelled mid-flight
+      const apiError = toApiError(error);
+      if (apiError instanceof NetworkError) {
+        connectivityManager.reportNetworkFailure();
+      }
+      throw apiError;
+    }
+
+    // Any response, even an error status, proves the network is up
+    connectivityManager.reportSuccess();
+    updateRateLimitFromHeaders(response.headers);
+    notifyRateLimitListeners();
+
+    // Handle rate limiting
+    if (response.status === 429) {
+      console.warn('⚠️ Rate limit reached, please wait before making more requests');
+      throw new RateLimitError(undefined, {
+        retryAfter: parseInt(response.headers?.get?.('Retry-After'), 10) || null,
+      });
+    }
+
+    // Handle errors
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('❌ API Error:', response.status, errorText);
+      if (response.status === 401 && isUserSession) {
+        notifySessionRejected(path);
+      }
+      throw createHttpError(response.status, `API Error: ${response.status} - ${errorText}`);
+    }
+
+    // DELETE and some POST endpoints return 204 No Content
+    if (response.status === 204) {
+      return null;
+    }
+
+    return await response.json();
+  }, signal);
+};
+
+export default {
+  discogsRequest,
+  buildDiscogsUrl,
+  executeRateLimitedRequest,
+  getRateLimitStatus,
+  subscribeToRateLimit,
+  subscribeToSessionRejected,
+  AUTH_MODES,
+};
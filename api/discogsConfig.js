@@ -0,0 +1,74 @@
+/**
+ * Discogs API configuration
+ *
+ * Shared constants and credential lookup used by the Discogs client
+ * and the OAuth module, so every request identifies itself the same way.
+ */
+
+import Constants from 'expo-constants';
+
+const DISCOGS_API_URL = 'https://api.discogs.com';
+
+/**
+ * Self-hosted signing proxy (scripts/signing-proxy.js)
+ * SIGNING_PROXY_URL / EXPO_PUBLIC_SIGNING_PROXY_URL make the proxy hold the
+ * Discogs and YouTube secrets; see api/signingBackend.js.
+ */
+export const SIGNING_PROXY_URL = (
+  Constants.expoConfig?.extra?.SIGNING_PROXY_URL ||
+  process.env.EXPO_PUBLIC_SIGNING_PROXY_URL ||
+  ''
+).replace(/\/+$/, '') || null;
+
+const CONFIGURED_API_URL = (
+  Constants.expoConfig?.extra?.DISCOGS_API_URL ||
+  process.env.EXPO_PUBLIC_DISCOGS_API_URL ||
+  DISCOGS_API_URL
+).replace(/\/+$/, '');
+
+/**
+ * Base URL for API requests
+ * DISCOGS_API_URL / EXPO_PUBLIC_DISCOGS_API_URL point the app at the mock server
+ * in scripts/mock-discogs-server.js instead of Discogs. With a signing proxy,
+ * every request goes through the proxy, which picks its own upstream.
+ */
+export const DISCOGS_BASE_URL = SIGNING_PROXY_URL ? `${SIGNING_PROXY_URL}/discogs` : CONFIGURED_API_URL;
+
+/**
+ * Base URL for the OAuth token endpoints
+ * The mock server can't issue tokens, so these go to Discogs unless a proxy signs them.
+ */
+export const DISCOGS_OAUTH_URL = SIGNING_PROXY_URL ? `${DISCOGS_BASE_URL}/oauth` : `${DISCOGS_API_URL}/oauth`;
+
+// Requests go to the mock server rather than Discogs
+if (!SIGNING_PROXY_URL && CONFIGURED_API_URL !== DISCOGS_API_URL) {
+  console.log('🧪 Using mock Discogs API at', DISCOGS_BASE_URL);
+}
+
+if (SIGNING_PROXY_URL) {
+  console.log('🔏 Signing Discogs and YouTube requests through', SIGNING_PROXY_URL);
+}
+
+// Discogs requires a unique, descriptive User-Agent on every request
+export const USER_AGENT = 'LuckyFindMVP/1.0 +https://github.com/luba/LuckyFindMVP';
+
+/**
+ * Read Discogs credentials from app config or EXPO_PUBLIC_ environment variables
+ * Both the upper-case and camel-case `extra` keys are accepted. Anything read
+ * here ends up in the app bundle; only the local signing backend calls this.
+ * @returns {{personalToken: string|undefined, consumerKey: string|undefined, consumerSecret: string|undefined}}
+ */
+export const getDiscogsCredentials = () => {
+  const extra = Constants.expoConfig?.extra || {};
+
+  return {
+    personalToken: extra.DISCOGS_PERSONAL_TOKEN ||
+                   process.env.EXPO_PUBLIC_DISCOGS_PERSONAL_TOKEN,
+    consumerKey: extra.DISCOGS_CONSUMER_KEY ||
+                 extra.discogsConsumerKey ||
+                 process.env.EXPO_PUBLIC_DISCOGS_CONSUMER_KEY,
+    consumerSecret: extra.DISCOGS_CONSUMER_SECRET ||
+                    extra.discogsConsumerSecret ||
+                    process.env.EXPO_PUBLIC_DISCOGS_CONSUMER_SECRET,
+  };
+};
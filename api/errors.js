@@ -0,0 +1,121 @@
+/**
+ * API error hierarchy
+ *
+ * Structured errors thrown by the Discogs, OAuth and YouTube modules so
+ * callers can branch with `instanceof` instead of matching message text.
+ *
+ * - ApiError:        Base class, carries HTTP status and the service name
+ * - RateLimitError:  429 / quota exhausted, carries retryAfter in seconds
+ * - AuthError:       Missing, invalid or revoked credentials (401/403)
+ * - NotFoundError:   Resource does not exist (404), e.g. a removed release
+ * - NetworkError:    Request never reached the server (offline, DNS, timeout)
+ * - AbortError:      Request cancelled through an AbortSignal
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra error details
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.service] - 'discogs', 'oauth' or 'youtube'
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status = null, service = 'discogs', cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.service = service;
+    this.cause = cause;
+  }
+}
+
+export class RateLimitError extends ApiError {
+  /**
+   * @param {string} [message] - Human readable message
+   * @param {Object} [details] - See ApiError, plus retryAfter
+   * @param {number} [details.retryAfter] - Seconds until requests may resume
+   */
+  constructor(message = 'Rate limit exceeded. Please try again in a moment.', { retryAfter = null, ...details } = {}) {
+    super(message, { status: 429, ...details });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message = 'Authentication failed. Please log in to your Discogs account.', details = {}) {
+    super(message, { status: 401, ...details });
+    this.name = 'AuthError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message = 'The requested resource was not found.', details = {}) {
+    super(message, { status: 404, ...details });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message = 'Network request failed. Please check your internet connection.', details = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+export class AbortError extends ApiError {
+  constructor(message = 'Request was cancelled', details = {}) {
+    super(message, details);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Check for a cancelled request, whether it came from fetch or from our queue
+ * @param {Error} error - Any error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Build the matching error class for a failed HTTP response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra details (service, retryAfter)
+ * @returns {ApiError}
+ */
+export const createHttpError = (status, message, details = {}) => {
+  const { retryAfter, ...rest } = details;
+
+  switch (status) {
+    case 401:
+    case 403:
+      return new AuthError(message, { ...rest, status });
+    case 404:
+      return new NotFoundError(message, rest);
+    case 429:
+      return new RateLimitError(message, { ...rest, retryAfter });
+    default:
+      return new ApiError(message, { ...rest, status });
+  }
+};
+
+/**
+ * Normalize anything thrown around a fetch call into the hierarchy
+ * fetch rejects with a TypeError when the network is unreachable.
+ * @param {Error} error - Caught error
+ * @param {string} [service='discogs'] - Service name for new errors
+ * @returns {ApiError}
+ */
+export const toApiError = (error, service = 'discogs') => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (isAbortError(error)) {
+    return new AbortError(undefined, { service, cause: error });
+  }
+  if (error instanceof TypeError) {
+    return new NetworkError(undefined, { service, cause: error });
+  }
+  return new ApiError(error?.message || 'Unknown API error', { service, cause: error });
+};
@@ -3,29 +3,40 @@
  * 
  * Handles the complete OAuth 1.0a flow including:
  * - Request token generation
- * - User authorization
+ * - User authorization in an in-app browser session, with the verifier
+ *   captured from the luckyfind://oauth-callback deep link
+ * - Manual verifier entry (out-of-band) as a fallback
  * - Access token exchange
  * - Secure token storage
  * - Authenticated API requests
  * 
  * Security Features:
- * - Credentials stored as environment variables
+ * - Requests signed by the active signing backend (./signingBackend), so the
+ *   consumer secret can stay on a proxy server instead of in the app
  * - OAuth tokens stored securely using expo-secure-store
- * - HMAC-SHA1 signature generation
- * - Nonce and timestamp generation for security
  */
 
-import Constants from 'expo-constants';
-import * as Crypto from 'expo-crypto';
+import * as Linking from 'expo-linking';
 import * as SecureStore from 'expo-secure-store';
+import * as WebBrowser from 'expo-web-browser';
+import { DISCOGS_OAUTH_URL, USER_AGENT } from './discogsConfig';
+import { ApiError, AuthError, RateLimitError, createHttpError, toApiError } from './errors';
+import { getSigningBackend } from './signingBackend';
 
 // OAuth 1.0a endpoints for Discogs API
 const OAUTH_ENDPOINTS = {
-  requestToken: 'https://api.discogs.com/oauth/request_token',
+  requestToken: `${DISCOGS_OAUTH_URL}/request_token`,
   authorize: 'https://www.discogs.com/oauth/authorize',
-  accessToken: 'https://api.discogs.com/oauth/access_token',
+  accessToken: `${DISCOGS_OAUTH_URL}/access_token`,
 };
 
+// Deep link Discogs redirects to after the user authorizes the app
+const OAUTH_CALLBACK_PATH = 'oauth-callback';
+const OAUTH_CALLBACK_SCHEME = 'luckyfind';
+
+// Out-of-band callback: Discogs shows the verifier for the user to copy
+const OOB_CALLBACK = 'oob';
+
 // Secure storage keys for OAuth tokens
 const STORAGE_KEYS = {
   requestToken: 'discogs_request_token',
@@ -35,116 +46,6 @@ const STORAGE_KEYS = {
   oauthVerifier: 'discogs_oauth_verifier',
 };
 
-/**
- * Get Discogs API credentials from environment variables
- * 
- * IMPORTANT: Set these environment variables:
- * 1. Development: Create .env file with EXPO_PUBLIC_DISCOGS_CONSUMER_KEY and EXPO_PUBLIC_DISCOGS_CONSUMER_SECRET
- * 2. Production: Set environment variables in your deployment platform (EAS, Netlify, etc.)
- * 
- * @returns {Object} - Consumer key and secret
- * @throws {Error} - If credentials are not found
- */
-const getCredentials = () => {
-  const consumerKey = Constants.expoConfig?.extra?.discogsConsumerKey || 
-                     process.env.EXPO_PUBLIC_DISCOGS_CONSUMER_KEY ||
-                     'JVqkNRxneBtRmwOfGXLZ'; // Fallback for development
-  
-  const consumerSecret = Constants.expoConfig?.extra?.discogsConsumerSecret || 
-                        process.env.EXPO_PUBLIC_DISCOGS_CONSUMER_SECRET ||
-                        'nEGBQJcvkjUOKaXlfvxwCwsaIUOyQgGH'; // Fallback for development
-  
-  if (!consumerKey || !consumerSecret) {
-    throw new Error(
-      'Discogs API credentials not found. Please set EXPO_PUBLIC_DISCOGS_CONSUMER_KEY and EXPO_PUBLIC_DISCOGS_CONSUMER_SECRET environment variables.'
-    );
-  }
-  
-  return { consumerKey, consumerSecret };
-};
-
-/**
- * Generate a random nonce for OAuth requests
- * @returns {Promise<string>} - Random nonce string
- */
-const generateNonce = async () => {
-  const randomBytes = await Crypto.getRandomBytesAsync(16);
-  return Array.from(randomBytes, byte => byte.toString(16).padStart(2, '0')).join('');
-};
-
-/**
- * Generate timestamp for OAuth requests
- * @returns {string} - Current timestamp in seconds
- */
-const generateTimestamp = () => {
-  return Math.floor(Date.now() / 1000).toString();
-};
-
-/**
- * Percent encode string for OAuth (RFC 3986)
- * @param {string} str - String to encode
- * @returns {string} - Percent encoded string
- */
-const percentEncode = (str) => {
-  return encodeURIComponent(str)
-    .replace(/!/g, '%21')
-    .replace(/'/g, '%27')
-    .replace(/\(/g, '%28')
-    .replace(/\)/g, '%29')
-    .replace(/\*/g, '%2A');
-};
-
-/**
- * Generate OAuth 1.0a signature base string
- * @param {string} method - HTTP method (GET, POST)
- * @param {string} url - Request URL
- * @param {Object} params - OAuth parameters
- * @returns {string} - Signature base string
- */
-const generateSignatureBaseString = (method, url, params) => {
-  // Sort parameters by key
-  const sortedParams = Object.keys(params)
-    .sort()
-    .map(key => `${percentEncode(key)}=${percentEncode(params[key])}`)
-    .join('&');
-  
-  return `${method}&${percentEncode(url)}&${percentEncode(sortedParams)}`;
-};
-
-/**
- * Generate OAuth 1.0a HMAC-SHA1 signature
- * @param {string} baseString - Signature base string
- * @param {string} consumerSecret - Consumer secret
- * @param {string} tokenSecret - Token secret (empty for request token)
- * @returns {Promise<string>} - HMAC-SHA1 signature
- */
-const generateSignature = async (baseString, consumerSecret, tokenSecret = '') => {
-  const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(tokenSecret)}`;
-  
-  const signature = await Crypto.digestStringAsync(
-    Crypto.CryptoDigestAlgorithm.SHA1,
-    baseString + signingKey,
-    { encoding: Crypto.CryptoEncoding.BASE64 }
-  );
-  
-  return signature;
-};
-
-/**
- * Generate OAuth 1.0a authorization header
- * @param {Object} params - OAuth parameters
- * @returns {string} - Authorization header value
- */
-const generateAuthHeader = (params) => {
-  const headerParams = Object.keys(params)
-    .filter(key => key.startsWith('oauth_'))
-    .sort()
-    .map(key => `${key}="${percentEncode(params[key])}"`)
-    .join(', ');
-  
-  return `OAuth ${headerParams}`;
-};
-
 /**
  * Store OAuth token securely
  * @param {string} key - Storage key
@@ -188,46 +89,44 @@ const clearTokens = async () => {
   }
 };
 
+/**
+ * Callback URL for the deep-link flow
+ * luckyfind://oauth-callback in builds; Expo Go and web get their own equivalent.
+ * @returns {string}
+ */
+export const getOAuthCallbackUrl = () => Linking.createURL(OAUTH_CALLBACK_PATH, { scheme: OAUTH_CALLBACK_SCHEME });
+
 /**
  * Step 1: Get request token from Discogs
+ * @param {string} [callbackUrl='oob'] - Where Discogs sends the user after authorizing;
+ *   'oob' shows the verifier for manual entry
  * @returns {Promise<Object>} - Request token and secret
  */
-export const getRequestToken = async () => {
+export const getRequestToken = async (callbackUrl = OOB_CALLBACK) => {
   try {
-    const { consumerKey, consumerSecret } = getCredentials();
-    const nonce = await generateNonce();
-    const timestamp = generateTimestamp();
-    
-    const oauthParams = {
-      oauth_consumer_key: consumerKey,
-      oauth_nonce: nonce,
-      oauth_signature_method: 'HMAC-SHA1',
-      oauth_timestamp: timestamp,
-      oauth_version: '1.0',
-      oauth_callback: 'oob', // Out-of-band for mobile apps
-    };
-    
-    // Generate signature
-    const baseString = generateSignatureBaseString('GET', OAUTH_ENDPOINTS.requestToken, oauthParams);
-    const signature = await generateSignature(baseString, consumerSecret);
-    oauthParams.oauth_signature = signature;
-    
-    // Make request
-    const authHeader = generateAuthHeader(oauthParams);
+    const authHeaders = await getSigningBackend().getOAuthHeaders({
+      method: 'GET',
+      url: OAUTH_ENDPOINTS.requestToken,
+      callback: callbackUrl,
+    });
     
     console.log('🔄 Requesting OAuth token from Discogs...');
     
     const response = await fetch(OAUTH_ENDPOINTS.requestToken, {
       method: 'GET',
       headers: {
-        'Authorization': authHeader,
-        'User-Agent': 'LuckyFindMVP/1.0.0 +https://yourapp.com',
+        ...authHeaders,
+        'User-Agent': USER_AGENT,
         'Accept': 'application/x-www-form-urlencoded',
       },
-    });
+    }).catch(error => { throw toApiError(error, 'oauth'); });
     
     if (!response.ok) {
-      throw new Error(`Request token failed: ${response.status} ${response.statusText}`);
+      throw createHttpError(
+        response.status,
+        `Failed to get request token: ${response.status} ${response.statusText}`,
+        { service: 'oauth' }
+      );
     }
     
     const responseText = await response.text();
@@ -254,7 +153,10 @@ export const getRequestToken = async () => {
     
   } catch (error) {
     console.error('❌ Get request token failed:', error);
-    throw new Error(`Failed to get request token: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new AuthError(`Failed to get request token: ${error.message}`, { service: 'oauth', cause: error });
   }
 };
 
@@ -265,7 +167,6 @@ export const getRequestToken = async () => {
  */
 export const getAccessToken = async (oauthVerifier) => {
   try {
-    const { consumerKey, consumerSecret } = getCredentials();
     const requestToken = await getToken(STORAGE_KEYS.requestToken);
     const requestTokenSecret = await getToken(STORAGE_KEYS.requestTokenSecret);
     
@@ -273,40 +174,31 @@ export const getAccessToken = async (oauthVerifier) => {
       throw new Error('Request token not found. Please start OAuth flow again.');
     }
     
-    const nonce = await generateNonce();
-    const timestamp = generateTimestamp();
-    
-    const oauthParams = {
-      oauth_consumer_key: consumerKey,
-      oauth_token: requestToken,
-      oauth_verifier: oauthVerifier,
-      oauth_nonce: nonce,
-      oauth_signature_method: 'HMAC-SHA1',
-      oauth_timestamp: timestamp,
-      oauth_version: '1.0',
-    };
-    
-    // Generate signature
-    const baseString = generateSignatureBaseString('POST', OAUTH_ENDPOINTS.accessToken, oauthParams);
-    const signature = await generateSignature(baseString, consumerSecret, requestTokenSecret);
-    oauthParams.oauth_signature = signature;
-    
-    // Make request
-    const authHeader = generateAuthHeader(oauthParams);
+    const authHeaders = await getSigningBackend().getOAuthHeaders({
+      method: 'POST',
+      url: OAUTH_ENDPOINTS.accessToken,
+      token: requestToken,
+      tokenSecret: requestTokenSecret,
+      verifier: oauthVerifier,
+    });
     
     console.log('🔄 Exchanging for access token...');
     
     const response = await fetch(OAUTH_ENDPOINTS.accessToken, {
       method: 'POST',
       headers: {
-        'Authorization': authHeader,
-        'User-Agent': 'LuckyFindMVP/1.0.0 +https://yourapp.com',
+        ...authHeaders,
+        'User-Agent': USER_AGENT,
         'Accept': 'application/x-www-form-urlencoded',
       },
-    });
+    }).catch(error => { throw toApiError(error, 'oauth'); });
     
     if (!response.ok) {
-      throw new Error(`Access token failed: ${response.status} ${response.statusText}`);
+      throw createHttpError(
+        response.status,
+        `Failed to get access token: ${response.status} ${response.statusText}`,
+        { service: 'oauth' }
+      );
     }
     
     const responseText = await response.text();
@@ -333,8 +225,105 @@ export const getAccessToken = async (oauthVerifier) => {
     
   } catch (error) {
     console.error('❌ Get access token failed:', error);
-    throw new Error(`Failed to get access token: ${error.message}`);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new AuthError(`Failed to get access token: ${error.message}`, { service: 'oauth', cause: error });
+  }
+};
+
+// Exchange in progress for a callback, so the same redirect delivered twice
+// (auth session result and deep link) only spends the request token once
+let callbackExchange = null;
+
+/**
+ * Complete the OAuth flow from the parameters Discogs put on the callback URL
+ * @param {Object} params - Callback query parameters
+ * @param {string} [params.oauth_token] - Request token the callback belongs to
+ * @param {string} [params.oauth_verifier] - Verifier to exchange for an access token
+ * @param {string} [params.denied] - Set when the user declined access
+ * @returns {Promise<Object>} - Access token and secret
+ */
+export const completeAuthorizationFromCallback = async (params = {}) => {
+  const { oauth_token: callbackToken, oauth_verifier: oauthVerifier, denied } = params;
+
+  if (denied) {
+    throw new AuthError('Access to your Discogs account was declined.', { service: 'oauth' });
+  }
+  if (!oauthVerifier) {
+    throw new AuthError('Discogs did not return a verification code. Please try again.', { service: 'oauth' });
+  }
+
+  if (callbackExchange && callbackExchange.token === callbackToken) {
+    return callbackExchange.promise;
+  }
+
+  // The browser session and the callback screen can both arrive here; store the
+  // exchange before the first await so the second caller reuses it
+  const promise = (async () => {
+    const requestToken = await getToken(STORAGE_KEYS.requestToken);
+    if (callbackToken && requestToken !== callbackToken) {
+      throw new AuthError('This login link is from an earlier attempt. Please log in again.', { service: 'oauth' });
+    }
+
+    console.log('🔗 Verifier received from OAuth callback');
+    return getAccessToken(oauthVerifier);
+  })();
+  callbackExchange = { token: callbackToken, promise };
+  promise.catch(() => {
+    callbackExchange = null;
+  });
+
+  return promise;
+};
+
+/**
+ * Run the whole OAuth flow in an in-app browser session
+ * Discogs redirects to the callback deep link, which closes the browser and
+ * hands the verifier straight to the app.
+ * @returns {Promise<Object|null>} - Access token and secret, or null if the user closed the browser
+ */
+export const authorizeWithBrowser = async () => {
+  const callbackUrl = getOAuthCallbackUrl();
+  const { authorizeUrl } = await getRequestToken(callbackUrl);
+
+  console.log('🔄 Opening Discogs authorization in browser session...');
+  const result = await WebBrowser.openAuthSessionAsync(authorizeUrl, callbackUrl);
+
+  if (result.type !== 'success') {
+    console.log('🚪 Discogs authorization closed:', result.type);
+    return null;
   }
+
+  const { queryParams } = Linking.parse(result.url);
+  return completeAuthorizationFromCallback(queryParams || {});
+};
+
+/**
+ * Build the headers that sign a Discogs API call with the user's OAuth tokens
+ * Query parameters are included in the signature base string as required by the spec.
+ * With the signing proxy, these carry the tokens and the proxy signs on forwarding.
+ * @param {string} url - API endpoint URL without query string
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {Object} params - Query parameters that will be sent with the request
+ * @returns {Promise<Object>} - Headers to add to the request
+ * @throws {AuthError} - If the user has no access token
+ */
+export const getOAuthHeaders = async (url, method = 'GET', params = {}) => {
+  const accessToken = await getToken(STORAGE_KEYS.accessToken);
+  const accessTokenSecret = await getToken(STORAGE_KEYS.accessTokenSecret);
+  
+  if (!accessToken || !accessTokenSecret) {
+    throw new AuthError('No access token found. Please authenticate first.', { service: 'oauth' });
+  }
+  
+  return getSigningBackend().getOAuthHeaders({
+    method,
+    url,
+    params,
+    token: accessToken,
+    tokenSecret: accessTokenSecret,
+  });
 };
 
 /**
@@ -346,16 +335,7 @@ export const getAccessToken = async (oauthVerifier) => {
  */
 export const makeAuthenticatedRequest = async (url, method = 'GET', params = {}) => {
   try {
-    const { consumerKey, consumerSecret } = getCredentials();
-    const accessToken = await getToken(STORAGE_KEYS.accessToken);
-    const accessTokenSecret = await getToken(STORAGE_KEYS.accessTokenSecret);
-    
-    if (!accessToken || !accessTokenSecret) {
-      throw new Error('No access token found. Please authenticate first.');
-    }
-    
-    const nonce = await generateNonce();
-    const timestamp = generateTimestamp();
+    const authHeaders = await getOAuthHeaders(url, method, params);
     
     // Build full URL with query parameters
     const urlObj = new URL(url);
@@ -367,54 +347,30 @@ export const makeAuthenticatedRequest = async (url, method = 'GET', params = {})
     
     const fullUrl = urlObj.toString();
     
-    const oauthParams = {
-      oauth_consumer_key: consumerKey,
-      oauth_token: accessToken,
-      oauth_nonce: nonce,
-      oauth_signature_method: 'HMAC-SHA1',
-      oauth_timestamp: timestamp,
-      oauth_version: '1.0',
-      ...params, // Include query parameters in signature
-    };
-    
-    // Generate signature
-    const baseString = generateSignatureBaseString(method, url, oauthParams);
-    const signature = await generateSignature(baseString, consumerSecret, accessTokenSecret);
-    
-    // Remove non-OAuth params for header
-    const headerParams = {
-      oauth_consumer_key: consumerKey,
-      oauth_token: accessToken,
-      oauth_nonce: nonce,
-      oauth_signature_method: 'HMAC-SHA1',
-      oauth_timestamp: timestamp,
-      oauth_version: '1.0',
-      oauth_signature: signature,
-    };
-    
-    const authHeader = generateAuthHeader(headerParams);
-    
     const response = await fetch(fullUrl, {
       method,
       headers: {
-        'Authorization': authHeader,
-        'User-Agent': 'LuckyFindMVP/1.0.0 +https://yourapp.com',
+        ...authHeaders,
+        'User-Agent': USER_AGENT,
         'Accept': 'application/json',
         'Content-Type': 'application/json',
       },
-    });
+    }).catch(error => { throw toApiError(error, 'oauth'); });
     
     if (response.status === 401) {
-      throw new Error('Authentication failed. Please re-authenticate.');
+      throw new AuthError('Authentication failed. Please re-authenticate.', { service: 'oauth' });
     }
     
     if (response.status === 429) {
-      throw new Error('Rate limit exceeded. Please wait before making more requests.');
+      throw new RateLimitError('Rate limit exceeded. Please wait before making more requests.', {
+        service: 'oauth',
+        retryAfter: parseInt(response.headers?.get?.('Retry-After'), 10) || null,
+      });
     }
     
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`API request failed: ${response.status} ${errorText}`);
+      throw createHttpError(response.status, `API request failed: ${response.status} ${errorText}`, { service: 'oauth' });
     }
     
     return await response.json();
@@ -0,0 +1,303 @@
+/**
+ * Signing backends
+ *
+ * Everything that needs an API secret goes through a signing backend, so the
+ * secrets can live either in the app or on a server:
+ * - local: the app reads the Discogs consumer secret, personal token and
+ *   YouTube key from app config / EXPO_PUBLIC_ variables and signs requests itself.
+ *   Those values are compiled into the bundle, so this is for development.
+ * - proxy: the app sends requests to a self-hosted proxy (scripts/signing-proxy.js)
+ *   that holds the secrets, signs and forwards to Discogs and YouTube. The app
+ *   keeps the user's OAuth tokens and passes them along per request.
+ *
+ * The proxy is used when SIGNING_PROXY_URL / EXPO_PUBLIC_SIGNING_PROXY_URL is set.
+ *
+ * A backend implements:
+ * - getAppHeaders(): headers for requests made as the app, not a user
+ * - getOAuthHeaders(request): headers for requests made with OAuth tokens
+ * - getYouTubeUrl(endpoint, params): full YouTube Data API URL, or null without access
+ * - hasYouTubeAccess(): whether YouTube calls can work
+ */
+
+import Constants from 'expo-constants';
+import * as Crypto from 'expo-crypto';
+import { SIGNING_PROXY_URL, getDiscogsCredentials } from './discogsConfig';
+import { AuthError } from './errors';
+
+const YOUTUBE_API_BASE_URL = 'https://www.googleapis.com/youtube/v3';
+
+export const SIGNING_BACKENDS = {
+  LOCAL: 'local',
+  PROXY: 'proxy',
+};
+
+// Headers understood by scripts/signing-proxy.js
+export const PROXY_HEADERS = {
+  auth: 'X-Discogs-Auth', // 'app' or 'oauth'; absent for anonymous requests
+  token: 'X-OAuth-Token',
+  tokenSecret: 'X-OAuth-Token-Secret',
+  verifier: 'X-OAuth-Verifier',
+  callback: 'X-OAuth-Callback',
+};
+
+/**
+ * Request to sign with OAuth 1.0a
+ * @typedef {Object} OAuthSigningRequest
+ * @property {string} method - HTTP method
+ * @property {string} url - Request URL without query string
+ * @property {Object} [params] - Query parameters sent with the request
+ * @property {string} [token] - Request or access token
+ * @property {string} [tokenSecret] - Secret belonging to the token
+ * @property {string} [verifier] - Verifier when exchanging for an access token
+ * @property {string} [callback] - Callback when asking for a request token
+ */
+
+// ==========================================
+// OAUTH 1.0a SIGNING (LOCAL)
+// ==========================================
+
+/**
+ * Generate a random nonce for OAuth requests
+ * @returns {Promise<string>} - Random nonce string
+ */
+const generateNonce = async () => {
+  const randomBytes = await Crypto.getRandomBytesAsync(16);
+  return Array.from(randomBytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Generate timestamp for OAuth requests
+ * @returns {string} - Current timestamp in seconds
+ */
+const generateTimestamp = () => {
+  return Math.floor(Date.now() / 1000).toString();
+};
+
+/**
+ * Percent encode string for OAuth (RFC 3986)
+ * @param {string} str - String to encode
+ * @returns {string} - Percent encoded string
+ */
+const percentEncode = (str) => {
+  return encodeURIComponent(str)
+    .replace(/!/g, '%21')
+    .replace(/'/g, '%27')
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29')
+    .replace(/\*/g, '%2A');
+};
+
+/**
+ * Generate OAuth 1.0a signature base string
+ * @param {string} method - HTTP method (GET, POST)
+ * @param {string} url - Request URL
+ * @param {Object} params - OAuth parameters
+ * @returns {string} - Signature base string
+ */
+const generateSignatureBaseString = (method, url, params) => {
+  // Sort parameters by key
+  const sortedParams = Object.keys(params)
+    .sort()
+    .map(key => `${percentEncode(key)}=${percentEncode(params[key])}`)
+    .join('&');
+
+  return `${method}&${percentEncode(url)}&${percentEncode(sortedParams)}`;
+};
+
+/**
+ * Generate OAuth 1.0a HMAC-SHA1 signature
+ * @param {string} baseString - Signature base string
+ * @param {string} consumerSecret - Consumer secret
+ * @param {string} tokenSecret - Token secret (empty for request token)
+ * @returns {Promise<string>} - HMAC-SHA1 signature
+ */
+const generateSignature = async (baseString, consumerSecret, tokenSecret = '') => {
+  const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(tokenSecret)}`;
+
+  const signature = await Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA1,
+    baseString + signingKey,
+    { encoding: Crypto.CryptoEncoding.BASE64 }
+  );
+
+  return signature;
+};
+
+/**
+ * Generate OAuth 1.0a authorization header
+ * @param {Object} params - OAuth parameters
+ * @returns {string} - Authorization header value
+ */
+const generateAuthHeader = (params) => {
+  const headerParams = Object.keys(params)
+    .filter(key => key.startsWith('oauth_'))
+    .sort()
+    .map(key => `${key}="${percentEncode(params[key])}"`)
+    .join(', ');
+
+  return `OAuth ${headerParams}`;
+};
+
+/**
+ * Get the Discogs consumer key and secret from app config
+ *
+ * Development: create a .env file with EXPO_PUBLIC_DISCOGS_CONSUMER_KEY and
+ * EXPO_PUBLIC_DISCOGS_CONSUMER_SECRET. Release builds should use the signing proxy instead.
+ *
+ * @returns {{consumerKey: string, consumerSecret: string}}
+ * @throws {AuthError} - If credentials are not found
+ */
+const getConsumerCredentials = () => {
+  const { consumerKey, consumerSecret } = getDiscogsCredentials();
+
+  if (!consumerKey || !consumerSecret) {
+    throw new AuthError(
+      'Discogs API credentials not found. Set EXPO_PUBLIC_DISCOGS_CONSUMER_KEY and EXPO_PUBLIC_DISCOGS_CONSUMER_SECRET, or EXPO_PUBLIC_SIGNING_PROXY_URL.',
+      { service: 'oauth' }
+    );
+  }
+
+  return { consumerKey, consumerSecret };
+};
+
+/**
+ * Get the YouTube API key from app config
+ * @returns {string|null}
+ */
+const getYouTubeApiKey = () => (
+  Constants.expoConfig?.extra?.YOUTUBE_API_KEY ||
+  process.env.EXPO_PUBLIC_YOUTUBE_API_KEY ||
+  null
+);
+
+// ==========================================
+// BACKENDS
+// ==========================================
+
+/**
+ * Signs in the app with secrets from app config
+ */
+export const localSigningBackend = {
+  name: SIGNING_BACKENDS.LOCAL,
+
+  getAppHeaders() {
+    const { personalToken, consumerKey, consumerSecret } = getDiscogsCredentials();
+
+    // Personal Access Token is the preferred method
+    if (personalToken) {
+      return { Authorization: `Discogs token=${personalToken}` };
+    }
+    if (consumerKey && consumerSecret) {
+      return { Authorization: `Discogs key=${consumerKey}, secret=${consumerSecret}` };
+    }
+    return {};
+  },
+
+  /**
+   * @param {OAuthSigningRequest} request
+   * @returns {Promise<Object>}
+   */
+  async getOAuthHeaders({ method, url, params = {}, token, tokenSecret = '', verifier, callback }) {
+    const { consumerKey, consumerSecret } = getConsumerCredentials();
+    const nonce = await generateNonce();
+    const timestamp = generateTimestamp();
+
+    const oauthParams = {
+      oauth_consumer_key: consumerKey,
+      oauth_nonce: nonce,
+      oauth_signature_method: 'HMAC-SHA1',
+      oauth_timestamp: timestamp,
+      oauth_version: '1.0',
+      ...(token ? { oauth_token: token } : {}),
+      ...(verifier ? { oauth_verifier: verifier } : {}),
+      ...(callback ? { oauth_callback: callback } : {}),
+    };
+
+    // Include non-empty query parameters in signature
+    const signedParams = { ...oauthParams };
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        signedParams[key] = value;
+      }
+    });
+
+    const baseString = generateSignatureBaseString(method, url, signedParams);
+    const signature = await generateSignature(baseString, consumerSecret, tokenSecret);
+
+    // Only OAuth params go in the header
+    return { Authorization: generateAuthHeader({ ...oauthParams, oauth_signature: signature }) };
+  },
+
+  getYouTubeUrl(endpoint, params) {
+    const apiKey = getYouTubeApiKey();
+    if (!apiKey) return null;
+
+    return `${YOUTUBE_API_BASE_URL}/${endpoint}?${new URLSearchParams({ ...params, key: apiKey })}`;
+  },
+
+  hasYouTubeAccess() {
+    return !!getYouTubeApiKey();
+  },
+};
+
+/**
+ * Leaves signing to a self-hosted proxy; the app holds no API secrets
+ * Discogs requests already go to `${proxyUrl}/discogs` (see DISCOGS_BASE_URL).
+ * @param {string} proxyUrl - Proxy base URL without trailing slash
+ * @returns {Object} Signing backend
+ */
+export const createProxySigningBackend = (proxyUrl) => ({
+  name: SIGNING_BACKENDS.PROXY,
+
+  getAppHeaders() {
+    return { [PROXY_HEADERS.auth]: 'app' };
+  },
+
+  /**
+   * The proxy signs the request it forwards, so only the tokens are needed
+   * @param {OAuthSigningRequest} request
+   * @returns {Promise<Object>}
+   */
+  async getOAuthHeaders({ token, tokenSecret, verifier, callback }) {
+    const headers = { [PROXY_HEADERS.auth]: 'oauth' };
+    if (token) headers[PROXY_HEADERS.token] = token;
+    if (tokenSecret) headers[PROXY_HEADERS.tokenSecret] = tokenSecret;
+    if (verifier) headers[PROXY_HEADERS.verifier] = verifier;
+    if (callback) headers[PROXY_HEADERS.callback] = callback;
+    return headers;
+  },
+
+  getYouTubeUrl(endpoint, params) {
+    return `${proxyUrl}/youtube/${endpoint}?${new URLSearchParams(params)}`;
+  },
+
+  hasYouTubeAccess() {
+    return true;
+  },
+});
+
+let activeBackend = SIGNING_PROXY_URL ? createProxySigningBackend(SIGNING_PROXY_URL) : localSigningBackend;
+
+/**
+ * Backend used for every signed request
+ * @returns {Object}
+ */
+export const getSigningBackend = () => activeBackend;
+
+/**
+ * Swap the signing backend, e.g. for a custom server
+ * @param {Object} backend - Object implementing the backend methods listed above
+ */
+export const setSigningBackend = (backend) => {
+  console.log('🔏 Signing backend:', backend.name);
+  activeBackend = backend;
+};
+
+export default {
+  getSigningBackend,
+  setSigningBackend,
+  createProxySigningBackend,
+  localSigningBackend,
+  SIGNING_BACKENDS,
+  PROXY_HEADERS,
+};
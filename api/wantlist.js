@@ -0,0 +1,159 @@
+/**
+ * Discogs wantlist API
+ *
+ * List, add, edit and remove releases on the logged-in user's wantlist.
+ * Every call is signed with the user's OAuth session through the shared client,
+ * so they fail with an AuthError when nobody is logged in.
+ *
+ * API Documentation: https://www.discogs.com/developers/#page:user-wantlist
+ */
+
+import { transformBasicInformation } from './collection';
+import { AUTH_MODES, discogsRequest } from './discogsClient';
+import { isAbortError, toApiError } from './errors';
+
+/**
+ * Wantlist item in our record format plus its wantlist metadata
+ * @typedef {Object} WantlistItem
+ * @property {number} id - Discogs release ID
+ * @property {string} notes - User notes
+ * @property {number} rating - User rating from 0 to 5
+ * @property {string} dateAdded - ISO date the release was wanted
+ */
+
+/**
+ * Transform a wantlist entry to our record format
+ * @param {Object} want - Raw item from /users/{username}/wants
+ * @returns {WantlistItem}
+ */
+const transformWant = (want) => ({
+  ...transformBasicInformation(want.id, want.basic_information),
+  notes: want.notes || '',
+  rating: want.rating || 0,
+  dateAdded: want.date_added,
+});
+
+const wantsPath = (username, releaseId) => {
+  const path = `/users/${encodeURIComponent(username)}/wants`;
+  return releaseId === undefined ? path : `${path}/${releaseId}`;
+};
+
+/**
+ * List one page of the user's wantlist
+ * @param {string} username - Discogs username
+ * @param {Object} [options] - Pagination and request options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.perPage=100] - Results per page (max 100)
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+ * @returns {Promise<{results: WantlistItem[], pagination: Object}>}
+ */
+export const getWantlist = async (username, options = {}) => {
+  const { page = 1, perPage = 100, signal } = options;
+
+  try {
+    console.log('💖 Getting wantlist:', { page });
+
+    const data = await discogsRequest(wantsPath(username), {
+      auth: AUTH_MODES.OAUTH,
+      params: {
+        page,
+        per_page: Math.min(perPage, 100), // Discogs max is 100
+      },
+      signal,
+    });
+
+    return {
+      results: (data.wants || []).map(transformWant),
+      pagination: data.pagination || { page: 1, pages: 1, per_page: perPage, items: 0, urls: {} },
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error('❌ Get wantlist failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Add a release to the wantlist
+ * @param {string} username - Discogs username
+ * @param {number} releaseId - Discogs release ID
+ * @param {Object} [details] - Optional wantlist metadata
+ * @param {string} [details.notes] - User notes
+ * @param {number} [details.rating] - User rating from 0 to 5
+ * @returns {Promise<WantlistItem>} - The new wantlist item
+ */
+export const addToWantlist = async (username, releaseId, details = {}) => {
+  try {
+    console.log('💖 Adding release to wantlist:', releaseId);
+
+    const want = await discogsRequest(wantsPath(username, releaseId), {
+      method: 'PUT',
+      auth: AUTH_MODES.OAUTH,
+      body: {
+        ...(details.notes ? { notes: details.notes } : {}),
+        ...(details.rating ? { rating: details.rating } : {}),
+      },
+    });
+
+    return transformWant(want);
+  } catch (error) {
+    console.error('❌ Add to wantlist failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Edit the notes or rating of a wanted release
+ * @param {string} username - Discogs username
+ * @param {number} releaseId - Discogs release ID
+ * @param {Object} details - Wantlist metadata to set
+ * @param {string} [details.notes] - User notes
+ * @param {number} [details.rating] - User rating from 0 to 5
+ * @returns {Promise<WantlistItem>} - The updated wantlist item
+ */
+export const editWantlistItem = async (username, releaseId, details) => {
+  try {
+    const want = await discogsRequest(wantsPath(username, releaseId), {
+      method: 'POST',
+      auth: AUTH_MODES.OAUTH,
+      body: {
+        notes: details.notes ?? '',
+        rating: details.rating ?? 0,
+      },
+    });
+
+    return transformWant(want);
+  } catch (error) {
+    console.error('❌ Edit wantlist item failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Remove a release from the wantlist
+ * @param {string} username - Discogs username
+ * @param {number} releaseId - Discogs release ID
+ * @returns {Promise<void>}
+ */
+export const removeFromWantlist = async (username, releaseId) => {
+  try {
+    console.log('💔 Removing release from wantlist:', releaseId);
+
+    await discogsRequest(wantsPath(username, releaseId), {
+      method: 'DELETE',
+      auth: AUTH_MODES.OAUTH,
+    });
+  } catch (error) {
+    console.error('❌ Remove from wantlist failed:', error.message);
+    throw toApiError(error);
+  }
+};
+
+export default {
+  getWantlist,
+  addToWantlist,
+  editWantlistItem,
+  removeFromWantlist,
+};
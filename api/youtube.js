@@ -4,18 +4,18 @@
  * Provides secure access to YouTube search functionality for music track previews.
  * 
  * SECURITY NOTES:
- * - API key should be stored in environment variables
- * - In production, implement backend proxy to avoid exposing API key
+ * - URLs come from the signing backend (./signingBackend): with the signing
+ *   proxy the API key stays on the server, otherwise it is read from app config
  * - Rate limiting and error handling included
  * - Follows YouTube API best practices
  * 
  * API Documentation: https://developers.google.com/youtube/v3/docs/search/list
  */
 
-import Constants from 'expo-constants';
+import { ApiError, AuthError, RateLimitError, createHttpError, toApiError } from './errors';
+import { getSigningBackend } from './signingBackend';
 
 // YouTube Data API v3 Configuration
-const YOUTUBE_API_BASE_URL = 'https://www.googleapis.com/youtube/v3';
 const MAX_RESULTS = 2; // Reduced for quota conservation
 const VIDEO_DURATION = 'medium'; // 4-20 minutes (good for music)
 
@@ -26,22 +26,18 @@ const VIDEO_DURATION = 'medium'; // 4-20 minutes (good for music)
 // const MAX_DAILY_REQUESTS = 50;
 
 /**
- * Get YouTube API key from secure environment variables
- * In production, this should be handled by a backend service
+ * Check a 403 response body for YouTube's quota error reasons
+ * YouTube answers 403 both for bad keys and exhausted quota.
+ * @param {string} errorText - Raw response body
+ * @returns {boolean} - True if the daily quota is used up
  */
-const getApiKey = () => {
-  // Try multiple environment variable sources
-  const apiKey = 
-    Constants.expoConfig?.extra?.YOUTUBE_API_KEY || 
-    process.env.EXPO_PUBLIC_YOUTUBE_API_KEY ||
-    process.env.YOUTUBE_API_KEY;
-
-  if (!apiKey) {
-    console.warn('⚠️ YouTube API key not found in environment variables');
-    return null;
+const isQuotaError = (errorText) => {
+  try {
+    const reasons = (JSON.parse(errorText).error?.errors || []).map(e => e.reason);
+    return reasons.some(reason => ['quotaExceeded', 'dailyLimitExceeded', 'rateLimitExceeded'].includes(reason));
+  } catch {
+    return /quota/i.test(errorText);
   }
-
-  return apiKey;
 };
 
 /**
@@ -66,8 +62,7 @@ export const searchYouTubeVideos = async (trackTitle, artistName, albumTitle = '
     //   return [];
     // }
 
-    const apiKey = getApiKey();
-    if (!apiKey) {
+    if (!getSigningBackend().hasYouTubeAccess()) {
       console.log('🔑 YouTube API key not available, skipping video search');
       return [];
     }
@@ -90,20 +85,17 @@ export const searchYouTubeVideos = async (trackTitle, artistName, albumTitle = '
     // dailyRequestCount++;
 
     // YouTube Data API v3 search parameters
-    const searchParams = new URLSearchParams({
+    const searchUrl = getSigningBackend().getYouTubeUrl('search', {
       part: 'snippet',
       q: searchQuery,
       type: 'video',
       maxResults: MAX_RESULTS,
       videoDuration: VIDEO_DURATION,
       videoCategory: '10', // Music category
-      key: apiKey,
       // Additional filters for music content
       safeSearch: 'moderate',
       relevanceLanguage: 'en',
     });
-
-    const searchUrl = `${YOUTUBE_API_BASE_URL}/search?${searchParams}`;
     
     console.log('📡 Making YouTube API request...');
     const response = await fetch(searchUrl, {
@@ -112,18 +104,20 @@ export const searchYouTubeVideos = async (trackTitle, artistName, albumTitle = '
         'Accept': 'application/json',
         'Referer': 'https://luckyfind.app', // Set your app domain
       },
-    });
+    }).catch(error => { throw toApiError(error, 'youtube'); });
 
     if (!response.ok) {
       const errorText = await response.text();
       console.error('❌ YouTube API error:', response.status, errorText);
       
       if (response.status === 403) {
-        throw new Error('YouTube API key invalid or quota exceeded');
+        throw isQuotaError(errorText)
+          ? new RateLimitError('YouTube API quota exceeded', { service: 'youtube', status: 403 })
+          : new AuthError('YouTube API key invalid', { service: 'youtube', status: 403 });
       } else if (response.status === 400) {
-        throw new Error('Invalid YouTube API request parameters');
+        throw new ApiError('Invalid YouTube API request parameters', { service: 'youtube', status: 400 });
       } else {
-        throw new Error(`YouTube API request failed: ${response.status}`);
+        throw createHttpError(response.status, `YouTube API request failed: ${response.status}`, { service: 'youtube' });
       }
     }
 
@@ -137,9 +131,9 @@ export const searchYouTubeVideos = async (trackTitle, artistName, albumTitle = '
     console.error('❌ YouTube search error:', error.message);
     
     // Provide user-friendly error information
-    if (error.message.includes('quota exceeded')) {
+    if (error instanceof RateLimitError) {
       console.log('ℹ️ YouTube API quota exceeded. Videos will be available after quota reset (typically daily).');
-    } else if (error.message.includes('invalid')) {
+    } else if (error instanceof AuthError) {
       console.log('ℹ️ YouTube API key issue. Please check your API key configuration.');
     }
     
@@ -239,20 +233,16 @@ const calculateRelevanceScore = (snippet, searchQuery, index) => {
  */
 export const getVideoDetails = async (videoIds) => {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey || !videoIds.length) return [];
+    if (!getSigningBackend().hasYouTubeAccess() || !videoIds.length) return [];
 
-    const detailParams = new URLSearchParams({
+    const detailUrl = getSigningBackend().getYouTubeUrl('videos', {
       part: 'snippet,statistics,contentDetails',
       id: videoIds.join(','),
-      key: apiKey,
     });
-
-    const detailUrl = `${YOUTUBE_API_BASE_URL}/videos?${detailParams}`;
-    const response = await fetch(detailUrl);
+    const response = await fetch(detailUrl).catch(error => { throw toApiError(error, 'youtube'); });
 
     if (!response.ok) {
-      throw new Error(`Video details request failed: ${response.status}`);
+      throw createHttpError(response.status, `Video details request failed: ${response.status}`, { service: 'youtube' });
     }
 
     const data = await response.json();
@@ -286,11 +276,8 @@ export const createYouTubeSearchUrl = (trackTitle, artistName, albumTitle = '')
  * @returns {boolean} True if API is ready to use
  */
 export const isYouTubeApiAvailable = () => {
-  const apiKey = getApiKey();
-  console.log('🔑 YouTube API Key check:', apiKey ? `Found (${apiKey.substring(0, 10)}...)` : 'Not found');
-  console.log('🔑 Environment variables available:', {
-    expoConfig: !!Constants.expoConfig?.extra?.YOUTUBE_API_KEY,
-    processEnv: !!process.env.EXPO_PUBLIC_YOUTUBE_API_KEY
-  });
-  return !!apiKey;
-};
\ No newline at end of file
+  const backend = getSigningBackend();
+  const available = backend.hasYouTubeAccess();
+  console.log('🔑 YouTube API access check:', available ? `available (${backend.name} signing)` : 'no API key');
+  return available;
+};
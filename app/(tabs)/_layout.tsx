@@ -2,7 +2,7 @@ import { Tabs } from 'expo-router';
 import React from 'react';
 
 import { HapticTab } from '@/components/haptic-tab';
-import { SearchRecordIcon, VinylRecordIcon } from '@/components/SophisticatedIcons';
+import { EqualizerIcon, MusicNoteIcon, SearchRecordIcon, TurntableArmIcon, VinylRecordIcon } from '@/components/SophisticatedIcons';
 import sophisticatedTheme from '@/styles/sophisticatedTheme';
 
 const { colors, spacing, typography } = sophisticatedTheme;
@@ -50,6 +50,27 @@ export default function TabLayout() {
           tabBarIcon: ({ focused }) => <VinylRecordIcon size={28} animated={focused} />,
         }}
       />
+      <Tabs.Screen
+        name="crates"
+        options={{
+          title: 'Crates',
+          tabBarIcon: ({ focused }) => <TurntableArmIcon size={28} />,
+        }}
+      />
+      <Tabs.Screen
+        name="collection"
+        options={{
+          title: 'Collection',
+          tabBarIcon: ({ focused }) => <EqualizerIcon size={28} animated={focused} />,
+        }}
+      />
+      <Tabs.Screen
+        name="saved"
+        options={{
+          title: 'Saved',
+          tabBarIcon: ({ focused }) => <MusicNoteIcon size={28} />,
+        }}
+      />
     </Tabs>
   );
 }
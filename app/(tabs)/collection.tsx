@@ -0,0 +1,5 @@
+import CollectionScreen from '@/screens/CollectionScreen';
+
+export default function CollectionTab() {
+  return <CollectionScreen />;
+}
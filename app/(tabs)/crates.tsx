@@ -0,0 +1,5 @@
+import CratesScreen from '@/screens/CratesScreen';
+
+export default function CratesTab() {
+  return <CratesScreen />;
+}
@@ -0,0 +1,5 @@
+import SavedRecordsScreen from '@/screens/SavedRecordsScreen';
+
+export default function SavedScreen() {
+  return <SavedRecordsScreen />;
+}
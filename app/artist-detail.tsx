@@ -0,0 +1,5 @@
+import ArtistDetailScreen from '@/screens/ArtistDetailScreen';
+
+export default function ArtistDetailPage() {
+  return <ArtistDetailScreen />;
+}
\ No newline at end of file
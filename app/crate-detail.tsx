@@ -0,0 +1,5 @@
+import CrateDetailScreen from '@/screens/CrateDetailScreen';
+
+export default function CrateDetailPage() {
+  return <CrateDetailScreen />;
+}
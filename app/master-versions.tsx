@@ -0,0 +1,5 @@
+import MasterVersionsScreen from '@/screens/MasterVersionsScreen';
+
+export default function MasterVersionsPage() {
+  return <MasterVersionsScreen />;
+}
\ No newline at end of file
@@ -0,0 +1,5 @@
+import OAuthCallbackScreen from '@/screens/OAuthCallbackScreen';
+
+export default function OAuthCallbackPage() {
+  return <OAuthCallbackScreen />;
+}
@@ -0,0 +1,5 @@
+import WantlistScreen from '@/screens/WantlistScreen';
+
+export default function WantlistPage() {
+  return <WantlistScreen />;
+}
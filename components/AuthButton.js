@@ -6,57 +6,84 @@
  * user authorization, and access token exchange.
  * 
  * Features:
- * - Step-by-step OAuth flow guidance
+ * - One-tap login: Discogs opens in an in-app browser and the verifier comes
+ *   back through the luckyfind://oauth-callback deep link
+ * - Step-by-step manual verifier entry as a fallback
  * - Secure token storage
- * - Authentication status checking
+ * - Login state, username and avatar from the shared SessionManager
+ * - Notice when the session was revoked on discogs.com
  * - Error handling with user feedback
  * - Logout functionality
  */
 
-import React, { useEffect, useState } from 'react';
+import React, { useState } from 'react';
 import {
     Alert,
+    Image,
     Linking,
     Modal,
     StyleSheet,
     Text,
+    TouchableOpacity,
     View,
 } from 'react-native';
-import { getAccessToken, getRequestToken, isAuthenticated, logout } from '../api/oauth';
+import { authorizeWithBrowser, getAccessToken, getRequestToken } from '../api/oauth';
+import useSession from '../hooks/useSession';
 import { borderRadius, colors, spacing, typography } from '../styles/theme';
+import sessionManager, { SESSION_CHANGE_REASON } from '../utils/SessionManager';
 import Button from './Button';
 import Input from './Input';
 
-const AuthButton = ({ onAuthChange }) => {
-  const [isAuth, setIsAuth] = useState(false);
+const AuthButton = () => {
+  const { isLoggedIn, user, reason } = useSession();
   const [isLoading, setIsLoading] = useState(false);
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [requestTokenData, setRequestTokenData] = useState(null);
   const [verificationCode, setVerificationCode] = useState('');
   const [authStep, setAuthStep] = useState(1); // 1: Get token, 2: Authorize, 3: Verify
 
-  // Check authentication status on component mount
-  useEffect(() => {
-    checkAuthStatus();
-  }, []);
+  /**
+   * Check the new access token and tell the rest of the app
+   */
+  const handleLoginSuccess = async () => {
+    await sessionManager.handleLogin();
+
+    Alert.alert(
+      'Authentication Successful',
+      'You are now connected to Discogs and can search the database!',
+      [{ text: 'OK' }]
+    );
+  };
 
   /**
-   * Check if user is currently authenticated
+   * Log in through an in-app browser session; no code to copy
    */
-  const checkAuthStatus = async () => {
+  const startBrowserLogin = async () => {
     try {
-      const authenticated = await isAuthenticated();
-      setIsAuth(authenticated);
-      onAuthChange?.(authenticated);
+      setIsLoading(true);
+
+      const accessTokenData = await authorizeWithBrowser();
+      if (accessTokenData) {
+        await handleLoginSuccess();
+      }
+
     } catch (error) {
-      console.error('Auth status check failed:', error);
-      setIsAuth(false);
-      onAuthChange?.(false);
+      console.error('Browser login failed:', error);
+      Alert.alert(
+        'Authentication Error',
+        `${error.message}\n\nYou can also log in by entering the code Discogs shows you.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Enter Code Manually', onPress: startAuthFlow },
+        ]
+      );
+    } finally {
+      setIsLoading(false);
     }
   };
 
   /**
-   * Step 1: Start OAuth flow by getting request token
+   * Manual fallback, step 1: Start OAuth flow by getting an out-of-band request token
    */
   const startAuthFlow = async () => {
     try {
@@ -129,21 +156,13 @@ const AuthButton = ({ onAuthChange }) => {
       
       await getAccessToken(verificationCode.trim());
       
-      // Update authentication status
-      setIsAuth(true);
-      onAuthChange?.(true);
-      
       // Reset and close modal
       setShowAuthModal(false);
       setVerificationCode('');
       setRequestTokenData(null);
       setAuthStep(1);
       
-      Alert.alert(
-        'Authentication Successful',
-        'You are now connected to Discogs and can search the database!',
-        [{ text: 'OK' }]
-      );
+      await handleLoginSuccess();
       
     } catch (error) {
       console.error('OAuth completion failed:', error);
@@ -171,9 +190,7 @@ const AuthButton = ({ onAuthChange }) => {
             text: 'Logout',
             style: 'destructive',
             onPress: async () => {
-              await logout();
-              setIsAuth(false);
-              onAuthChange?.(false);
+              await sessionManager.logout();
               Alert.alert('Logged Out', 'You have been logged out from Discogs.');
             },
           },
@@ -248,20 +265,38 @@ const AuthButton = ({ onAuthChange }) => {
 
   return (
     <View style={styles.container}>
-      {isAuth ? (
-        <Button
-          title="Logout from Discogs"
-          onPress={handleLogout}
-          variant="outline"
-          size="small"
-        />
+      {isLoggedIn ? (
+        <View style={styles.accountRow}>
+          {user?.avatarUrl ? (
+            <Image source={{ uri: user.avatarUrl }} style={styles.avatar} />
+          ) : null}
+          {user?.username ? (
+            <Text style={styles.username} numberOfLines={1}>@{user.username}</Text>
+          ) : null}
+          <Button
+            title="Logout from Discogs"
+            onPress={handleLogout}
+            variant="outline"
+            size="small"
+          />
+        </View>
       ) : (
-        <Button
-          title="Login to Discogs"
-          onPress={startAuthFlow}
-          loading={isLoading}
-          disabled={isLoading}
-        />
+        <>
+          {reason === SESSION_CHANGE_REASON.REVOKED && (
+            <Text style={styles.revokedNotice}>
+              Your Discogs session has ended or access was revoked. Log in again to continue.
+            </Text>
+          )}
+          <Button
+            title="Login to Discogs"
+            onPress={startBrowserLogin}
+            loading={isLoading}
+            disabled={isLoading}
+          />
+          <TouchableOpacity onPress={startAuthFlow} disabled={isLoading}>
+            <Text style={styles.manualLink}>Have a code from Discogs? Enter it manually</Text>
+          </TouchableOpacity>
+        </>
       )}
 
       {/* Authentication Modal */}
@@ -295,6 +330,40 @@ const styles = StyleSheet.create({
     marginVertical: spacing.md,
   },
   
+  accountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  
+  avatar: {
+    width: 28,
+    height: 28,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.backgroundSecondary,
+  },
+  
+  username: {
+    flexShrink: 1,
+    fontSize: typography.fontSize.sm,
+    color: colors.text,
+  },
+  
+  revokedNotice: {
+    fontSize: typography.fontSize.sm,
+    color: colors.warning,
+    textAlign: 'center',
+    marginBottom: spacing.sm,
+  },
+  
+  manualLink: {
+    fontSize: typography.fontSize.sm,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    textDecorationLine: 'underline',
+    marginTop: spacing.sm,
+  },
+  
   // Modal styles
   modalContainer: {
     flex: 1,
@@ -0,0 +1,288 @@
+/**
+ * CrateButton Component
+ *
+ * Adds a record to, or removes it from, the crates stored on the device.
+ * Opens a picker listing every crate, with a field to start a new one.
+ * Works without a Discogs login.
+ *
+ * Props:
+ * - record: Record in our app format (needs at least an id)
+ * - showLabel: Render as a labelled pill instead of a bare icon
+ * - style: Extra container style, e.g. for absolute positioning over artwork
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  FlatList,
+  Modal,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import useCrates from '../hooks/useCrates';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import cratesManager from '../utils/CratesManager';
+
+const { colors, spacing, typography, borderRadius } = sophisticatedTheme;
+
+/**
+ * Crate picker for one record
+ */
+const CratePicker = ({ record, onClose }) => {
+  const crates = useCrates();
+  const [newCrateName, setNewCrateName] = useState('');
+
+  const handleToggleCrate = (crate) => {
+    if (cratesManager.crateContains(crate.id, record.id)) {
+      cratesManager.removeRecord(crate.id, record.id);
+    } else {
+      cratesManager.addRecord(crate.id, record);
+    }
+  };
+
+  const handleCreateCrate = async () => {
+    const crate = await cratesManager.createCrate(newCrateName);
+    await cratesManager.addRecord(crate.id, record);
+    setNewCrateName('');
+  };
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.sheetTitle}>Add to Crate</Text>
+          <Text style={styles.sheetSubtitle} numberOfLines={1}>{record.title}</Text>
+
+          <FlatList
+            data={crates}
+            keyExtractor={(crate) => crate.id}
+            renderItem={({ item: crate }) => {
+              const contains = crate.records.some(existing => existing.id === Number(record.id));
+              return (
+                <TouchableOpacity style={styles.crateRow} onPress={() => handleToggleCrate(crate)}>
+                  <Text style={[styles.crateCheck, contains && styles.crateCheckActive]}>
+                    {contains ? '✓' : '○'}
+                  </Text>
+                  <Text style={styles.crateName} numberOfLines={1}>{crate.name}</Text>
+                  <Text style={styles.crateCount}>{crate.records.length}</Text>
+                </TouchableOpacity>
+              );
+            }}
+            ListEmptyComponent={
+              <Text style={styles.emptyText}>No crates yet. Name your first one below.</Text>
+            }
+            style={styles.crateList}
+          />
+
+          <View style={styles.newCrateRow}>
+            <TextInput
+              style={styles.newCrateInput}
+              value={newCrateName}
+              onChangeText={setNewCrateName}
+              placeholder="New crate name"
+              placeholderTextColor={colors.textTertiary}
+              onSubmitEditing={handleCreateCrate}
+              returnKeyType="done"
+            />
+            <TouchableOpacity style={styles.createButton} onPress={handleCreateCrate}>
+              <Text style={styles.createButtonText}>＋ Create</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+            <Text style={styles.doneButtonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const CrateButton = ({ record, showLabel = false, style }) => {
+  const [isInCrate, setIsInCrate] = useState(() => cratesManager.isInAnyCrate(record.id));
+  const [showPicker, setShowPicker] = useState(false);
+
+  useEffect(() => {
+    setIsInCrate(cratesManager.isInAnyCrate(record.id));
+    return cratesManager.subscribe(() => setIsInCrate(cratesManager.isInAnyCrate(record.id)));
+  }, [record.id]);
+
+  return (
+    <>
+      <TouchableOpacity
+        style={[showLabel ? styles.pill : styles.icon, showLabel && isInCrate && styles.pillActive, style]}
+        onPress={() => setShowPicker(true)}
+        hitSlop={8}
+        accessibilityRole="button"
+        accessibilityLabel="Add to crate"
+      >
+        <Text style={[
+          showLabel ? styles.pillText : styles.iconText,
+          isInCrate && (showLabel ? styles.pillTextActive : styles.iconTextActive),
+        ]}>
+          {showLabel ? (isInCrate ? '📦 In a crate' : '📦 Add to crate') : '📦'}
+        </Text>
+      </TouchableOpacity>
+
+      {showPicker && <CratePicker record={record} onClose={() => setShowPicker(false)} />}
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  icon: {
+    width: 32,
+    height: 32,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.background + 'CC',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  iconText: {
+    fontSize: typography.fontSize.base,
+    opacity: 0.5,
+  },
+
+  iconTextActive: {
+    opacity: 1,
+  },
+
+  pill: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  pillActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  pillText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  pillTextActive: {
+    color: colors.background,
+  },
+
+  // Picker
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+
+  sheet: {
+    maxHeight: '75%',
+    backgroundColor: colors.backgroundSecondary,
+    borderTopLeftRadius: borderRadius.xl,
+    borderTopRightRadius: borderRadius.xl,
+    padding: spacing.lg,
+  },
+
+  sheetTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  sheetSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+    marginBottom: spacing.md,
+  },
+
+  crateList: {
+    flexGrow: 0,
+  },
+
+  crateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  crateCheck: {
+    width: 24,
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.base,
+  },
+
+  crateCheckActive: {
+    color: colors.accent,
+  },
+
+  crateName: {
+    flex: 1,
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+  },
+
+  crateCount: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+  },
+
+  emptyText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    paddingVertical: spacing.sm,
+  },
+
+  newCrateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  newCrateInput: {
+    flex: 1,
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.sm,
+  },
+
+  createButton: {
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.accent,
+  },
+
+  createButtonText: {
+    color: colors.background,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  doneButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  doneButtonText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default CrateButton;
@@ -6,15 +6,20 @@
  * - Simple absolute positioning
  * - Better mobile touch handling
  * - Explicit colors for visibility
+ * - Optional multi-select (`multiple`): value is an array, options toggle and
+ *   the list stays open; an option with an empty value clears the selection
+ * - Optional type-ahead (`searchable`) to narrow long option lists
+ * - Options may carry a `description` shown under the label
  */
 
 import { Ionicons } from '@expo/vector-icons';
-import React, { useCallback } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import {
   Pressable,
   ScrollView,
   StyleSheet,
   Text,
+  TextInput,
   View,
 } from 'react-native';
 
@@ -22,6 +27,11 @@ import sophisticatedTheme from '../styles/sophisticatedTheme';
 
 const { colors, spacing, typography, shadows } = sophisticatedTheme;
 
+/**
+ * Lowercase without accents, so "se" finds "Séga"
+ */
+const toSearchKey = (text) => (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
 /**
  * Simple Option Item Component
  */
@@ -37,12 +47,17 @@ const OptionItem = ({ item, isSelected, onPress, isLast }) => {
       ]}
       onPress={handlePress}
     >
-      <Text style={[
-        styles.optionText,
-        isSelected && styles.optionTextSelected
-      ]}>
-        {item.label}
-      </Text>
+      <View style={styles.optionTextContainer}>
+        <Text style={[
+          styles.optionText,
+          isSelected && styles.optionTextSelected
+        ]}>
+          {item.label}
+        </Text>
+        {item.description && (
+          <Text style={styles.optionDescription}>{item.description}</Text>
+        )}
+      </View>
       
       {isSelected && (
         <Ionicons 
@@ -69,15 +84,54 @@ const MobileDropdown = ({
   disabled = false,
   style,
   error,
+  multiple = false,
+  searchable = false,
 }) => {
-  // Find selected option
-  const selectedOption = options.find(option => option.value === value);
-  const displayText = selectedOption?.label || placeholder;
+  const [searchText, setSearchText] = useState('');
+
+  // Start each opening with the full list
+  useEffect(() => {
+    if (!isOpen) setSearchText('');
+  }, [isOpen]);
+
+  const visibleOptions = useMemo(() => {
+    const query = toSearchKey(searchText.trim());
+    if (!searchable || !query) return options;
+    return options.filter(option => option.value && toSearchKey(option.label).includes(query));
+  }, [options, searchable, searchText]);
+
+  // Find selected option(s)
+  const selectedValues = multiple ? value || [] : [value];
+  const selectedOptions = options.filter(option => option.value && selectedValues.includes(option.value));
+  const selectedOption = multiple ? selectedOptions[0] : options.find(option => option.value === value);
+  const displayText = multiple
+    ? selectedOptions.map(option => option.label).join(', ') || placeholder
+    : selectedOption?.label || placeholder;
+
+  const isOptionSelected = (optionValue) => (
+    multiple
+      ? (optionValue ? selectedValues.includes(optionValue) : selectedValues.length === 0)
+      : optionValue === value
+  );
 
   // Handle option selection
   const handleOptionSelect = useCallback((optionValue, optionLabel) => {
     console.log(`📋 Dropdown "${label}" selected:`, { value: optionValue, label: optionLabel });
     
+    if (multiple) {
+      // Toggle the option and keep the list open for more picks
+      const current = value || [];
+      const next = !optionValue
+        ? []
+        : current.includes(optionValue)
+          ? current.filter(selected => selected !== optionValue)
+          : [...current, optionValue];
+      if (onValueChange) {
+        onValueChange(next);
+      }
+      return;
+    }
+    
     if (onValueChange) {
       onValueChange(optionValue);
     }
@@ -86,7 +140,7 @@ const MobileDropdown = ({
     if (onToggle) {
       onToggle();
     }
-  }, [label, onValueChange, onToggle]);
+  }, [label, onValueChange, onToggle, multiple, value]);
 
   // Handle dropdown toggle
   const handleToggle = useCallback(() => {
@@ -125,7 +179,7 @@ const MobileDropdown = ({
           styles.dropdownButtonText,
           !selectedOption && styles.placeholderText,
           disabled && styles.disabledText,
-        ]}>
+        ]} numberOfLines={1}>
           {displayText}
         </Text>
         
@@ -145,27 +199,38 @@ const MobileDropdown = ({
 
       {/* Options List - Simple View instead of Modal */}
       {isOpen && (
-        <View style={styles.optionsContainer}>
+        <View style={[styles.optionsContainer, searchable && styles.optionsContainerSearchable]}>
+          {searchable && (
+            <TextInput
+              style={styles.searchInput}
+              value={searchText}
+              onChangeText={setSearchText}
+              placeholder={`Search ${label ? label.toLowerCase() : 'options'}...`}
+              placeholderTextColor={colors.textTertiary}
+              autoCorrect={false}
+              autoCapitalize="none"
+            />
+          )}
           <ScrollView 
             style={styles.optionsList}
             showsVerticalScrollIndicator={true}
             keyboardShouldPersistTaps="handled"
             nestedScrollEnabled={true}
           >
-            {options.length > 0 ? (
-              options.map((item, index) => (
+            {visibleOptions.length > 0 ? (
+              visibleOptions.map((item, index) => (
                 <OptionItem
                   key={`${item.value}-${index}`}
                   item={item}
-                  isSelected={item.value === value}
+                  isSelected={isOptionSelected(item.value)}
                   onPress={handleOptionSelect}
-                  isLast={index === options.length - 1}
+                  isLast={index === visibleOptions.length - 1}
                 />
               ))
             ) : (
               <View style={styles.emptyContainer}>
                 <Text style={styles.emptyText}>
-                  No options available
+                  {searchText ? `No matches for "${searchText}"` : 'No options available'}
                 </Text>
               </View>
             )}
@@ -263,6 +328,19 @@ const styles = StyleSheet.create({
     ...shadows.lg,
   },
 
+  optionsContainerSearchable: {
+    maxHeight: 280,
+  },
+
+  searchInput: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+  },
+
   optionsList: {
     flex: 1,
   },
@@ -286,12 +364,21 @@ const styles = StyleSheet.create({
     backgroundColor: colors.accent + '20',
   },
 
-  optionText: {
+  optionTextContainer: {
     flex: 1,
+  },
+
+  optionText: {
     fontSize: typography.fontSize.base,
     color: colors.text,
   },
 
+  optionDescription: {
+    fontSize: typography.fontSize.xs,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+
   optionTextSelected: {
     color: colors.accent,
     fontWeight: typography.fontWeight.medium,
@@ -0,0 +1,215 @@
+/**
+ * FacetDrawer Component
+ *
+ * Bottom sheet of facet chips (genre, style, country, format, label, decade)
+ * counted from the loaded search results. Tapping a chip narrows the list.
+ *
+ * Props:
+ * - facets: Counts per field from buildFacets()
+ * - selected: Selected values per field
+ * - onToggle: Called with (fieldKey, value)
+ * - onClear: Called to drop every selection
+ * - matchCount: Loaded records matching the selection
+ * - onClose: Called when the sheet is dismissed
+ */
+
+import React, { useState } from 'react';
+import {
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import { countSelectedFacets, FACET_FIELDS } from '../utils/resultFacets';
+
+const { colors, spacing, typography, borderRadius } = sophisticatedTheme;
+
+const COLLAPSED_VALUE_COUNT = 12; // Long fields (styles, labels) show the most common first
+
+const FacetDrawer = ({ facets, selected, onToggle, onClear, matchCount, onClose }) => {
+  const [expandedFields, setExpandedFields] = useState([]);
+  const selectedCount = countSelectedFacets(selected);
+
+  const handleExpand = (fieldKey) => {
+    setExpandedFields(current => [...current, fieldKey]);
+  };
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.sheetTitle}>Filter Results</Text>
+            {selectedCount > 0 && (
+              <TouchableOpacity onPress={onClear} hitSlop={8}>
+                <Text style={styles.clearText}>Clear ({selectedCount})</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <Text style={styles.sheetSubtitle}>Counts are from the results loaded so far</Text>
+
+          <ScrollView style={styles.fieldList}>
+            {FACET_FIELDS.map(field => {
+              const values = facets[field.key] || [];
+              const selectedValues = selected[field.key] || [];
+              if (values.length === 0 && selectedValues.length === 0) return null;
+
+              const isExpanded = expandedFields.includes(field.key);
+              // Selected values stay visible even when they fall outside the collapsed list
+              const visibleValues = isExpanded
+                ? values
+                : values.filter((item, index) => index < COLLAPSED_VALUE_COUNT || selectedValues.includes(item.value));
+              const missingSelections = selectedValues
+                .filter(value => !values.some(item => item.value === value))
+                .map(value => ({ value, count: 0 }));
+
+              return (
+                <View key={field.key} style={styles.field}>
+                  <Text style={styles.fieldLabel}>{field.label}</Text>
+                  <View style={styles.chipRow}>
+                    {[...visibleValues, ...missingSelections].map(item => {
+                      const isSelected = selectedValues.includes(item.value);
+                      return (
+                        <TouchableOpacity
+                          key={item.value}
+                          style={[styles.chip, isSelected && styles.chipActive]}
+                          onPress={() => onToggle(field.key, item.value)}
+                          accessibilityRole="checkbox"
+                          accessibilityState={{ checked: isSelected }}
+                        >
+                          <Text style={[styles.chipText, isSelected && styles.chipTextActive]}>
+                            {item.value} · {item.count}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                    {!isExpanded && values.length > visibleValues.length && (
+                      <TouchableOpacity style={styles.chip} onPress={() => handleExpand(field.key)}>
+                        <Text style={styles.moreText}>+{values.length - visibleValues.length} more</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+            <Text style={styles.doneButtonText}>
+              Show {matchCount.toLocaleString()} {matchCount === 1 ? 'result' : 'results'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+
+  sheet: {
+    maxHeight: '75%',
+    backgroundColor: colors.backgroundSecondary,
+    borderTopLeftRadius: borderRadius.xl,
+    borderTopRightRadius: borderRadius.xl,
+    padding: spacing.lg,
+  },
+
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+
+  sheetTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  clearText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  sheetSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+    marginBottom: spacing.md,
+  },
+
+  fieldList: {
+    flexGrow: 0,
+  },
+
+  field: {
+    marginBottom: spacing.md,
+  },
+
+  fieldLabel: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    marginBottom: spacing.xs,
+  },
+
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+
+  chip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  chipActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  chipText: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+  },
+
+  chipTextActive: {
+    color: colors.background,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  moreText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+  },
+
+  doneButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    marginTop: spacing.md,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.accent,
+  },
+
+  doneButtonText: {
+    color: colors.background,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default FacetDrawer;
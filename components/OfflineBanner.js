@@ -0,0 +1,76 @@
+/**
+ * OfflineBanner Component
+ *
+ * Tells the user when Discogs is unreachable and how old the data on screen is.
+ * Renders nothing while online unless the screen is showing a saved copy.
+ *
+ * Props:
+ * - savedAt: When the data on screen was stored (omit when showing live data)
+ * - message: Offline text for screens without saved data, e.g. search
+ */
+
+import React from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import useConnectivity from '../hooks/useConnectivity';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import { formatTimeAgo } from '../utils/format';
+
+const { colors, spacing, typography, borderRadius } = sophisticatedTheme;
+
+const OfflineBanner = ({ savedAt = null, message = null, style }) => {
+  const { isOnline, checkConnection } = useConnectivity();
+
+  if (isOnline && !savedAt) {
+    return null;
+  }
+
+  let text;
+  if (savedAt) {
+    text = isOnline
+      ? `💾 Showing a saved copy from ${formatTimeAgo(savedAt)}`
+      : `📴 Offline · showing a saved copy from ${formatTimeAgo(savedAt)}`;
+  } else {
+    text = `📴 ${message || 'You are offline. Only saved records and labels are available.'}`;
+  }
+
+  return (
+    <View style={[styles.banner, style]}>
+      <Text style={styles.text}>{text}</Text>
+      {!isOnline && (
+        <TouchableOpacity onPress={checkConnection} hitSlop={8}>
+          <Text style={styles.retryText}>Retry</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.warning + '20',
+    borderColor: colors.warning,
+    borderWidth: 1,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  text: {
+    flex: 1,
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  retryText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+    marginLeft: spacing.sm,
+  },
+});
+
+export default OfflineBanner;
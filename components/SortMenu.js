@@ -0,0 +1,131 @@
+/**
+ * SortMenu Component
+ *
+ * Bottom sheet listing the ways search results can be ordered.
+ *
+ * Props:
+ * - sorts: Options to offer ({ key, label }), see utils/resultFacets
+ * - selectedSort: Key of the current sort
+ * - onSelect: Called with the chosen key; the menu closes itself
+ * - onClose: Called when the sheet is dismissed
+ */
+
+import React from 'react';
+import {
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+
+const { colors, spacing, typography, borderRadius } = sophisticatedTheme;
+
+const SortMenu = ({ sorts, selectedSort, onSelect, onClose }) => (
+  <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+    <View style={styles.overlay}>
+      <View style={styles.sheet}>
+        <Text style={styles.sheetTitle}>Sort Results</Text>
+
+        <ScrollView style={styles.optionList}>
+          {sorts.map(sort => {
+            const isSelected = sort.key === selectedSort;
+            return (
+              <TouchableOpacity
+                key={sort.key}
+                style={styles.optionRow}
+                onPress={() => {
+                  onSelect(sort.key);
+                  onClose();
+                }}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: isSelected }}
+              >
+                <Text style={[styles.optionCheck, isSelected && styles.optionCheckActive]}>
+                  {isSelected ? '●' : '○'}
+                </Text>
+                <Text style={[styles.optionLabel, isSelected && styles.optionLabelActive]}>{sort.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+
+        <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+          <Text style={styles.doneButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  </Modal>
+);
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+
+  sheet: {
+    maxHeight: '75%',
+    backgroundColor: colors.backgroundSecondary,
+    borderTopLeftRadius: borderRadius.xl,
+    borderTopRightRadius: borderRadius.xl,
+    padding: spacing.lg,
+  },
+
+  sheetTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.md,
+  },
+
+  optionList: {
+    flexGrow: 0,
+  },
+
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  optionCheck: {
+    width: 24,
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.base,
+  },
+
+  optionCheckActive: {
+    color: colors.accent,
+  },
+
+  optionLabel: {
+    flex: 1,
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+  },
+
+  optionLabelActive: {
+    color: colors.accent,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  doneButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  doneButtonText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default SortMenu;
@@ -0,0 +1,110 @@
+/**
+ * WantlistHeart Component
+ *
+ * Heart toggle that adds a record to, or removes it from, the Discogs wantlist.
+ * Toggles instantly; the change reaches Discogs in the background, or on reconnect
+ * when offline.
+ *
+ * Props:
+ * - record: Record in our app format (needs at least an id); renders nothing for non-releases
+ * - showLabel: Render as a labelled pill instead of a bare heart
+ * - style: Extra container style, e.g. for absolute positioning over artwork
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Alert, StyleSheet, Text, TouchableOpacity } from 'react-native';
+import { AuthError } from '../api/errors';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import wantlistManager from '../utils/WantlistManager';
+
+const { colors, spacing, typography, borderRadius } = sophisticatedTheme;
+
+const WantlistHeart = ({ record, showLabel = false, style }) => {
+  const [isWanted, setIsWanted] = useState(() => wantlistManager.isWanted(record.id));
+
+  useEffect(() => {
+    setIsWanted(wantlistManager.isWanted(record.id));
+    return wantlistManager.subscribe(() => setIsWanted(wantlistManager.isWanted(record.id)));
+  }, [record.id]);
+
+  const handlePress = useCallback(async () => {
+    try {
+      await wantlistManager.toggle(record);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        Alert.alert('Log In Required', 'Log in with Discogs from the Collection tab to build your wantlist.');
+      } else {
+        Alert.alert('Wantlist', error.message);
+      }
+    }
+  }, [record]);
+
+  // Discogs wantlists only hold releases, not masters or labels
+  if (record.type && record.type !== 'release') {
+    return null;
+  }
+
+  const heart = isWanted ? '♥' : '♡';
+
+  return (
+    <TouchableOpacity
+      style={[showLabel ? styles.pill : styles.heart, showLabel && isWanted && styles.pillActive, style]}
+      onPress={handlePress}
+      hitSlop={8}
+      accessibilityRole="button"
+      accessibilityLabel={isWanted ? 'Remove from wantlist' : 'Add to wantlist'}
+    >
+      <Text style={[
+        showLabel ? styles.pillText : styles.heartText,
+        isWanted && (showLabel ? styles.pillTextActive : styles.heartTextActive),
+      ]}>
+        {showLabel ? `${heart} ${isWanted ? 'In wantlist' : 'Want'}` : heart}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  heart: {
+    width: 32,
+    height: 32,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.background + 'CC',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  heartText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.lg,
+  },
+
+  heartTextActive: {
+    color: colors.accent,
+  },
+
+  pill: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  pillActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  pillText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  pillTextActive: {
+    color: colors.background,
+  },
+});
+
+export default WantlistHeart;
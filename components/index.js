@@ -15,9 +15,14 @@
 // Core UI Components
 export { default as AuthButton } from './AuthButton';
 export { default as Button } from './Button';
+export { default as CrateButton } from './CrateButton';
 export { default as Dropdown } from './Dropdown';
+export { default as FacetDrawer } from './FacetDrawer';
 export { default as Input } from './Input';
+export { default as OfflineBanner } from './OfflineBanner';
 export { default as SearchResults } from './SearchResults';
+export { default as SortMenu } from './SortMenu';
+export { default as WantlistHeart } from './WantlistHeart';
 
 // Optimized Components for Performance  
 export {
@@ -27,8 +32,13 @@ export {
 // Export all components as a single object for flexibility
 export default {
   Button: require('./Button').default,
+  CrateButton: require('./CrateButton').default,
   Input: require('./Input').default,
   Dropdown: require('./Dropdown').default,
+  FacetDrawer: require('./FacetDrawer').default,
   AuthButton: require('./AuthButton').default,
+  OfflineBanner: require('./OfflineBanner').default,
   SearchResults: require('./SearchResults').default,
+  SortMenu: require('./SortMenu').default,
+  WantlistHeart: require('./WantlistHeart').default,
 };
\ No newline at end of file
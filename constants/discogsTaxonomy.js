@@ -0,0 +1,270 @@
+/**
+ * Discogs taxonomy
+ *
+ * Bundled copy of the genres, styles, formats and countries Discogs uses, so the
+ * search filters offer exactly the values the database search matches on.
+ * Names are spelled as on Discogs ("Hip Hop", "Funk / Soul", "Drum n Bass").
+ *
+ * Discogs has no endpoint listing these, so the lists are maintained by hand.
+ * A style can sit under several genres (Dub under Electronic and Reggae).
+ */
+
+// Styles under each genre, alphabetical
+export const GENRE_STYLES = {
+  'Blues': [
+    'Boogie Woogie', 'Chicago Blues', 'Country Blues', 'Delta Blues', 'East Coast Blues',
+    'Electric Blues', 'Harmonica Blues', 'Hill Country Blues', 'Jump Blues', 'Louisiana Blues',
+    'Memphis Blues', 'Modern Electric Blues', 'Piano Blues', 'Piedmont Blues', 'Texas Blues',
+  ],
+  'Brass & Military': [
+    'Brass Band', 'Marches', 'Military', 'Pipe & Drum',
+  ],
+  "Children's": [
+    'Educational', 'Nursery Rhymes', 'Story',
+  ],
+  'Classical': [
+    'Baroque', 'Choral', 'Classical', 'Contemporary', 'Early', 'Impressionist', 'Medieval',
+    'Minimalism', 'Modern', 'Neo-Classical', 'Neo-Romantic', 'Opera', 'Operetta', 'Oratorio',
+    'Post-Modern', 'Renaissance', 'Romantic', 'Serial',
+  ],
+  'Electronic': [
+    'Abstract', 'Acid', 'Acid House', 'Acid Jazz', 'Ambient', 'Ambient House', 'Balearic',
+    'Bassline', 'Beatdown', 'Berlin-School', 'Big Beat', 'Bleep', 'Breakbeat', 'Breakcore',
+    'Breaks', 'Broken Beat', 'Chillwave', 'Chiptune', 'Dance-pop', 'Dark Ambient', 'Darkwave',
+    'Deep House', 'Deep Techno', 'Disco', 'Disco Polo', 'Donk', 'Downtempo', 'Drone',
+    'Drum n Bass', 'Dub', 'Dub Techno', 'Dubstep', 'Dungeon Synth', 'EBM', 'Electro',
+    'Electro House', 'Electroclash', 'Euro House', 'Euro-Disco', 'Eurobeat', 'Eurodance',
+    'Experimental', 'Footwork', 'Freestyle', 'Future Jazz', 'Gabber', 'Garage House', 'Ghetto',
+    'Ghetto House', 'Glitch', 'Goa Trance', 'Grime', 'Halftime', 'Hands Up', 'Happy Hardcore',
+    'Hard Beat', 'Hard House', 'Hard Techno', 'Hard Trance', 'Hardcore', 'Hardstyle', 'Hi NRG',
+    'Hip Hop', 'Hip-House', 'House', 'IDM', 'Illbient', 'Industrial', 'Italo House',
+    'Italo-Disco', 'Italodance', 'Jazzdance', 'Juke', 'Jumpstyle', 'Jungle', 'Latin',
+    'Leftfield', 'Lo-Fi', 'Makina', 'Minimal', 'Minimal Techno', 'Modern Classical',
+    'Musique Concrète', 'Neofolk', 'New Age', 'New Beat', 'New Wave', 'Noise', 'Nu-Disco',
+    'Power Electronics', 'Progressive Breaks', 'Progressive House', 'Progressive Trance',
+    'Psy-Trance', 'Rhythmic Noise', 'Schranz', 'Sound Collage', 'Speed Garage', 'Speedcore',
+    'Synth-pop', 'Synthwave', 'Tech House', 'Tech Trance', 'Techno', 'Trance', 'Tribal',
+    'Tribal House', 'Trip Hop', 'Tropical House', 'UK Funky', 'UK Garage', 'Vaporwave',
+  ],
+  'Folk, World, & Country': [
+    'Aboriginal', 'African', 'Afro-Cuban', 'Andean Music', 'Appalachian Music', 'Bhangra',
+    'Bluegrass', 'Cajun', 'Calypso', 'Canzone Napoletana', 'Celtic', 'Country', 'Fado',
+    'Flamenco', 'Folk', 'Gamelan', 'Gospel', 'Highlife', 'Hillbilly', 'Hindustani',
+    'Honky Tonk', 'Indian Classical', 'Klezmer', 'Laïkó', 'Mbalax', 'Nordic', 'Pacific',
+    'Polka', 'Raï', 'Rebetiko', 'Romani', 'Soukous', 'Séga', 'Volksmusik', 'Zouk', 'Zydeco',
+    'Éntekhno',
+  ],
+  'Funk / Soul': [
+    'Afrobeat', 'Boogie', 'Contemporary R&B', 'Disco', 'Free Funk', 'Funk', 'Gospel',
+    'Minneapolis Sound', 'Neo Soul', 'New Jack Swing', 'Northern Soul', 'P.Funk', 'Psychedelic',
+    'Rhythm & Blues', 'Soul', 'Swingbeat', 'UK Street Soul',
+  ],
+  'Hip Hop': [
+    'Bass Music', 'Boom Bap', 'Bounce', 'Britcore', 'Cloud Rap', 'Conscious', 'Crunk',
+    'Cut-up/DJ', 'DJ Battle Tool', 'Drill', 'Electro', 'G-Funk', 'Gangsta', 'Grime',
+    'Hardcore Hip-Hop', 'Horrorcore', 'Instrumental', 'Jazzy Hip-Hop', 'Miami Bass', 'Phonk',
+    'Pop Rap', 'Ragga HipHop', 'RnB/Swing', 'Screw', 'Thug Rap', 'Trap', 'Trip Hop',
+    'Turntablism',
+  ],
+  'Jazz': [
+    'Afro-Cuban Jazz', 'Afrobeat', 'Avant-garde Jazz', 'Big Band', 'Bop', 'Bossa Nova',
+    'Cape Jazz', 'Contemporary Jazz', 'Cool Jazz', 'Dark Jazz', 'Dixieland', 'Easy Listening',
+    'Free Improvisation', 'Free Jazz', 'Fusion', 'Gypsy Jazz', 'Hard Bop', 'Jazz-Funk',
+    'Jazz-Rock', 'Latin Jazz', 'Modal', 'Post Bop', 'Ragtime', 'Smooth Jazz', 'Soul-Jazz',
+    'Space-Age', 'Spiritual Jazz', 'Swing',
+  ],
+  'Latin': [
+    'Afro-Cuban', 'Axé', 'Baião', 'Batucada', 'Beguine', 'Bolero', 'Bomba', 'Bossa Nova',
+    'Cha-Cha', 'Charanga', 'Compas', 'Cubano', 'Cumbia', 'Descarga', 'Forró', 'Guaguancó',
+    'Guajira', 'Guaracha', 'MPB', 'Mambo', 'Mariachi', 'Merengue', 'Norteño', 'Nueva Cancion',
+    'Nueva Trova', 'Pachanga', 'Plena', 'Porro', 'Ranchera', 'Reggaeton', 'Rumba', 'Salsa',
+    'Samba', 'Son', 'Son Montuno', 'Tango', 'Tejano', 'Tropicália', 'Vallenato',
+  ],
+  'Non-Music': [
+    'Audiobook', 'Comedy', 'Dialogue', 'Education', 'Field Recording', 'Interview', 'Monolog',
+    'Poetry', 'Political', 'Promotional', 'Radioplay', 'Religious', 'Sermon', 'Speech',
+    'Spoken Word', 'Technical',
+  ],
+  'Pop': [
+    'Ballad', 'Bollywood', 'Bubblegum', 'Chanson', 'City Pop', 'Europop', 'Indie Pop', 'J-pop',
+    'K-pop', 'Kayōkyoku', 'Light Music', 'Music Hall', 'Novelty', 'Parody', 'Schlager', 'Vocal',
+  ],
+  'Reggae': [
+    'Calypso', 'Dancehall', 'Dub', 'Dub Poetry', 'Lovers Rock', 'Mento', 'Ragga', 'Reggae',
+    'Reggae-Pop', 'Rocksteady', 'Roots Reggae', 'Ska', 'Soca',
+  ],
+  'Rock': [
+    'AOR', 'Acid Rock', 'Acoustic', 'Alternative Rock', 'Arena Rock', 'Art Rock',
+    'Atmospheric Black Metal', 'Avantgarde', 'Beat', 'Black Metal', 'Blues Rock', 'Brit Pop',
+    'Classic Rock', 'Coldwave', 'Country Rock', 'Crust', 'Death Metal', 'Deathcore',
+    'Deathrock', 'Depressive Black Metal', 'Doo Wop', 'Doom Metal', 'Dream Pop', 'Emo',
+    'Ethereal', 'Experimental', 'Folk Metal', 'Folk Rock', 'Funeral Doom Metal', 'Funk Metal',
+    'Garage Rock', 'Glam', 'Goregrind', 'Goth Rock', 'Gothic Metal', 'Grindcore', 'Grunge',
+    'Hard Rock', 'Hardcore', 'Heavy Metal', 'Indie Rock', 'Industrial', 'Krautrock', 'Lo-Fi',
+    'Lounge', 'Math Rock', 'Melodic Death Metal', 'Melodic Hardcore', 'Metalcore', 'Mod',
+    'Neofolk', 'New Wave', 'No Wave', 'Noise', 'Noisecore', 'Nu Metal', 'Oi', 'Parody',
+    'Pop Punk', 'Pop Rock', 'Pornogrind', 'Post Rock', 'Post-Hardcore', 'Post-Metal',
+    'Post-Punk', 'Power Metal', 'Power Pop', 'Power Violence', 'Prog Rock', 'Progressive Metal',
+    'Psychedelic Rock', 'Psychobilly', 'Pub Rock', 'Punk', 'Rock & Roll', 'Rockabilly',
+    'Shoegaze', 'Ska', 'Sludge Metal', 'Soft Rock', 'Southern Rock', 'Space Rock', 'Speed Metal',
+    'Stoner Rock', 'Surf', 'Symphonic Rock', 'Technical Death Metal', 'Thrash', 'Twist',
+    'Viking Metal', 'Yé-Yé',
+  ],
+  'Stage & Screen': [
+    'Musical', 'Score', 'Soundtrack', 'Theme', 'Video Game Music',
+  ],
+};
+
+export const GENRES = Object.keys(GENRE_STYLES);
+
+/**
+ * Format names (the physical or digital medium)
+ * @type {{name: string, description: string}[]}
+ */
+export const FORMATS = [
+  { name: 'Vinyl', description: 'Any vinyl record' },
+  { name: 'Shellac', description: '78 RPM shellac discs' },
+  { name: 'Acetate', description: 'Lacquer cut for testing or dubplates' },
+  { name: 'Flexi-disc', description: 'Thin flexible vinyl, often a magazine give-away' },
+  { name: 'Lathe Cut', description: 'Cut one at a time on a lathe, usually tiny runs' },
+  { name: 'CD', description: 'Compact Disc' },
+  { name: 'CDr', description: 'Recordable CD' },
+  { name: 'SACD', description: 'Super Audio CD' },
+  { name: 'Cassette', description: 'Compact cassette tape' },
+  { name: 'Reel-To-Reel', description: 'Open reel tape' },
+  { name: '8-Track Cartridge', description: 'Stereo 8-track tape' },
+  { name: 'DAT', description: 'Digital Audio Tape' },
+  { name: 'Minidisc', description: 'Sony MiniDisc' },
+  { name: 'DVD', description: 'DVD video or audio' },
+  { name: 'Blu-ray', description: 'Blu-ray disc' },
+  { name: 'VHS', description: 'Video cassette' },
+  { name: 'File', description: 'Digital download' },
+  { name: 'Box Set', description: 'Several items sold as one set' },
+];
+
+/**
+ * Format descriptions Discogs attaches to a format (size, speed, release type, pressing)
+ * The `format` search parameter matches these as well as the format names.
+ * @type {{name: string, description: string}[]}
+ */
+export const FORMAT_DESCRIPTIONS = [
+  { name: 'LP', description: 'Long-playing record' },
+  { name: '12"', description: '12-inch record' },
+  { name: '10"', description: '10-inch record' },
+  { name: '7"', description: '7-inch record' },
+  { name: '33 ⅓ RPM', description: 'Plays at 33 ⅓' },
+  { name: '45 RPM', description: 'Plays at 45' },
+  { name: '78 RPM', description: 'Plays at 78' },
+  { name: 'Album', description: 'Full-length release' },
+  { name: 'Mini-Album', description: 'Shorter than an album, longer than an EP' },
+  { name: 'EP', description: 'Extended play' },
+  { name: 'Single', description: 'One main track' },
+  { name: 'Maxi-Single', description: 'Single with extra versions, usually a 12"' },
+  { name: 'Compilation', description: 'Tracks gathered from several sources' },
+  { name: 'Mixed', description: 'DJ mix' },
+  { name: 'Sampler', description: 'Selection to promote a catalogue' },
+  { name: 'Reissue', description: 'Released again later' },
+  { name: 'Repress', description: 'Pressed again from the same masters' },
+  { name: 'Remastered', description: 'New mastering' },
+  { name: 'Limited Edition', description: 'Limited run' },
+  { name: 'Numbered', description: 'Copies are individually numbered' },
+  { name: 'Special Edition', description: 'Special or expanded edition' },
+  { name: 'Deluxe Edition', description: 'Deluxe or expanded edition' },
+  { name: 'Club Edition', description: 'Record club pressing' },
+  { name: 'Promo', description: 'Promotional copy, not for sale' },
+  { name: 'Test Pressing', description: 'Pressed to check the cut before the run' },
+  { name: 'White Label', description: 'Plain label, often pre-release' },
+  { name: 'Picture Disc', description: 'Image pressed into the vinyl' },
+  { name: 'Misprint', description: 'Printing or pressing error' },
+  { name: 'Unofficial Release', description: 'Bootleg or unlicensed release' },
+  { name: 'Mono', description: 'Monophonic mix' },
+  { name: 'Stereo', description: 'Stereophonic mix' },
+  { name: 'Quadraphonic', description: 'Four-channel mix' },
+];
+
+/**
+ * Country names as Discogs spells them, including its regions ("Europe", "UK & Europe")
+ */
+export const COUNTRIES = [
+  'US', 'UK', 'Germany', 'France', 'Japan', 'Netherlands', 'Italy', 'Canada', 'Europe',
+  'UK & Europe', 'USA & Canada', 'USA & Europe', 'Worldwide', 'Spain', 'Australia', 'Sweden',
+  'Belgium', 'Brazil', 'Russia', 'USSR', 'Poland', 'Greece', 'Mexico', 'Argentina', 'Denmark',
+  'Finland', 'Norway', 'Switzerland', 'Austria', 'Portugal', 'Ireland', 'New Zealand',
+  'South Africa', 'Jamaica', 'Czech Republic', 'Czechoslovakia', 'Hungary',
+  'German Democratic Republic (GDR)', 'Yugoslavia', 'Serbia', 'Croatia', 'Slovenia', 'Slovakia',
+  'Romania', 'Bulgaria', 'Ukraine', 'Belarus', 'Lithuania', 'Latvia', 'Estonia', 'Iceland',
+  'Luxembourg', 'Turkey', 'Israel', 'Lebanon', 'Egypt', 'Morocco', 'Algeria', 'Tunisia',
+  'Nigeria', 'Ghana', 'Kenya', 'Senegal', 'Mali', 'Ethiopia', 'Zimbabwe', 'Congo',
+  'India', 'Pakistan', 'Indonesia', 'Malaysia', 'Singapore', 'Thailand', 'Philippines',
+  'Vietnam', 'South Korea', 'Taiwan', 'Hong Kong', 'China', 'Chile', 'Colombia', 'Peru',
+  'Venezuela', 'Uruguay', 'Ecuador', 'Bolivia', 'Cuba', 'Puerto Rico', 'Dominican Republic',
+  'Trinidad & Tobago', 'Barbados', 'Haiti', 'Scandinavia', 'Benelux', 'Australasia', 'Unknown',
+];
+
+/**
+ * Comparison key for taxonomy names: case, accents and punctuation ignored
+ * e.g. "hiphop", "hip-hop" and "Hip Hop" all give "hiphop"
+ * @param {string} name - Name as typed or stored
+ * @returns {string}
+ */
+export const normalizeTaxonomyName = (name) => {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9"⅓]/g, '');
+};
+
+/**
+ * Find the Discogs spelling of a name in a list
+ * @param {string[]} names - Names to search
+ * @param {string} value - Name as typed
+ * @returns {string|null} - Discogs spelling, or null when not in the list
+ */
+export const findTaxonomyName = (names, value) => {
+  const wanted = normalizeTaxonomyName(value);
+  if (!wanted) return null;
+  return names.find(name => normalizeTaxonomyName(name) === wanted) || null;
+};
+
+/**
+ * Every style, each listed once, alphabetical
+ */
+export const ALL_STYLES = [...new Set(Object.values(GENRE_STYLES).flat())]
+  .sort((a, b) => a.localeCompare(b));
+
+/**
+ * Styles belonging to any of the given genres
+ * @param {string[]} [genres] - Discogs genre names; none means every style
+ * @returns {string[]} - Alphabetical, without duplicates
+ */
+export const getStylesForGenres = (genres = []) => {
+  const known = genres.map(genre => findTaxonomyName(GENRES, genre)).filter(Boolean);
+  if (known.length === 0) return ALL_STYLES;
+
+  return [...new Set(known.flatMap(genre => GENRE_STYLES[genre]))]
+    .sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Genres a style is listed under
+ * @param {string} style - Discogs style name
+ * @returns {string[]}
+ */
+export const getGenresForStyle = (style) => {
+  const wanted = normalizeTaxonomyName(style);
+  return GENRES.filter(genre => GENRE_STYLES[genre].some(name => normalizeTaxonomyName(name) === wanted));
+};
+
+export default {
+  GENRE_STYLES,
+  GENRES,
+  ALL_STYLES,
+  FORMATS,
+  FORMAT_DESCRIPTIONS,
+  COUNTRIES,
+  normalizeTaxonomyName,
+  findTaxonomyName,
+  getStylesForGenres,
+  getGenresForStyle,
+};
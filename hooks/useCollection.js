@@ -0,0 +1,44 @@
+/**
+ * useCollection Hook
+ *
+ * Subscribes to the mirrored Discogs collection and syncs it when it is stale.
+ * Nothing is fetched while the user is logged out.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import collectionManager from '../utils/CollectionManager';
+
+const useCollection = () => {
+  const [state, setState] = useState(() => collectionManager.getState());
+
+  useEffect(() => {
+    // Catch changes between the initial render and subscribing
+    setState(collectionManager.getState());
+    const unsubscribe = collectionManager.subscribe(setState);
+    collectionManager.syncIfStale();
+    return unsubscribe;
+  }, []);
+
+  const ownedReleaseIds = useMemo(
+    () => new Set(state.items.map(item => item.id)),
+    [state.items]
+  );
+
+  /**
+   * Whether the user owns a release; changes identity whenever the collection does
+   */
+  const isInCollection = useCallback(
+    (releaseId) => ownedReleaseIds.has(Number(releaseId)),
+    [ownedReleaseIds]
+  );
+
+  const sync = useCallback(() => collectionManager.sync(), []);
+
+  return {
+    ...state,
+    isInCollection,
+    sync,
+  };
+};
+
+export default useCollection;
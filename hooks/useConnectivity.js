@@ -0,0 +1,32 @@
+/**
+ * useConnectivity Hook
+ *
+ * Subscribes to the connectivity manager so screens can switch to
+ * saved data and queue work while Discogs is unreachable.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import connectivityManager from '../utils/ConnectivityManager';
+
+const useConnectivity = () => {
+  const [status, setStatus] = useState(() => connectivityManager.getStatus());
+
+  useEffect(() => {
+    // Catch changes between the initial render and subscribing
+    setStatus(connectivityManager.getStatus());
+    return connectivityManager.subscribe(setStatus);
+  }, []);
+
+  /**
+   * Check reachability now instead of waiting for the next probe
+   */
+  const checkConnection = useCallback(() => connectivityManager.probe(), []);
+
+  return {
+    isOnline: status.isOnline,
+    offlineSince: status.offlineSince,
+    checkConnection,
+  };
+};
+
+export default useConnectivity;
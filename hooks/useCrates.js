@@ -0,0 +1,22 @@
+/**
+ * useCrates Hook
+ *
+ * Subscribes to the crates stored on the device.
+ */
+
+import { useEffect, useState } from 'react';
+import cratesManager from '../utils/CratesManager';
+
+const useCrates = () => {
+  const [crates, setCrates] = useState(() => cratesManager.getCrates());
+
+  useEffect(() => {
+    // Catch changes between the initial render and subscribing
+    setCrates(cratesManager.getCrates());
+    return cratesManager.subscribe(setCrates);
+  }, []);
+
+  return crates;
+};
+
+export default useCrates;
@@ -0,0 +1,22 @@
+/**
+ * useLuckyHistory Hook
+ *
+ * Subscribes to the recent "Feeling lucky" picks.
+ */
+
+import { useEffect, useState } from 'react';
+import luckyHistory from '../utils/LuckyHistory';
+
+const useLuckyHistory = () => {
+  const [entries, setEntries] = useState(() => luckyHistory.getEntries());
+
+  useEffect(() => {
+    // Catch changes between the initial render and subscribing
+    setEntries(luckyHistory.getEntries());
+    return luckyHistory.subscribe(setEntries);
+  }, []);
+
+  return entries;
+};
+
+export default useLuckyHistory;
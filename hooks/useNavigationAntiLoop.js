@@ -2,7 +2,8 @@
  * useNavigationAntiLoop Hook
  * 
  * Provides anti-loop navigation utilities and context awareness
- * for preventing circular navigation between record details and label releases.
+ * for preventing circular navigation between record details, label releases,
+ * master versions and artist pages.
  * 
  * Features:
  * - Context-aware navigation decisions
@@ -22,7 +23,7 @@ import navigationStateManager from '../utils/NavigationStateManager';
  */
 export const useNavigationAntiLoop = (options = {}) => {
   const {
-    currentScreenType = null,  // 'RecordDetail' or 'LabelReleases'
+    currentScreenType = null,  // 'RecordDetail', 'LabelReleases', 'MasterVersions' or 'ArtistDetail'
     currentItemId = null,      // Current record ID or label name
     currentItemData = null     // Additional context data
   } = options;
@@ -83,6 +84,8 @@ export const useNavigationAntiLoop = (options = {}) => {
       labelName = labelData[0];
     } else if (typeof labelData === 'string') {
       labelName = labelData;
+    } else if (typeof labelData === 'object') {
+      labelName = labelData.name;
     }
 
     if (labelName?.includes(' - ')) {
@@ -95,6 +98,7 @@ export const useNavigationAntiLoop = (options = {}) => {
     }
 
     const cleanLabelName = labelName.trim();
+    const labelId = labelData.id || context.labelId || null;
     const { fromRecordId, metadata = {} } = context;
 
     const success = navigationStateManager.navigateIfAllowed(
@@ -106,6 +110,7 @@ export const useNavigationAntiLoop = (options = {}) => {
           pathname: '/label-releases',
           params: { 
             labelName: cleanLabelName,
+            labelId: labelId || undefined,
             fromRecordId: fromRecordId || undefined
           }
         });
@@ -114,6 +119,7 @@ export const useNavigationAntiLoop = (options = {}) => {
         fromScreen: currentScreenType,
         fromItemId: currentItemId,
         labelName: cleanLabelName,
+        labelId: labelId,
         ...metadata
       }
     );
@@ -125,6 +131,98 @@ export const useNavigationAntiLoop = (options = {}) => {
     return success;
   }, [currentScreenType, currentItemId]);
 
+  /**
+   * Navigate to all versions of a master release with anti-loop protection
+   */
+  const navigateToMaster = useCallback((masterId, context = {}) => {
+    if (!masterId) {
+      console.warn('⚠️ Cannot navigate: No master ID provided');
+      return false;
+    }
+
+    const { masterTitle, fromRecordId, metadata = {} } = context;
+
+    const success = navigationStateManager.navigateIfAllowed(
+      'MasterVersions',
+      masterId,
+      () => {
+        console.log('💿 Navigating to master versions:', masterTitle || masterId);
+        router.push({
+          pathname: '/master-versions',
+          params: {
+            masterId: String(masterId),
+            masterTitle: masterTitle || undefined,
+            fromRecordId: fromRecordId || undefined
+          }
+        });
+      },
+      {
+        fromScreen: currentScreenType,
+        fromItemId: currentItemId,
+        masterId,
+        ...metadata
+      }
+    );
+
+    if (!success) {
+      console.log('🚫 Master navigation blocked to prevent loop');
+    }
+
+    return success;
+  }, [currentScreenType, currentItemId]);
+
+  /**
+   * Navigate to an artist page with anti-loop protection
+   * @param {Object} artist - Discogs artist reference ({ id, name })
+   */
+  const navigateToArtist = useCallback((artist, context = {}) => {
+    if (!artist?.id) {
+      console.warn('⚠️ Cannot navigate: No artist ID provided');
+      return false;
+    }
+
+    const { fromRecordId, metadata = {} } = context;
+
+    const success = navigationStateManager.navigateIfAllowed(
+      'ArtistDetail',
+      artist.id,
+      () => {
+        console.log('🎤 Navigating to artist:', artist.name || artist.id);
+        router.push({
+          pathname: '/artist-detail',
+          params: {
+            artistId: String(artist.id),
+            artistName: artist.name || undefined,
+            fromRecordId: fromRecordId || undefined
+          }
+        });
+      },
+      {
+        fromScreen: currentScreenType,
+        fromItemId: currentItemId,
+        artistName: artist.name,
+        ...metadata
+      }
+    );
+
+    if (!success) {
+      console.log('🚫 Artist navigation blocked to prevent loop');
+    }
+
+    return success;
+  }, [currentScreenType, currentItemId]);
+
+  /**
+   * Check if an artist should be clickable (anti-loop logic)
+   * Artists without a Discogs ID (e.g. parsed from a title) can't be opened.
+   */
+  const isArtistClickable = useCallback((artist) => {
+    if (!artist?.id) return false;
+
+    const currentArtistId = navigationStateManager.getCurrentArtistId();
+    return !(currentArtistId && String(currentArtistId) === String(artist.id));
+  }, []);
+
   /**
    * Check if a label should be clickable (anti-loop logic)
    */
@@ -137,6 +235,8 @@ export const useNavigationAntiLoop = (options = {}) => {
       labelName = labelData[0];
     } else if (typeof labelData === 'string') {
       labelName = labelData;
+    } else if (typeof labelData === 'object') {
+      labelName = labelData.name;
     }
 
     if (labelName?.includes(' - ')) {
@@ -197,10 +297,13 @@ export const useNavigationAntiLoop = (options = {}) => {
     // Navigation functions
     navigateToRecord,
     navigateToLabel,
+    navigateToMaster,
+    navigateToArtist,
     navigateBack,
     
     // Context checks
     isLabelClickable,
+    isArtistClickable,
     isRecordClickable,
     navigationContext,
     
@@ -1,46 +1,90 @@
 /**
  * useRateLimitHandler Hook
- * 
+ *
  * Provides user-friendly handling of API rate limit errors
- * with automatic retry logic and user feedback
+ * with automatic retry logic and user feedback.
+ *
+ * Subscribes to the Discogs client's rate limit budget, so the UI can show
+ * the real remaining quota and a live countdown while requests are paused.
  */
 
-import { useCallback, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { Alert } from 'react-native';
+import { getRateLimitStatus, subscribeToRateLimit } from '../api/discogsClient';
+import { AuthError, NetworkError, NotFoundError, RateLimitError } from '../api/errors';
+
+/**
+ * Build the banner message for the current budget
+ * @param {Object} status - Result of getRateLimitStatus()
+ * @returns {string} - Message, or empty string when not throttled
+ */
+const buildRateLimitMessage = (status) => {
+  if (status.resetInSeconds > 0) {
+    return `Discogs rate limit reached. Resuming in ${status.resetInSeconds}s...`;
+  }
+  if (status.isThrottled) {
+    return `Only ${status.remaining} of ${status.limit} requests left this minute. Searches are slowed down.`;
+  }
+  return '';
+};
 
 const useRateLimitHandler = () => {
-  const [isWaitingForRateLimit, setIsWaitingForRateLimit] = useState(false);
-  const [rateLimitMessage, setRateLimitMessage] = useState('');
+  const [rateLimitStatus, setRateLimitStatus] = useState(getRateLimitStatus);
+  const [hasRateLimitError, setHasRateLimitError] = useState(false);
+
+  // Keep the budget in sync with the Discogs client
+  useEffect(() => {
+    return subscribeToRateLimit(setRateLimitStatus);
+  }, []);
+
+  // Tick once per second while a cooldown is running so the countdown moves
+  useEffect(() => {
+    if (rateLimitStatus.resetInSeconds <= 0) {
+      return undefined;
+    }
+
+    const interval = setInterval(() => {
+      setRateLimitStatus(getRateLimitStatus());
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [rateLimitStatus.resetInSeconds]);
+
+  // Clear the error flag once the cooldown has finished
+  useEffect(() => {
+    if (hasRateLimitError && rateLimitStatus.resetInSeconds <= 0) {
+      setHasRateLimitError(false);
+    }
+  }, [hasRateLimitError, rateLimitStatus.resetInSeconds]);
+
+  const isWaitingForRateLimit = hasRateLimitError || rateLimitStatus.resetInSeconds > 0;
+  const rateLimitMessage = buildRateLimitMessage(rateLimitStatus) ||
+    (hasRateLimitError ? 'API rate limit reached. Please wait a moment...' : '');
 
   /**
    * Handle rate limit errors with user feedback
    */
   const handleRateLimitError = useCallback((error, retryFunction) => {
-    if (error.message.includes('Rate limit') || error.message.includes('429')) {
-      setIsWaitingForRateLimit(true);
-      setRateLimitMessage('API rate limit reached. Please wait a moment...');
-      
+    if (error instanceof RateLimitError) {
+      const status = getRateLimitStatus();
+      setHasRateLimitError(true);
+      setRateLimitStatus(status);
+
+      const waitSeconds = status.resetInSeconds || error.retryAfter;
+      const waitText = waitSeconds > 0
+        ? `Requests will resume in ${waitSeconds} seconds.`
+        : 'The app will automatically retry in a few seconds.';
+
       // Show user-friendly alert
       Alert.alert(
         'Rate Limit Reached',
-        'The Discogs API is temporarily limiting requests. The app will automatically retry in a few seconds.',
-        [
-          {
-            text: 'OK',
-            onPress: () => {
-              // Clear the message after user acknowledges
-              setTimeout(() => {
-                setIsWaitingForRateLimit(false);
-                setRateLimitMessage('');
-              }, 3000);
-            }
-          }
-        ]
+        `The Discogs API is temporarily limiting requests. ${waitText}`,
+        [{ text: 'OK' }]
       );
-      
+
       return true; // Indicates this was a rate limit error
     }
-    
+
     return false; // Not a rate limit error
   }, []);
 
@@ -49,16 +93,15 @@ const useRateLimitHandler = () => {
    */
   const executeWithRateLimitHandling = useCallback(async (asyncFunction, showUserFeedback = true) => {
     try {
-      setIsWaitingForRateLimit(false);
-      setRateLimitMessage('');
-      
+      setHasRateLimitError(false);
+
       const result = await asyncFunction();
       return result;
-      
+
     } catch (error) {
       if (showUserFeedback && handleRateLimitError(error, asyncFunction)) {
         // Rate limit error handled, rethrow for component to handle
-        throw new Error('Rate limit - please wait');
+        throw error;
       } else {
         // Other error, rethrow as-is
         throw error;
@@ -70,18 +113,25 @@ const useRateLimitHandler = () => {
    * Get user-friendly error message for display
    */
   const getDisplayError = useCallback((error) => {
-    if (error.message.includes('Rate limit') || error.message.includes('429')) {
-      return 'API rate limit reached. Please try again in a moment.';
+    if (error instanceof RateLimitError) {
+      const waitSeconds = getRateLimitStatus().resetInSeconds || error.retryAfter;
+      return waitSeconds > 0
+        ? `API rate limit reached. Please try again in ${waitSeconds} seconds.`
+        : 'API rate limit reached. Please try again in a moment.';
     }
-    
-    if (error.message.includes('Network')) {
+
+    if (error instanceof NetworkError) {
       return 'Network connection issue. Please check your internet connection.';
     }
-    
-    if (error.message.includes('401') || error.message.includes('authenticate')) {
-      return 'Authentication issue. Please check your API credentials.';
+
+    if (error instanceof AuthError) {
+      return 'Authentication issue. Please log in to Discogs again.';
+    }
+
+    if (error instanceof NotFoundError) {
+      return 'This item is no longer available on Discogs.';
     }
-    
+
     // Generic error message
     return 'Unable to load data. Please try again later.';
   }, []);
@@ -89,10 +139,11 @@ const useRateLimitHandler = () => {
   return {
     isWaitingForRateLimit,
     rateLimitMessage,
+    rateLimitStatus,
     handleRateLimitError,
     executeWithRateLimitHandling,
     getDisplayError,
   };
 };
 
-export default useRateLimitHandler;
\ No newline at end of file
+export default useRateLimitHandler;
@@ -0,0 +1,28 @@
+/**
+ * useSession Hook
+ *
+ * Subscribes to the Discogs login state: who is logged in, and whether the
+ * session was just revoked.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import sessionManager from '../utils/SessionManager';
+
+const useSession = () => {
+  const [state, setState] = useState(() => sessionManager.getState());
+
+  useEffect(() => {
+    // Catch changes between the initial render and subscribing
+    setState(sessionManager.getState());
+    return sessionManager.subscribe(setState);
+  }, []);
+
+  const logout = useCallback(() => sessionManager.logout(), []);
+
+  return {
+    ...state,
+    logout,
+  };
+};
+
+export default useSession;
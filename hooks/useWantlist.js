@@ -0,0 +1,30 @@
+/**
+ * useWantlist Hook
+ *
+ * Subscribes to the mirrored Discogs wantlist and syncs it when it is stale.
+ * Nothing is fetched while the user is logged out.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import wantlistManager from '../utils/WantlistManager';
+
+const useWantlist = () => {
+  const [state, setState] = useState(() => wantlistManager.getState());
+
+  useEffect(() => {
+    // Catch changes between the initial render and subscribing
+    setState(wantlistManager.getState());
+    const unsubscribe = wantlistManager.subscribe(setState);
+    wantlistManager.syncIfStale();
+    return unsubscribe;
+  }, []);
+
+  const sync = useCallback(() => wantlistManager.sync(), []);
+
+  return {
+    ...state,
+    sync,
+  };
+};
+
+export default useWantlist;
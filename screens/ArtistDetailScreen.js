@@ -0,0 +1,843 @@
+/**
+ * ArtistDetailScreen Component
+ *
+ * Shows a Discogs artist profile with their discography.
+ *
+ * Features:
+ * - Profile text, primary image and real name
+ * - Aliases, name variations, groups and members (navigable)
+ * - Paginated discography with infinite scroll
+ * - Sort by year (oldest or newest first)
+ * - Role filter: main releases, remixes, appearances
+ * - Navigation to record details and master versions
+ */
+
+import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  FlatList,
+  Image,
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { ARTIST_ROLE_GROUPS, getArtistInfo, getArtistReleases } from '../api/discogs';
+import { AuthError, NetworkError, NotFoundError, RateLimitError, isAbortError } from '../api/errors';
+import useNavigationAntiLoop from '../hooks/useNavigationAntiLoop';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import apiRequestManager from '../utils/APIRequestManager';
+import { cleanDiscogsMarkup, formatDiscogsName } from '../utils/format';
+import navigationStateManager from '../utils/NavigationStateManager';
+
+const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
+
+const ROLE_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'main', label: 'Main' },
+  { value: 'remix', label: 'Remixes' },
+  { value: 'appearance', label: 'Appearances' },
+];
+
+/**
+ * User-facing message for a failed load
+ */
+const getErrorMessage = (err) => {
+  if (err instanceof NotFoundError) {
+    return 'This artist no longer exists on Discogs.';
+  }
+  if (err instanceof RateLimitError) {
+    return err.retryAfter
+      ? `API rate limit reached. Please try again in ${err.retryAfter} seconds.`
+      : 'API rate limit reached. Please wait a moment and try again.';
+  }
+  if (err instanceof NetworkError) {
+    return 'Network connection issue. Please check your internet connection.';
+  }
+  if (err instanceof AuthError) {
+    return 'Authentication issue. Please try again later.';
+  }
+  return 'Unable to load this artist. Please try again later.';
+};
+
+const ArtistDetailScreen = () => {
+  const params = useLocalSearchParams();
+  const artistId = params.artistId ? Number(params.artistId) : null;
+  const artistName = params.artistName || '';
+  const fromRecordId = params.fromRecordId || null;
+
+  // State management
+  const [artist, setArtist] = useState(null);
+  const [releases, setReleases] = useState([]);
+  const [sortOrder, setSortOrder] = useState('asc');
+  const [roleFilter, setRoleFilter] = useState('all');
+  const [showFullProfile, setShowFullProfile] = useState(false);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 0,
+    hasNextPage: false,
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Refs for ignoring stale responses and unmounted updates
+  const isComponentMounted = useRef(true);
+  const latestRequestId = useRef(0);
+
+  const {
+    navigateToRecord,
+    navigateToMaster,
+    navigateToArtist,
+  } = useNavigationAntiLoop({
+    currentScreenType: 'ArtistDetail',
+    currentItemId: artistId,
+    currentItemData: { artistId, artistName }
+  });
+
+  // Register this screen in navigation state manager when focused
+  useFocusEffect(
+    useCallback(() => {
+      if (artistId) {
+        navigationStateManager.setCurrentScreen('ArtistDetail', artistId, {
+          artistName: artist?.name || artistName,
+          fromRecordId: fromRecordId
+        });
+      }
+
+      return () => {
+        console.log('📍 ArtistDetail screen blurred');
+      };
+    }, [artistId, artist?.name, artistName, fromRecordId])
+  );
+
+  // Track mount state
+  useEffect(() => {
+    isComponentMounted.current = true;
+
+    return () => {
+      isComponentMounted.current = false;
+      apiRequestManager.cancelRequest('getArtistInfo', { artistId });
+    };
+  }, [artistId]);
+
+  /**
+   * Load the artist profile
+   */
+  useEffect(() => {
+    if (!artistId) return;
+
+    const loadArtist = async () => {
+      try {
+        const result = await apiRequestManager.executeRequest(
+          'getArtistInfo',
+          { artistId },
+          async (signal) => await getArtistInfo(artistId, { signal }),
+          { onRevalidated: (fresh) => isComponentMounted.current && setArtist(fresh) }
+        );
+
+        if (isComponentMounted.current) {
+          setArtist(result);
+        }
+      } catch (err) {
+        if (isAbortError(err) || !isComponentMounted.current) return;
+        console.error('❌ Failed to load artist:', err.message);
+        setError(getErrorMessage(err));
+      }
+    };
+
+    loadArtist();
+  }, [artistId]);
+
+  /**
+   * Load a page of the discography in the current sort order
+   */
+  const loadReleases = useCallback(async (page = 1, append = false, forceRefresh = false) => {
+    if (!artistId) return;
+
+    const requestId = ++latestRequestId.current;
+
+    if (append) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+      setError(null);
+    }
+
+    try {
+      const result = await apiRequestManager.executeRequest(
+        'getArtistReleases',
+        { artistId, page, sortOrder },
+        async (signal) => await getArtistReleases(artistId, {
+          page,
+          perPage: 50,
+          sort: 'year',
+          sortOrder,
+          signal,
+        }),
+        {
+          useCache: !forceRefresh,
+          forceRefresh
+        }
+      );
+
+      // Ignore responses for a sort order the user already moved away from
+      if (!isComponentMounted.current || requestId !== latestRequestId.current || !result) {
+        return;
+      }
+
+      setReleases(prev => append ? [...prev, ...result.results] : result.results);
+      setPagination({
+        currentPage: page,
+        totalPages: result.pagination?.pages || 1,
+        totalItems: result.pagination?.items || 0,
+        hasNextPage: page < (result.pagination?.pages || 1),
+      });
+
+    } catch (err) {
+      if (isComponentMounted.current && !isAbortError(err) && requestId === latestRequestId.current) {
+        console.error('❌ Failed to load artist releases:', err.message);
+        setError(getErrorMessage(err));
+      }
+    } finally {
+      if (isComponentMounted.current && requestId === latestRequestId.current) {
+        setIsLoading(false);
+        setIsLoadingMore(false);
+        setIsRefreshing(false);
+      }
+    }
+  }, [artistId, sortOrder]);
+
+  // Reload from page 1 when the artist or sort order changes
+  useEffect(() => {
+    loadReleases(1, false, false);
+  }, [loadReleases]);
+
+  // Role filtering is client-side; Discogs returns every role on each page
+  const filteredReleases = useMemo(() => {
+    if (roleFilter === 'all') return releases;
+    const roles = ARTIST_ROLE_GROUPS[roleFilter] || [];
+    return releases.filter(release => roles.includes(release.role));
+  }, [releases, roleFilter]);
+
+  const profileText = useMemo(() => cleanDiscogsMarkup(artist?.profile), [artist?.profile]);
+  const primaryImage = artist?.images?.find(image => image.type === 'primary') || artist?.images?.[0];
+  const displayName = formatDiscogsName(artist?.name || artistName) || 'Artist';
+
+  const handleRefresh = useCallback(() => {
+    console.log('🔄 Refreshing artist releases');
+    setIsRefreshing(true);
+    loadReleases(1, false, true);
+  }, [loadReleases]);
+
+  const handleLoadMore = useCallback(() => {
+    if (pagination.hasNextPage && !isLoading && !isLoadingMore) {
+      const nextPage = pagination.currentPage + 1;
+      console.log(`📄 Loading more artist releases, page ${nextPage}`);
+      loadReleases(nextPage, true, false);
+    }
+  }, [pagination.hasNextPage, pagination.currentPage, isLoading, isLoadingMore, loadReleases]);
+
+  const handleToggleSort = useCallback(() => {
+    setSortOrder(prev => (prev === 'asc' ? 'desc' : 'asc'));
+  }, []);
+
+  const handleBack = useCallback(() => {
+    router.back();
+  }, []);
+
+  /**
+   * Masters open their versions list, releases open record details
+   */
+  const handleReleasePress = useCallback((release) => {
+    if (release.isMaster) {
+      navigateToMaster(release.master_id, { masterTitle: release.album });
+    } else {
+      navigateToRecord(release, {
+        metadata: {
+          fromArtistId: artistId
+        }
+      });
+    }
+  }, [navigateToMaster, navigateToRecord, artistId]);
+
+  const handleArtistPress = useCallback((relatedArtist) => {
+    navigateToArtist(relatedArtist, {
+      metadata: {
+        fromArtistId: artistId
+      }
+    });
+  }, [navigateToArtist, artistId]);
+
+  /**
+   * Render a row of related artist chips (aliases, groups, members)
+   */
+  const renderArtistChips = (title, relatedArtists) => {
+    if (!relatedArtists || relatedArtists.length === 0) return null;
+
+    return (
+      <View style={styles.relatedSection}>
+        <Text style={styles.relatedTitle}>{title}</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {relatedArtists.map(related => (
+            <TouchableOpacity
+              key={`${title}-${related.id}`}
+              style={[styles.chip, related.active === false && styles.chipInactive]}
+              onPress={() => handleArtistPress(related)}
+            >
+              <Text style={styles.chipText}>{formatDiscogsName(related.name)}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+    );
+  };
+
+  /**
+   * Profile and discography controls shown above the list
+   */
+  const renderHeader = () => (
+    <View>
+      {artist && (
+        <View style={styles.profileSection}>
+          {primaryImage?.uri ? (
+            <Image source={{ uri: primaryImage.uri }} style={styles.artistImage} resizeMode="cover" />
+          ) : (
+            <View style={[styles.artistImage, styles.placeholderImage]}>
+              <Text style={styles.placeholderText}>🎤</Text>
+            </View>
+          )}
+
+          {artist.realname && artist.realname !== artist.name && (
+            <Text style={styles.realName}>Real name: {artist.realname}</Text>
+          )}
+
+          {profileText ? (
+            <TouchableOpacity onPress={() => setShowFullProfile(prev => !prev)} activeOpacity={0.8}>
+              <Text style={styles.profileText} numberOfLines={showFullProfile ? undefined : 4}>
+                {profileText}
+              </Text>
+              <Text style={styles.profileToggle}>{showFullProfile ? 'Show less' : 'Read more'}</Text>
+            </TouchableOpacity>
+          ) : null}
+
+          {artist.namevariations?.length > 0 && (
+            <View style={styles.relatedSection}>
+              <Text style={styles.relatedTitle}>Also credited as</Text>
+              <Text style={styles.variationsText}>{artist.namevariations.join(' • ')}</Text>
+            </View>
+          )}
+
+          {renderArtistChips('Aliases', artist.aliases)}
+          {renderArtistChips('Groups', artist.groups)}
+          {renderArtistChips('Members', artist.members)}
+        </View>
+      )}
+
+      {/* Discography controls */}
+      <View style={styles.discographyHeader}>
+        <Text style={styles.sectionTitle}>Discography</Text>
+        <TouchableOpacity style={styles.sortButton} onPress={handleToggleSort}>
+          <Text style={styles.sortButtonText}>
+            Year {sortOrder === 'asc' ? '↑ oldest first' : '↓ newest first'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.roleFilters}>
+        {ROLE_FILTERS.map(filter => {
+          const isActive = roleFilter === filter.value;
+          return (
+            <TouchableOpacity
+              key={filter.value}
+              style={[styles.chip, isActive && styles.chipActive]}
+              onPress={() => setRoleFilter(filter.value)}
+            >
+              <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{filter.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderReleaseItem = useCallback(({ item }) => (
+    <TouchableOpacity
+      style={styles.releaseCard}
+      onPress={() => handleReleasePress(item)}
+      activeOpacity={0.8}
+    >
+      {item.thumb ? (
+        <Image source={{ uri: item.thumb }} style={styles.releaseImage} resizeMode="cover" />
+      ) : (
+        <View style={[styles.releaseImage, styles.placeholderImage]}>
+          <Text style={styles.placeholderText}>♪</Text>
+        </View>
+      )}
+
+      <View style={styles.releaseInfo}>
+        <Text style={styles.releaseTitle} numberOfLines={2}>{item.album}</Text>
+        {item.artist && (
+          <Text style={styles.releaseArtist} numberOfLines={1}>{item.artist}</Text>
+        )}
+        <Text style={styles.releaseMeta} numberOfLines={1}>
+          {item.year || 'Unknown year'}
+          {item.label ? ` • ${item.label}` : ''}
+          {item.format ? ` • ${item.format}` : ''}
+        </Text>
+        <View style={styles.badgeRow}>
+          {item.role !== 'Main' && (
+            <View style={styles.badge}>
+              <Text style={styles.badgeText}>{item.role}</Text>
+            </View>
+          )}
+          {item.isMaster && (
+            <View style={[styles.badge, styles.badgeMaster]}>
+              <Text style={styles.badgeText}>All versions</Text>
+            </View>
+          )}
+        </View>
+      </View>
+
+      <Text style={styles.chevron}>›</Text>
+    </TouchableOpacity>
+  ), [handleReleasePress]);
+
+  const renderFooter = useCallback(() => {
+    if (!isLoadingMore) return null;
+
+    return (
+      <View style={styles.loadingFooter}>
+        <ActivityIndicator size="small" color={colors.accent} />
+        <Text style={styles.loadingFooterText}>Loading more...</Text>
+      </View>
+    );
+  }, [isLoadingMore]);
+
+  const renderEmpty = useCallback(() => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>💿</Text>
+      <Text style={styles.emptyText}>No Releases Found</Text>
+      <Text style={styles.emptyMessage}>
+        {roleFilter === 'all'
+          ? 'Discogs has no releases listed for this artist.'
+          : pagination.hasNextPage
+            ? 'None on the pages loaded so far. Scroll to load more.'
+            : 'No releases with this role.'}
+      </Text>
+    </View>
+  ), [roleFilter, pagination.hasNextPage]);
+
+  const renderError = () => (
+    <View style={styles.errorContainer}>
+      <Text style={styles.errorIcon}>⚠️</Text>
+      <Text style={styles.errorText}>Error Loading Artist</Text>
+      <Text style={styles.errorMessage}>{error}</Text>
+      <TouchableOpacity
+        style={styles.retryButton}
+        onPress={() => loadReleases(1, false, true)}
+      >
+        <Text style={styles.retryButtonText}>Try Again</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle} numberOfLines={1}>
+            {displayName}
+          </Text>
+          <Text style={styles.headerSubtitle}>
+            {pagination.totalItems} releases
+          </Text>
+        </View>
+      </View>
+
+      {/* Content */}
+      {error ? (
+        renderError()
+      ) : (
+        <FlatList
+          data={filteredReleases}
+          renderItem={renderReleaseItem}
+          keyExtractor={(item, index) => `${item.type}-${item.id}-${index}`}
+          ListHeaderComponent={renderHeader()}
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefreshing}
+              onRefresh={handleRefresh}
+              tintColor={colors.accent}
+              colors={[colors.accent]}
+            />
+          }
+          onEndReached={handleLoadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={!isLoading ? renderEmpty : null}
+          ListFooterComponent={renderFooter}
+          removeClippedSubviews={true}
+          maxToRenderPerBatch={10}
+          windowSize={10}
+        />
+      )}
+
+      {/* Loading Overlay for Initial Load */}
+      {isLoading && releases.length === 0 && !artist && !error && (
+        <View style={styles.loadingOverlay}>
+          <ActivityIndicator size="large" color={colors.accent} />
+          <Text style={styles.loadingText}>Loading artist...</Text>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  backButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+
+  backButtonText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  headerContent: {
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+
+  headerTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  // Profile
+  profileSection: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+
+  artistImage: {
+    width: 160,
+    height: 160,
+    borderRadius: borderRadius.full,
+    marginBottom: spacing.md,
+    ...shadows.md,
+  },
+
+  realName: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginBottom: spacing.sm,
+  },
+
+  profileText: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+    lineHeight: 20,
+  },
+
+  profileToggle: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    marginTop: spacing.xs,
+  },
+
+  relatedSection: {
+    alignSelf: 'stretch',
+    marginTop: spacing.md,
+  },
+
+  relatedTitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+    marginBottom: spacing.xs,
+  },
+
+  variationsText: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+  },
+
+  // Chips
+  chip: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+
+  chipInactive: {
+    opacity: 0.6,
+  },
+
+  chipActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  chipText: {
+    color: colors.text,
+    fontSize: typography.fontSize.xs,
+  },
+
+  chipTextActive: {
+    color: colors.background,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  // Discography controls
+  discographyHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: spacing.sm,
+  },
+
+  sectionTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  sortButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+
+  sortButtonText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  roleFilters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: spacing.md,
+  },
+
+  // List
+  listContent: {
+    padding: spacing.md,
+  },
+
+  releaseCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.backgroundSecondary,
+    borderRadius: borderRadius.md,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    ...shadows.sm,
+  },
+
+  releaseImage: {
+    width: 64,
+    height: 64,
+    borderRadius: borderRadius.sm,
+  },
+
+  placeholderImage: {
+    backgroundColor: colors.backgroundTertiary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  placeholderText: {
+    fontSize: typography.fontSize.xl,
+    color: colors.textSecondary,
+  },
+
+  releaseInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+
+  releaseTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: 2,
+  },
+
+  releaseArtist: {
+    color: colors.accent,
+    fontSize: typography.fontSize.xs,
+    marginBottom: 2,
+  },
+
+  releaseMeta: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+  },
+
+  badgeRow: {
+    flexDirection: 'row',
+    gap: spacing.xs,
+    marginTop: spacing.xs,
+  },
+
+  badge: {
+    backgroundColor: colors.accent + '30',
+    paddingHorizontal: spacing.xs,
+    paddingVertical: 1,
+    borderRadius: borderRadius.sm,
+  },
+
+  badgeMaster: {
+    backgroundColor: colors.success + '30',
+  },
+
+  badgeText: {
+    color: colors.text,
+    fontSize: typography.fontSize.xs,
+  },
+
+  chevron: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xl,
+    marginLeft: spacing.sm,
+  },
+
+  // Loading States
+  loadingOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: colors.background,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  loadingText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.base,
+    marginTop: spacing.md,
+  },
+
+  loadingFooter: {
+    padding: spacing.lg,
+    alignItems: 'center',
+  },
+
+  loadingFooterText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.xs,
+  },
+
+  // Empty State
+  emptyContainer: {
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  emptyText: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  emptyMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.base,
+    textAlign: 'center',
+  },
+
+  // Error State
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  errorIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  errorText: {
+    color: colors.error,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  errorMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.base,
+    textAlign: 'center',
+    marginBottom: spacing.lg,
+  },
+
+  retryButton: {
+    backgroundColor: colors.accent,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+
+  retryButtonText: {
+    color: colors.background,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+    textAlign: 'center',
+  },
+});
+
+export default ArtistDetailScreen;
@@ -0,0 +1,634 @@
+/**
+ * CollectionScreen Component
+ *
+ * Mirrors the logged-in user's Discogs collection.
+ *
+ * Features:
+ * - Folder chips with release counts
+ * - Custom field values (e.g. Media Condition, Notes) with an editor
+ * - Remove a copy from the collection
+ * - Pull to refresh re-syncs with Discogs
+ * - Browsable offline from the last sync
+ */
+
+import { router, useFocusEffect } from 'expo-router';
+import React, { useCallback, useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  Image,
+  Modal,
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { ALL_FOLDER_ID } from '../api/collection';
+import { AuthButton, OfflineBanner } from '../components';
+import useCollection from '../hooks/useCollection';
+import useConnectivity from '../hooks/useConnectivity';
+import useNavigationAntiLoop from '../hooks/useNavigationAntiLoop';
+import useSession from '../hooks/useSession';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import collectionManager from '../utils/CollectionManager';
+import { formatDiscogsName, formatTimeAgo } from '../utils/format';
+import navigationStateManager from '../utils/NavigationStateManager';
+import offlineLibrary from '../utils/OfflineLibrary';
+
+const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
+
+const CollectionScreen = () => {
+  const {
+    username,
+    folders,
+    fields,
+    items,
+    lastSyncedAt,
+    isSyncing,
+    error,
+    sync,
+  } = useCollection();
+  const { isLoggedIn } = useSession();
+  const { isOnline } = useConnectivity();
+
+  const [selectedFolderId, setSelectedFolderId] = useState(ALL_FOLDER_ID);
+  const [editingItem, setEditingItem] = useState(null);
+  const [fieldDrafts, setFieldDrafts] = useState({});
+  const [isSavingFields, setIsSavingFields] = useState(false);
+
+  const { navigateToRecord } = useNavigationAntiLoop({
+    currentScreenType: 'Collection',
+    currentItemId: 'collection',
+    currentItemData: null
+  });
+
+  // Register this screen in navigation state manager when focused
+  useFocusEffect(
+    useCallback(() => {
+      navigationStateManager.setCurrentScreen('Collection', 'collection', {
+        username,
+        collectionSize: items.length
+      });
+
+      return () => {
+        console.log('📍 Collection screen blurred');
+      };
+    }, [username, items.length])
+  );
+
+  const visibleItems = useMemo(() => (
+    selectedFolderId === ALL_FOLDER_ID
+      ? items
+      : items.filter(item => item.folderId === selectedFolderId)
+  ), [items, selectedFolderId]);
+
+  const fieldNames = useMemo(
+    () => new Map(fields.map(field => [field.id, field.name])),
+    [fields]
+  );
+
+  const openFieldEditor = useCallback((item) => {
+    const drafts = {};
+    item.notes.forEach(note => {
+      drafts[note.field_id] = note.value;
+    });
+    setFieldDrafts(drafts);
+    setEditingItem(item);
+  }, []);
+
+  const closeFieldEditor = () => {
+    setEditingItem(null);
+    setFieldDrafts({});
+  };
+
+  /**
+   * Send changed custom field values to Discogs, one field per request
+   */
+  const handleSaveFields = async () => {
+    const current = {};
+    editingItem.notes.forEach(note => {
+      current[note.field_id] = note.value;
+    });
+    const changedFields = fields.filter(field => (fieldDrafts[field.id] || '') !== (current[field.id] || ''));
+
+    setIsSavingFields(true);
+    try {
+      for (const field of changedFields) {
+        await collectionManager.setFieldValue(editingItem, field.id, fieldDrafts[field.id] || '');
+      }
+      closeFieldEditor();
+    } catch (saveError) {
+      Alert.alert('Could Not Save', saveError.message);
+    } finally {
+      setIsSavingFields(false);
+    }
+  };
+
+  const handleRemove = useCallback((item) => {
+    Alert.alert(
+      'Remove from Collection',
+      `Remove this copy of "${item.album}" from your Discogs collection?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await collectionManager.removeItem(item);
+            } catch (removeError) {
+              Alert.alert('Could Not Remove', removeError.message);
+            }
+          },
+        },
+      ]
+    );
+  }, []);
+
+  const renderFolderChips = () => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.folderChips}
+    >
+      {folders.map(folder => {
+        const isSelected = folder.id === selectedFolderId;
+        return (
+          <TouchableOpacity
+            key={folder.id}
+            style={[styles.folderChip, isSelected && styles.folderChipActive]}
+            onPress={() => setSelectedFolderId(folder.id)}
+          >
+            <Text style={[styles.folderChipText, isSelected && styles.folderChipTextActive]}>
+              {folder.name} ({folder.count})
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+
+  const renderItem = useCallback(({ item }) => {
+    const details = [formatDiscogsName(item.artist), item.year || null, item.formats[0]];
+    const fieldSummary = item.notes
+      .filter(note => note.value && fieldNames.has(note.field_id))
+      .map(note => `${fieldNames.get(note.field_id)}: ${note.value}`)
+      .join(' • ');
+
+    return (
+      <TouchableOpacity style={styles.itemCard} onPress={() => navigateToRecord(item)} activeOpacity={0.8}>
+        {item.thumb ? (
+          <Image
+            source={{ uri: offlineLibrary.resolveImageUri(item.thumb) }}
+            style={styles.itemImage}
+            resizeMode="cover"
+          />
+        ) : (
+          <View style={[styles.itemImage, styles.placeholderImage]}>
+            <Text style={styles.placeholderText}>♪</Text>
+          </View>
+        )}
+
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemTitle} numberOfLines={2}>{item.album}</Text>
+          <Text style={styles.itemDetails} numberOfLines={1}>
+            {details.filter(Boolean).join(' • ')}
+          </Text>
+          {fieldSummary ? (
+            <Text style={styles.itemFields} numberOfLines={2}>{fieldSummary}</Text>
+          ) : null}
+        </View>
+
+        <View style={styles.itemActions}>
+          {fields.length > 0 && (
+            <TouchableOpacity onPress={() => openFieldEditor(item)} hitSlop={8}>
+              <Text style={styles.itemActionText}>✎</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={() => handleRemove(item)} hitSlop={8}>
+            <Text style={styles.itemActionText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    );
+  }, [fields.length, fieldNames, navigateToRecord, openFieldEditor, handleRemove]);
+
+  const renderField = (field) => {
+    const value = fieldDrafts[field.id] || '';
+    const setValue = (nextValue) => setFieldDrafts(prev => ({ ...prev, [field.id]: nextValue }));
+
+    return (
+      <View key={field.id} style={styles.field}>
+        <Text style={styles.fieldName}>{field.name}</Text>
+        {field.type === 'dropdown' ? (
+          <View style={styles.fieldOptions}>
+            {(field.options || []).map(option => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.folderChip, value === option && styles.folderChipActive]}
+                onPress={() => setValue(option)}
+              >
+                <Text style={[styles.folderChipText, value === option && styles.folderChipTextActive]}>
+                  {option}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        ) : (
+          <TextInput
+            style={styles.fieldInput}
+            value={value}
+            onChangeText={setValue}
+            multiline
+            numberOfLines={field.lines || 3}
+            placeholder={`Add ${field.name.toLowerCase()}...`}
+            placeholderTextColor={colors.textTertiary}
+          />
+        )}
+      </View>
+    );
+  };
+
+  const renderEmpty = () => {
+    if (isSyncing) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color={colors.accent} />
+          <Text style={styles.emptyMessage}>Syncing your collection...</Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyIcon}>{error ? '⚠️' : '📚'}</Text>
+        <Text style={styles.emptyText}>{error ? 'Could Not Load Collection' : 'No Records Here'}</Text>
+        <Text style={styles.emptyMessage}>
+          {error
+            ? error.message
+            : 'Add records to your collection from a record page, or on Discogs.'}
+        </Text>
+      </View>
+    );
+  };
+
+  if (!isLoggedIn && !isSyncing) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>Collection</Text>
+        </View>
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyIcon}>📚</Text>
+          <Text style={styles.emptyText}>Your Discogs Collection</Text>
+          <Text style={styles.emptyMessage}>
+            {error ? `${error.message}\n\n` : ''}
+            Log in with Discogs to browse your collection here and see which search results you already own.
+          </Text>
+          <View style={styles.loginButton}>
+            <AuthButton />
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <View style={styles.headerText}>
+          <Text style={styles.headerTitle}>Collection</Text>
+          <Text style={styles.headerSubtitle}>
+            {username ? formatDiscogsName(username) : 'Discogs'}
+            {lastSyncedAt ? ` • synced ${formatTimeAgo(lastSyncedAt)}` : ''}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.wantlistButton} onPress={() => router.push('/wantlist')}>
+          <Text style={styles.wantlistButtonText}>♥ Wantlist</Text>
+        </TouchableOpacity>
+        <AuthButton />
+      </View>
+
+      <OfflineBanner savedAt={isOnline ? null : lastSyncedAt} style={styles.offlineBanner} />
+      {folders.length > 1 && renderFolderChips()}
+
+      <FlatList
+        data={visibleItems}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.instanceId.toString()}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={[styles.listContent, visibleItems.length === 0 && styles.flexContent]}
+        refreshControl={
+          <RefreshControl
+            refreshing={isSyncing && items.length > 0}
+            onRefresh={sync}
+            tintColor={colors.accent}
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+
+      <Modal
+        visible={!!editingItem}
+        transparent
+        animationType="slide"
+        onRequestClose={closeFieldEditor}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle} numberOfLines={2}>{editingItem?.album}</Text>
+            <ScrollView>
+              {fields.map(renderField)}
+            </ScrollView>
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.modalButton} onPress={closeFieldEditor} disabled={isSavingFields}>
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonPrimary]}
+                onPress={handleSaveFields}
+                disabled={isSavingFields}
+              >
+                {isSavingFields ? (
+                  <ActivityIndicator size="small" color={colors.background} />
+                ) : (
+                  <Text style={[styles.modalButtonText, styles.modalButtonTextPrimary]}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  headerText: {
+    flex: 1,
+  },
+
+  headerTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  wantlistButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.sm,
+  },
+
+  wantlistButtonText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  offlineBanner: {
+    marginHorizontal: spacing.md,
+    marginTop: spacing.sm,
+  },
+
+  // Folders
+  folderChips: {
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.sm,
+    gap: spacing.xs,
+  },
+
+  folderChip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  folderChipActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  folderChipText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  folderChipTextActive: {
+    color: colors.background,
+  },
+
+  // List
+  listContent: {
+    padding: spacing.md,
+  },
+
+  flexContent: {
+    flex: 1,
+  },
+
+  itemCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    ...shadows.sm,
+  },
+
+  itemImage: {
+    width: 56,
+    height: 56,
+    borderRadius: borderRadius.md,
+  },
+
+  placeholderImage: {
+    backgroundColor: colors.backgroundSecondary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  placeholderText: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.xl,
+  },
+
+  itemInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+
+  itemTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  itemDetails: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  itemFields: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.xs,
+    marginTop: 2,
+  },
+
+  itemActions: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginLeft: spacing.sm,
+  },
+
+  itemActionText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.lg,
+  },
+
+  // Field editor
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+
+  modalContent: {
+    maxHeight: '80%',
+    backgroundColor: colors.backgroundSecondary,
+    borderTopLeftRadius: borderRadius.xl,
+    borderTopRightRadius: borderRadius.xl,
+    padding: spacing.lg,
+  },
+
+  modalTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.md,
+  },
+
+  field: {
+    marginBottom: spacing.md,
+  },
+
+  fieldName: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    marginBottom: spacing.xs,
+  },
+
+  fieldOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+
+  fieldInput: {
+    minHeight: 72,
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: spacing.sm,
+    textAlignVertical: 'top',
+  },
+
+  modalButtons: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginTop: spacing.sm,
+  },
+
+  modalButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  modalButtonPrimary: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  modalButtonText: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  modalButtonTextPrimary: {
+    color: colors.background,
+  },
+
+  // Empty State
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  emptyText: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  emptyMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    marginTop: spacing.sm,
+  },
+
+  loginButton: {
+    marginTop: spacing.lg,
+  },
+});
+
+export default CollectionScreen;
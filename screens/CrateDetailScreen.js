@@ -0,0 +1,286 @@
+/**
+ * CrateDetailScreen Component
+ *
+ * Shows the records in one crate, rendered like search results.
+ *
+ * Features:
+ * - Reorder and remove records
+ * - Push the whole crate to the Discogs wantlist once logged in
+ */
+
+import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
+import React, { useCallback, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import useCollection from '../hooks/useCollection';
+import useCrates from '../hooks/useCrates';
+import useNavigationAntiLoop from '../hooks/useNavigationAntiLoop';
+import useSession from '../hooks/useSession';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import cratesManager from '../utils/CratesManager';
+import navigationStateManager from '../utils/NavigationStateManager';
+import { OptimizedRecordItem } from './SearchResultsScreen';
+
+const { colors, spacing, typography, borderRadius } = sophisticatedTheme;
+
+const CrateDetailScreen = () => {
+  const { crateId } = useLocalSearchParams();
+  const crates = useCrates();
+  const crate = crates.find(entry => entry.id === crateId) || null;
+  const records = crate?.records || [];
+
+  const { isInCollection } = useCollection();
+  const { isLoggedIn } = useSession();
+  const [isPushing, setIsPushing] = useState(false);
+
+  const { navigateToRecord } = useNavigationAntiLoop({
+    currentScreenType: 'Crate',
+    currentItemId: crateId,
+    currentItemData: crate ? { name: crate.name } : null
+  });
+
+  // Register this screen in navigation state manager when focused
+  useFocusEffect(
+    useCallback(() => {
+      navigationStateManager.setCurrentScreen('Crate', crateId, {
+        crateName: crate?.name,
+        recordCount: records.length
+      });
+
+      return () => {
+        console.log('📍 Crate screen blurred');
+      };
+    }, [crateId, crate?.name, records.length])
+  );
+
+  const handleBack = useCallback(() => {
+    router.back();
+  }, []);
+
+  /**
+   * Add every release in the crate to the Discogs wantlist
+   */
+  const handlePushToWantlist = async () => {
+    setIsPushing(true);
+    try {
+      const added = await cratesManager.pushToWantlist(crateId);
+      Alert.alert(
+        'Wantlist Updated',
+        added > 0
+          ? `Added ${added} ${added === 1 ? 'release' : 'releases'} to your Discogs wantlist.`
+          : 'Everything in this crate is already on your wantlist.'
+      );
+    } catch (error) {
+      Alert.alert('Could Not Update Wantlist', error.message);
+    } finally {
+      setIsPushing(false);
+    }
+  };
+
+  const renderItem = useCallback(({ item, index }) => (
+    <View style={styles.row}>
+      <View style={styles.rowRecord}>
+        <OptimizedRecordItem
+          record={item}
+          onPress={navigateToRecord}
+          index={index}
+          inCollection={isInCollection(item.id)}
+        />
+      </View>
+
+      <View style={styles.rowControls}>
+        <TouchableOpacity
+          onPress={() => cratesManager.moveRecord(crateId, index, index - 1)}
+          disabled={index === 0}
+          hitSlop={4}
+        >
+          <Text style={[styles.controlText, index === 0 && styles.controlTextDisabled]}>▲</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => cratesManager.removeRecord(crateId, item.id)} hitSlop={4}>
+          <Text style={styles.controlText}>✕</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => cratesManager.moveRecord(crateId, index, index + 1)}
+          disabled={index === records.length - 1}
+          hitSlop={4}
+        >
+          <Text style={[styles.controlText, index === records.length - 1 && styles.controlTextDisabled]}>▼</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  ), [crateId, records.length, navigateToRecord, isInCollection]);
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>📦</Text>
+      <Text style={styles.emptyText}>{crate ? 'This Crate Is Empty' : 'Crate Not Found'}</Text>
+      <Text style={styles.emptyMessage}>
+        {crate
+          ? 'Tap 📦 on any record to add it here.'
+          : 'This crate may have been deleted.'}
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{crate?.name || 'Crate'}</Text>
+          <Text style={styles.headerSubtitle}>{records.length} records</Text>
+        </View>
+
+        {isLoggedIn && records.length > 0 && (
+          <TouchableOpacity style={styles.pushButton} onPress={handlePushToWantlist} disabled={isPushing}>
+            {isPushing ? (
+              <ActivityIndicator size="small" color={colors.background} />
+            ) : (
+              <Text style={styles.pushButtonText}>♥ Push to wantlist</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={records}
+        renderItem={renderItem}
+        keyExtractor={(item) => `crate-record-${item.id}`}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={records.length === 0 && styles.flexContent}
+        showsVerticalScrollIndicator={false}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  backButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+
+  backButtonText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  headerContent: {
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+
+  headerTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  pushButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.accent,
+  },
+
+  pushButtonText: {
+    color: colors.background,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  // List
+  flexContent: {
+    flex: 1,
+  },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'stretch',
+  },
+
+  rowRecord: {
+    flex: 1,
+  },
+
+  rowControls: {
+    justifyContent: 'space-around',
+    alignItems: 'center',
+    paddingHorizontal: spacing.sm,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  controlText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.base,
+  },
+
+  controlTextDisabled: {
+    color: colors.textTertiary,
+    opacity: 0.4,
+  },
+
+  // Empty State
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  emptyText: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  emptyMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+  },
+});
+
+export default CrateDetailScreen;
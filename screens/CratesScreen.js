@@ -0,0 +1,390 @@
+/**
+ * CratesScreen Component
+ *
+ * Lists the crates stored on the device: named lists of records that work
+ * without a Discogs login.
+ *
+ * Features:
+ * - Create, rename and delete crates
+ * - Record count and last change per crate
+ * - Opens a crate in CrateDetailScreen
+ */
+
+import { router, useFocusEffect } from 'expo-router';
+import React, { useCallback, useState } from 'react';
+import {
+  Alert,
+  FlatList,
+  Image,
+  Modal,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import useCrates from '../hooks/useCrates';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import cratesManager from '../utils/CratesManager';
+import { formatTimeAgo } from '../utils/format';
+import navigationStateManager from '../utils/NavigationStateManager';
+import offlineLibrary from '../utils/OfflineLibrary';
+
+const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
+
+const CratesScreen = () => {
+  const crates = useCrates();
+
+  // Name editor: { crateId: null } creates a crate, { crateId } renames one
+  const [nameEditor, setNameEditor] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  // Register this screen in navigation state manager when focused
+  useFocusEffect(
+    useCallback(() => {
+      navigationStateManager.setCurrentScreen('Crates', 'crates', {
+        crateCount: crates.length
+      });
+
+      return () => {
+        console.log('📍 Crates screen blurred');
+      };
+    }, [crates.length])
+  );
+
+  const openNameEditor = useCallback((crate = null) => {
+    setDraftName(crate?.name || '');
+    setNameEditor({ crateId: crate?.id || null });
+  }, []);
+
+  const closeNameEditor = () => {
+    setNameEditor(null);
+  };
+
+  const handleSaveName = async () => {
+    if (nameEditor.crateId) {
+      await cratesManager.renameCrate(nameEditor.crateId, draftName);
+    } else {
+      await cratesManager.createCrate(draftName);
+    }
+    closeNameEditor();
+  };
+
+  const handleOpenCrate = useCallback((crate) => {
+    router.push({
+      pathname: '/crate-detail',
+      params: { crateId: crate.id },
+    });
+  }, []);
+
+  const handleDeleteCrate = useCallback((crate) => {
+    Alert.alert(
+      'Delete Crate',
+      `Delete "${crate.name}" and its ${crate.records.length} records? Records on your Discogs wantlist stay there.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => cratesManager.deleteCrate(crate.id) },
+      ]
+    );
+  }, []);
+
+  const renderCrate = useCallback(({ item: crate }) => {
+    const coverRecord = crate.records.find(record => record.thumb || record.cover_image);
+
+    return (
+      <TouchableOpacity style={styles.crateCard} onPress={() => handleOpenCrate(crate)} activeOpacity={0.8}>
+        {coverRecord ? (
+          <Image
+            source={{ uri: offlineLibrary.resolveImageUri(coverRecord.thumb || coverRecord.cover_image) }}
+            style={styles.crateImage}
+            resizeMode="cover"
+          />
+        ) : (
+          <View style={[styles.crateImage, styles.placeholderImage]}>
+            <Text style={styles.placeholderText}>📦</Text>
+          </View>
+        )}
+
+        <View style={styles.crateInfo}>
+          <Text style={styles.crateName} numberOfLines={1}>{crate.name}</Text>
+          <Text style={styles.crateDetails}>
+            {crate.records.length} {crate.records.length === 1 ? 'record' : 'records'} • changed {formatTimeAgo(crate.updatedAt)}
+          </Text>
+        </View>
+
+        <View style={styles.crateActions}>
+          <TouchableOpacity onPress={() => openNameEditor(crate)} hitSlop={8}>
+            <Text style={styles.crateActionText}>✎</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleDeleteCrate(crate)} hitSlop={8}>
+            <Text style={styles.crateActionText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    );
+  }, [handleOpenCrate, openNameEditor, handleDeleteCrate]);
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>📦</Text>
+      <Text style={styles.emptyText}>No Crates Yet</Text>
+      <Text style={styles.emptyMessage}>
+        Tap 📦 on any record to keep it in a crate. Crates live on this device, no login needed.
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <View style={styles.headerText}>
+          <Text style={styles.headerTitle}>Crates</Text>
+          <Text style={styles.headerSubtitle}>Stored on this device</Text>
+        </View>
+        <TouchableOpacity style={styles.newCrateButton} onPress={() => openNameEditor()}>
+          <Text style={styles.newCrateButtonText}>＋ New crate</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={crates}
+        renderItem={renderCrate}
+        keyExtractor={(crate) => crate.id}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={[styles.listContent, crates.length === 0 && styles.flexContent]}
+        showsVerticalScrollIndicator={false}
+      />
+
+      <Modal
+        visible={!!nameEditor}
+        transparent
+        animationType="fade"
+        onRequestClose={closeNameEditor}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{nameEditor?.crateId ? 'Rename Crate' : 'New Crate'}</Text>
+            <TextInput
+              style={styles.nameInput}
+              value={draftName}
+              onChangeText={setDraftName}
+              placeholder="e.g. Sunday digging"
+              placeholderTextColor={colors.textTertiary}
+              onSubmitEditing={handleSaveName}
+              returnKeyType="done"
+              autoFocus
+            />
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.modalButton} onPress={closeNameEditor}>
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.modalButton, styles.modalButtonPrimary]} onPress={handleSaveName}>
+                <Text style={[styles.modalButtonText, styles.modalButtonTextPrimary]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  headerText: {
+    flex: 1,
+  },
+
+  headerTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  newCrateButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    backgroundColor: colors.accent,
+  },
+
+  newCrateButtonText: {
+    color: colors.background,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  // List
+  listContent: {
+    padding: spacing.md,
+  },
+
+  flexContent: {
+    flex: 1,
+  },
+
+  crateCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    ...shadows.sm,
+  },
+
+  crateImage: {
+    width: 56,
+    height: 56,
+    borderRadius: borderRadius.md,
+  },
+
+  placeholderImage: {
+    backgroundColor: colors.backgroundSecondary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  placeholderText: {
+    fontSize: typography.fontSize.xl,
+  },
+
+  crateInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+
+  crateName: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  crateDetails: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  crateActions: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginLeft: spacing.sm,
+  },
+
+  crateActionText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.lg,
+  },
+
+  // Name editor
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: spacing.lg,
+  },
+
+  modalContent: {
+    backgroundColor: colors.backgroundSecondary,
+    borderRadius: borderRadius.xl,
+    padding: spacing.lg,
+  },
+
+  modalTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.md,
+  },
+
+  nameInput: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: spacing.sm,
+  },
+
+  modalButtons: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  modalButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  modalButtonPrimary: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  modalButtonText: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  modalButtonTextPrimary: {
+    color: colors.background,
+  },
+
+  // Empty State
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  emptyText: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  emptyMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+  },
+});
+
+export default CratesScreen;
@@ -5,6 +5,9 @@
  * Users can tap on any release to view its detailed information.
  * 
  * Features:
+ * - Label profile, image and contact info from the Discogs label record
+ * - Parent label and sublabels as navigable chips
+ * - Exact catalogue from /labels/{id}/releases (name search only as a fallback)
  * - Paginated list of label releases
  * - Infinite scroll/load more functionality
  * - Grid layout similar to search results
@@ -20,6 +23,7 @@ import {
   FlatList,
   Image,
   RefreshControl,
+  ScrollView,
   StyleSheet,
   Text,
   TouchableOpacity,
@@ -27,21 +31,30 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 
-import { getLabelReleases } from '../api/discogs';
+import { getLabelInfo, getLabelReleases, getLabelReleasesById, resolveLabelId } from '../api/discogs';
+import { AuthError, NetworkError, NotFoundError, RateLimitError, isAbortError } from '../api/errors';
+import { CrateButton, OfflineBanner, WantlistHeart } from '../components';
 import { useApiRequest } from '../hooks/useApiRequest';
 import useNavigationAntiLoop from '../hooks/useNavigationAntiLoop';
 import sophisticatedTheme from '../styles/sophisticatedTheme';
 import apiRequestManager from '../utils/APIRequestManager';
+import { cleanDiscogsMarkup, formatDiscogsName } from '../utils/format';
 import navigationStateManager from '../utils/NavigationStateManager';
+import offlineLibrary from '../utils/OfflineLibrary';
 
 const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
 
 const LabelReleasesScreen = () => {
   const params = useLocalSearchParams();
   const labelName = params.labelName || '';
+  const labelIdParam = params.labelId ? Number(params.labelId) : null;
   const fromRecordId = params.fromRecordId || null; // Context from previous screen
   
   // State management
+  // labelId: undefined while resolving, null when Discogs has no matching label
+  const [labelId, setLabelId] = useState(labelIdParam || undefined);
+  const [label, setLabel] = useState(null);
+  const [showFullProfile, setShowFullProfile] = useState(false);
   const [releases, setReleases] = useState([]);
   const [pagination, setPagination] = useState({
     currentPage: 1,
@@ -53,27 +66,34 @@ const LabelReleasesScreen = () => {
   const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [offlineCopy, setOfflineCopy] = useState(null); // Saved library entry shown while Discogs is unreachable
+  const [isSavedOffline, setIsSavedOffline] = useState(false);
 
   // Custom hook for API requests with cleanup
   const { executeRequest, cancelRequest } = useApiRequest();
 
   // Refs for preventing duplicate requests and managing component state
   const lastLoadedPage = useRef(0);
-  const lastLoadedLabelName = useRef('');
+  const lastLoadedCatalog = useRef('');
   const isComponentMounted = useRef(true);
 
   // Memoize label name to prevent unnecessary re-renders
   const normalizedLabelName = useMemo(() => labelName.trim(), [labelName]);
 
+  // Identifies which catalogue is loaded: by ID when resolved, by name search otherwise
+  const catalogKey = labelId ? `id:${labelId}` : `name:${normalizedLabelName}`;
+
   // Initialize navigation anti-loop hook
   const {
     navigateToRecord,
+    navigateToLabel,
+    isLabelClickable,
     isRecordClickable,
     navigationContext
   } = useNavigationAntiLoop({
     currentScreenType: 'LabelReleases',
     currentItemId: normalizedLabelName,
-    currentItemData: { labelName: normalizedLabelName }
+    currentItemData: { labelName: normalizedLabelName, labelId }
   });
 
   // Register this screen in navigation state manager when focused
@@ -81,6 +101,7 @@ const LabelReleasesScreen = () => {
     useCallback(() => {
       if (normalizedLabelName) {
         navigationStateManager.setCurrentScreen('LabelReleases', normalizedLabelName, {
+          labelId: labelId,
           totalReleases: pagination.totalItems,
           fromRecordId: fromRecordId
         });
@@ -93,7 +114,7 @@ const LabelReleasesScreen = () => {
           labelName: normalizedLabelName 
         });
       };
-    }, [normalizedLabelName, pagination.totalItems, fromRecordId])
+    }, [normalizedLabelName, labelId, pagination.totalItems, fromRecordId])
   );
 
   // Cleanup on unmount
@@ -109,13 +130,77 @@ const LabelReleasesScreen = () => {
     };
   }, [normalizedLabelName, cancelRequest]);
 
+  /**
+   * Resolve the label's Discogs ID when we only have its name
+   */
+  useEffect(() => {
+    if (labelIdParam) {
+      setLabelId(labelIdParam);
+      return;
+    }
+    if (!normalizedLabelName) return;
+
+    setLabelId(undefined);
+
+    const resolveLabel = async () => {
+      try {
+        const resolvedId = await apiRequestManager.executeRequest(
+          'resolveLabelId',
+          { labelName: normalizedLabelName },
+          async (signal) => await resolveLabelId(normalizedLabelName, { signal })
+        );
+
+        if (isComponentMounted.current) {
+          setLabelId(resolvedId || null);
+        }
+      } catch (err) {
+        if (isAbortError(err) || !isComponentMounted.current) return;
+        // Fall back to the name search rather than failing the whole screen
+        console.warn('⚠️ Could not resolve label ID, using name search:', err.message);
+        setLabelId(null);
+      }
+    };
+
+    resolveLabel();
+  }, [labelIdParam, normalizedLabelName]);
+
+  /**
+   * Load the label profile once its ID is known
+   */
+  useEffect(() => {
+    setLabel(null);
+    setShowFullProfile(false);
+    if (!labelId) return;
+
+    const loadLabel = async () => {
+      try {
+        const result = await apiRequestManager.executeRequest(
+          'getLabelInfo',
+          { labelId },
+          async (signal) => await getLabelInfo(labelId, { signal }),
+          { onRevalidated: (fresh) => isComponentMounted.current && setLabel(fresh) }
+        );
+
+        if (isComponentMounted.current) {
+          setLabel(result);
+        }
+      } catch (err) {
+        if (isAbortError(err) || !isComponentMounted.current) return;
+        // The catalogue is still useful without the profile
+        console.error('❌ Failed to load label profile:', err.message);
+      }
+    };
+
+    loadLabel();
+  }, [labelId]);
+
   /**
    * Load releases for the current page with duplicate request prevention
    */
   const loadReleases = useCallback(async (page = 1, append = false, forceRefresh = false) => {
     // Prevent duplicate requests for same page and label
     const isSamePage = page === lastLoadedPage.current;
-    const isSameLabel = normalizedLabelName === lastLoadedLabelName.current;
+    const isSameLabel = catalogKey === lastLoadedCatalog.current;
     
     if (!forceRefresh && isSamePage && isSameLabel && !append) {
       console.log(`🚫 Skipping duplicate request for ${normalizedLabelName}, page ${page}`);
@@ -137,20 +222,22 @@ const LabelReleasesScreen = () => {
     try {
       // Use API request manager for deduplication and caching
       const result = await apiRequestManager.executeRequest(
-        'getLabelReleases',
+        labelId ? 'getLabelReleasesById' : 'getLabelReleases',
         { 
+          labelId,
           labelName: normalizedLabelName, 
           page, 
           perPage: 50 
         },
         async (signal) => {
           return await executeRequest(
-            async () => await getLabelReleases(normalizedLabelName, page, 50)
+            async () => labelId
+              ? await getLabelReleasesById(labelId, { page, perPage: 50, signal })
+              : await getLabelReleases(normalizedLabelName, page, 50, { signal })
           );
         },
         {
           useCache: !forceRefresh,
-          cacheTTL: 3 * 60 * 1000, // 3 minutes cache for label releases
           forceRefresh: forceRefresh
         }
       );
@@ -170,19 +257,44 @@ const LabelReleasesScreen = () => {
         
         // Update refs to prevent duplicates
         lastLoadedPage.current = page;
-        lastLoadedLabelName.current = normalizedLabelName;
+        lastLoadedCatalog.current = catalogKey;
+        setOfflineCopy(null);
       }
     } catch (err) {
-      if (isComponentMounted.current && err.name !== 'AbortError') {
+      if (isComponentMounted.current && !isAbortError(err)) {
         console.error('❌ Failed to load label releases:', err.message);
+
+        // Offline: show the catalogue stored when the label was last browsed
+        if (err instanceof NetworkError && !append) {
+          const saved = await offlineLibrary.getLabel({ labelId, labelName: normalizedLabelName });
+          if (saved?.releases.length > 0 && isComponentMounted.current) {
+            console.log('💾 Showing offline copy of label:', normalizedLabelName);
+            setReleases(saved.releases);
+            setPagination({
+              currentPage: saved.pagination?.currentPage || 1,
+              totalPages: saved.pagination?.totalPages || 1,
+              totalItems: saved.pagination?.totalItems || saved.releases.length,
+              hasNextPage: false, // Further pages need the network; pull to refresh when back online
+            });
+            setLabel(prev => prev || saved.profile);
+            setOfflineCopy(saved);
+            lastLoadedPage.current = saved.pagination?.currentPage || 1;
+            lastLoadedCatalog.current = catalogKey;
+            return;
+          }
+        }
         
         // Provide user-friendly error messages
         let userMessage = err.message;
-        if (err.message.includes('Rate limit') || err.message.includes('429')) {
-          userMessage = 'API rate limit reached. Please wait a moment and try again.';
-        } else if (err.message.includes('Network') || err.message.includes('fetch')) {
+        if (err instanceof NotFoundError) {
+          userMessage = 'This label no longer exists on Discogs.';
+        } else if (err instanceof RateLimitError) {
+          userMessage = err.retryAfter
+            ? `API rate limit reached. Please try again in ${err.retryAfter} seconds.`
+            : 'API rate limit reached. Please wait a moment and try again.';
+        } else if (err instanceof NetworkError) {
           userMessage = 'Network connection issue. Please check your internet connection.';
-        } else if (err.message.includes('Authentication') || err.message.includes('401')) {
+        } else if (err instanceof AuthError) {
           userMessage = 'Authentication issue. Please try again later.';
         }
         
@@ -195,13 +307,15 @@ const LabelReleasesScreen = () => {
         setIsRefreshing(false);
       }
     }
-  }, [normalizedLabelName, isLoading, isLoadingMore, executeRequest]);
+  }, [normalizedLabelName, labelId, catalogKey, isLoading, isLoadingMore, executeRequest]);
 
   /**
-   * Load initial releases on component mount or when label changes
+   * Load initial releases once the label ID is resolved, or when the label changes
    */
   useEffect(() => {
-    if (normalizedLabelName && normalizedLabelName !== lastLoadedLabelName.current) {
+    if (labelId === undefined) return;
+
+    if (normalizedLabelName && catalogKey !== lastLoadedCatalog.current) {
       console.log(`🏷️ Loading releases for new label: ${normalizedLabelName}`);
       // Reset state for new label
       setReleases([]);
@@ -215,7 +329,43 @@ const LabelReleasesScreen = () => {
       
       loadReleases(1, false, false);
     }
-  }, [normalizedLabelName, loadReleases]);
+  }, [normalizedLabelName, labelId, catalogKey, loadReleases]);
+
+  /**
+   * Store the loaded catalogue so the label stays browsable offline
+   */
+  useEffect(() => {
+    if (offlineCopy || releases.length === 0 || lastLoadedCatalog.current !== catalogKey) return;
+
+    offlineLibrary.rememberLabel({
+      labelId,
+      labelName: normalizedLabelName,
+      profile: label,
+      releases,
+      pagination,
+    });
+  }, [releases, pagination, label, labelId, normalizedLabelName, catalogKey, offlineCopy]);
+
+  /**
+   * Whether the user saved this label for offline use
+   */
+  useEffect(() => {
+    const updateSavedState = () => {
+      offlineLibrary.getLabel({ labelId, labelName: normalizedLabelName })
+        .then(entry => setIsSavedOffline(!!entry?.pinned));
+    };
+
+    updateSavedState();
+    return offlineLibrary.subscribe(updateSavedState);
+  }, [labelId, normalizedLabelName]);
+
+  /**
+   * Save or unsave the label's loaded catalogue for offline browsing
+   */
+  const handleToggleSavedOffline = useCallback(() => {
+    offlineLibrary.setLabelSaved({ labelId, labelName: normalizedLabelName }, !isSavedOffline);
+    setIsSavedOffline(!isSavedOffline);
+  }, [labelId, normalizedLabelName, isSavedOffline]);
 
   /**
    * Handle pull-to-refresh with force refresh
@@ -258,6 +408,92 @@ const LabelReleasesScreen = () => {
     });
   }, [navigateToRecord, normalizedLabelName]);
 
+  /**
+   * Navigate to a parent label or sublabel
+   */
+  const handleRelatedLabelPress = useCallback((relatedLabel) => {
+    navigateToLabel(relatedLabel, {
+      fromRecordId: fromRecordId,
+      metadata: {
+        fromLabelId: labelId
+      }
+    });
+  }, [navigateToLabel, fromRecordId, labelId]);
+
+  const profileText = useMemo(() => cleanDiscogsMarkup(label?.profile), [label?.profile]);
+  const primaryImage = label?.images?.find(image => image.type === 'primary') || label?.images?.[0];
+
+  /**
+   * Render label profile with parent and sublabel chips above the catalogue
+   */
+  const renderLabelHeader = () => {
+    if (!label) return null;
+
+    return (
+      <View style={styles.profileSection}>
+        <View style={styles.profileRow}>
+          {primaryImage?.uri ? (
+            <Image
+              source={{ uri: offlineLibrary.resolveImageUri(primaryImage.uri) }}
+              style={styles.labelImage}
+              resizeMode="contain"
+            />
+          ) : null}
+
+          <View style={styles.profileInfo}>
+            {profileText ? (
+              <TouchableOpacity onPress={() => setShowFullProfile(prev => !prev)} activeOpacity={0.8}>
+                <Text style={styles.profileText} numberOfLines={showFullProfile ? undefined : 4}>
+                  {profileText}
+                </Text>
+                <Text style={styles.profileToggle}>{showFullProfile ? 'Show less' : 'Read more'}</Text>
+              </TouchableOpacity>
+            ) : null}
+
+            {label.contact_info ? (
+              <Text style={styles.contactInfo} numberOfLines={showFullProfile ? undefined : 2}>
+                {cleanDiscogsMarkup(label.contact_info)}
+              </Text>
+            ) : null}
+          </View>
+        </View>
+
+        {label.parent_label && (
+          <View style={styles.relatedSection}>
+            <Text style={styles.relatedTitle}>Parent label</Text>
+            <View style={styles.chipRow}>
+              <TouchableOpacity
+                style={styles.chip}
+                onPress={() => handleRelatedLabelPress(label.parent_label)}
+                disabled={!isLabelClickable(label.parent_label)}
+              >
+                <Text style={styles.chipText}>↑ {formatDiscogsName(label.parent_label.name)}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {label.sublabels?.length > 0 && (
+          <View style={styles.relatedSection}>
+            <Text style={styles.relatedTitle}>Sublabels ({label.sublabels.length})</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {label.sublabels.map(sublabel => (
+                <TouchableOpacity
+                  key={sublabel.id}
+                  style={styles.chip}
+                  onPress={() => handleRelatedLabelPress(sublabel)}
+                  disabled={!isLabelClickable(sublabel)}
+                >
+                  <Text style={styles.chipText}>{formatDiscogsName(sublabel.name)}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+        )}
+      </View>
+    );
+  };
+
   /**
    * Render individual release item
    */
@@ -271,7 +507,7 @@ const LabelReleasesScreen = () => {
       <View style={styles.imageContainer}>
         {(item.imageUrl || item.thumb) ? (
           <Image
-            source={{ uri: item.imageUrl || item.thumb }}
+            source={{ uri: offlineLibrary.resolveImageUri(item.imageUrl || item.thumb) }}
             style={styles.albumImage}
             resizeMode="cover"
           />
@@ -280,6 +516,8 @@ const LabelReleasesScreen = () => {
             <Text style={styles.placeholderText}>♪</Text>
           </View>
         )}
+        <CrateButton record={item} style={styles.crateButton} />
+        <WantlistHeart record={item} style={styles.wantlistHeart} />
       </View>
       
       {/* Release Information */}
@@ -294,9 +532,13 @@ const LabelReleasesScreen = () => {
           </Text>
         )}
         
-        {item.year && (
+        {item.year ? (
           <Text style={styles.year}>{String(item.year)}</Text>
-        )}
+        ) : null}
+        
+        {item.catno ? (
+          <Text style={styles.year} numberOfLines={1}>{item.catno}</Text>
+        ) : null}
         
         {item.country && (
           <Text style={styles.country} numberOfLines={1}>
@@ -382,14 +624,27 @@ const LabelReleasesScreen = () => {
         
         <View style={styles.headerContent}>
           <Text style={styles.headerTitle} numberOfLines={1}>
-            {labelName}
+            {formatDiscogsName(label?.name || labelName)}
           </Text>
           <Text style={styles.headerSubtitle}>
             {pagination.totalItems} releases
           </Text>
         </View>
+
+        {releases.length > 0 && (
+          <TouchableOpacity
+            style={[styles.saveOfflineButton, isSavedOffline && styles.saveOfflineButtonActive]}
+            onPress={handleToggleSavedOffline}
+          >
+            <Text style={[styles.saveOfflineText, isSavedOffline && styles.saveOfflineTextActive]}>
+              {isSavedOffline ? '✓ Saved' : '📥 Save'}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
 
+      <OfflineBanner savedAt={offlineCopy?.updatedAt} style={styles.offlineBanner} />
+
       {/* Content */}
       {error ? (
         renderError()
@@ -398,6 +653,7 @@ const LabelReleasesScreen = () => {
           data={releases}
           renderItem={renderReleaseItem}
           keyExtractor={(item, index) => `${item.id}-${index}`}
+          ListHeaderComponent={renderLabelHeader()}
           numColumns={2}
           columnWrapperStyle={styles.row}
           contentContainerStyle={[
@@ -425,7 +681,7 @@ const LabelReleasesScreen = () => {
       )}
 
       {/* Loading Overlay for Initial Load */}
-      {isLoading && releases.length === 0 && (
+      {(labelId === undefined || isLoading) && releases.length === 0 && (
         <View style={styles.loadingOverlay}>
           <ActivityIndicator size="large" color={colors.accent} />
           <Text style={styles.loadingText}>Loading releases...</Text>
@@ -479,6 +735,106 @@ const styles = StyleSheet.create({
     marginTop: 2,
   },
 
+  saveOfflineButton: {
+    marginLeft: spacing.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  saveOfflineButtonActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  saveOfflineText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  saveOfflineTextActive: {
+    color: colors.background,
+  },
+
+  offlineBanner: {
+    marginHorizontal: spacing.md,
+    marginTop: spacing.md,
+    marginBottom: 0,
+  },
+
+  // Label Profile
+  profileSection: {
+    marginBottom: spacing.md,
+    paddingHorizontal: spacing.xs,
+  },
+
+  profileRow: {
+    flexDirection: 'row',
+  },
+
+  labelImage: {
+    width: 80,
+    height: 80,
+    borderRadius: borderRadius.md,
+    marginRight: spacing.md,
+    backgroundColor: colors.backgroundSecondary,
+  },
+
+  profileInfo: {
+    flex: 1,
+  },
+
+  profileText: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+    lineHeight: 20,
+  },
+
+  profileToggle: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    marginTop: spacing.xs,
+  },
+
+  contactInfo: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    marginTop: spacing.sm,
+  },
+
+  relatedSection: {
+    marginTop: spacing.md,
+  },
+
+  relatedTitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+    marginBottom: spacing.xs,
+  },
+
+  chipRow: {
+    flexDirection: 'row',
+  },
+
+  chip: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.xs,
+  },
+
+  chipText: {
+    color: colors.text,
+    fontSize: typography.fontSize.xs,
+  },
+
   // List
   listContent: {
     padding: spacing.md,
@@ -510,6 +866,18 @@ const styles = StyleSheet.create({
     marginBottom: spacing.sm,
   },
 
+  crateButton: {
+    position: 'absolute',
+    top: spacing.xs,
+    left: spacing.xs,
+  },
+
+  wantlistHeart: {
+    position: 'absolute',
+    top: spacing.xs,
+    right: spacing.xs,
+  },
+
   albumImage: {
     width: '100%',
     height: '100%',
@@ -0,0 +1,783 @@
+/**
+ * MasterVersionsScreen Component
+ *
+ * Lists every pressing (version) of a Discogs master release so originals
+ * can be compared against reissues.
+ *
+ * Features:
+ * - Master summary (artist, year, number of versions)
+ * - Paginated versions list with infinite scroll
+ * - Format, country and year filters from Discogs' available facets
+ * - Main release and earliest pressing badges
+ * - Navigation to individual record details
+ * - Pull-to-refresh functionality
+ */
+
+import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  FlatList,
+  Image,
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { getMasterRelease, getMasterVersions } from '../api/discogs';
+import { AuthError, NetworkError, NotFoundError, RateLimitError, isAbortError } from '../api/errors';
+import useNavigationAntiLoop from '../hooks/useNavigationAntiLoop';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import apiRequestManager from '../utils/APIRequestManager';
+import navigationStateManager from '../utils/NavigationStateManager';
+
+const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
+
+// Filters offered as chips, in display order
+const FILTER_GROUPS = [
+  { key: 'format', facet: 'format', label: 'Format' },
+  { key: 'country', facet: 'country', label: 'Country' },
+  { key: 'year', facet: 'released', label: 'Year' },
+];
+
+const MAX_CHIPS_PER_FILTER = 12;
+const EMPTY_FILTERS = { format: '', country: '', year: '' };
+
+/**
+ * Turn a Discogs facet map ({ Vinyl: 12, CD: 4 }) into chips, most common first
+ * Year chips are sorted chronologically instead.
+ */
+const buildFilterChips = (facet = {}, sortByValue = false) => {
+  const chips = Object.entries(facet).map(([value, count]) => ({ value, count }));
+
+  if (sortByValue) {
+    chips.sort((a, b) => a.value.localeCompare(b.value));
+  } else {
+    chips.sort((a, b) => b.count - a.count);
+  }
+
+  return chips.slice(0, MAX_CHIPS_PER_FILTER);
+};
+
+/**
+ * User-facing message for a failed load
+ */
+const getErrorMessage = (err) => {
+  if (err instanceof NotFoundError) {
+    return 'This master release no longer exists on Discogs.';
+  }
+  if (err instanceof RateLimitError) {
+    return err.retryAfter
+      ? `API rate limit reached. Please try again in ${err.retryAfter} seconds.`
+      : 'API rate limit reached. Please wait a moment and try again.';
+  }
+  if (err instanceof NetworkError) {
+    return 'Network connection issue. Please check your internet connection.';
+  }
+  if (err instanceof AuthError) {
+    return 'Authentication issue. Please try again later.';
+  }
+  return 'Unable to load versions. Please try again later.';
+};
+
+const MasterVersionsScreen = () => {
+  const params = useLocalSearchParams();
+  const masterId = params.masterId ? Number(params.masterId) : null;
+  const masterTitle = params.masterTitle || '';
+  const fromRecordId = params.fromRecordId || null;
+
+  // State management
+  const [master, setMaster] = useState(undefined); // undefined: loading, null: unavailable
+  const [versions, setVersions] = useState([]);
+  const [availableFilters, setAvailableFilters] = useState({});
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 0,
+    hasNextPage: false,
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Refs for ignoring stale responses and unmounted updates
+  const isComponentMounted = useRef(true);
+  const latestRequestId = useRef(0);
+
+  const { navigateToRecord } = useNavigationAntiLoop({
+    currentScreenType: 'MasterVersions',
+    currentItemId: masterId,
+    currentItemData: { masterId, masterTitle }
+  });
+
+  // Register this screen in navigation state manager when focused
+  useFocusEffect(
+    useCallback(() => {
+      if (masterId) {
+        navigationStateManager.setCurrentScreen('MasterVersions', masterId, {
+          totalVersions: pagination.totalItems,
+          fromRecordId: fromRecordId
+        });
+      }
+
+      return () => {
+        console.log('📍 MasterVersions screen blurred');
+      };
+    }, [masterId, pagination.totalItems, fromRecordId])
+  );
+
+  // Track mount state
+  useEffect(() => {
+    isComponentMounted.current = true;
+
+    return () => {
+      isComponentMounted.current = false;
+      apiRequestManager.cancelRequest('getMasterRelease', { masterId });
+    };
+  }, [masterId]);
+
+  /**
+   * Load the master release once; versions use it for artist and genres
+   */
+  useEffect(() => {
+    if (!masterId) return;
+
+    const loadMaster = async () => {
+      try {
+        const result = await apiRequestManager.executeRequest(
+          'getMasterRelease',
+          { masterId },
+          async (signal) => await getMasterRelease(masterId, { signal }),
+          { onRevalidated: (fresh) => isComponentMounted.current && setMaster(fresh) }
+        );
+
+        if (isComponentMounted.current) {
+          setMaster(result);
+        }
+      } catch (err) {
+        if (isAbortError(err) || !isComponentMounted.current) return;
+        console.error('❌ Failed to load master release:', err.message);
+
+        if (err instanceof NotFoundError) {
+          setError(getErrorMessage(err));
+        }
+        setMaster(null); // Versions can still load without the summary
+      }
+    };
+
+    loadMaster();
+  }, [masterId]);
+
+  /**
+   * Load a page of versions for the current filters
+   */
+  const loadVersions = useCallback(async (page = 1, append = false, forceRefresh = false) => {
+    if (!masterId) return;
+
+    const requestId = ++latestRequestId.current;
+
+    if (append) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+      setError(null);
+    }
+
+    try {
+      const result = await apiRequestManager.executeRequest(
+        'getMasterVersions',
+        { masterId, page, ...filters },
+        async (signal) => await getMasterVersions(masterId, {
+          page,
+          perPage: 50,
+          format: filters.format || undefined,
+          country: filters.country || undefined,
+          year: filters.year || undefined,
+          master,
+          signal,
+        }),
+        {
+          useCache: !forceRefresh,
+          forceRefresh
+        }
+      );
+
+      // Ignore responses for filters the user already moved away from
+      if (!isComponentMounted.current || requestId !== latestRequestId.current || !result) {
+        return;
+      }
+
+      setVersions(prev => append ? [...prev, ...result.results] : result.results);
+
+      // Keep the unfiltered facets so chips don't disappear once a filter is applied
+      if (!append && Object.keys(result.availableFilters).length > 0) {
+        setAvailableFilters(prev => (
+          Object.values(filters).some(Boolean) && Object.keys(prev).length > 0
+            ? prev
+            : result.availableFilters
+        ));
+      }
+
+      setPagination({
+        currentPage: page,
+        totalPages: result.pagination?.pages || 1,
+        totalItems: result.pagination?.items || 0,
+        hasNextPage: page < (result.pagination?.pages || 1),
+      });
+
+    } catch (err) {
+      if (isComponentMounted.current && !isAbortError(err) && requestId === latestRequestId.current) {
+        console.error('❌ Failed to load master versions:', err.message);
+        setError(getErrorMessage(err));
+      }
+    } finally {
+      if (isComponentMounted.current && requestId === latestRequestId.current) {
+        setIsLoading(false);
+        setIsLoadingMore(false);
+        setIsRefreshing(false);
+      }
+    }
+  }, [masterId, filters, master]);
+
+  /**
+   * Reload from page 1 once the master has resolved or the filters change
+   */
+  useEffect(() => {
+    if (master === undefined) return;
+    loadVersions(1, false, false);
+  }, [master, loadVersions]);
+
+  /**
+   * Toggle a filter chip; tapping the active chip clears it
+   */
+  const handleFilterPress = useCallback((key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key] === value ? '' : value,
+    }));
+  }, []);
+
+  const handleClearFilters = useCallback(() => {
+    setFilters(EMPTY_FILTERS);
+  }, []);
+
+  /**
+   * Handle pull-to-refresh with force refresh
+   */
+  const handleRefresh = useCallback(() => {
+    console.log('🔄 Refreshing master versions');
+    setIsRefreshing(true);
+    loadVersions(1, false, true);
+  }, [loadVersions]);
+
+  /**
+   * Handle load more (infinite scroll)
+   */
+  const handleLoadMore = useCallback(() => {
+    if (pagination.hasNextPage && !isLoading && !isLoadingMore) {
+      const nextPage = pagination.currentPage + 1;
+      console.log(`📄 Loading more versions, page ${nextPage}`);
+      loadVersions(nextPage, true, false);
+    }
+  }, [pagination.hasNextPage, pagination.currentPage, isLoading, isLoadingMore, loadVersions]);
+
+  const handleBack = useCallback(() => {
+    router.back();
+  }, []);
+
+  /**
+   * Navigate to record detail screen with anti-loop protection
+   */
+  const handleVersionPress = useCallback((version) => {
+    navigateToRecord(version, {
+      metadata: {
+        fromMasterId: masterId
+      }
+    });
+  }, [navigateToRecord, masterId]);
+
+  // Earliest year among loaded versions, to flag original pressings
+  const earliestYear = useMemo(() => {
+    const years = versions.map(version => version.year).filter(year => year > 0);
+    return years.length > 0 ? Math.min(...years) : null;
+  }, [versions]);
+
+  const hasActiveFilters = Object.values(filters).some(Boolean);
+
+  const headerTitle = master?.title || masterTitle || 'All Versions';
+  const headerArtist = master?.artists?.map(artist => artist.name).join(', ');
+
+  /**
+   * Render one pressing as a comparison row
+   */
+  const renderVersionItem = useCallback(({ item }) => (
+    <TouchableOpacity
+      style={styles.versionCard}
+      onPress={() => handleVersionPress(item)}
+      activeOpacity={0.8}
+    >
+      {item.thumb ? (
+        <Image source={{ uri: item.thumb }} style={styles.versionImage} resizeMode="cover" />
+      ) : (
+        <View style={[styles.versionImage, styles.placeholderImage]}>
+          <Text style={styles.placeholderText}>♪</Text>
+        </View>
+      )}
+
+      <View style={styles.versionInfo}>
+        <View style={styles.badgeRow}>
+          <Text style={styles.versionYear}>{item.year || 'Unknown year'}</Text>
+          {item.isMainRelease && (
+            <View style={styles.badge}>
+              <Text style={styles.badgeText}>Main release</Text>
+            </View>
+          )}
+          {earliestYear && item.year === earliestYear && (
+            <View style={[styles.badge, styles.badgeOriginal]}>
+              <Text style={styles.badgeText}>Earliest</Text>
+            </View>
+          )}
+        </View>
+
+        <Text style={styles.versionFormat} numberOfLines={1}>{item.format || 'Unknown format'}</Text>
+        <Text style={styles.versionLabel} numberOfLines={1}>
+          {item.label || 'Unknown label'}{item.catno ? ` • ${item.catno}` : ''}
+        </Text>
+        <Text style={styles.versionMeta} numberOfLines={1}>
+          🌍 {item.country || 'Unknown'}   ❤️ {item.community.want ?? '–'}   💿 {item.community.have ?? '–'}
+        </Text>
+      </View>
+
+      <Text style={styles.chevron}>›</Text>
+    </TouchableOpacity>
+  ), [handleVersionPress, earliestYear]);
+
+  /**
+   * Render filter chips above the list
+   */
+  const renderFilters = () => (
+    <View style={styles.filtersContainer}>
+      {FILTER_GROUPS.map(({ key, facet, label }) => {
+        const chips = buildFilterChips(availableFilters[facet], key === 'year');
+        if (chips.length === 0) return null;
+
+        return (
+          <View key={key} style={styles.filterGroup}>
+            <Text style={styles.filterLabel}>{label}</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {chips.map(chip => {
+                const isActive = filters[key] === chip.value;
+                return (
+                  <TouchableOpacity
+                    key={chip.value}
+                    style={[styles.chip, isActive && styles.chipActive]}
+                    onPress={() => handleFilterPress(key, chip.value)}
+                  >
+                    <Text style={[styles.chipText, isActive && styles.chipTextActive]}>
+                      {chip.value} ({chip.count})
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          </View>
+        );
+      })}
+
+      {hasActiveFilters && (
+        <TouchableOpacity onPress={handleClearFilters}>
+          <Text style={styles.clearFilters}>Clear filters</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderFooter = useCallback(() => {
+    if (!isLoadingMore) return null;
+
+    return (
+      <View style={styles.loadingFooter}>
+        <ActivityIndicator size="small" color={colors.accent} />
+        <Text style={styles.loadingFooterText}>Loading more...</Text>
+      </View>
+    );
+  }, [isLoadingMore]);
+
+  const renderEmpty = useCallback(() => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>💿</Text>
+      <Text style={styles.emptyText}>No Versions Found</Text>
+      <Text style={styles.emptyMessage}>
+        {hasActiveFilters
+          ? 'No pressings match these filters.'
+          : 'Discogs has no versions listed for this master.'}
+      </Text>
+    </View>
+  ), [hasActiveFilters]);
+
+  const renderError = () => (
+    <View style={styles.errorContainer}>
+      <Text style={styles.errorIcon}>⚠️</Text>
+      <Text style={styles.errorText}>Error Loading Versions</Text>
+      <Text style={styles.errorMessage}>{error}</Text>
+      <TouchableOpacity
+        style={styles.retryButton}
+        onPress={() => loadVersions(1, false, true)}
+      >
+        <Text style={styles.retryButtonText}>Try Again</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle} numberOfLines={1}>
+            {headerTitle}
+          </Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>
+            {headerArtist ? `${headerArtist} • ` : ''}
+            {master?.year ? `${master.year} • ` : ''}
+            {pagination.totalItems} versions
+          </Text>
+        </View>
+      </View>
+
+      {/* Content */}
+      {error ? (
+        renderError()
+      ) : (
+        <FlatList
+          data={versions}
+          renderItem={renderVersionItem}
+          keyExtractor={(item, index) => `${item.id}-${index}`}
+          ListHeaderComponent={renderFilters()}
+          contentContainerStyle={[
+            styles.listContent,
+            versions.length === 0 && !isLoading && styles.flexContent
+          ]}
+          showsVerticalScrollIndicator={false}
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefreshing}
+              onRefresh={handleRefresh}
+              tintColor={colors.accent}
+              colors={[colors.accent]}
+            />
+          }
+          onEndReached={handleLoadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={!isLoading ? renderEmpty : null}
+          ListFooterComponent={renderFooter}
+          removeClippedSubviews={true}
+          maxToRenderPerBatch={10}
+          windowSize={10}
+        />
+      )}
+
+      {/* Loading Overlay for Initial Load */}
+      {isLoading && versions.length === 0 && !error && (
+        <View style={styles.loadingOverlay}>
+          <ActivityIndicator size="large" color={colors.accent} />
+          <Text style={styles.loadingText}>Loading versions...</Text>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  backButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+
+  backButtonText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  headerContent: {
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+
+  headerTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  // Filters
+  filtersContainer: {
+    marginBottom: spacing.md,
+  },
+
+  filterGroup: {
+    marginBottom: spacing.sm,
+  },
+
+  filterLabel: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+    marginBottom: spacing.xs,
+  },
+
+  chip: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.xs,
+  },
+
+  chipActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  chipText: {
+    color: colors.text,
+    fontSize: typography.fontSize.xs,
+  },
+
+  chipTextActive: {
+    color: colors.background,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  clearFilters: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  // List
+  listContent: {
+    padding: spacing.md,
+  },
+
+  flexContent: {
+    flexGrow: 1,
+  },
+
+  // Version rows
+  versionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.backgroundSecondary,
+    borderRadius: borderRadius.md,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    ...shadows.sm,
+  },
+
+  versionImage: {
+    width: 64,
+    height: 64,
+    borderRadius: borderRadius.sm,
+  },
+
+  placeholderImage: {
+    backgroundColor: colors.backgroundTertiary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  placeholderText: {
+    fontSize: typography.fontSize.xl,
+    color: colors.textSecondary,
+  },
+
+  versionInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+
+  badgeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    marginBottom: 2,
+  },
+
+  versionYear: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  badge: {
+    backgroundColor: colors.accent + '30',
+    paddingHorizontal: spacing.xs,
+    paddingVertical: 1,
+    borderRadius: borderRadius.sm,
+  },
+
+  badgeOriginal: {
+    backgroundColor: colors.success + '30',
+  },
+
+  badgeText: {
+    color: colors.text,
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  versionFormat: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    marginBottom: 2,
+  },
+
+  versionLabel: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+    marginBottom: 2,
+  },
+
+  versionMeta: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+  },
+
+  chevron: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xl,
+    marginLeft: spacing.sm,
+  },
+
+  // Loading States
+  loadingOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: colors.background,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  loadingText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.base,
+    marginTop: spacing.md,
+  },
+
+  loadingFooter: {
+    padding: spacing.lg,
+    alignItems: 'center',
+  },
+
+  loadingFooterText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.xs,
+  },
+
+  // Empty State
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  emptyText: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  emptyMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.base,
+    textAlign: 'center',
+  },
+
+  // Error State
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  errorIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  errorText: {
+    color: colors.error,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  errorMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.base,
+    textAlign: 'center',
+    marginBottom: spacing.lg,
+  },
+
+  retryButton: {
+    backgroundColor: colors.accent,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+
+  retryButtonText: {
+    color: colors.background,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+    textAlign: 'center',
+  },
+});
+
+export default MasterVersionsScreen;
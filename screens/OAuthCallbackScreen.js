@@ -0,0 +1,110 @@
+/**
+ * OAuthCallbackScreen Component
+ *
+ * Landing route for the luckyfind://oauth-callback deep link.
+ * The in-app browser session normally catches the redirect itself; this screen
+ * covers the cases where the app is opened by the link instead (Android after
+ * the app was killed, or the web login popup).
+ */
+
+import { router, useLocalSearchParams } from 'expo-router';
+import * as WebBrowser from 'expo-web-browser';
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { completeAuthorizationFromCallback } from '../api/oauth';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import sessionManager from '../utils/SessionManager';
+
+const { colors, spacing, typography } = sophisticatedTheme;
+
+// On web this page loads inside the login popup; hand the URL back to the opener
+WebBrowser.maybeCompleteAuthSession();
+
+const leaveCallback = () => {
+  if (router.canGoBack()) {
+    router.back();
+  } else {
+    router.replace('/');
+  }
+};
+
+const OAuthCallbackScreen = () => {
+  const { oauth_token: oauthToken, oauth_verifier: oauthVerifier, denied } = useLocalSearchParams();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isActive = true;
+
+    completeAuthorizationFromCallback({ oauth_token: oauthToken, oauth_verifier: oauthVerifier, denied })
+      // Check the new token and tell every screen, as the login button does
+      .then(() => sessionManager.handleLogin())
+      .then(() => {
+        if (isActive) leaveCallback();
+      })
+      .catch((callbackError) => {
+        if (isActive) setError(callbackError.message);
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [oauthToken, oauthVerifier, denied]);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {error ? (
+        <View style={styles.content}>
+          <Text style={styles.title}>Discogs Login Failed</Text>
+          <Text style={styles.message}>{error}</Text>
+          <TouchableOpacity onPress={leaveCallback}>
+            <Text style={styles.link}>Back to LuckyFind</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.content}>
+          <ActivityIndicator size="large" color={colors.accent} />
+          <Text style={styles.message}>Finishing Discogs login...</Text>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  title: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  message: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    marginTop: spacing.md,
+  },
+
+  link: {
+    color: colors.accent,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+    marginTop: spacing.lg,
+  },
+});
+
+export default OAuthCallbackScreen;
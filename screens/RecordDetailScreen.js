@@ -22,6 +22,7 @@ import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import {
   ActivityIndicator,
+  Alert,
   Dimensions,
   Image,
   Linking,
@@ -34,10 +35,36 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { WebView } from 'react-native-webview';
-import { getReleaseDetails } from '../api/discogs';
+import {
+  findLuckyRelease,
+  getLabelReleaseCount,
+  getMasterVersions,
+  getReleaseDetails,
+  getReleasePricing,
+} from '../api/discogs';
+import { AuthError, NetworkError, NotFoundError, RateLimitError, isAbortError } from '../api/errors';
+import { AuthButton, CrateButton, OfflineBanner, WantlistHeart } from '../components';
+import { useApiRequest } from '../hooks/useApiRequest';
+import useCollection from '../hooks/useCollection';
+import useLuckyHistory from '../hooks/useLuckyHistory';
 import useNavigationAntiLoop from '../hooks/useNavigationAntiLoop';
+import useRateLimitHandler from '../hooks/useRateLimitHandler';
+import useSession from '../hooks/useSession';
 import sophisticatedTheme from '../styles/sophisticatedTheme';
+import apiRequestManager from '../utils/APIRequestManager';
+import collectionManager from '../utils/CollectionManager';
+import { formatDiscogsName, formatPrice } from '../utils/format';
+import luckyHistory, { buildLuckyRecordParams } from '../utils/LuckyHistory';
+import { scoreRarity } from '../utils/rarity';
+import { describeSearchError } from '../utils/searchErrors';
 import navigationStateManager from '../utils/NavigationStateManager';
+import offlineLibrary from '../utils/OfflineLibrary';
+import {
+  describeReleaseFormats,
+  getFormatBadges,
+  parseReleaseFormats,
+  parseSearchFormats,
+} from '../utils/recordFormats';
 
 const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
 const { width } = Dimensions.get('window');
@@ -65,6 +92,47 @@ const getArtistName = (record) => {
 
 // Clean YouTube integration - all old fake video code removed
 
+/**
+ * Map a release details failure to the notice shown above the basic record data
+ * @param {Error} error - Error thrown by getReleaseDetails
+ * @returns {{type: string, title: string, message: string}}
+ */
+const describeDetailError = (error) => {
+  if (error instanceof NotFoundError) {
+    return {
+      type: 'notFound',
+      title: 'Release removed from Discogs',
+      message: 'This release no longer exists on Discogs. Showing the details saved from your search.',
+    };
+  }
+  if (error instanceof AuthError) {
+    return {
+      type: 'auth',
+      title: 'Login required',
+      message: 'Discogs rejected the request. Log in again to load the full release details.',
+    };
+  }
+  if (error instanceof RateLimitError) {
+    return {
+      type: 'rateLimit',
+      title: 'Rate limit reached',
+      message: 'Discogs is limiting requests. Full details will be available shortly.',
+    };
+  }
+  if (error instanceof NetworkError) {
+    return {
+      type: 'network',
+      title: 'You appear to be offline',
+      message: 'Full release details could not be loaded. Check your connection and try again.',
+    };
+  }
+  return {
+    type: 'generic',
+    title: 'Could not load full details',
+    message: 'Showing the details saved from your search.',
+  };
+};
+
 // Fallback function for records without Discogs tracklist data
 const getDefaultTracks = (recordTitle) => {
   return [
@@ -77,17 +145,38 @@ const getDefaultTracks = (recordTitle) => {
 
 const RecordDetailScreen = () => {
   const params = useLocalSearchParams();
-  const record = params.record ? JSON.parse(params.record) : null;
+  // Parsed once per param so effects can depend on the record itself
+  const record = useMemo(() => (params.record ? JSON.parse(params.record) : null), [params.record]);
+  // Set when the record was a "Feeling lucky" pick; these are the filters it was dug with
+  const luckyFilters = useMemo(
+    () => (params.luckyFilters ? JSON.parse(params.luckyFilters) : null),
+    [params.luckyFilters]
+  );
 
   // Component state
   const [imageLoading, setImageLoading] = useState(true);
   const [imageError, setImageError] = useState(false);
   const [detailedRecord, setDetailedRecord] = useState(null);
+  const [detailError, setDetailError] = useState(null);
+  const [detailRequestCount, setDetailRequestCount] = useState(0); // Bumped to retry the details request
+  const [offlineCopy, setOfflineCopy] = useState(null); // Saved library entry shown while Discogs is unreachable
+  const [isSavedOffline, setIsSavedOffline] = useState(false);
+  const [isAddingToCollection, setIsAddingToCollection] = useState(false);
+  const [isDigging, setIsDigging] = useState(false);
+  const [pricing, setPricing] = useState(null);
+  const [pricingLoading, setPricingLoading] = useState(false);
+  const [raritySignals, setRaritySignals] = useState({}); // Label size and version count for the rarity score
   const [trackVideos] = useState({}); // Empty while YouTube disabled
   const [loadingVideos] = useState(false); // Always false while YouTube disabled
   const [youtubeApiAvailable] = useState(false); // DISABLED until quota resets
   // YouTube state ready for re-enabling: setTrackVideos, setLoadingVideos, setQuotaExceeded
 
+  const { rateLimitStatus } = useRateLimitHandler();
+  const { executeRequest } = useApiRequest();
+  const { isInCollection } = useCollection();
+  const { isLoggedIn } = useSession();
+  const luckyPicks = useLuckyHistory();
+
   // Memoize record ID to prevent unnecessary re-computations
   const recordId = useMemo(() => {
     return record?.id || record?.title || 'unknown';
@@ -105,31 +194,211 @@ const RecordDetailScreen = () => {
   }, [detailedRecord, record]);
 
   // Fetch detailed record information from Discogs API
+  // Goes through the request manager so a release viewed before loads from the on-device cache
   useEffect(() => {
+    let isCancelled = false;
+
     const fetchDetailedRecord = async () => {
       if (!record?.id) return;
 
       try {
         console.log(`📀 Fetching detailed record data for ID: ${record.id}`);
-        const detailed = await getReleaseDetails(record.id);
+        const detailed = await apiRequestManager.executeRequest(
+          'getReleaseDetails',
+          { releaseId: record.id },
+          async (signal) => await getReleaseDetails(record.id, { signal }),
+          {
+            forceRefresh: detailRequestCount > 0, // Retry button always asks Discogs again
+            onRevalidated: (fresh) => !isCancelled && setDetailedRecord(fresh)
+          }
+        );
+        if (isCancelled) return;
         console.log(`✅ Detailed record loaded: ${detailed?.tracklist?.length || 0} tracks found`);
         setDetailedRecord(detailed);
+        setDetailError(null);
+        setOfflineCopy(null);
+        offlineLibrary.rememberRelease(record, detailed);
       } catch (error) {
+        if (isCancelled || isAbortError(error)) return;
         console.error('❌ Failed to fetch detailed record:', error);
-        // Continue with basic record data
+
+        // Offline: fall back to the copy stored when the release was last opened or saved
+        if (error instanceof NetworkError) {
+          const saved = await offlineLibrary.getRelease(record.id);
+          if (isCancelled) return;
+          if (saved?.details) {
+            console.log('💾 Showing offline copy of release:', record.id);
+            setDetailedRecord(saved.details);
+            setOfflineCopy(saved);
+            setDetailError(null);
+            return;
+          }
+        }
+
+        // Continue with basic record data, but tell the user why
+        setDetailError(describeDetailError(error));
       }
     };
 
     fetchDetailedRecord();
+
+    return () => {
+      isCancelled = true;
+      apiRequestManager.cancelRequest('getReleaseDetails', { releaseId: record?.id });
+    };
+  }, [record, detailRequestCount]);
+
+  // Whether the user saved this release for offline use
+  useEffect(() => {
+    if (!record?.id) return;
+
+    const updateSavedState = () => {
+      offlineLibrary.getRelease(record.id).then(entry => setIsSavedOffline(!!entry?.pinned));
+    };
+
+    updateSavedState();
+    return offlineLibrary.subscribe(updateSavedState);
+  }, [record?.id]);
+
+  // Label size and number of versions feed the rarity score; both are one small request
+  useEffect(() => {
+    if (!detailedRecord) return;
+    const abortController = new AbortController();
+    const { signal } = abortController;
+
+    const fetchRaritySignals = async () => {
+      const labelId = detailedRecord.labels?.[0]?.id;
+      const masterId = detailedRecord.master_id;
+
+      const [labelCount, versions] = await Promise.allSettled([
+        labelId ? getLabelReleaseCount(labelId, { signal }) : Promise.resolve(null),
+        masterId ? getMasterVersions(masterId, { perPage: 1, signal }) : Promise.resolve(null),
+      ]);
+      if (signal.aborted) return;
+
+      setRaritySignals({
+        labelReleaseCount: labelCount.status === 'fulfilled' ? labelCount.value : null,
+        // A release without a master is the only version of itself
+        versionCount: !masterId ? 1 : versions.status === 'fulfilled' ? versions.value?.pagination?.items ?? null : null,
+      });
+    };
+
+    fetchRaritySignals();
+    return () => abortController.abort();
+  }, [detailedRecord]);
+
+  // Fetch marketplace stats (and price suggestions when logged in)
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    const fetchPricing = async () => {
+      if (!record?.id) return;
+
+      setPricingLoading(true);
+      try {
+        const releasePricing = await getReleasePricing(record.id, { signal: abortController.signal });
+        console.log(`💰 Marketplace: ${releasePricing.numForSale} for sale, lowest ${releasePricing.lowestPrice}`);
+        setPricing(releasePricing);
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('❌ Failed to fetch marketplace pricing:', error);
+        setPricing(null);
+      } finally {
+        if (!abortController.signal.aborted) {
+          setPricingLoading(false);
+        }
+      }
+    };
+
+    fetchPricing();
+
+    return () => abortController.abort();
+  }, [record?.id, detailRequestCount]);
+
+  /**
+   * Open the release's Discogs marketplace listings
+   */
+  const handleOpenMarketplace = useCallback(() => {
+    Linking.openURL(`https://www.discogs.com/sell/release/${record?.id}`);
   }, [record?.id]);
 
+  /**
+   * Retry loading release details after a recoverable failure
+   */
+  const handleRetryDetails = useCallback(() => {
+    setDetailError(null);
+    setDetailRequestCount(count => count + 1);
+  }, []);
+
+  /**
+   * Save or unsave the release, with its tracklist and cover, for offline browsing
+   */
+  const handleToggleSavedOffline = useCallback(() => {
+    offlineLibrary.setReleaseSaved(record, detailedRecord, !isSavedOffline);
+    setIsSavedOffline(!isSavedOffline);
+  }, [record, detailedRecord, isSavedOffline]);
+
+  /**
+   * Add a copy of the release to the user's Discogs collection ("Uncategorized" folder)
+   */
+  const handleAddToCollection = useCallback(async () => {
+    setIsAddingToCollection(true);
+    try {
+      await collectionManager.addRelease(record);
+    } catch (error) {
+      Alert.alert('Could Not Add to Collection', error.message);
+    } finally {
+      setIsAddingToCollection(false);
+    }
+  }, [record]);
+
+  /**
+   * Open another lucky pick in place of this one
+   */
+  const openLuckyPick = useCallback((entry) => {
+    router.replace({
+      pathname: '/record-detail',
+      params: buildLuckyRecordParams(entry),
+    });
+  }, []);
+
+  /**
+   * "Dig again": pick another random record with the same filters
+   * Runs through executeRequest so leaving the screen cancels the dig.
+   */
+  const handleDigAgain = useCallback(async () => {
+    setIsDigging(true);
+    try {
+      await luckyHistory.ready;
+      const pick = await executeRequest(
+        async (signal) => await findLuckyRelease(luckyFilters, { signal, excludeIds: luckyHistory.getPickedIds() })
+      );
+      if (!pick) {
+        Alert.alert('No Luck This Time', 'Nothing new turned up within these filters. Loosen them on the search screen.');
+        return;
+      }
+      openLuckyPick(await luckyHistory.add(pick.record, luckyFilters));
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error('❌ Dig again failed:', error.message);
+
+      const searchError = describeSearchError(error);
+      Alert.alert(searchError.title, searchError.message, [{ text: 'OK' }]);
+    } finally {
+      setIsDigging(false);
+    }
+  }, [luckyFilters, executeRequest, openLuckyPick]);
+
   // YouTube integration temporarily disabled to conserve API quota
   // Will be re-enabled after quota reset with optimized, loop-free implementation
 
   // Initialize navigation anti-loop hook
   const {
     navigateToLabel,
+    navigateToMaster,
+    navigateToArtist,
     isLabelClickable,
+    isArtistClickable,
     navigationContext
   } = useNavigationAntiLoop({
     currentScreenType: 'RecordDetail',
@@ -161,14 +430,6 @@ const RecordDetailScreen = () => {
     router.back();
   }, []);
 
-  /**
-   * Format price for display
-   */
-  const formatPrice = (price) => {
-    if (!price) return 'Price not available';
-    return `$${parseFloat(price).toFixed(2)}`;
-  };
-
   /**
    * Format array data for display
    */
@@ -185,11 +446,78 @@ const RecordDetailScreen = () => {
   const handleLabelPress = useCallback((labelData) => {
     navigateToLabel(labelData, {
       fromRecordId: recordId,
+      // The full release knows the label's Discogs ID, which skips the name lookup
+      labelId: detailedRecord?.labels?.[0]?.id,
       metadata: {
         fromRecordTitle: record?.title
       }
     });
-  }, [navigateToLabel, record, recordId]);
+  }, [navigateToLabel, record, recordId, detailedRecord]);
+
+  // Search results carry master_id; the full release fills it in otherwise
+  const masterId = detailedRecord?.master_id || record?.master_id || null;
+
+  /**
+   * Open every pressing of this release's master
+   */
+  const handleAllVersionsPress = useCallback(() => {
+    navigateToMaster(masterId, {
+      masterTitle: detailedRecord?.title || record?.album || record?.title,
+      fromRecordId: recordId,
+    });
+  }, [navigateToMaster, masterId, detailedRecord, record, recordId]);
+
+  /**
+   * Handle artist tap - navigate to the artist page
+   */
+  const handleArtistPress = useCallback((artist) => {
+    navigateToArtist(artist, {
+      fromRecordId: recordId,
+      metadata: {
+        fromRecordTitle: record?.title
+      }
+    });
+  }, [navigateToArtist, record, recordId]);
+
+  // Release artists carry Discogs IDs once the full release has loaded
+  const releaseArtists = detailedRecord?.artists || [];
+  const credits = detailedRecord?.extraartists || [];
+
+  // Rarity from the community counts, marketplace and the signals above
+  const communityCounts = detailedRecord?.community || record?.community || {};
+  const rarity = useMemo(() => scoreRarity({
+    want: communityCounts.want,
+    have: communityCounts.have,
+    numForSale: detailedRecord?.num_for_sale ?? pricing?.numForSale,
+    labelReleaseCount: raritySignals.labelReleaseCount,
+    versionCount: raritySignals.versionCount,
+  }), [communityCounts.want, communityCounts.have, detailedRecord, pricing, raritySignals]);
+
+  // Structured formats (qty, descriptions, colour) once the full release has loaded
+  const releaseFormats = useMemo(() => {
+    const formats = detailedRecord?.formats;
+    if (Array.isArray(formats) && formats.length > 0) {
+      return { lines: describeReleaseFormats(formats), badges: getFormatBadges(parseReleaseFormats(formats)) };
+    }
+    return { lines: [], badges: getFormatBadges(parseSearchFormats(record?.formats || record?.format)) };
+  }, [detailedRecord, record]);
+
+  /**
+   * Render an artist name, linked when it leads somewhere new
+   */
+  const renderArtistName = (artist, style) => {
+    const name = formatDiscogsName(artist.anv || artist.name);
+
+    if (!isArtistClickable(artist)) {
+      return name;
+    }
+
+    return (
+      <Text style={[style, styles.clickableLabel]} onPress={() => handleArtistPress(artist)}>
+        {name}
+      </Text>
+    );
+  };
 
   /**
    * Image loading handlers
@@ -228,7 +556,7 @@ const RecordDetailScreen = () => {
                 </View>
               )}
               <Image
-                source={{ uri: record.cover_image || record.thumb }}
+                source={{ uri: offlineLibrary.resolveImageUri(record.cover_image || record.thumb) }}
                 style={styles.recordImage}
                 resizeMode="cover"
                 onLoad={handleImageLoad}
@@ -247,11 +575,129 @@ const RecordDetailScreen = () => {
           {/* Title and Artist */}
           <View style={styles.titleSection}>
             <Text style={styles.title}>{record.title || 'Unknown Title'}</Text>
-            {record.artist && (
+            {releaseArtists.length > 0 ? (
+              <Text style={styles.artist}>
+                {releaseArtists.map((artist, index) => (
+                  <React.Fragment key={`${artist.id}-${index}`}>
+                    {renderArtistName(artist, styles.artist)}
+                    {index < releaseArtists.length - 1 && ` ${artist.join || ','} `}
+                  </React.Fragment>
+                ))}
+              </Text>
+            ) : record.artist && (
               <Text style={styles.artist}>{record.artist}</Text>
             )}
+
+            <View style={styles.titleActions}>
+              <TouchableOpacity
+                style={[styles.pillButton, isSavedOffline && styles.pillButtonActive]}
+                onPress={handleToggleSavedOffline}
+              >
+                <Text style={[styles.pillText, isSavedOffline && styles.pillTextActive]}>
+                  {isSavedOffline ? '✓ Saved offline' : '📥 Save for offline'}
+                </Text>
+              </TouchableOpacity>
+
+              <WantlistHeart record={record} showLabel />
+              <CrateButton record={record} showLabel />
+
+              {isInCollection(record.id) ? (
+                <View style={[styles.pillButton, styles.pillButtonActive]}>
+                  <Text style={[styles.pillText, styles.pillTextActive]}>✓ In your collection</Text>
+                </View>
+              ) : isLoggedIn && (
+                <TouchableOpacity
+                  style={styles.pillButton}
+                  onPress={handleAddToCollection}
+                  disabled={isAddingToCollection}
+                >
+                  <Text style={styles.pillText}>
+                    {isAddingToCollection ? 'Adding...' : '＋ Add to collection'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
           </View>
 
+          <OfflineBanner savedAt={offlineCopy?.updatedAt} />
+
+          {/* Lucky pick: dig again with the same filters, or go back to an earlier pick */}
+          {luckyFilters && (
+            <View style={styles.luckySection}>
+              <TouchableOpacity
+                style={[styles.pillButton, styles.pillButtonActive, styles.digAgainButton]}
+                onPress={handleDigAgain}
+                disabled={isDigging}
+              >
+                <Text style={[styles.pillText, styles.pillTextActive]}>
+                  {isDigging ? 'Digging...' : '🍀 Dig again'}
+                </Text>
+              </TouchableOpacity>
+
+              {luckyPicks.some(entry => entry.record.id !== record.id) && (
+                <>
+                  <Text style={styles.luckyHistoryTitle}>Recent lucky picks</Text>
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    {luckyPicks
+                      .filter(entry => entry.record.id !== record.id)
+                      .map(entry => (
+                        <TouchableOpacity
+                          key={entry.record.id}
+                          style={styles.luckyPick}
+                          onPress={() => openLuckyPick(entry)}
+                        >
+                          {entry.record.thumb ? (
+                            <Image source={{ uri: entry.record.thumb }} style={styles.luckyPickImage} />
+                          ) : (
+                            <View style={[styles.luckyPickImage, styles.luckyPickPlaceholder]}>
+                              <Text style={styles.luckyPickPlaceholderText}>♪</Text>
+                            </View>
+                          )}
+                          <Text style={styles.luckyPickTitle} numberOfLines={2}>
+                            {entry.record.title}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                  </ScrollView>
+                </>
+              )}
+            </View>
+          )}
+
+          {/* Details error with a recovery path for the error type */}
+          {detailError && (
+            <View style={[
+              styles.detailErrorContainer,
+              detailError.type === 'notFound' && styles.detailErrorRemoved,
+            ]}>
+              <Text style={styles.detailErrorTitle}>{detailError.title}</Text>
+              <Text style={styles.detailErrorText}>{detailError.message}</Text>
+
+              {detailError.type === 'auth' && (
+                <View style={styles.detailErrorAction}>
+                  <AuthButton />
+                </View>
+              )}
+
+              {detailError.type !== 'notFound' && (
+                <TouchableOpacity
+                  style={[
+                    styles.detailErrorButton,
+                    rateLimitStatus.resetInSeconds > 0 && detailError.type === 'rateLimit' && styles.detailErrorButtonDisabled,
+                  ]}
+                  onPress={handleRetryDetails}
+                  disabled={detailError.type === 'rateLimit' && rateLimitStatus.resetInSeconds > 0}
+                >
+                  <Text style={styles.detailErrorButtonText}>
+                    {detailError.type === 'rateLimit' && rateLimitStatus.resetInSeconds > 0
+                      ? `Retry in ${rateLimitStatus.resetInSeconds}s`
+                      : 'Retry'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
           {/* Basic Info Cards */}
           <View style={styles.cardsContainer}>
             {/* Year Card */}
@@ -263,10 +709,23 @@ const RecordDetailScreen = () => {
             )}
 
             {/* Format Card */}
-            {record.format && (
+            {(record.format || releaseFormats.lines.length > 0) && (
               <View style={styles.infoCard}>
                 <Text style={styles.cardLabel}>Format</Text>
-                <Text style={styles.cardValue}>{formatArrayData(record.format)}</Text>
+                <Text style={styles.cardValue}>
+                  {releaseFormats.lines.length > 0 ? releaseFormats.lines.join('\n') : formatArrayData(record.format)}
+                </Text>
+                {releaseFormats.badges.length > 0 && (
+                  <View style={styles.formatBadges}>
+                    {releaseFormats.badges.map(badge => (
+                      <View key={badge.key} style={[styles.formatBadge, badge.highlight && styles.formatBadgeHighlight]}>
+                        <Text style={[styles.formatBadgeText, badge.highlight && styles.formatBadgeTextHighlight]}>
+                          {badge.label}
+                        </Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
               </View>
             )}
           </View>
@@ -313,6 +772,18 @@ const RecordDetailScreen = () => {
               </View>
             )}
 
+            {/* Master - all pressings of this release */}
+            {masterId && (
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Versions:</Text>
+                <TouchableOpacity onPress={handleAllVersionsPress} activeOpacity={0.7}>
+                  <Text style={[styles.detailValue, styles.clickableLabel]}>
+                    All versions →
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
             {/* Catalog Number */}
             {record.catno && (
               <View style={styles.detailRow}>
@@ -338,6 +809,26 @@ const RecordDetailScreen = () => {
             )}
           </View>
 
+          {/* Credits - linked to each contributor's artist page */}
+          {credits.length > 0 && (
+            <View>
+              <Text style={styles.sectionTitle}>Credits</Text>
+              <View style={styles.detailsContainer}>
+                {credits.map((credit, index) => (
+                  <View key={`${credit.id}-${credit.role}-${index}`} style={styles.detailRow}>
+                    <Text style={styles.detailLabel}>{credit.role}</Text>
+                    <Text style={styles.detailValue}>
+                      {renderArtistName(credit, styles.detailValue)}
+                      {credit.tracks ? (
+                        <Text style={styles.labelContext}> ({credit.tracks})</Text>
+                      ) : null}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            </View>
+          )}
+
           {/* Community Statistics - Enhanced */}
           <View style={styles.communitySection}>
             <Text style={styles.sectionTitle}>Community Interest</Text>
@@ -347,7 +838,7 @@ const RecordDetailScreen = () => {
                   <Text style={styles.statIcon}>❤️</Text>
                 </View>
                 <Text style={styles.statNumber}>
-                  {record.community?.want || record.want || Math.floor(Math.random() * 1000)}
+                  {communityCounts.want ?? record.want ?? '–'}
                 </Text>
                 <Text style={styles.statLabel}>Want This</Text>
               </View>
@@ -356,17 +847,42 @@ const RecordDetailScreen = () => {
                   <Text style={styles.statIcon}>💿</Text>
                 </View>
                 <Text style={styles.statNumber}>
-                  {record.community?.have || record.have || Math.floor(Math.random() * 500)}
+                  {communityCounts.have ?? record.have ?? '–'}
                 </Text>
                 <Text style={styles.statLabel}>Have This</Text>
               </View>
             </View>
             
-            <View style={styles.popularityIndicator}>
-              <Text style={styles.popularityText}>
-                🔥 Popular Release - High collector interest
-              </Text>
-            </View>
+            {/* Rarity score with what went into it */}
+            {rarity && (
+              <View style={styles.rarityIndicator}>
+                <View style={styles.rarityHeader}>
+                  <Text style={styles.rarityTier}>💎 {rarity.tierLabel}</Text>
+                  <Text style={styles.rarityScore}>{rarity.score}/100</Text>
+                </View>
+
+                {rarity.breakdown.map(signal => (
+                  <View key={signal.key} style={styles.raritySignal}>
+                    <View style={styles.raritySignalHeader}>
+                      <Text style={styles.raritySignalLabel}>{signal.label}</Text>
+                      <Text style={styles.raritySignalScore}>
+                        {signal.score} · {Math.round(signal.weight * 100)}% of score
+                      </Text>
+                    </View>
+                    <View style={styles.rarityBar}>
+                      <View style={[styles.rarityBarFill, { width: `${signal.score}%` }]} />
+                    </View>
+                    <Text style={styles.raritySignalText}>{signal.explanation}</Text>
+                  </View>
+                ))}
+
+                {rarity.signalsUsed < 5 && (
+                  <Text style={styles.rarityNote}>
+                    Scored from {rarity.signalsUsed} of 5 signals; the others are loading or unknown.
+                  </Text>
+                )}
+              </View>
+            )}
           </View>
 
           {/* Track Listing */}
@@ -541,12 +1057,54 @@ const RecordDetailScreen = () => {
 
 
 
-          {/* Pricing Section - Placeholder for future marketplace integration */}
+          {/* Pricing Section - Discogs marketplace stats and suggested prices */}
           <View style={styles.pricingSection}>
             <Text style={styles.sectionTitle}>Marketplace</Text>
-            <Text style={styles.pricingNote}>
-              Connect to Discogs marketplace for current pricing information
-            </Text>
+
+            {pricingLoading ? (
+              <ActivityIndicator size="small" color={colors.accent} />
+            ) : pricing ? (
+              <>
+                {pricing.blockedFromSale ? (
+                  <Text style={styles.pricingNote}>This release is blocked from sale on Discogs</Text>
+                ) : pricing.lowestPrice !== null ? (
+                  <View style={styles.pricingSummary}>
+                    <Text style={styles.pricingLowest}>
+                      {formatPrice(pricing.lowestPrice, pricing.currency)}
+                    </Text>
+                    <Text style={styles.pricingLabel}>
+                      lowest of {pricing.numForSale} for sale
+                    </Text>
+                  </View>
+                ) : (
+                  <Text style={styles.pricingNote}>No copies currently for sale</Text>
+                )}
+
+                {pricing.suggestions?.length > 0 && (
+                  <View style={styles.suggestionsContainer}>
+                    <Text style={styles.pricingLabel}>Suggested prices by condition</Text>
+                    {pricing.suggestions.map(suggestion => (
+                      <View key={suggestion.condition} style={styles.suggestionRow}>
+                        <Text style={styles.suggestionCondition}>{suggestion.condition}</Text>
+                        <Text style={styles.suggestionValue}>
+                          {formatPrice(suggestion.value, suggestion.currency)}
+                        </Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
+
+                {pricing.numForSale > 0 && (
+                  <TouchableOpacity onPress={handleOpenMarketplace}>
+                    <Text style={styles.marketplaceLink}>View listings on Discogs →</Text>
+                  </TouchableOpacity>
+                )}
+              </>
+            ) : (
+              <Text style={styles.pricingNote}>
+                Marketplace pricing is unavailable right now
+              </Text>
+            )}
           </View>
         </View>
       </ScrollView>
@@ -597,6 +1155,56 @@ const styles = StyleSheet.create({
     flex: 1,
   },
 
+  // Details error notice
+  detailErrorContainer: {
+    backgroundColor: colors.warning + '20',
+    borderColor: colors.warning,
+    borderWidth: 1,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginBottom: spacing.lg,
+  },
+
+  detailErrorRemoved: {
+    backgroundColor: colors.error + '20',
+    borderColor: colors.error,
+  },
+
+  detailErrorTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.xs,
+  },
+
+  detailErrorText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+  },
+
+  detailErrorAction: {
+    marginTop: spacing.md,
+  },
+
+  detailErrorButton: {
+    alignSelf: 'flex-start',
+    marginTop: spacing.md,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.accent,
+  },
+
+  detailErrorButtonDisabled: {
+    opacity: 0.5,
+  },
+
+  detailErrorButtonText: {
+    color: colors.background,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
   // Image Section
   imageSection: {
     paddingHorizontal: spacing.lg,
@@ -670,6 +1278,82 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
 
+  titleActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  pillButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  pillButtonActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  pillText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  pillTextActive: {
+    color: colors.background,
+  },
+
+  // Lucky pick
+  luckySection: {
+    marginBottom: spacing.lg,
+  },
+
+  digAgainButton: {
+    alignSelf: 'flex-start',
+    marginBottom: spacing.md,
+  },
+
+  luckyHistoryTitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    marginBottom: spacing.sm,
+  },
+
+  luckyPick: {
+    width: 88,
+    marginRight: spacing.sm,
+  },
+
+  luckyPickImage: {
+    width: 88,
+    height: 88,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.xs,
+  },
+
+  luckyPickPlaceholder: {
+    backgroundColor: colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  luckyPickPlaceholderText: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.xl,
+  },
+
+  luckyPickTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.xs,
+  },
+
   // Info Cards
   cardsContainer: {
     flexDirection: 'row',
@@ -699,6 +1383,37 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
 
+  formatBadges: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: spacing.xs,
+    marginTop: spacing.xs,
+  },
+
+  formatBadge: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 4,
+  },
+
+  formatBadgeHighlight: {
+    backgroundColor: colors.success + '20',
+    borderColor: colors.success,
+  },
+
+  formatBadgeText: {
+    fontSize: 10,
+    color: colors.textSecondary,
+  },
+
+  formatBadgeTextHighlight: {
+    color: colors.success,
+    fontWeight: typography.fontWeight.medium,
+  },
+
   // Details
   detailsContainer: {
     backgroundColor: colors.backgroundSecondary,
@@ -795,7 +1510,7 @@ const styles = StyleSheet.create({
     lineHeight: 18,
   },
 
-  popularityIndicator: {
+  rarityIndicator: {
     backgroundColor: colors.accent + '15',
     borderRadius: borderRadius.md,
     padding: spacing.md,
@@ -804,11 +1519,67 @@ const styles = StyleSheet.create({
     borderLeftColor: colors.accent,
   },
 
-  popularityText: {
+  rarityHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+
+  rarityTier: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  rarityScore: {
+    color: colors.accent,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  raritySignal: {
+    marginTop: spacing.sm,
+  },
+
+  raritySignalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+
+  raritySignalLabel: {
     color: colors.text,
     fontSize: typography.fontSize.sm,
     fontWeight: typography.fontWeight.medium,
-    textAlign: 'center',
+  },
+
+  raritySignalScore: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+  },
+
+  rarityBar: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.border,
+    marginVertical: spacing.xs,
+    overflow: 'hidden',
+  },
+
+  rarityBarFill: {
+    height: 4,
+    backgroundColor: colors.accent,
+  },
+
+  raritySignalText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+  },
+
+  rarityNote: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.xs,
+    marginTop: spacing.sm,
   },
 
   // Pricing Section
@@ -827,6 +1598,54 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
   },
 
+  pricingSummary: {
+    alignItems: 'center',
+  },
+
+  pricingLowest: {
+    color: colors.accent,
+    fontSize: typography.fontSize['2xl'],
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  pricingLabel: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    marginBottom: spacing.xs,
+  },
+
+  suggestionsContainer: {
+    alignSelf: 'stretch',
+    marginTop: spacing.md,
+  },
+
+  suggestionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border + '40',
+  },
+
+  suggestionCondition: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+  },
+
+  suggestionValue: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  marketplaceLink: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    marginTop: spacing.md,
+  },
+
   // Track Listing Section
   trackListSection: {
     marginBottom: spacing.lg,
@@ -0,0 +1,344 @@
+/**
+ * SavedRecordsScreen Component
+ *
+ * Lists the records and labels stored on the device, so they can be
+ * browsed without a connection.
+ *
+ * Features:
+ * - Saved records and labels, kept until the user removes them
+ * - Recently opened records and labels, evicted oldest first
+ * - Age of each stored copy
+ * - Offline banner while Discogs is unreachable
+ */
+
+import { useFocusEffect } from 'expo-router';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Image,
+  SectionList,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { OfflineBanner } from '../components';
+import useNavigationAntiLoop from '../hooks/useNavigationAntiLoop';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import { formatDiscogsName, formatTimeAgo } from '../utils/format';
+import navigationStateManager from '../utils/NavigationStateManager';
+import offlineLibrary from '../utils/OfflineLibrary';
+
+const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
+
+const MAX_RECENT_ITEMS = 20; // Recently opened items listed per type
+
+const SavedRecordsScreen = () => {
+  const [releases, setReleases] = useState([]);
+  const [labels, setLabels] = useState([]);
+
+  const { navigateToRecord, navigateToLabel } = useNavigationAntiLoop({
+    currentScreenType: 'Saved',
+    currentItemId: 'saved',
+    currentItemData: null
+  });
+
+  // Register this screen in navigation state manager when focused
+  useFocusEffect(
+    useCallback(() => {
+      navigationStateManager.setCurrentScreen('Saved', 'saved', {
+        savedReleases: releases.length,
+        savedLabels: labels.length
+      });
+
+      return () => {
+        console.log('📍 Saved screen blurred');
+      };
+    }, [releases.length, labels.length])
+  );
+
+  // Keep the lists in sync with the library
+  useEffect(() => {
+    const loadLibrary = async () => {
+      const [storedReleases, storedLabels] = await Promise.all([
+        offlineLibrary.getReleases(),
+        offlineLibrary.getLabels(),
+      ]);
+      setReleases(storedReleases);
+      setLabels(storedLabels);
+    };
+
+    loadLibrary();
+    return offlineLibrary.subscribe(loadLibrary);
+  }, []);
+
+  const sections = useMemo(() => {
+    const toItems = (entries, type) => entries.map(entry => ({ type, entry }));
+
+    return [
+      { title: 'Saved records', data: toItems(releases.filter(entry => entry.pinned), 'release') },
+      { title: 'Saved labels', data: toItems(labels.filter(entry => entry.pinned), 'label') },
+      {
+        title: 'Recently opened records',
+        data: toItems(releases.filter(entry => !entry.pinned).slice(0, MAX_RECENT_ITEMS), 'release'),
+      },
+      {
+        title: 'Recently opened labels',
+        data: toItems(labels.filter(entry => !entry.pinned).slice(0, MAX_RECENT_ITEMS), 'label'),
+      },
+    ].filter(section => section.data.length > 0);
+  }, [releases, labels]);
+
+  /**
+   * Open a stored record or label; the detail screens fall back to the stored copy offline
+   */
+  const handleItemPress = useCallback(({ type, entry }) => {
+    if (type === 'release') {
+      navigateToRecord(entry.record);
+    } else {
+      navigateToLabel({ id: entry.labelId, name: entry.labelName });
+    }
+  }, [navigateToRecord, navigateToLabel]);
+
+  /**
+   * Save or unsave an item without opening it
+   */
+  const handleToggleSaved = useCallback(({ type, entry }) => {
+    if (type === 'release') {
+      offlineLibrary.setReleaseSaved(entry.record, entry.details, !entry.pinned);
+    } else {
+      offlineLibrary.setLabelSaved(entry, !entry.pinned);
+    }
+  }, []);
+
+  const renderItem = useCallback(({ item }) => {
+    const { type, entry } = item;
+    const isRelease = type === 'release';
+
+    const imageUrl = isRelease
+      ? entry.record?.thumb || entry.record?.cover_image
+      : entry.releases?.[0]?.thumb;
+    const title = isRelease
+      ? entry.record?.title || 'Unknown Title'
+      : formatDiscogsName(entry.labelName);
+    const details = isRelease
+      ? [entry.details?.artists_sort || entry.record?.artist, entry.details?.year || entry.record?.year]
+      : [`${entry.releases?.length || 0} releases stored`];
+
+    return (
+      <TouchableOpacity style={styles.itemCard} onPress={() => handleItemPress(item)} activeOpacity={0.8}>
+        {imageUrl ? (
+          <Image
+            source={{ uri: offlineLibrary.resolveImageUri(imageUrl) }}
+            style={styles.itemImage}
+            resizeMode="cover"
+          />
+        ) : (
+          <View style={[styles.itemImage, styles.placeholderImage]}>
+            <Text style={styles.placeholderText}>{isRelease ? '♪' : '🏷️'}</Text>
+          </View>
+        )}
+
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemTitle} numberOfLines={2}>{title}</Text>
+          <Text style={styles.itemDetails} numberOfLines={1}>
+            {details.filter(Boolean).join(' • ')}
+          </Text>
+          <Text style={styles.itemAge}>Stored {formatTimeAgo(entry.updatedAt)}</Text>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.saveButton, entry.pinned && styles.saveButtonActive]}
+          onPress={() => handleToggleSaved(item)}
+          hitSlop={8}
+        >
+          <Text style={[styles.saveButtonText, entry.pinned && styles.saveButtonTextActive]}>
+            {entry.pinned ? '✓ Saved' : '📥 Save'}
+          </Text>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  }, [handleItemPress, handleToggleSaved]);
+
+  const renderSectionHeader = useCallback(({ section }) => (
+    <Text style={styles.sectionTitle}>{section.title}</Text>
+  ), []);
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>💾</Text>
+      <Text style={styles.emptyText}>Nothing Saved Yet</Text>
+      <Text style={styles.emptyMessage}>
+        Records and labels you open are kept here for offline browsing. Tap Save on a record or label to keep it for good.
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Saved</Text>
+        <Text style={styles.headerSubtitle}>Available offline on this device</Text>
+      </View>
+
+      <SectionList
+        sections={sections}
+        renderItem={renderItem}
+        renderSectionHeader={renderSectionHeader}
+        keyExtractor={(item) => `${item.type}-${item.entry.record?.id || item.entry.labelId || item.entry.labelName}`}
+        ListHeaderComponent={<OfflineBanner />}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={[styles.listContent, sections.length === 0 && styles.flexContent]}
+        stickySectionHeadersEnabled={false}
+        showsVerticalScrollIndicator={false}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  // Header
+  header: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  headerTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  // List
+  listContent: {
+    padding: spacing.md,
+  },
+
+  flexContent: {
+    flex: 1,
+  },
+
+  sectionTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginTop: spacing.md,
+    marginBottom: spacing.sm,
+  },
+
+  itemCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    ...shadows.sm,
+  },
+
+  itemImage: {
+    width: 56,
+    height: 56,
+    borderRadius: borderRadius.md,
+  },
+
+  placeholderImage: {
+    backgroundColor: colors.backgroundSecondary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  placeholderText: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.xl,
+  },
+
+  itemInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+
+  itemTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  itemDetails: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  itemAge: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.xs,
+    marginTop: 2,
+  },
+
+  saveButton: {
+    marginLeft: spacing.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  saveButtonActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  saveButtonText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  saveButtonTextActive: {
+    color: colors.background,
+  },
+
+  // Empty State
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  emptyText: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  emptyMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+  },
+});
+
+export default SavedRecordsScreen;
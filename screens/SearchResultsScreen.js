@@ -26,9 +26,22 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 
+import { CrateButton, FacetDrawer, SortMenu, WantlistHeart } from '../components';
 import { useApiRequest } from '../hooks/useApiRequest';
+import useCollection from '../hooks/useCollection';
 import sophisticatedTheme from '../styles/sophisticatedTheme';
-import { formatPrice } from '../utils/format';
+import { formatDiscogsName, formatPrice } from '../utils/format';
+import { getRarityTierRank, scoreSearchResultRarity } from '../utils/rarity';
+import { getFormatBadges, parseSearchFormats } from '../utils/recordFormats';
+import {
+  buildFacets,
+  countSelectedFacets,
+  filterByFacets,
+  getAvailableSorts,
+  RESULT_SORTS,
+  sortRecords,
+  toggleFacet,
+} from '../utils/resultFacets';
 
 const { colors, spacing, typography, shadows } = sophisticatedTheme;
 
@@ -39,11 +52,13 @@ const { colors, spacing, typography, shadows } = sophisticatedTheme;
 /**
  * Optimized Record Item Component with React.memo
  * Prevents unnecessary re-renders when props haven't changed
+ * Also used by CrateDetailScreen so crates look like search results.
  */
-const OptimizedRecordItem = React.memo(({
+export const OptimizedRecordItem = React.memo(({
   record,
   onPress,
   index,
+  inCollection = false,
 }) => {
   const [imageError, setImageError] = useState(false);
   const [imageLoading, setImageLoading] = useState(true);
@@ -92,7 +107,13 @@ const OptimizedRecordItem = React.memo(({
       : record.style || '',
     country: record.country || 'Unknown',
     catno: record.catno || 'N/A',
-    price: record.price ? formatPrice(record.price) : null,
+    price: record.price ? `from ${formatPrice(record.price, record.marketplace?.currency)}` : null,
+    formatBadges: getFormatBadges(parseSearchFormats(record.formats || record.format)),
+    // Identify results skip advancedSearch, so score them here
+    rarity: record.rarity || scoreSearchResultRarity(record),
+    sourceLabel: record.sourceLabel
+      ? `via ${formatDiscogsName(record.sourceLabel.name)} (${record.sourceLabel.releaseCount} releases)`
+      : null,
   }), [record]);
 
   return (
@@ -139,9 +160,9 @@ const OptimizedRecordItem = React.memo(({
           {formattedData.artists}
         </Text>
 
-        {/* Label and Year */}
-        <Text style={styles.recordLabel} numberOfLines={1}>
-          {formattedData.label} {formattedData.year}
+        {/* Label and Year; small-label discovery shows the label the release was found through */}
+        <Text style={[styles.recordLabel, formattedData.sourceLabel && styles.sourceLabel]} numberOfLines={1}>
+          {formattedData.sourceLabel || formattedData.label} {formattedData.year}
         </Text>
 
         {/* Format and Genre */}
@@ -159,12 +180,38 @@ const OptimizedRecordItem = React.memo(({
           )}
         </View>
 
+        {/* Rarity (Scarce and up), then vinyl size, speed and pressing badges */}
+        {(formattedData.formatBadges.length > 0 || formattedData.rarity) && (
+          <View style={styles.formatBadges}>
+            {formattedData.rarity && getRarityTierRank(formattedData.rarity.tier) >= RARITY_BADGE_MIN_RANK && (
+              <View style={[styles.formatBadge, styles.rarityBadge]}>
+                <Text style={[styles.formatBadgeText, styles.rarityBadgeText]}>
+                  💎 {formattedData.rarity.tierLabel}
+                </Text>
+              </View>
+            )}
+            {formattedData.formatBadges.map(badge => (
+              <View key={badge.key} style={[styles.formatBadge, badge.highlight && styles.formatBadgeHighlight]}>
+                <Text style={[styles.formatBadgeText, badge.highlight && styles.formatBadgeTextHighlight]}>
+                  {badge.label}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Additional Info Row */}
         <View style={styles.additionalInfo}>
           <Text style={styles.catalogNumber}>
             {formattedData.country} • {formattedData.catno}
           </Text>
           
+          {inCollection && (
+            <View style={styles.collectionBadge}>
+              <Text style={styles.collectionBadgeText}>✓ In collection</Text>
+            </View>
+          )}
+
           {formattedData.price && (
             <Text style={styles.recordPrice}>{formattedData.price}</Text>
           )}
@@ -173,6 +220,8 @@ const OptimizedRecordItem = React.memo(({
 
       {/* Action Arrow */}
       <View style={styles.actionContainer}>
+        <WantlistHeart record={record} />
+        <CrateButton record={record} />
         <Ionicons 
           name="chevron-forward" 
           size={20} 
@@ -191,6 +240,15 @@ OptimizedRecordItem.displayName = 'OptimizedRecordItem';
 const OptimizedListHeader = React.memo(({ 
   resultsCount, 
   searchQuery, 
+  priceFilter,
+  smallLabels,
+  sortLabel,
+  isSorted,
+  selectedFacetCount,
+  shownCount,
+  loadedCount,
+  onOpenSort,
+  onOpenFacets,
   onNewSearch 
 }) => (
   <View style={styles.headerContainer}>
@@ -203,11 +261,53 @@ const OptimizedListHeader = React.memo(({
         for "{searchQuery}"
       </Text>
     )}
+
+    {priceFilter && (
+      <Text style={styles.priceFilterNote}>
+        Lowest marketplace price{priceFilter.min ? ` from ${formatPrice(priceFilter.min)}` : ''}
+        {priceFilter.max ? ` up to ${formatPrice(priceFilter.max)}` : ''} • more pages are checked as you scroll
+      </Text>
+    )}
+
+    {smallLabels && (
+      <Text style={styles.priceFilterNote}>
+        Labels with {smallLabels.maxReleases} releases or fewer • {smallLabels.labelsMatched} of{' '}
+        {smallLabels.labelsChecked} labels checked so far • more labels are checked as you scroll
+      </Text>
+    )}
+
+    {selectedFacetCount > 0 && (
+      <Text style={styles.priceFilterNote}>
+        Showing {shownCount.toLocaleString()} of {loadedCount.toLocaleString()} loaded results
+      </Text>
+    )}
     
-    <Pressable style={styles.newSearchButton} onPress={onNewSearch}>
-      <Ionicons name="search" size={16} color={colors.primary} />
-      <Text style={styles.newSearchText}>New Search</Text>
-    </Pressable>
+    <View style={styles.headerActions}>
+      <Pressable style={styles.newSearchButton} onPress={onNewSearch}>
+        <Ionicons name="search" size={16} color={colors.primary} />
+        <Text style={styles.newSearchText}>New Search</Text>
+      </Pressable>
+
+      <Pressable
+        style={[styles.headerPill, isSorted && styles.headerPillActive]}
+        onPress={onOpenSort}
+        accessibilityRole="button"
+        accessibilityLabel={`Sort by ${sortLabel}`}
+      >
+        <Text style={[styles.headerPillText, isSorted && styles.headerPillTextActive]}>Sort: {sortLabel} ▾</Text>
+      </Pressable>
+
+      <Pressable
+        style={[styles.headerPill, selectedFacetCount > 0 && styles.headerPillActive]}
+        onPress={onOpenFacets}
+        accessibilityRole="button"
+        accessibilityLabel="Filter results"
+      >
+        <Text style={[styles.headerPillText, selectedFacetCount > 0 && styles.headerPillTextActive]}>
+          Filters{selectedFacetCount > 0 ? ` (${selectedFacetCount})` : ''}
+        </Text>
+      </Pressable>
+    </View>
   </View>
 ));
 
@@ -219,6 +319,7 @@ OptimizedListHeader.displayName = 'OptimizedListHeader';
 const OptimizedListFooter = React.memo(({ 
   isLoadingMore, 
   hasMore, 
+  priceProgress,
   onLoadMore 
 }) => {
   if (!isLoadingMore && !hasMore) {
@@ -235,7 +336,11 @@ const OptimizedListFooter = React.memo(({
     return (
       <View style={styles.footerContainer}>
         <ActivityIndicator size="small" color={colors.primary} />
-        <Text style={styles.loadingMoreText}>Loading more results...</Text>
+        <Text style={styles.loadingMoreText}>
+          {priceProgress
+            ? `Checking prices: ${priceProgress.checked} of ${priceProgress.total}...`
+            : 'Loading more results...'}
+        </Text>
       </View>
     );
   }
@@ -271,6 +376,24 @@ const OptimizedEmptyState = React.memo(({ onNewSearch }) => (
 
 OptimizedEmptyState.displayName = 'OptimizedEmptyState';
 
+/**
+ * Shown when no loaded result matches the selected facets
+ */
+const FilteredEmptyState = React.memo(({ isLoadingMore, onClearFacets }) => (
+  <View style={styles.filteredEmptyContainer}>
+    <Text style={styles.emptyStateText}>
+      {isLoadingMore
+        ? 'Looking through more results for matches...'
+        : 'None of the loaded results match these filters.'}
+    </Text>
+    <Pressable style={styles.newSearchButton} onPress={onClearFacets}>
+      <Text style={styles.newSearchText}>Clear Filters</Text>
+    </Pressable>
+  </View>
+));
+
+FilteredEmptyState.displayName = 'FilteredEmptyState';
+
 // ==========================================
 // MAIN COMPONENT
 // ==========================================
@@ -285,13 +408,23 @@ const OptimizedSearchResultsScreen = ({
   const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [error, setError] = useState(null);
+  // Small-label discovery continues from a cursor instead of a page number
+  const [labelCursor, setLabelCursor] = useState(initialResults?.cursor || null);
+  const [priceProgress, setPriceProgress] = useState(null); // Marketplace prices checked for the next page
+  // Sorting and facets apply to the records loaded so far
+  const [sortKey, setSortKey] = useState('relevance');
+  const [selectedFacets, setSelectedFacets] = useState({});
+  const [isSortMenuOpen, setIsSortMenuOpen] = useState(false);
+  const [isFacetDrawerOpen, setIsFacetDrawerOpen] = useState(false);
 
   // API and utility hooks
   const { executeRequest } = useApiRequest();
+  const { isInCollection } = useCollection();
   
   // Refs for performance optimization
   const flatListRef = useRef(null);
   const mounted = useRef(true);
+  const autoLoadedPages = useRef(0);
 
   // Memoized computed values
   const pagination = useMemo(() => 
@@ -300,13 +433,41 @@ const OptimizedSearchResultsScreen = ({
   );
 
   const hasMore = useMemo(() => 
-    currentPage < pagination.pages,
-    [currentPage, pagination.pages]
+    labelCursor ? !labelCursor.done : currentPage < pagination.pages,
+    [labelCursor, currentPage, pagination.pages]
+  );
+
+  // Price filtering happens per page after the fetch, so Discogs' total no longer applies
+  const priceFilter = initialResults?.priceFilter || null;
+
+  const smallLabels = useMemo(() => (
+    labelCursor
+      ? {
+        maxReleases: JSON.parse(searchParams || '{}').maxReleases,
+        labelsChecked: labelCursor.labelsChecked,
+        labelsMatched: labelCursor.labelsMatched,
+      }
+      : null
+  ), [labelCursor, searchParams]);
+
+  // Pages loaded later are counted, filtered and sorted in too
+  const facets = useMemo(() => buildFacets(records), [records]);
+  const availableSorts = useMemo(() => getAvailableSorts(records), [records]);
+  const selectedFacetCount = useMemo(() => countSelectedFacets(selectedFacets), [selectedFacets]);
+
+  const displayedRecords = useMemo(
+    () => sortRecords(filterByFacets(records, selectedFacets), sortKey),
+    [records, selectedFacets, sortKey]
+  );
+
+  const sortLabel = useMemo(
+    () => RESULT_SORTS.find(sort => sort.key === sortKey)?.label || 'Relevance',
+    [sortKey]
   );
 
   const resultsCount = useMemo(() => 
-    pagination.items || records.length,
-    [pagination.items, records.length]
+    priceFilter || labelCursor ? records.length : pagination.items || records.length,
+    [priceFilter, labelCursor, pagination.items, records.length]
   );
 
   // ==========================================
@@ -336,6 +497,7 @@ const OptimizedSearchResultsScreen = ({
           genre: record.genre,
           style: record.style,
           catno: record.catno,
+          master_id: record.master_id,
         })
       }
     });
@@ -359,13 +521,23 @@ const OptimizedSearchResultsScreen = ({
 
       console.log(`📄 Loading page ${nextPage} of search results...`);
 
-      const response = await executeRequest(async () => {
+      const response = await executeRequest(async (signal) => {
         // Import advancedSearch here to avoid circular dependencies
-        const { advancedSearch } = require('../api/discogs');
-        return await advancedSearch(paginatedParams);
+        const { advancedSearch, searchSmallLabelReleases } = require('../api/discogs');
+        return labelCursor
+          ? await searchSmallLabelReleases(paginatedParams, { cursor: labelCursor, signal })
+          : await advancedSearch(paginatedParams, {
+            signal,
+            onPriceProgress: (progress) => {
+              if (mounted.current) setPriceProgress(progress);
+            },
+          });
       });
 
       if (mounted.current && response?.results) {
+        if (response.cursor) {
+          setLabelCursor(response.cursor);
+        }
         setRecords(prevRecords => [
           ...prevRecords,
           ...response.results.filter(newRecord => 
@@ -385,9 +557,26 @@ const OptimizedSearchResultsScreen = ({
     } finally {
       if (mounted.current) {
         setIsLoadingMore(false);
+        setPriceProgress(null);
       }
     }
-  }, [isLoadingMore, hasMore, currentPage, searchParams, executeRequest]);
+  }, [isLoadingMore, hasMore, currentPage, searchParams, labelCursor, executeRequest]);
+
+  /**
+   * Facet and sort handlers
+   */
+  const handleToggleFacet = useCallback((fieldKey, value) => {
+    setSelectedFacets(current => toggleFacet(current, fieldKey, value));
+  }, []);
+
+  const handleClearFacets = useCallback(() => {
+    setSelectedFacets({});
+  }, []);
+
+  const handleOpenSort = useCallback(() => setIsSortMenuOpen(true), []);
+  const handleCloseSort = useCallback(() => setIsSortMenuOpen(false), []);
+  const handleOpenFacets = useCallback(() => setIsFacetDrawerOpen(true), []);
+  const handleCloseFacets = useCallback(() => setIsFacetDrawerOpen(false), []);
 
   /**
    * Optimized new search navigation
@@ -423,8 +612,9 @@ const OptimizedSearchResultsScreen = ({
       record={item}
       onPress={handleRecordPress}
       index={index}
+      inCollection={isInCollection(item.id)}
     />
-  ), [handleRecordPress]);
+  ), [handleRecordPress, isInCollection]);
 
   /**
    * Memoized list header
@@ -433,9 +623,31 @@ const OptimizedSearchResultsScreen = ({
     <OptimizedListHeader
       resultsCount={resultsCount}
       searchQuery={searchQuery}
+      priceFilter={priceFilter}
+      smallLabels={smallLabels}
+      sortLabel={sortLabel}
+      isSorted={sortKey !== 'relevance'}
+      selectedFacetCount={selectedFacetCount}
+      shownCount={displayedRecords.length}
+      loadedCount={records.length}
+      onOpenSort={handleOpenSort}
+      onOpenFacets={handleOpenFacets}
       onNewSearch={handleNewSearch}
     />
-  ), [resultsCount, searchQuery, handleNewSearch]);
+  ), [
+    resultsCount,
+    searchQuery,
+    priceFilter,
+    smallLabels,
+    sortLabel,
+    sortKey,
+    selectedFacetCount,
+    displayedRecords.length,
+    records.length,
+    handleOpenSort,
+    handleOpenFacets,
+    handleNewSearch,
+  ]);
 
   /**
    * Memoized list footer
@@ -444,9 +656,10 @@ const OptimizedSearchResultsScreen = ({
     <OptimizedListFooter
       isLoadingMore={isLoadingMore}
       hasMore={hasMore}
+      priceProgress={priceProgress}
       onLoadMore={handleLoadMore}
     />
-  ), [isLoadingMore, hasMore, handleLoadMore]);
+  ), [isLoadingMore, hasMore, priceProgress, handleLoadMore]);
 
   // ==========================================
   // LIFECYCLE MANAGEMENT
@@ -459,6 +672,22 @@ const OptimizedSearchResultsScreen = ({
     };
   }, []);
 
+  // Each new facet selection gets a fresh budget of pages to fill itself
+  useEffect(() => {
+    autoLoadedPages.current = 0;
+  }, [selectedFacets]);
+
+  // A narrow selection can leave only a few loaded matches, and a short list never
+  // reaches its end to trigger paging, so keep loading pages until it fills up
+  useEffect(() => {
+    if (selectedFacetCount === 0 || isLoadingMore || !hasMore || error) return;
+    if (displayedRecords.length >= FILTERED_FILL_TARGET || autoLoadedPages.current >= MAX_AUTO_LOAD_PAGES) return;
+
+    autoLoadedPages.current += 1;
+    console.log(`🔎 Only ${displayedRecords.length} loaded results match the filters, loading another page...`);
+    handleLoadMore();
+  }, [selectedFacetCount, displayedRecords.length, isLoadingMore, hasMore, error, handleLoadMore]);
+
   // ==========================================
   // RENDER
   // ==========================================
@@ -475,7 +704,7 @@ const OptimizedSearchResultsScreen = ({
     <SafeAreaView style={styles.container}>
       <FlatList
         ref={flatListRef}
-        data={records}
+        data={displayedRecords}
         renderItem={renderItem}
         keyExtractor={keyExtractor}
         getItemLayout={getItemLayout}
@@ -490,6 +719,9 @@ const OptimizedSearchResultsScreen = ({
         // Header and Footer
         ListHeaderComponent={listHeader}
         ListFooterComponent={listFooter}
+        ListEmptyComponent={
+          <FilteredEmptyState isLoadingMore={isLoadingMore} onClearFacets={handleClearFacets} />
+        }
         
         // Pagination
         onEndReached={handleLoadMore}
@@ -517,6 +749,26 @@ const OptimizedSearchResultsScreen = ({
           </Pressable>
         </View>
       )}
+
+      {isSortMenuOpen && (
+        <SortMenu
+          sorts={availableSorts}
+          selectedSort={sortKey}
+          onSelect={setSortKey}
+          onClose={handleCloseSort}
+        />
+      )}
+
+      {isFacetDrawerOpen && (
+        <FacetDrawer
+          facets={facets}
+          selected={selectedFacets}
+          onToggle={handleToggleFacet}
+          onClear={handleClearFacets}
+          matchCount={displayedRecords.length}
+          onClose={handleCloseFacets}
+        />
+      )}
     </SafeAreaView>
   );
 };
@@ -527,6 +779,9 @@ const OptimizedSearchResultsScreen = ({
 
 const { width: screenWidth } = Dimensions.get('window');
 const ITEM_HEIGHT = 120; // Fixed item height for getItemLayout optimization
+const RARITY_BADGE_MIN_RANK = 2; // Cards show the tier from Scarce up
+const FILTERED_FILL_TARGET = 20; // Matches to aim for before facets stop loading pages
+const MAX_AUTO_LOAD_PAGES = 5; // Pages a facet selection may load on its own
 
 const styles = StyleSheet.create({
   container: {
@@ -565,6 +820,43 @@ const styles = StyleSheet.create({
     marginBottom: spacing.sm,
   },
 
+  priceFilterNote: {
+    fontSize: typography.fontSize.xs,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: spacing.sm,
+  },
+
+  headerActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: spacing.sm,
+  },
+
+  headerPill: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  headerPillActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  headerPillText: {
+    fontSize: typography.fontSize.sm,
+    color: colors.textSecondary,
+  },
+
+  headerPillTextActive: {
+    color: colors.background,
+    fontWeight: typography.fontWeight.medium,
+  },
+
   newSearchButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -690,6 +982,49 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.medium,
   },
 
+  sourceLabel: {
+    color: colors.accent,
+  },
+
+  formatBadges: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+
+  formatBadge: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 4,
+  },
+
+  formatBadgeHighlight: {
+    backgroundColor: colors.success + '20',
+    borderColor: colors.success,
+  },
+
+  formatBadgeText: {
+    fontSize: 10,
+    color: colors.textSecondary,
+  },
+
+  rarityBadge: {
+    borderColor: colors.accent,
+    backgroundColor: colors.accent + '20',
+  },
+
+  rarityBadgeText: {
+    color: colors.accent,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  formatBadgeTextHighlight: {
+    color: colors.success,
+    fontWeight: typography.fontWeight.medium,
+  },
+
   additionalInfo: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -702,6 +1037,20 @@ const styles = StyleSheet.create({
     flex: 1,
   },
 
+  collectionBadge: {
+    backgroundColor: colors.success,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    marginRight: spacing.xs,
+  },
+
+  collectionBadgeText: {
+    fontSize: 10,
+    color: colors.background,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
   recordPrice: {
     fontSize: typography.fontSize.sm,
     fontWeight: typography.fontWeight.bold,
@@ -711,6 +1060,7 @@ const styles = StyleSheet.create({
   actionContainer: {
     justifyContent: 'center',
     alignItems: 'center',
+    gap: spacing.xs,
     paddingLeft: spacing.sm,
   },
 
@@ -763,6 +1113,12 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
 
+  filteredEmptyContainer: {
+    alignItems: 'center',
+    padding: spacing.xl,
+    gap: spacing.base,
+  },
+
   emptyStateText: {
     fontSize: typography.fontSize.base,
     color: colors.textSecondary,
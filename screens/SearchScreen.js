@@ -11,25 +11,53 @@
  */
 
 import { router } from 'expo-router';
-import { useCallback, useEffect, useMemo, useReducer, useRef } from 'react';
+import { useCallback, useEffect, useMemo, useReducer, useRef, useState } from 'react';
 import {
   Alert,
   ScrollView,
   StyleSheet,
   Text,
+  TouchableOpacity,
   View,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 
 // Import optimized components and hooks
-import { advancedSearch, searchLabelsByReleaseCount } from '../api/discogs';
-import { Button, Dropdown, Input } from '../components';
+import {
+  MAX_SEARCH_COMBINATIONS,
+  advancedSearch,
+  expandFilterCombinations,
+  findLuckyRelease,
+  identifyRelease,
+  searchSmallLabelReleases,
+} from '../api/discogs';
+import { NetworkError } from '../api/errors';
+import { AuthButton, Button, Dropdown, Input, OfflineBanner } from '../components';
 import { AppLogo, EqualizerIcon, SearchRecordIcon } from '../components/SophisticatedIcons';
+import {
+  ALL_STYLES,
+  COUNTRIES,
+  FORMATS,
+  FORMAT_DESCRIPTIONS,
+  GENRES,
+  findTaxonomyName,
+  getStylesForGenres,
+} from '../constants/discogsTaxonomy';
 import { useApiRequest } from '../hooks/useApiRequest';
+import useConnectivity from '../hooks/useConnectivity';
 import { useDebounce } from '../hooks/useDebounce';
+import useRateLimitHandler from '../hooks/useRateLimitHandler';
 import sophisticatedTheme from '../styles/sophisticatedTheme';
+import { normalizeBarcode, validateBarcode } from '../utils/barcode';
+import { formatTimeAgo } from '../utils/format';
+import luckyHistory, { buildLuckyRecordParams } from '../utils/LuckyHistory';
+import { RARITY_TIERS } from '../utils/rarity';
+import { FORMAT_FLAGS, FORMAT_SIZES, FORMAT_SPEEDS } from '../utils/recordFormats';
+import { describeSearchError } from '../utils/searchErrors';
+import { formatYearRange, parseSearchQuery, setQueryField } from '../utils/searchQuery';
+import offlineSearchQueue, { QUEUED_SEARCH_STATUS } from '../utils/OfflineSearchQueue';
 
-const { colors, spacing, typography, shadows } = sophisticatedTheme;
+const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
 
 // ==========================================
 // STATE MANAGEMENT WITH useReducer
@@ -44,30 +72,146 @@ const SEARCH_ACTIONS = {
   UPDATE_FILTER: 'UPDATE_FILTER',
   RESET_FILTERS: 'RESET_FILTERS',
   SET_PAGINATION: 'SET_PAGINATION',
+  SET_MODE: 'SET_MODE',
+  UPDATE_IDENTIFIER: 'UPDATE_IDENTIFIER',
+};
+
+// Free-text search, or identifying a record in hand by barcode / catalog number
+const SEARCH_MODES = {
+  SEARCH: 'search',
+  IDENTIFY: 'identify',
+};
+
+const MODE_OPTIONS = [
+  { label: '🔍 Search', value: SEARCH_MODES.SEARCH },
+  { label: '🎯 Identify a Record', value: SEARCH_MODES.IDENTIFY },
+];
+
+// Filters that also have a field prefix in the search query, kept in sync both ways
+const QUERY_SYNCED_FILTERS = {
+  genre: 'genre',
+  style: 'style',
+  country: 'country',
+  format: 'format',
+  artist: 'artist',
+  label: 'label',
+  yearFrom: 'year',
+  yearTo: 'year',
 };
 
+// Multi-select filters; Discogs takes one value each, so the search fans out
+const MULTI_SELECT_FILTERS = ['genre', 'style', 'country', 'format'];
+
 const initialSearchState = {
+  mode: SEARCH_MODES.SEARCH,
   searchQuery: '',
   isLoading: false,
   error: null,
   showRateLimitWarning: false,
   openDropdown: null,
   filters: {
-    genre: '',
-    style: '',
+    genre: [],
+    style: [],
+    country: [],
+    format: [],
+    formatSize: '',
+    formatSpeed: '',
+    formatFlags: [],
     artist: '',
     label: '',
-    country: '',
     yearFrom: '',
     yearTo: '',
     minPrice: '',
     maxPrice: '',
     maxReleases: '',
+    maxHave: '',
+    minRarity: '',
   },
   pagination: {
     currentPage: 1,
     itemsPerPage: 50,
+  },
+  identifiers: {
+    barcode: '',
+    catno: '',
+    label: '',
+  },
+};
+
+/**
+ * Use the Discogs spelling for a parsed filter when the taxonomy has it, e.g. "hiphop" -> "Hip Hop"
+ * @param {string} key - Filter key
+ * @param {string|string[]} value - Value(s) from the query
+ * @returns {string|string[]}
+ */
+const matchFilterOption = (key, value) => {
+  if (Array.isArray(value)) {
+    return value.map(part => matchFilterOption(key, part));
   }
+
+  const names = FILTER_OPTIONS[key]?.map(option => option.value).filter(Boolean) || [];
+  return findTaxonomyName(names, value) || value;
+};
+
+/**
+ * Filters after the query changed
+ * A field missing from the query clears its filter; a field with a parse error
+ * leaves the filter as it was until the error is fixed.
+ * @param {Object} filters - Current filters
+ * @param {string} query - New query text
+ * @returns {Object} - Updated filters
+ */
+const syncFiltersFromQuery = (filters, query) => {
+  const parsed = parseSearchQuery(query);
+  const updated = { ...filters };
+
+  Object.entries(QUERY_SYNCED_FILTERS).forEach(([key, field]) => {
+    const token = parsed.tokens.find(candidate => candidate.field === field && !candidate.negated);
+    if (token?.error) return;
+    const empty = MULTI_SELECT_FILTERS.includes(key) ? [] : '';
+    updated[key] = token ? matchFilterOption(key, parsed.filters[key] || empty) : empty;
+  });
+
+  return updated;
+};
+
+/**
+ * Query after a synced filter changed
+ * @param {string} query - Current query text
+ * @param {Object} filters - Filters including the change
+ * @param {string} key - Filter that changed
+ * @returns {string} - Query with the field rewritten
+ */
+const syncQueryFromFilter = (query, filters, key) => {
+  const field = QUERY_SYNCED_FILTERS[key];
+  if (!field) return query;
+
+  const value = field === 'year' ? formatYearRange(filters.yearFrom, filters.yearTo) : filters[key];
+  return setQueryField(query, field, value);
+};
+
+/**
+ * Split the query into plain and erroneous runs for inline highlighting
+ * @param {string} query - Query text
+ * @param {Object[]} tokens - Tokens from parseSearchQuery
+ * @returns {{text: string, isError: boolean}[]}
+ */
+const splitQueryForHighlight = (query, tokens) => {
+  const segments = [];
+  let position = 0;
+
+  tokens.filter(token => token.error).forEach(token => {
+    if (token.start > position) {
+      segments.push({ text: query.slice(position, token.start), isError: false });
+    }
+    segments.push({ text: token.raw, isError: true });
+    position = token.end;
+  });
+
+  if (position < query.length) {
+    segments.push({ text: query.slice(position), isError: false });
+  }
+  return segments;
 };
 
 /**
@@ -77,7 +221,11 @@ const initialSearchState = {
 const searchReducer = (state, action) => {
   switch (action.type) {
     case SEARCH_ACTIONS.SET_QUERY:
-      return { ...state, searchQuery: action.payload };
+      return {
+        ...state,
+        searchQuery: action.payload,
+        filters: syncFiltersFromQuery(state.filters, action.payload),
+      };
     
     case SEARCH_ACTIONS.SET_LOADING:
       return { ...state, isLoading: action.payload };
@@ -91,73 +239,161 @@ const searchReducer = (state, action) => {
     case SEARCH_ACTIONS.SET_OPEN_DROPDOWN:
       return { ...state, openDropdown: action.payload };
     
-    case SEARCH_ACTIONS.UPDATE_FILTER:
+    case SEARCH_ACTIONS.UPDATE_FILTER: {
+      const filters = {
+        ...state.filters,
+        [action.payload.key]: action.payload.value,
+      };
       return {
         ...state,
-        filters: {
-          ...state.filters,
-          [action.payload.key]: action.payload.value,
-        }
+        filters,
+        searchQuery: syncQueryFromFilter(state.searchQuery, filters, action.payload.key),
       };
+    }
     
-    case SEARCH_ACTIONS.RESET_FILTERS:
+    case SEARCH_ACTIONS.RESET_FILTERS: {
+      // Drop the filter prefixes from the query too, keeping free text and exclusions
+      const searchQuery = Object.values(QUERY_SYNCED_FILTERS)
+        .reduce((query, field) => setQueryField(query, field, ''), state.searchQuery);
       return {
         ...state,
+        searchQuery,
         filters: initialSearchState.filters,
         openDropdown: null,
       };
+    }
     
     case SEARCH_ACTIONS.SET_PAGINATION:
       return { ...state, pagination: action.payload };
     
+    case SEARCH_ACTIONS.SET_MODE:
+      return { ...state, mode: action.payload, openDropdown: null, error: null };
+    
+    case SEARCH_ACTIONS.UPDATE_IDENTIFIER:
+      return {
+        ...state,
+        identifiers: {
+          ...state.identifiers,
+          [action.payload.key]: action.payload.value,
+        }
+      };
+    
     default:
       return state;
   }
 };
 
+/**
+ * Inline feedback for a barcode while it is typed
+ * Only complains once the input can no longer become valid by typing more digits.
+ * @param {string} input - Barcode as typed
+ * @returns {{error: string|null, hint: string|null}}
+ */
+const describeBarcodeInput = (input) => {
+  const barcode = normalizeBarcode(input);
+  if (!barcode) return { error: null, hint: null };
+
+  const check = validateBarcode(barcode);
+  if (check.isValid) return { error: null, hint: `✓ Valid ${check.type}` };
+
+  const mayStillBeTyping = /^\d+$/.test(barcode) && barcode.length < 13 && !check.type;
+  return mayStillBeTyping ? { error: null, hint: null } : { error: check.error, hint: null };
+};
+
+/**
+ * Record detail route params, in the shape the results screen passes
+ * @param {Object} record - Search result record
+ * @returns {Object} - Params for /record-detail
+ */
+const buildRecordDetailParams = (record) => ({
+  recordId: record.id.toString(),
+  record: JSON.stringify({
+    id: record.id,
+    title: record.title,
+    artists: record.artists || [{ name: record.artist || 'Unknown Artist' }],
+    year: record.year,
+    thumb: record.thumb || record.cover_image,
+    cover_image: record.cover_image || record.thumb,
+    label: record.label,
+    country: record.country,
+    format: record.format,
+    genre: record.genre,
+    style: record.style,
+    catno: record.catno,
+    master_id: record.master_id,
+  })
+});
+
+/**
+ * Short summary of a search for the offline queue, e.g. "miles davis · Jazz · 1970–1979"
+ */
+const describeSearch = (searchParams) => {
+  const parts = [
+    searchParams.searchQuery && `"${searchParams.searchQuery}"`,
+    searchParams.artist,
+    searchParams.label,
+    ...MULTI_SELECT_FILTERS.map(key => searchParams[key]?.join(' / ')),
+  ];
+
+  if (searchParams.yearFrom || searchParams.yearTo) {
+    parts.push(`${searchParams.yearFrom || '…'}–${searchParams.yearTo || '…'}`);
+  }
+
+  return parts.filter(Boolean).join(' · ') || 'All records';
+};
+
+/**
+ * Status line for a queued search
+ */
+const describeQueuedSearch = (entry) => {
+  switch (entry.status) {
+    case QUEUED_SEARCH_STATUS.RUNNING:
+      return '🔍 Searching…';
+    case QUEUED_SEARCH_STATUS.DONE:
+      return `✅ ${entry.results?.pagination?.items || 0} results ${formatTimeAgo(entry.completedAt)} · tap to view`;
+    case QUEUED_SEARCH_STATUS.FAILED:
+      return `⚠️ Failed: ${entry.error}`;
+    default:
+      return `⏳ Queued ${formatTimeAgo(entry.queuedAt)}, runs when you're back online`;
+  }
+};
+
 // ==========================================
 // FILTER OPTIONS (Memoized)
 // ==========================================
 
+/**
+ * Dropdown options from the bundled Discogs taxonomy, led by an "All" option
+ */
+const toOptions = (allLabel, names) => [
+  { label: allLabel, value: '' },
+  ...names.map(name => (typeof name === 'string'
+    ? { label: name, value: name }
+    : { label: name.name, value: name.name, description: name.description })),
+];
+
 const FILTER_OPTIONS = {
-  genre: [
-    { label: 'All Genres', value: '' },
-    { label: 'Electronic', value: 'electronic' },
-    { label: 'Rock', value: 'rock' },
-    { label: 'Jazz', value: 'jazz' },
-    { label: 'Hip Hop', value: 'hiphop' },
-    { label: 'Blues', value: 'blues' },
-    { label: 'Classical', value: 'classical' },
-    { label: 'Pop', value: 'pop' },
-    { label: 'Reggae', value: 'reggae' },
-    { label: 'Country', value: 'country' },
-  ],
-  
-  style: [
-    { label: 'All Styles', value: '' },
-    { label: 'Techno', value: 'techno' },
-    { label: 'House', value: 'house' },
-    { label: 'Tech House', value: 'tech house' },
-    { label: 'Deep House', value: 'deep house' },
-    { label: 'Minimal', value: 'minimal' },
-    { label: 'Electro', value: 'electro' },
-    { label: 'Trance', value: 'trance' },
-    { label: 'Drum & Bass', value: 'drum n bass' },
-    { label: 'Dubstep', value: 'dubstep' },
-  ],
-
-  country: [
-    { label: 'All Countries', value: '' },
-    { label: 'US', value: 'US' },
-    { label: 'UK', value: 'UK' },
-    { label: 'Germany', value: 'Germany' },
-    { label: 'France', value: 'France' },
-    { label: 'Japan', value: 'Japan' },
-    { label: 'Netherlands', value: 'Netherlands' },
-    { label: 'Canada', value: 'Canada' },
-  ]
+  genre: toOptions('All Genres', GENRES),
+  style: toOptions('All Styles', ALL_STYLES), // narrowed to the selected genres when rendered
+  country: toOptions('All Countries', COUNTRIES),
+  format: toOptions('All Formats', [...FORMATS, ...FORMAT_DESCRIPTIONS]),
 };
 
+// Minimum rarity tier; Common is the same as any
+const RARITY_OPTIONS = [
+  { label: 'Any Rarity', value: '' },
+  ...RARITY_TIERS.slice(1).map(tier => ({
+    label: `${tier.label} or rarer`,
+    value: tier.key,
+    description: `Rarity score ${tier.minScore}+`,
+  })),
+];
+
+// Format descriptor chips
+const FORMAT_SIZE_CHIPS = FORMAT_SIZES.map(size => ({ value: size, label: size }));
+const FORMAT_SPEED_CHIPS = FORMAT_SPEEDS.map(speed => ({ value: speed, label: speed.replace(' RPM', '') }));
+const FORMAT_FLAG_CHIPS = Object.entries(FORMAT_FLAGS).map(([key, flag]) => ({ value: key, label: flag.label }));
+
 // ==========================================
 // MAIN COMPONENT
 // ==========================================
@@ -166,18 +402,25 @@ const OptimizedSearchScreen = () => {
   // Optimized state management with useReducer
   const [state, dispatch] = useReducer(searchReducer, initialSearchState);
   const {
+    mode,
     searchQuery,
     isLoading,
     error,
     showRateLimitWarning,
     openDropdown,
     filters,
-    pagination
+    pagination,
+    identifiers
   } = state;
 
   // Hooks for API requests and debouncing
   const { executeRequest, cancelRequest } = useApiRequest();
   const debouncedQuery = useDebounce(searchQuery, 500);
+  const { rateLimitMessage, rateLimitStatus } = useRateLimitHandler();
+  const { isOnline } = useConnectivity();
+  const [queuedSearches, setQueuedSearches] = useState(() => offlineSearchQueue.getEntries());
+  const [labelProgress, setLabelProgress] = useState(null);
+  const [priceProgress, setPriceProgress] = useState(null); // Marketplace prices checked for a price filter
 
   // Refs for cleanup and performance
   const timeoutRef = useRef(null);
@@ -187,6 +430,12 @@ const OptimizedSearchScreen = () => {
   // MEMOIZED COMPUTATIONS
   // ==========================================
 
+  /**
+   * Query as typed, parsed for inline errors; the debounced one feeds the search
+   */
+  const liveQuery = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+  const parsedQuery = useMemo(() => parseSearchQuery(debouncedQuery), [debouncedQuery]);
+
   /**
    * Memoized validation check for search readiness
    * Prevents unnecessary re-computation on every render
@@ -199,24 +448,55 @@ const OptimizedSearchScreen = () => {
     return hasSearchQuery || hasFilters;
   }, [debouncedQuery, filters]);
 
+  /**
+   * Styles offered for the selected genres (all styles when none is selected)
+   */
+  const styleOptions = useMemo(
+    () => toOptions('All Styles', getStylesForGenres(filters.genre)),
+    [filters.genre]
+  );
+
+  /**
+   * Number of Discogs searches the multi-select filters fan out into
+   */
+  const combinationCount = useMemo(() => expandFilterCombinations(filters).length, [filters]);
+
+  /**
+   * Barcode feedback and identify readiness
+   */
+  const barcodeFeedback = useMemo(() => describeBarcodeInput(identifiers.barcode), [identifiers.barcode]);
+
+  const canIdentify = useMemo(() => (
+    normalizeBarcode(identifiers.barcode).length > 0 || identifiers.catno.trim().length > 0
+  ), [identifiers.barcode, identifiers.catno]);
+
   /**
    * Memoized search parameters
    * Only recomputes when relevant dependencies change
    */
   const searchParams = useMemo(() => ({
-    searchQuery: debouncedQuery.trim() || undefined,
-    genre: filters.genre || undefined,
-    style: filters.style || undefined,
+    searchQuery: parsedQuery.text || undefined,
+    genre: filters.genre.length > 0 ? filters.genre : undefined,
+    style: filters.style.length > 0 ? filters.style : undefined,
+    country: filters.country.length > 0 ? filters.country : undefined,
+    format: filters.format.length > 0 ? filters.format : undefined,
+    formatDetails: filters.formatSize || filters.formatSpeed || filters.formatFlags.length > 0
+      ? { size: filters.formatSize || undefined, speed: filters.formatSpeed || undefined, flags: filters.formatFlags }
+      : undefined,
     artist: filters.artist || undefined,
     label: filters.label || undefined,
-    country: filters.country || undefined,
     yearFrom: parseInt(filters.yearFrom) || undefined,
     yearTo: parseInt(filters.yearTo) || undefined,
     priceMin: parseInt(filters.minPrice) || undefined,
     priceMax: parseInt(filters.maxPrice) || undefined,
+    maxReleases: parseInt(filters.maxReleases) || undefined,
+    maxHave: /^\d+$/.test(filters.maxHave) ? Number(filters.maxHave) : undefined,
+    minRarity: filters.minRarity || undefined,
+    catno: parsedQuery.filters.catno,
+    exclude: parsedQuery.exclusions.length > 0 ? parsedQuery.exclusions : undefined,
     page: pagination.currentPage,
     per_page: pagination.itemsPerPage,
-  }), [debouncedQuery, filters, pagination]);
+  }), [parsedQuery, filters, pagination]);
 
   // ==========================================
   // OPTIMIZED EVENT HANDLERS
@@ -251,6 +531,23 @@ const OptimizedSearchScreen = () => {
     dispatch({ type: SEARCH_ACTIONS.SET_OPEN_DROPDOWN, payload: newOpenDropdown });
   }, [openDropdown]);
 
+  /**
+   * Switch between free-text search and identify mode
+   */
+  const handleModeChange = useCallback((newMode) => {
+    dispatch({ type: SEARCH_ACTIONS.SET_MODE, payload: newMode });
+  }, []);
+
+  /**
+   * Update a barcode / catalog number / label field
+   */
+  const handleIdentifierChange = useCallback((key, value) => {
+    dispatch({
+      type: SEARCH_ACTIONS.UPDATE_IDENTIFIER,
+      payload: { key, value }
+    });
+  }, []);
+
   /**
    * Optimized reset filters handler
    * Resets all filters and closes dropdowns in one action
@@ -259,6 +556,19 @@ const OptimizedSearchScreen = () => {
     dispatch({ type: SEARCH_ACTIONS.RESET_FILTERS });
   }, []);
 
+  /**
+   * Queue the search to run when connectivity returns
+   * Label release count filtering needs several dependent requests, so it is not queued.
+   */
+  const queueSearch = useCallback(async () => {
+    await offlineSearchQueue.enqueue(searchParams, describeSearch(searchParams));
+    Alert.alert(
+      'Search Queued',
+      "You're offline. This search will run automatically when you reconnect, and the results will be waiting here.",
+      [{ text: 'OK' }]
+    );
+  }, [searchParams]);
+
   /**
    * Optimized search execution with proper error handling
    * Includes rate limit management and cleanup
@@ -273,8 +583,28 @@ const OptimizedSearchScreen = () => {
       return;
     }
 
+    if (liveQuery.errors.length > 0) {
+      Alert.alert('Check Your Query', liveQuery.errors[0].error, [{ text: 'OK' }]);
+      return;
+    }
+
+    if (combinationCount > MAX_SEARCH_COMBINATIONS) {
+      Alert.alert(
+        'Too Many Combinations',
+        `These filters need ${combinationCount} separate Discogs searches; the limit is ${MAX_SEARCH_COMBINATIONS}. Deselect a few genres, styles, countries or formats.`,
+        [{ text: 'OK' }]
+      );
+      return;
+    }
+
     // Close any open dropdowns
     dispatch({ type: SEARCH_ACTIONS.SET_OPEN_DROPDOWN, payload: null });
+
+    if (!isOnline && !filters.maxReleases) {
+      await queueSearch();
+      return;
+    }
+
     dispatch({ type: SEARCH_ACTIONS.SET_LOADING, payload: true });
     dispatch({ type: SEARCH_ACTIONS.SET_ERROR, payload: null });
 
@@ -285,66 +615,35 @@ const OptimizedSearchScreen = () => {
 
       let results;
 
-      // Handle label release count filtering
+      // Small-label discovery: labels are checked here until the first page fills,
+      // the rest are checked and paged on the results screen as the user scrolls
       if (filters.maxReleases) {
-        const minReleases = 0;
-        const maxReleases = parseInt(filters.maxReleases) || Infinity;
-        
-        const filteredLabels = await executeRequest(
-          async () => await searchLabelsByReleaseCount(
-            filters.label || debouncedQuery.trim(),
-            minReleases,
-            maxReleases
-          )
+        setLabelProgress(null);
+        results = await executeRequest(
+          async (signal) => await searchSmallLabelReleases(searchParams, {
+            signal,
+            onProgress: (progress) => {
+              if (mountedRef.current) setLabelProgress(progress);
+            },
+          })
         );
-
-        if (filteredLabels.length === 0) {
-          results = {
-            results: [],
-            pagination: { items: 0, pages: 0, page: 1, per_page: 50 }
-          };
-        } else {
-          // Search releases from filtered labels
-          const labelNames = filteredLabels.map(label => label.title).slice(0, 5);
-          const labelSearchPromises = labelNames.map(labelName => 
-            executeRequest(async () => 
-              await advancedSearch({ ...searchParams, label: labelName })
-            )
-          );
-
-          const labelResults = await Promise.all(labelSearchPromises);
-          
-          // Combine and deduplicate results
-          const combinedResults = labelResults.reduce((acc, result) => {
-            if (result.results) acc.push(...result.results);
-            return acc;
-          }, []);
-
-          const uniqueResults = combinedResults.filter((record, index, self) => 
-            index === self.findIndex(r => r.id === record.id)
-          );
-
-          results = {
-            results: uniqueResults.slice(0, 50),
-            pagination: { 
-              items: uniqueResults.length, 
-              pages: Math.ceil(uniqueResults.length / 50), 
-              page: 1, 
-              per_page: 50 
-            }
-          };
-        }
       } else {
         // Regular search
+        setPriceProgress(null);
         results = await executeRequest(
-          async () => await advancedSearch(searchParams)
+          async (signal) => await advancedSearch(searchParams, {
+            signal,
+            onPriceProgress: (progress) => {
+              if (mountedRef.current) setPriceProgress(progress);
+            },
+          })
         );
       }
 
       console.log(`✅ Optimized search completed. Found ${results.pagination?.items || 0} results`);
 
-      // Navigate to results screen
-      if (results.pagination?.items > 0) {
+      // Navigate to results screen (price filtering can empty a page Discogs counted)
+      if (results.results?.length > 0) {
         router.push({
           pathname: '/search-results',
           params: {
@@ -353,6 +652,12 @@ const OptimizedSearchScreen = () => {
             searchParams: JSON.stringify(searchParams),
           }
         });
+      } else if (results.cursor && !results.cursor.done) {
+        Alert.alert(
+          'No Small Labels Yet',
+          `Checked ${results.cursor.labelsChecked} labels without finding releases on one with ${searchParams.maxReleases} releases or fewer. Try a more specific label search.`,
+          [{ text: 'OK' }]
+        );
       } else {
         Alert.alert(
           'No Results',
@@ -363,18 +668,17 @@ const OptimizedSearchScreen = () => {
 
     } catch (error) {
       console.error('❌ Optimized search failed:', error.message);
+
+      // Connection dropped mid-search: queue it instead of failing
+      if (error instanceof NetworkError && !filters.maxReleases) {
+        await queueSearch();
+        return;
+      }
       
       // Enhanced error handling with rate limit management
-      let errorTitle = 'Search Error';
-      let errorMessage = 'Failed to search records. Please try again.';
+      const searchError = describeSearchError(error);
       
-      if (error.message.includes('Authentication') || error.message.includes('401')) {
-        errorTitle = 'Authentication Error';
-        errorMessage = 'There was an issue with API authentication. Please try again in a moment.';
-      } else if (error.message.includes('Rate limit') || error.message.includes('429')) {
-        errorTitle = 'Rate Limit Reached';
-        errorMessage = 'The Discogs API is temporarily limiting requests. Please wait 30-60 seconds before searching again.';
-        
+      if (searchError.type === 'rateLimit') {
         // Show rate limit warning
         dispatch({ type: SEARCH_ACTIONS.SET_RATE_LIMIT_WARNING, payload: true });
         
@@ -385,22 +689,178 @@ const OptimizedSearchScreen = () => {
             dispatch({ type: SEARCH_ACTIONS.SET_RATE_LIMIT_WARNING, payload: false });
           }
         }, 30000);
-        
-      } else if (error.message.includes('Network') || error.message.includes('fetch')) {
-        errorTitle = 'Network Error';
-        errorMessage = 'Please check your internet connection and try again.';
       }
       
-      dispatch({ type: SEARCH_ACTIONS.SET_ERROR, payload: errorMessage });
+      dispatch({ type: SEARCH_ACTIONS.SET_ERROR, payload: searchError });
       
-      Alert.alert(errorTitle, errorMessage, [{ text: 'OK' }]);
+      Alert.alert(searchError.title, searchError.message, [{ text: 'OK' }]);
       
     } finally {
       if (mountedRef.current) {
         dispatch({ type: SEARCH_ACTIONS.SET_LOADING, payload: false });
+        setLabelProgress(null);
+        setPriceProgress(null);
       }
     }
-  }, [canSearch, searchParams, debouncedQuery, filters, executeRequest]);
+  }, [canSearch, liveQuery, combinationCount, searchParams, debouncedQuery, filters, executeRequest, isOnline, queueSearch]);
+
+  /**
+   * Look up the record in hand
+   * A barcode wins over a catalog number when both are filled in. One match
+   * opens the record directly; several open the results list to pick the pressing.
+   */
+  const handleIdentify = useCallback(async () => {
+    const barcodeInput = normalizeBarcode(identifiers.barcode);
+    let lookup;
+
+    if (barcodeInput) {
+      const check = validateBarcode(barcodeInput);
+      if (!check.isValid) {
+        Alert.alert('Invalid Barcode', check.error, [{ text: 'OK' }]);
+        return;
+      }
+      lookup = { barcode: check.barcode };
+    } else if (identifiers.catno.trim()) {
+      lookup = { catno: identifiers.catno, label: identifiers.label };
+    } else {
+      Alert.alert(
+        'Nothing to Identify',
+        'Enter the barcode digits, or the catalog number from the spine or label.',
+        [{ text: 'OK' }]
+      );
+      return;
+    }
+
+    if (!isOnline) {
+      Alert.alert('Offline', 'Identifying a record needs a connection to Discogs.', [{ text: 'OK' }]);
+      return;
+    }
+
+    dispatch({ type: SEARCH_ACTIONS.SET_LOADING, payload: true });
+    dispatch({ type: SEARCH_ACTIONS.SET_ERROR, payload: null });
+
+    try {
+      const results = await executeRequest(
+        async (signal) => await identifyRelease(lookup, { signal })
+      );
+      if (!results) return;
+
+      const description = lookup.barcode || [lookup.catno.trim(), lookup.label?.trim()].filter(Boolean).join(' · ');
+
+      if (results.results.length === 1) {
+        console.log('🎯 Identified record:', results.results[0].title);
+        router.push({
+          pathname: '/record-detail',
+          params: buildRecordDetailParams(results.results[0]),
+        });
+      } else if (results.results.length > 1) {
+        router.push({
+          pathname: '/search-results',
+          params: {
+            initialResults: JSON.stringify(results),
+            searchQuery: description,
+            searchParams: JSON.stringify(results.searchParams),
+          }
+        });
+      } else {
+        Alert.alert(
+          'No Match',
+          lookup.barcode
+            ? `No release on Discogs has the barcode ${lookup.barcode}. Try the catalog number instead.`
+            : `No release found with catalog number ${description}. Check the number, or leave the label empty.`,
+          [{ text: 'OK' }]
+        );
+      }
+
+    } catch (error) {
+      console.error('❌ Identify failed:', error.message);
+
+      const searchError = describeSearchError(error);
+      dispatch({ type: SEARCH_ACTIONS.SET_ERROR, payload: searchError });
+      Alert.alert(searchError.title, searchError.message, [{ text: 'OK' }]);
+
+    } finally {
+      if (mountedRef.current) {
+        dispatch({ type: SEARCH_ACTIONS.SET_LOADING, payload: false });
+      }
+    }
+  }, [identifiers, isOnline, executeRequest]);
+
+  /**
+   * "Feeling lucky": open a random record within the current filters
+   * Recent picks are skipped so digging again lands somewhere new.
+   */
+  const handleFeelingLucky = useCallback(async () => {
+    if (liveQuery.errors.length > 0) {
+      Alert.alert('Check Your Query', liveQuery.errors[0].error, [{ text: 'OK' }]);
+      return;
+    }
+
+    if (!isOnline) {
+      Alert.alert('Offline', 'Digging for a lucky record needs a connection to Discogs.', [{ text: 'OK' }]);
+      return;
+    }
+
+    dispatch({ type: SEARCH_ACTIONS.SET_OPEN_DROPDOWN, payload: null });
+    dispatch({ type: SEARCH_ACTIONS.SET_LOADING, payload: true });
+    dispatch({ type: SEARCH_ACTIONS.SET_ERROR, payload: null });
+
+    try {
+      await luckyHistory.ready;
+      const pick = await executeRequest(
+        async (signal) => await findLuckyRelease(searchParams, { signal, excludeIds: luckyHistory.getPickedIds() })
+      );
+      if (pick === null && !mountedRef.current) return;
+
+      if (!pick) {
+        Alert.alert(
+          'No Luck This Time',
+          'Nothing new turned up within these filters. Loosen a filter or two and dig again.',
+          [{ text: 'OK' }]
+        );
+        return;
+      }
+
+      const entry = await luckyHistory.add(pick.record, searchParams);
+      router.push({
+        pathname: '/record-detail',
+        params: buildLuckyRecordParams(entry),
+      });
+
+    } catch (error) {
+      console.error('❌ Lucky dig failed:', error.message);
+
+      const searchError = describeSearchError(error);
+      dispatch({ type: SEARCH_ACTIONS.SET_ERROR, payload: searchError });
+      Alert.alert(searchError.title, searchError.message, [{ text: 'OK' }]);
+
+    } finally {
+      if (mountedRef.current) {
+        dispatch({ type: SEARCH_ACTIONS.SET_LOADING, payload: false });
+      }
+    }
+  }, [liveQuery, isOnline, searchParams, executeRequest]);
+
+  /**
+   * Open the results of a queued search that has finished
+   */
+  const handleQueuedSearchPress = useCallback((entry) => {
+    if (entry.status !== QUEUED_SEARCH_STATUS.DONE) return;
+
+    if (entry.results?.results?.length > 0) {
+      router.push({
+        pathname: '/search-results',
+        params: {
+          initialResults: JSON.stringify(entry.results),
+          searchQuery: entry.searchParams.searchQuery || '',
+          searchParams: JSON.stringify(entry.searchParams),
+        }
+      });
+    } else {
+      Alert.alert('No Results', `No records found for ${entry.description}.`, [{ text: 'OK' }]);
+    }
+    offlineSearchQueue.remove(entry.id);
+  }, []);
 
   // ==========================================
   // LIFECYCLE MANAGEMENT
@@ -409,6 +869,11 @@ const OptimizedSearchScreen = () => {
   /**
    * Component lifecycle management with proper cleanup
    */
+  useEffect(() => {
+    setQueuedSearches(offlineSearchQueue.getEntries());
+    return offlineSearchQueue.subscribe(setQueuedSearches);
+  }, []);
+
   useEffect(() => {
     mountedRef.current = true;
     
@@ -429,18 +894,27 @@ const OptimizedSearchScreen = () => {
    * Memoized dropdown render function
    * Prevents unnecessary re-renders of dropdown components
    */
-  const renderDropdown = useCallback((type, label, options) => (
-    <Dropdown
-      key={type}
-      label={label}
-      value={filters[type]}
-      onValueChange={(value) => handleFilterChange(type, value)}
-      options={options}
-      isOpen={openDropdown === type}
-      onToggle={() => handleDropdownToggle(type)}
-      placeholder={`Select ${label.toLowerCase()}...`}
-    />
-  ), [filters, openDropdown, handleFilterChange, handleDropdownToggle]);
+  const renderDropdown = useCallback((type, label, options) => {
+    // Values typed in the query that the list doesn't offer
+    const extraOptions = filters[type]
+      .filter(value => !options.some(option => option.value === value))
+      .map(value => ({ label: value, value }));
+
+    return (
+      <Dropdown
+        key={type}
+        label={label}
+        value={filters[type]}
+        onValueChange={(value) => handleFilterChange(type, value)}
+        options={[...options, ...extraOptions]}
+        isOpen={openDropdown === type}
+        onToggle={() => handleDropdownToggle(type)}
+        placeholder={`Select ${label.toLowerCase()}...`}
+        multiple
+        searchable
+      />
+    );
+  }, [filters, openDropdown, handleFilterChange, handleDropdownToggle]);
 
   /**
    * Memoized text input render function  
@@ -456,6 +930,47 @@ const OptimizedSearchScreen = () => {
     />
   ), [filters, handleFilterChange]);
 
+  /**
+   * Format descriptor chips: size and speed pick one (tap again to clear), flags toggle
+   */
+  const renderFormatChips = useCallback((key, label, values) => {
+    const selected = filters[key];
+    const isMultiple = Array.isArray(selected);
+
+    const handleChipPress = (value) => {
+      if (isMultiple) {
+        handleFilterChange(key, selected.includes(value)
+          ? selected.filter(item => item !== value)
+          : [...selected, value]);
+      } else {
+        handleFilterChange(key, selected === value ? '' : value);
+      }
+    };
+
+    return (
+      <View key={key} style={styles.formatChips}>
+        <Text style={styles.formatChipsLabel}>{label}</Text>
+        <View style={styles.formatChipRow}>
+          {values.map(({ value, label: chipLabel }) => {
+            const isActive = isMultiple ? selected.includes(value) : selected === value;
+            return (
+              <TouchableOpacity
+                key={value}
+                style={[styles.formatChip, isActive && styles.modeOptionActive]}
+                onPress={() => handleChipPress(value)}
+              >
+                <Text style={[styles.modeOptionText, isActive && styles.modeOptionTextActive]}>{chipLabel}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+    );
+  }, [filters, handleFilterChange]);
+
+  const isIdentifyMode = mode === SEARCH_MODES.IDENTIFY;
+  const handleRetry = isIdentifyMode ? handleIdentify : handleSearch;
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView 
@@ -478,73 +993,250 @@ const OptimizedSearchScreen = () => {
           </View>
         </View>
         
-        {/* Rate Limit Warning */}
-        {showRateLimitWarning && (
+        {/* Rate Limit Warning - live budget from X-Discogs-Ratelimit headers */}
+        {(showRateLimitWarning || rateLimitStatus.isThrottled) && (
           <View style={styles.rateLimitWarning}>
             <Text style={styles.rateLimitText}>
-              ⏳ API rate limit active. Searches are temporarily slowed to prevent errors.
+              ⏳ {rateLimitMessage || 'API rate limit active. Searches are temporarily slowed to prevent errors.'}
             </Text>
           </View>
         )}
 
-        {/* Search Input */}
-        <Input
-          label="Search Query"
-          value={searchQuery}
-          onChangeText={handleQueryChange}
-          placeholder="Search records, artists, albums... (optional)"
-          onSubmitEditing={handleSearch}
-        />
-
-        {/* Search Button */}
-        <Button
-          title={isLoading ? "Searching..." : "Search Records"}
-          onPress={handleSearch}
-          disabled={isLoading || !canSearch}
-          style={styles.searchButton}
-        />
-
-        {/* Advanced Filters */}
-        <View style={styles.sectionTitle}>
-          <EqualizerIcon size={24} />
-          <Text style={styles.sectionTitleText}>Advanced Filters</Text>
+        <OfflineBanner message="You're offline. Searches are queued and run when you reconnect." />
+
+        {/* Searches made while offline */}
+        {queuedSearches.length > 0 && (
+          <View style={styles.queuedSearches}>
+            <Text style={styles.queuedSearchesTitle}>Queued searches</Text>
+            {queuedSearches.map(entry => (
+              <TouchableOpacity
+                key={entry.id}
+                style={styles.queuedSearchRow}
+                onPress={() => handleQueuedSearchPress(entry)}
+                disabled={entry.status !== QUEUED_SEARCH_STATUS.DONE}
+              >
+                <View style={styles.queuedSearchInfo}>
+                  <Text style={styles.queuedSearchDescription} numberOfLines={1}>{entry.description}</Text>
+                  <Text style={styles.queuedSearchStatus}>{describeQueuedSearch(entry)}</Text>
+                </View>
+                <TouchableOpacity onPress={() => offlineSearchQueue.remove(entry.id)} hitSlop={8}>
+                  <Text style={styles.queuedSearchDismiss}>✕</Text>
+                </TouchableOpacity>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {/* Mode toggle */}
+        <View style={styles.modeToggle}>
+          {MODE_OPTIONS.map(option => {
+            const isActive = mode === option.value;
+            return (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.modeOption, isActive && styles.modeOptionActive]}
+                onPress={() => handleModeChange(option.value)}
+              >
+                <Text style={[styles.modeOptionText, isActive && styles.modeOptionTextActive]}>{option.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
         </View>
+
+        {isIdentifyMode ? (
+          <View>
+            <Text style={styles.identifyDescription}>
+              Type the barcode or catalog number printed on the sleeve to find the exact pressing.
+            </Text>
+
+            <Input
+              label="Barcode (UPC / EAN)"
+              value={identifiers.barcode}
+              onChangeText={(text) => handleIdentifierChange('barcode', text)}
+              placeholder="e.g., 0 36000 29145 2"
+              keyboardType="number-pad"
+              autoCorrect={false}
+              error={barcodeFeedback.error}
+              onSubmitEditing={handleIdentify}
+            />
+            {barcodeFeedback.hint && (
+              <Text style={styles.barcodeHint}>{barcodeFeedback.hint}</Text>
+            )}
+
+            <Text style={styles.identifyDivider}>or</Text>
+
+            <Input
+              label="Catalog Number"
+              value={identifiers.catno}
+              onChangeText={(text) => handleIdentifierChange('catno', text)}
+              placeholder="e.g., WARP 12"
+              autoCapitalize="characters"
+              autoCorrect={false}
+              onSubmitEditing={handleIdentify}
+            />
+            <Input
+              label="Label (optional)"
+              value={identifiers.label}
+              onChangeText={(text) => handleIdentifierChange('label', text)}
+              placeholder="Narrows down shared catalog numbers"
+              autoCorrect={false}
+              onSubmitEditing={handleIdentify}
+            />
+
+            <Button
+              title={isLoading ? "Identifying..." : "Identify Record"}
+              onPress={handleIdentify}
+              disabled={isLoading || !canIdentify}
+              style={styles.searchButton}
+            />
+          </View>
+        ) : (
+          <View>
+            {/* Search Input */}
+            <Input
+              label="Search Query"
+              value={searchQuery}
+              onChangeText={handleQueryChange}
+              placeholder='Search records, or artist:"Name" year:1990-1995 -format:CD'
+              autoCapitalize="none"
+              autoCorrect={false}
+              error={liveQuery.errors[0]?.error}
+              onSubmitEditing={handleSearch}
+            />
+
+            {/* Query with the parts that failed to parse highlighted */}
+            {liveQuery.errors.length > 0 && (
+              <Text style={styles.queryPreview}>
+                {splitQueryForHighlight(searchQuery, liveQuery.tokens).map((segment, index) => (
+                  <Text key={index} style={segment.isError && styles.queryPreviewError}>{segment.text}</Text>
+                ))}
+              </Text>
+            )}
+
+            {/* Search Button */}
+            <Button
+              title={isLoading ? "Searching..." : "Search Records"}
+              onPress={handleSearch}
+              disabled={isLoading || !canSearch}
+              style={styles.searchButton}
+            />
+
+            <Button
+              title="🍀 Feeling Lucky"
+              onPress={handleFeelingLucky}
+              disabled={isLoading}
+              variant="outline"
+              style={styles.luckyButton}
+            />
+
+            {isLoading && labelProgress && (
+              <Text style={styles.fanOutHint}>
+                Checked {labelProgress.labelsChecked} labels, {labelProgress.labelsMatched} small enough…
+              </Text>
+            )}
+
+            {isLoading && priceProgress && (
+              <Text style={styles.fanOutHint}>
+                Checking prices: {priceProgress.checked} of {priceProgress.total}…
+              </Text>
+            )}
+
+            {/* Advanced Filters */}
+            <View style={styles.sectionTitle}>
+              <EqualizerIcon size={24} />
+              <Text style={styles.sectionTitleText}>Advanced Filters</Text>
+            </View>
         
-        {/* Dropdown Filters */}
-        {renderDropdown('genre', 'Genre', FILTER_OPTIONS.genre)}
-        {renderDropdown('style', 'Style', FILTER_OPTIONS.style)}
-        {renderDropdown('country', 'Country', FILTER_OPTIONS.country)}
-
-        {/* Text Input Filters */}
-        {renderTextInput('artist', 'Artist', 'Enter artist name...')}
-        {renderTextInput('label', 'Label', 'Enter record label...')}
-        {renderTextInput('yearFrom', 'Year From', 'e.g., 1970', 'numeric')}
-        {renderTextInput('yearTo', 'Year To', 'e.g., 2020', 'numeric')}
-        {renderTextInput('minPrice', 'Min Price ($)', 'e.g., 10', 'numeric')}
-        {renderTextInput('maxPrice', 'Max Price ($)', 'e.g., 100', 'numeric')}
-        {renderTextInput('maxReleases', 'Max Label Releases', 'Filter labels by release count', 'numeric')}
-
-        {/* Action Buttons */}
-        <View style={styles.actionButtons}>
-          <Button
-            title="Reset Filters"
-            onPress={handleResetFilters}
-            variant="secondary"
-            style={styles.resetButton}
-          />
+            {/* Dropdown Filters */}
+            {renderDropdown('genre', 'Genre', FILTER_OPTIONS.genre)}
+            {renderDropdown('style', 'Style', styleOptions)}
+            {renderDropdown('country', 'Country', FILTER_OPTIONS.country)}
+            {renderDropdown('format', 'Format', FILTER_OPTIONS.format)}
+
+            {combinationCount > 1 && (
+              <Text style={[styles.fanOutHint, combinationCount > MAX_SEARCH_COMBINATIONS && styles.fanOutHintError]}>
+                {combinationCount > MAX_SEARCH_COMBINATIONS
+                  ? `${combinationCount} combinations selected; the limit is ${MAX_SEARCH_COMBINATIONS}. Deselect a few.`
+                  : `Searches ${combinationCount} filter combinations and merges the results.`}
+              </Text>
+            )}
+
+            <Dropdown
+              label="Rarity"
+              value={filters.minRarity}
+              onValueChange={(value) => handleFilterChange('minRarity', value)}
+              options={RARITY_OPTIONS}
+              isOpen={openDropdown === 'minRarity'}
+              onToggle={() => handleDropdownToggle('minRarity')}
+              placeholder="Any rarity"
+            />
+
+            {/* Vinyl format descriptors, checked against each result's formats */}
+            {renderFormatChips('formatSize', 'Size', FORMAT_SIZE_CHIPS)}
+            {renderFormatChips('formatSpeed', 'Speed', FORMAT_SPEED_CHIPS)}
+            {renderFormatChips('formatFlags', 'Pressing', FORMAT_FLAG_CHIPS)}
+
+            {/* Text Input Filters */}
+            {renderTextInput('artist', 'Artist', 'Enter artist name...')}
+            {renderTextInput('label', 'Label', 'Enter record label...')}
+            {renderTextInput('yearFrom', 'Year From', 'e.g., 1970', 'numeric')}
+            {renderTextInput('yearTo', 'Year To', 'e.g., 2020', 'numeric')}
+            {renderTextInput('minPrice', 'Min Price ($)', 'e.g., 10', 'numeric')}
+            {renderTextInput('maxPrice', 'Max Price ($)', 'e.g., 100', 'numeric')}
+            {renderTextInput('maxReleases', 'Max Label Releases', 'Filter labels by release count', 'numeric')}
+            {renderTextInput('maxHave', 'Max Owners', 'Discogs users who have it, e.g. 50', 'numeric')}
+
+            {/* Action Buttons */}
+            <View style={styles.actionButtons}>
+              <Button
+                title="Reset Filters"
+                onPress={handleResetFilters}
+                variant="secondary"
+                style={styles.resetButton}
+              />
           
-          <Button
-            title={isLoading ? "Searching..." : "Search Records"}
-            onPress={handleSearch}
-            disabled={isLoading || !canSearch}
-            style={styles.searchButtonBottom}
-          />
-        </View>
+              <Button
+                title={isLoading ? "Searching..." : "Search Records"}
+                onPress={handleSearch}
+                disabled={isLoading || !canSearch}
+                style={styles.searchButtonBottom}
+              />
+            </View>
+          </View>
+        )}
 
-        {/* Error Display */}
+        {/* Error Display with recovery action for the error type */}
         {error && (
           <View style={styles.errorContainer}>
-            <Text style={styles.errorText}>{error}</Text>
+            <Text style={styles.errorText}>{error.message}</Text>
+
+            {error.type === 'auth' && (
+              <View style={styles.errorAction}>
+                <AuthButton />
+              </View>
+            )}
+
+            {error.type === 'rateLimit' && (
+              <Button
+                title={rateLimitStatus.resetInSeconds > 0
+                  ? `Retry in ${rateLimitStatus.resetInSeconds}s`
+                  : isIdentifyMode ? 'Retry' : 'Retry Search'}
+                onPress={handleRetry}
+                disabled={isLoading || rateLimitStatus.resetInSeconds > 0}
+                variant="secondary"
+                style={styles.errorAction}
+              />
+            )}
+
+            {(error.type === 'auth' || error.type === 'network' || error.type === 'generic') && (
+              <Button
+                title="Try Again"
+                onPress={handleRetry}
+                disabled={isLoading}
+                variant="secondary"
+                style={styles.errorAction}
+              />
+            )}
           </View>
         )}
       </ScrollView>
@@ -619,12 +1311,121 @@ const styles = StyleSheet.create({
     marginVertical: sophisticatedTheme.spacing.md,
   },
 
+  luckyButton: {
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  // Multi-select fan-out
+  fanOutHint: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    marginTop: -spacing.md,
+    marginBottom: spacing.md,
+  },
+
+  fanOutHintError: {
+    color: colors.error,
+  },
+
+  // Format descriptor chips
+  formatChips: {
+    marginBottom: spacing.md,
+  },
+
+  formatChipsLabel: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    marginBottom: spacing.xs,
+  },
+
+  formatChipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  formatChip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  // Query parse errors
+  queryPreview: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: -spacing.sm,
+    marginBottom: spacing.sm,
+  },
+
+  queryPreviewError: {
+    color: colors.error,
+    backgroundColor: colors.error + '20',
+    textDecorationLine: 'underline',
+  },
+
+  // Search / identify mode toggle
+  modeToggle: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  modeOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  modeOptionActive: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  modeOptionText: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+  },
+
+  modeOptionTextActive: {
+    color: colors.background,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  // Identify mode
+  identifyDescription: {
+    fontSize: typography.fontSize.sm,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+
+  barcodeHint: {
+    color: colors.success,
+    fontSize: typography.fontSize.xs,
+    marginTop: -spacing.sm,
+    marginBottom: spacing.sm,
+  },
+
+  identifyDivider: {
+    textAlign: 'center',
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.sm,
+    marginVertical: spacing.sm,
+  },
+
   actionButtons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
-    marginTop: sophisticatedTheme.spacing.xl,
-    marginBottom: sophisticatedTheme.spacing.xl,
-    gap: sophisticatedTheme.spacing.md,
+    marginTop: spacing.xl,
+    marginBottom: spacing.xl,
+    gap: spacing.md,
   },
 
   resetButton: {
@@ -653,6 +1454,52 @@ const styles = StyleSheet.create({
     fontWeight: sophisticatedTheme.typography.fontWeight.medium,
   },
 
+  // Queued offline searches
+  queuedSearches: {
+    backgroundColor: sophisticatedTheme.colors.surface,
+    borderRadius: sophisticatedTheme.borderRadius.lg,
+    padding: sophisticatedTheme.spacing.md,
+    marginBottom: sophisticatedTheme.spacing.md,
+    ...sophisticatedTheme.shadows.sm,
+  },
+
+  queuedSearchesTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: sophisticatedTheme.spacing.xs,
+  },
+
+  queuedSearchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: sophisticatedTheme.spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+
+  queuedSearchInfo: {
+    flex: 1,
+  },
+
+  queuedSearchDescription: {
+    color: colors.text,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  queuedSearchStatus: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    marginTop: 2,
+  },
+
+  queuedSearchDismiss: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.base,
+    marginLeft: sophisticatedTheme.spacing.sm,
+  },
+
   // Error display
   errorContainer: {
     backgroundColor: sophisticatedTheme.colors.error + '20',
@@ -667,6 +1514,10 @@ const styles = StyleSheet.create({
     fontSize: typography.fontSize.sm,
     textAlign: 'center',
   },
+
+  errorAction: {
+    marginTop: sophisticatedTheme.spacing.md,
+  },
 });
 
 export default OptimizedSearchScreen;
\ No newline at end of file
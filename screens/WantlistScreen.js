@@ -0,0 +1,490 @@
+/**
+ * WantlistScreen Component
+ *
+ * Lists the logged-in user's Discogs wantlist with notes and ratings.
+ *
+ * Features:
+ * - Rating stars and notes, editable per release
+ * - Heart to remove a release
+ * - Changes made offline are listed as waiting and sent on reconnect
+ * - Pull to refresh re-syncs with Discogs
+ */
+
+import { router, useFocusEffect } from 'expo-router';
+import React, { useCallback, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  Image,
+  Modal,
+  RefreshControl,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { OfflineBanner, WantlistHeart } from '../components';
+import useConnectivity from '../hooks/useConnectivity';
+import useNavigationAntiLoop from '../hooks/useNavigationAntiLoop';
+import useSession from '../hooks/useSession';
+import useWantlist from '../hooks/useWantlist';
+import sophisticatedTheme from '../styles/sophisticatedTheme';
+import { formatDiscogsName, formatTimeAgo } from '../utils/format';
+import navigationStateManager from '../utils/NavigationStateManager';
+import offlineLibrary from '../utils/OfflineLibrary';
+import wantlistManager from '../utils/WantlistManager';
+
+const { colors, spacing, typography, shadows, borderRadius } = sophisticatedTheme;
+
+const MAX_RATING = 5;
+
+const renderStars = (rating) => '★'.repeat(rating) + '☆'.repeat(MAX_RATING - rating);
+
+const WantlistScreen = () => {
+  const {
+    items,
+    pendingCount,
+    lastSyncedAt,
+    isSyncing,
+    error,
+    sync,
+  } = useWantlist();
+  const { isLoggedIn } = useSession();
+  const { isOnline } = useConnectivity();
+
+  const [editingItem, setEditingItem] = useState(null);
+  const [draftNotes, setDraftNotes] = useState('');
+  const [draftRating, setDraftRating] = useState(0);
+
+  const { navigateToRecord } = useNavigationAntiLoop({
+    currentScreenType: 'Wantlist',
+    currentItemId: 'wantlist',
+    currentItemData: null
+  });
+
+  // Register this screen in navigation state manager when focused
+  useFocusEffect(
+    useCallback(() => {
+      navigationStateManager.setCurrentScreen('Wantlist', 'wantlist', {
+        wantlistSize: items.length
+      });
+
+      return () => {
+        console.log('📍 Wantlist screen blurred');
+      };
+    }, [items.length])
+  );
+
+  const handleBack = useCallback(() => {
+    router.back();
+  }, []);
+
+  const openEditor = useCallback((item) => {
+    setDraftNotes(item.notes || '');
+    setDraftRating(item.rating || 0);
+    setEditingItem(item);
+  }, []);
+
+  const closeEditor = () => {
+    setEditingItem(null);
+  };
+
+  /**
+   * Save notes and rating; sent to Discogs in the background
+   */
+  const handleSave = async () => {
+    try {
+      await wantlistManager.update(editingItem.id, { notes: draftNotes.trim(), rating: draftRating });
+      closeEditor();
+    } catch (saveError) {
+      Alert.alert('Could Not Save', saveError.message);
+    }
+  };
+
+  const renderItem = useCallback(({ item }) => (
+    <TouchableOpacity style={styles.itemCard} onPress={() => navigateToRecord(item)} activeOpacity={0.8}>
+      {item.thumb ? (
+        <Image
+          source={{ uri: offlineLibrary.resolveImageUri(item.thumb) }}
+          style={styles.itemImage}
+          resizeMode="cover"
+        />
+      ) : (
+        <View style={[styles.itemImage, styles.placeholderImage]}>
+          <Text style={styles.placeholderText}>♪</Text>
+        </View>
+      )}
+
+      <View style={styles.itemInfo}>
+        <Text style={styles.itemTitle} numberOfLines={2}>{item.album || item.title}</Text>
+        <Text style={styles.itemDetails} numberOfLines={1}>
+          {[formatDiscogsName(item.artist), item.year || null].filter(Boolean).join(' • ')}
+        </Text>
+        <TouchableOpacity onPress={() => openEditor(item)} hitSlop={8}>
+          <Text style={styles.itemRating}>{renderStars(item.rating || 0)}</Text>
+          <Text style={item.notes ? styles.itemNotes : styles.itemNotesEmpty} numberOfLines={2}>
+            {item.notes || 'Add notes...'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <WantlistHeart record={item} />
+    </TouchableOpacity>
+  ), [navigateToRecord, openEditor]);
+
+  const renderEmpty = () => {
+    if (isSyncing) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color={colors.accent} />
+          <Text style={styles.emptyMessage}>Syncing your wantlist...</Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyIcon}>{error ? '⚠️' : '♡'}</Text>
+        <Text style={styles.emptyText}>
+          {error ? 'Could Not Load Wantlist' : isLoggedIn ? 'Nothing Wanted Yet' : 'Your Discogs Wantlist'}
+        </Text>
+        <Text style={styles.emptyMessage}>
+          {error
+            ? error.message
+            : isLoggedIn
+              ? 'Tap the heart on any record to add it here.'
+              : 'Log in with Discogs from the Collection tab to build your wantlist.'}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>Wantlist</Text>
+          <Text style={styles.headerSubtitle}>
+            {items.length} releases
+            {lastSyncedAt ? ` • synced ${formatTimeAgo(lastSyncedAt)}` : ''}
+          </Text>
+        </View>
+      </View>
+
+      <OfflineBanner savedAt={isOnline ? null : lastSyncedAt} style={styles.offlineBanner} />
+      {pendingCount > 0 && (
+        <Text style={styles.pendingText}>
+          ⏳ {pendingCount} {pendingCount === 1 ? 'change' : 'changes'} waiting to sync with Discogs
+        </Text>
+      )}
+
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={[styles.listContent, items.length === 0 && styles.flexContent]}
+        refreshControl={
+          <RefreshControl
+            refreshing={isSyncing && items.length > 0}
+            onRefresh={sync}
+            tintColor={colors.accent}
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+
+      <Modal
+        visible={!!editingItem}
+        transparent
+        animationType="slide"
+        onRequestClose={closeEditor}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle} numberOfLines={2}>{editingItem?.album || editingItem?.title}</Text>
+
+            <Text style={styles.fieldName}>Rating</Text>
+            <View style={styles.starRow}>
+              {Array.from({ length: MAX_RATING }, (_, index) => index + 1).map(star => (
+                <TouchableOpacity
+                  key={star}
+                  onPress={() => setDraftRating(star === draftRating ? 0 : star)}
+                  hitSlop={4}
+                >
+                  <Text style={styles.star}>{star <= draftRating ? '★' : '☆'}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.fieldName}>Notes</Text>
+            <TextInput
+              style={styles.fieldInput}
+              value={draftNotes}
+              onChangeText={setDraftNotes}
+              multiline
+              placeholder="e.g. Only the original pressing"
+              placeholderTextColor={colors.textTertiary}
+            />
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.modalButton} onPress={closeEditor}>
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.modalButton, styles.modalButtonPrimary]} onPress={handleSave}>
+                <Text style={[styles.modalButtonText, styles.modalButtonTextPrimary]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  backButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+
+  backButtonText: {
+    color: colors.accent,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  headerContent: {
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+
+  headerTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerSubtitle: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  offlineBanner: {
+    marginHorizontal: spacing.md,
+    marginTop: spacing.sm,
+  },
+
+  pendingText: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.sm,
+  },
+
+  // List
+  listContent: {
+    padding: spacing.md,
+  },
+
+  flexContent: {
+    flex: 1,
+  },
+
+  itemCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    ...shadows.sm,
+  },
+
+  itemImage: {
+    width: 56,
+    height: 56,
+    borderRadius: borderRadius.md,
+  },
+
+  placeholderImage: {
+    backgroundColor: colors.backgroundSecondary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  placeholderText: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.xl,
+  },
+
+  itemInfo: {
+    flex: 1,
+    marginHorizontal: spacing.md,
+  },
+
+  itemTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  itemDetails: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+
+  itemRating: {
+    color: colors.accent,
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.xs,
+  },
+
+  itemNotes: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.xs,
+    marginTop: 2,
+  },
+
+  itemNotesEmpty: {
+    color: colors.textTertiary,
+    fontSize: typography.fontSize.xs,
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+
+  // Editor
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+
+  modalContent: {
+    backgroundColor: colors.backgroundSecondary,
+    borderTopLeftRadius: borderRadius.xl,
+    borderTopRightRadius: borderRadius.xl,
+    padding: spacing.lg,
+  },
+
+  modalTitle: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.md,
+  },
+
+  fieldName: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    marginBottom: spacing.xs,
+  },
+
+  starRow: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  star: {
+    color: colors.accent,
+    fontSize: typography.fontSize['2xl'],
+  },
+
+  fieldInput: {
+    minHeight: 72,
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: spacing.sm,
+    textAlignVertical: 'top',
+  },
+
+  modalButtons: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  modalButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  modalButtonPrimary: {
+    backgroundColor: colors.accent,
+    borderColor: colors.accent,
+  },
+
+  modalButtonText: {
+    color: colors.text,
+    fontSize: typography.fontSize.base,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  modalButtonTextPrimary: {
+    color: colors.background,
+  },
+
+  // Empty State
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: spacing.md,
+  },
+
+  emptyText: {
+    color: colors.text,
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.sm,
+  },
+
+  emptyMessage: {
+    color: colors.textSecondary,
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    marginTop: spacing.sm,
+  },
+});
+
+export default WantlistScreen;
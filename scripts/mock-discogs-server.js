@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Discogs API server
+ *
+ * Replays recorded Discogs responses from fixtures/discogs so the app can be
+ * developed and tested without credentials or a network connection.
+ *
+ * Modes:
+ * - replay (default): answer from fixtures; unknown requests get a Discogs-style 404
+ * - record: forward every request to api.discogs.com and save the response as a fixture
+ *
+ * Simulated failures (environment variables, or POST /__mock/config at runtime):
+ * - MOCK_DELAY_MS: latency added to every response
+ * - MOCK_RATE_LIMIT: requests per minute before answering 429 (default 60, like Discogs)
+ * - MOCK_RATE_LIMIT_EVERY: answer every Nth request with 429 regardless of the budget
+ * - MOCK_RETRY_AFTER: Retry-After seconds sent with simulated 429s
+ * - MOCK_UNAUTHORIZED: "user" answers 401 on /oauth and /users endpoints, "all" on every endpoint
+ *
+ * Usage:
+ *   npm run mock-api                          # replay on http://localhost:4010
+ *   npm run mock-api:record                   # record while browsing the app
+ *   MOCK_DELAY_MS=3000 npm run mock-api       # slow responses
+ *
+ * Point the app at the server with EXPO_PUBLIC_DISCOGS_API_URL=http://localhost:4010
+ * (use your machine's LAN address on a device, or 10.0.2.2 on the Android emulator).
+ * See docs/mock-discogs-server.md for the fixture layout.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Run from the project root, like the other npm scripts
+const FIXTURE_ROOT = path.join(process.cwd(), 'fixtures', 'discogs');
+const UPSTREAM_URL = 'https://api.discogs.com';
+const USER_AGENT = 'LuckyFindMVP/1.0 +https://github.com/luba/LuckyFindMVP';
+const RATE_LIMIT_WINDOW_MS = 60000;
+
+// Query parameters that carry credentials rather than identify the request
+const CREDENTIAL_PARAMS = ['token', 'key', 'secret'];
+
+// Endpoints that need a logged-in user on Discogs
+const USER_ENDPOINT_PATTERN = /^\/(oauth|users)\//;
+
+const DEFAULT_CONFIG = {
+  port: Number(process.env.MOCK_PORT) || 4010,
+  mode: process.argv.includes('--record') || process.env.MOCK_MODE === 'record' ? 'record' : 'replay',
+  delayMs: Number(process.env.MOCK_DELAY_MS) || 0,
+  rateLimit: Number(process.env.MOCK_RATE_LIMIT) || 60,
+  rateLimitEvery: Number(process.env.MOCK_RATE_LIMIT_EVERY) || 0,
+  retryAfter: Number(process.env.MOCK_RETRY_AFTER) || 10,
+  unauthorized: process.env.MOCK_UNAUTHORIZED || 'none',
+};
+
+let config = { ...DEFAULT_CONFIG };
+let requestCount = 0;
+let requestTimestamps = []; // Send times inside the rate limit window
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ==========================================
+// FIXTURES
+// ==========================================
+
+/**
+ * Canonical query string: sorted, without credentials
+ * @param {URLSearchParams} searchParams - Request query
+ * @returns {string}
+ */
+const getQueryKey = (searchParams) => {
+  const entries = [...searchParams.entries()]
+    .filter(([name]) => !CREDENTIAL_PARAMS.includes(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  return new URLSearchParams(entries).toString();
+};
+
+/**
+ * Directory holding the fixtures of an endpoint, e.g. fixtures/discogs/releases/249504
+ * @param {string} pathname - Request path
+ * @returns {string}
+ */
+const getFixtureDirectory = (pathname) => {
+  const segments = pathname
+    .split('/')
+    .filter(Boolean)
+    .map(segment => decodeURIComponent(segment).replace(/[^\w.-]/g, '_'));
+  return path.join(FIXTURE_ROOT, ...segments);
+};
+
+/**
+ * Fixture file for a request: GET.json without a query, GET_<hash>.json with one
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @param {string} queryKey - Result of getQueryKey
+ * @returns {string}
+ */
+const getFixturePath = (method, pathname, queryKey) => {
+  const hash = queryKey ? `_${crypto.createHash('sha1').update(queryKey).digest('hex').slice(0, 10)}` : '';
+  return path.join(getFixtureDirectory(pathname), `${method}${hash}.json`);
+};
+
+const readFixture = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+/**
+ * Find the fixture for a request
+ * Falls back to another recording of the same endpoint, so e.g. any search
+ * returns results once one search was recorded.
+ * @returns {{fixture: Object, match: string}|null}
+ */
+const findFixture = (method, pathname, queryKey) => {
+  const exactPath = getFixturePath(method, pathname, queryKey);
+  if (fs.existsSync(exactPath)) {
+    return { fixture: readFixture(exactPath), match: 'exact' };
+  }
+
+  const directory = getFixtureDirectory(pathname);
+  if (!fs.existsSync(directory)) {
+    return null;
+  }
+
+  const fallback = fs.readdirSync(directory)
+    .filter(name => name === `${method}.json` || name.startsWith(`${method}_`))
+    .sort()[0];
+
+  return fallback
+    ? { fixture: readFixture(path.join(directory, fallback)), match: 'fallback' }
+    : null;
+};
+
+/**
+ * Save a recorded response
+ */
+const saveFixture = (method, pathname, queryKey, status, body) => {
+  const filePath = getFixturePath(method, pathname, queryKey);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const fixture = {
+    request: { method, path: pathname, query: queryKey },
+    recordedAt: new Date().toISOString(),
+    status,
+    body,
+  };
+  fs.writeFileSync(filePath, `${JSON.stringify(fixture, null, 2)}\n`);
+  console.log(`💾 Recorded ${method} ${pathname}${queryKey ? `?${queryKey}` : ''} -> ${path.relative(FIXTURE_ROOT, filePath)}`);
+};
+
+// ==========================================
+// RESPONSES
+// ==========================================
+
+/**
+ * Count the request against the simulated Discogs budget
+ * @returns {{limit: number, used: number, remaining: number, exceeded: boolean}}
+ */
+const trackRateLimit = () => {
+  const now = Date.now();
+  requestTimestamps = requestTimestamps.filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+  requestCount++;
+
+  const exceeded = requestTimestamps.length >= config.rateLimit ||
+    (config.rateLimitEvery > 0 && requestCount % config.rateLimitEvery === 0);
+
+  if (!exceeded) {
+    requestTimestamps.push(now);
+  }
+
+  return {
+    limit: config.rateLimit,
+    used: requestTimestamps.length,
+    remaining: Math.max(0, config.rateLimit - requestTimestamps.length),
+    exceeded,
+  };
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === null ? undefined : JSON.stringify(body));
+};
+
+/**
+ * Point absolute Discogs URLs in a response (pagination, resource_url) at this server
+ */
+const rewriteUpstreamUrls = (body, origin) => (
+  JSON.parse(JSON.stringify(body).split(UPSTREAM_URL).join(origin))
+);
+
+const readRequestBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body || undefined));
+  req.on('error', reject);
+});
+
+/**
+ * Runtime controls for tests: GET/POST /__mock/config and POST /__mock/reset
+ */
+const handleAdminRequest = async (req, res, pathname) => {
+  if (pathname === '/__mock/config' && req.method === 'POST') {
+    const body = await readRequestBody(req);
+    config = { ...config, ...JSON.parse(body || '{}'), port: config.port };
+    console.log('⚙️ Mock config updated:', config);
+  } else if (pathname === '/__mock/reset' && req.method === 'POST') {
+    config = { ...DEFAULT_CONFIG };
+    requestCount = 0;
+    requestTimestamps = [];
+    console.log('🔄 Mock config and rate limit reset');
+  } else if (pathname !== '/__mock/config') {
+    sendJson(res, 404, { message: `Unknown mock endpoint ${pathname}` });
+    return;
+  }
+
+  sendJson(res, 200, config);
+};
+
+/**
+ * Forward a request to Discogs and record the response
+ */
+const recordRequest = async (req, res, { method, pathname, queryKey, search }) => {
+  const body = await readRequestBody(req);
+  const headers = { 'User-Agent': req.headers['user-agent'] || USER_AGENT, 'Accept': 'application/json' };
+  if (req.headers.authorization) headers['Authorization'] = req.headers.authorization;
+  if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+
+  const upstream = await fetch(`${UPSTREAM_URL}${pathname}${search}`, { method, headers, body });
+  const text = await upstream.text();
+  const responseBody = text ? JSON.parse(text) : null;
+
+  // Rate limits and outages are simulated on demand instead of being replayed
+  if (upstream.status !== 429 && upstream.status < 500) {
+    saveFixture(method, pathname, queryKey, upstream.status, responseBody);
+  }
+
+  const passHeaders = {};
+  ['X-Discogs-Ratelimit', 'X-Discogs-Ratelimit-Used', 'X-Discogs-Ratelimit-Remaining', 'Retry-After'].forEach(name => {
+    const value = upstream.headers.get(name);
+    if (value !== null) passHeaders[name] = value;
+  });
+  sendJson(res, upstream.status, responseBody, passHeaders);
+};
+
+/**
+ * Answer a request from the fixtures
+ */
+const replayRequest = (req, res, { method, pathname, queryKey }, rateLimitHeaders) => {
+  const origin = `http://${req.headers.host}`;
+
+  // API root, used by the app's connectivity probe
+  if (pathname === '/') {
+    sendJson(res, 200, { hello: 'Welcome to the mock Discogs API.', api_version: 'v2' }, rateLimitHeaders);
+    return;
+  }
+
+  const found = findFixture(method, pathname, queryKey);
+  if (!found) {
+    console.warn(`⚠️ No fixture for ${method} ${pathname}${queryKey ? `?${queryKey}` : ''}`);
+    sendJson(res, 404, { message: 'The requested resource was not found.' }, {
+      ...rateLimitHeaders,
+      'X-Mock-Fixture': 'missing',
+    });
+    return;
+  }
+
+  const { fixture, match } = found;
+  console.log(`📼 ${method} ${pathname}${queryKey ? `?${queryKey}` : ''} (${match})`);
+  sendJson(res, fixture.status, fixture.body === null ? null : rewriteUpstreamUrls(fixture.body, origin), {
+    ...rateLimitHeaders,
+    'X-Mock-Fixture': match,
+  });
+};
+
+const handleRequest = async (req, res) => {
+  // The web build calls the server cross-origin
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers',
+    'X-Discogs-Ratelimit, X-Discogs-Ratelimit-Used, X-Discogs-Ratelimit-Remaining, Retry-After, X-Mock-Fixture');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const { pathname } = url;
+
+  if (pathname.startsWith('/__mock/')) {
+    await handleAdminRequest(req, res, pathname);
+    return;
+  }
+
+  // HEAD is answered like GET; Node drops the body
+  const request = {
+    method: req.method === 'HEAD' ? 'GET' : req.method,
+    pathname,
+    queryKey: getQueryKey(url.searchParams),
+    search: url.search,
+  };
+
+  if (config.delayMs > 0) {
+    await sleep(config.delayMs);
+  }
+
+  if (config.unauthorized === 'all' ||
+      (config.unauthorized === 'user' && USER_ENDPOINT_PATTERN.test(pathname))) {
+    sendJson(res, 401, { message: 'You must authenticate to access this resource.' });
+    return;
+  }
+
+  const rateLimit = trackRateLimit();
+  const rateLimitHeaders = {
+    'X-Discogs-Ratelimit': String(rateLimit.limit),
+    'X-Discogs-Ratelimit-Used': String(rateLimit.used),
+    'X-Discogs-Ratelimit-Remaining': String(rateLimit.remaining),
+  };
+
+  if (rateLimit.exceeded) {
+    console.log(`⏳ Simulated 429 for ${request.method} ${pathname}`);
+    sendJson(res, 429, { message: 'You are making requests too quickly.' }, {
+      ...rateLimitHeaders,
+      'Retry-After': String(config.retryAfter),
+    });
+    return;
+  }
+
+  if (config.mode === 'record') {
+    await recordRequest(req, res, request);
+  } else {
+    replayRequest(req, res, request, rateLimitHeaders);
+  }
+};
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('❌ Mock server error:', error.message);
+    if (!res.headersSent) {
+      sendJson(res, 502, { message: `Mock server error: ${error.message}` });
+    } else {
+      res.end();
+    }
+  });
+});
+
+server.listen(config.port, () => {
+  console.log(`🧪 Mock Discogs API (${config.mode}) listening on http://localhost:${config.port}`);
+  console.log(`📁 Fixtures: ${FIXTURE_ROOT}`);
+});
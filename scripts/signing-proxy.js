@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+/**
+ * Signing proxy
+ *
+ * Small self-hostable server that keeps the Discogs consumer secret, the Discogs
+ * personal token and the YouTube API key out of the app bundle. The app sends
+ * its Discogs and YouTube requests here; the proxy adds credentials, signs
+ * OAuth 1.0a requests, and forwards them.
+ *
+ * Routes:
+ * - /discogs/*        forwarded to Discogs (or DISCOGS_API_URL, e.g. the mock server)
+ * - /youtube/search   forwarded to the YouTube Data API with the key added
+ * - /youtube/videos   same
+ * - /health           which secrets are configured
+ *
+ * How /discogs requests are authenticated (X-Discogs-Auth header, set by api/signingBackend.js):
+ * - app:   personal token, or consumer key/secret; GET on the public database routes only
+ * - oauth: OAuth 1.0a signature from the consumer secret plus the X-OAuth-Token,
+ *          X-OAuth-Token-Secret, X-OAuth-Verifier and X-OAuth-Callback headers
+ * - none:  forwarded anonymously
+ *
+ * Environment:
+ * - DISCOGS_CONSUMER_KEY / DISCOGS_CONSUMER_SECRET: needed for login and user requests
+ * - DISCOGS_PERSONAL_TOKEN: optional, preferred for app requests
+ * - YOUTUBE_API_KEY: optional
+ * - DISCOGS_API_URL: upstream for API requests (default https://api.discogs.com)
+ * - SIGNING_PROXY_PORT: port to listen on (default 4020)
+ * - SIGNING_PROXY_ALLOWED_ORIGIN: CORS origin for the web build (default *)
+ *
+ * Usage:
+ *   node --env-file=.env.proxy ./scripts/signing-proxy.js
+ *   DISCOGS_API_URL=http://localhost:4010 npm run signing-proxy   # in front of the mock server
+ *
+ * Point the app at it with EXPO_PUBLIC_SIGNING_PROXY_URL=http://localhost:4020.
+ * See docs/signing-proxy.md.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const DISCOGS_API_URL = 'https://api.discogs.com';
+const YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3';
+const USER_AGENT = 'LuckyFindMVP/1.0 +https://github.com/luba/LuckyFindMVP';
+const MAX_BODY_BYTES = 64 * 1024;
+
+// The mock server can't issue tokens, so these always go to Discogs
+const TOKEN_ENDPOINTS = ['/oauth/request_token', '/oauth/access_token'];
+
+const YOUTUBE_ENDPOINTS = ['search', 'videos'];
+
+// The public database routes the app reads as itself. The personal token belongs to
+// whoever runs the proxy, so it must never reach their /users or /oauth routes.
+const APP_AUTH_ROUTES = [
+  /^\/database\/search$/,
+  /^\/releases\/\d+$/,
+  /^\/masters\/\d+(\/versions)?$/,
+  /^\/artists\/\d+(\/releases)?$/,
+  /^\/labels\/\d+(\/releases)?$/,
+  /^\/marketplace\/stats\/\d+$/,
+];
+
+// Response headers the app reads
+const PASS_HEADERS = [
+  'Content-Type',
+  'X-Discogs-Ratelimit',
+  'X-Discogs-Ratelimit-Used',
+  'X-Discogs-Ratelimit-Remaining',
+  'Retry-After',
+];
+
+const config = {
+  port: Number(process.env.SIGNING_PROXY_PORT) || 4020,
+  allowedOrigin: process.env.SIGNING_PROXY_ALLOWED_ORIGIN || '*',
+  discogsApiUrl: (process.env.DISCOGS_API_URL || DISCOGS_API_URL).replace(/\/+$/, ''),
+  consumerKey: process.env.DISCOGS_CONSUMER_KEY || null,
+  consumerSecret: process.env.DISCOGS_CONSUMER_SECRET || null,
+  personalToken: process.env.DISCOGS_PERSONAL_TOKEN || null,
+  youtubeApiKey: process.env.YOUTUBE_API_KEY || null,
+};
+
+class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ==========================================
+// OAUTH 1.0a
+// ==========================================
+
+/**
+ * Percent encode string for OAuth (RFC 3986)
+ * @param {string} str
+ * @returns {string}
+ */
+const percentEncode = (str) => (
+  encodeURIComponent(str)
+    .replace(/!/g, '%21')
+    .replace(/'/g, '%27')
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29')
+    .replace(/\*/g, '%2A')
+);
+
+/**
+ * Byte order for encoded parameters (OAuth 1.0a §3.4.1.3.2); localeCompare would
+ * collate case and punctuation differently from Discogs
+ */
+const compareCodeUnits = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+/**
+ * Build a signed OAuth 1.0a Authorization header
+ * @param {string} method - HTTP method
+ * @param {string} url - Upstream URL without query string
+ * @param {URLSearchParams} query - Query parameters, signed along with the OAuth ones
+ * @param {Object} tokens - token, tokenSecret, verifier, callback from the request headers
+ * @returns {string}
+ */
+const buildOAuthHeader = (method, url, query, { token, tokenSecret, verifier, callback }) => {
+  if (!config.consumerKey || !config.consumerSecret) {
+    throw new ProxyError(503, 'DISCOGS_CONSUMER_KEY and DISCOGS_CONSUMER_SECRET are not set on the signing proxy');
+  }
+
+  const oauthParams = {
+    oauth_consumer_key: config.consumerKey,
+    oauth_nonce: crypto.randomBytes(16).toString('hex'),
+    oauth_signature_method: 'HMAC-SHA1',
+    oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+    oauth_version: '1.0',
+    ...(token ? { oauth_token: token } : {}),
+    ...(verifier ? { oauth_verifier: verifier } : {}),
+    ...(callback ? { oauth_callback: callback } : {}),
+  };
+
+  const signedParams = [...Object.entries(oauthParams), ...query.entries()]
+    .map(([key, value]) => [percentEncode(key), percentEncode(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) => compareCodeUnits(keyA, keyB) || compareCodeUnits(valueA, valueB))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const baseString = `${method}&${percentEncode(url)}&${percentEncode(signedParams)}`;
+  const signingKey = `${percentEncode(config.consumerSecret)}&${percentEncode(tokenSecret || '')}`;
+  const signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+
+  const header = Object.entries({ ...oauthParams, oauth_signature: signature })
+    .sort(([a], [b]) => compareCodeUnits(a, b))
+    .map(([key, value]) => `${key}="${percentEncode(value)}"`)
+    .join(', ');
+
+  return `OAuth ${header}`;
+};
+
+/**
+ * Authorization header for requests made as the app
+ * @returns {string|null}
+ */
+const buildAppAuthorization = () => {
+  if (config.personalToken) {
+    return `Discogs token=${config.personalToken}`;
+  }
+  if (config.consumerKey && config.consumerSecret) {
+    return `Discogs key=${config.consumerKey}, secret=${config.consumerSecret}`;
+  }
+  return null;
+};
+
+// ==========================================
+// FORWARDING
+// ==========================================
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readRequestBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(new ProxyError(413, 'Request body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(body || undefined));
+  req.on('error', reject);
+});
+
+/**
+ * Public origin of this proxy, honouring a TLS-terminating reverse proxy in front
+ */
+const getOrigin = (req) => {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  return `${protocol}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+};
+
+/**
+ * Send an upstream response back to the app
+ * @param {Object} res - Node response
+ * @param {Response} upstream - fetch response
+ * @param {Function} [rewrite] - Applied to text bodies, e.g. to point pagination URLs here
+ */
+const relayResponse = async (res, upstream, rewrite = (text) => text) => {
+  const headers = {};
+  PASS_HEADERS.forEach(name => {
+    const value = upstream.headers.get(name);
+    if (value !== null) headers[name] = value;
+  });
+
+  const text = await upstream.text();
+  res.writeHead(upstream.status, headers);
+  res.end(text ? rewrite(text) : undefined);
+};
+
+/**
+ * Sign and forward a request under /discogs
+ */
+const forwardDiscogsRequest = async (req, res, url) => {
+  const pathname = url.pathname.slice('/discogs'.length) || '/';
+  const upstreamBase = TOKEN_ENDPOINTS.includes(pathname) ? DISCOGS_API_URL : config.discogsApiUrl;
+  const upstreamUrl = `${upstreamBase}${pathname}`;
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const authMode = req.headers['x-discogs-auth'];
+
+  const headers = {
+    'User-Agent': req.headers['user-agent'] || USER_AGENT,
+    'Accept': req.headers.accept || 'application/json',
+  };
+  if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+
+  if (authMode === 'oauth') {
+    headers['Authorization'] = buildOAuthHeader(method, upstreamUrl, url.searchParams, {
+      token: req.headers['x-oauth-token'],
+      tokenSecret: req.headers['x-oauth-token-secret'],
+      verifier: req.headers['x-oauth-verifier'],
+      callback: req.headers['x-oauth-callback'],
+    });
+  } else if (authMode === 'app') {
+    if (method !== 'GET' || !APP_AUTH_ROUTES.some(route => route.test(pathname))) {
+      throw new ProxyError(403, `App credentials are only used for GET requests to public database routes, not ${method} ${pathname}`);
+    }
+    const authorization = buildAppAuthorization();
+    if (authorization) headers['Authorization'] = authorization;
+  }
+
+  const body = ['GET', 'DELETE'].includes(method) ? undefined : await readRequestBody(req);
+  console.log(`🔏 ${method} ${pathname}${url.search} (${authMode || 'anonymous'})`);
+
+  const upstream = await fetch(`${upstreamUrl}${url.search}`, { method, headers, body });
+
+  // Pagination and resource URLs should lead back through the proxy
+  const proxyBase = `${getOrigin(req)}/discogs`;
+  await relayResponse(res, upstream, (text) => text.split(config.discogsApiUrl).join(proxyBase));
+};
+
+/**
+ * Add the API key and forward a request under /youtube
+ */
+const forwardYouTubeRequest = async (req, res, url) => {
+  const endpoint = url.pathname.slice('/youtube/'.length);
+  if (req.method !== 'GET' || !YOUTUBE_ENDPOINTS.includes(endpoint)) {
+    throw new ProxyError(404, `Unknown YouTube endpoint ${url.pathname}`);
+  }
+  if (!config.youtubeApiKey) {
+    throw new ProxyError(503, 'YOUTUBE_API_KEY is not set on the signing proxy');
+  }
+
+  const query = new URLSearchParams(url.searchParams);
+  query.set('key', config.youtubeApiKey);
+
+  console.log(`🔏 GET youtube/${endpoint}`);
+  const upstream = await fetch(`${YOUTUBE_API_URL}/${endpoint}?${query}`, {
+    headers: { 'Accept': 'application/json' },
+  });
+  await relayResponse(res, upstream);
+};
+
+const handleRequest = async (req, res) => {
+  // The web build calls the proxy cross-origin
+  res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+  res.setHeader('Access-Control-Allow-Headers',
+    'Authorization, Content-Type, X-Discogs-Auth, X-OAuth-Token, X-OAuth-Token-Secret, X-OAuth-Verifier, X-OAuth-Callback');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers',
+    'X-Discogs-Ratelimit, X-Discogs-Ratelimit-Used, X-Discogs-Ratelimit-Remaining, Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (url.pathname === '/health') {
+    sendJson(res, 200, {
+      ok: true,
+      discogsApiUrl: config.discogsApiUrl,
+      discogsOAuth: !!(config.consumerKey && config.consumerSecret),
+      discogsAppAuth: !!buildAppAuthorization(),
+      youtube: !!config.youtubeApiKey,
+    });
+  } else if (url.pathname === '/discogs' || url.pathname.startsWith('/discogs/')) {
+    await forwardDiscogsRequest(req, res, url);
+  } else if (url.pathname.startsWith('/youtube/')) {
+    await forwardYouTubeRequest(req, res, url);
+  } else {
+    throw new ProxyError(404, `Unknown route ${url.pathname}`);
+  }
+};
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    const status = error instanceof ProxyError ? error.status : 502;
+    console.error(`❌ Signing proxy error (${status}):`, error.message);
+    if (!res.headersSent) {
+      sendJson(res, status, { message: error.message });
+    } else {
+      res.end();
+    }
+  });
+});
+
+server.listen(config.port, () => {
+  console.log(`🔏 Signing proxy listening on http://localhost:${config.port}`);
+  console.log(`📡 Discogs upstream: ${config.discogsApiUrl}`);
+  if (!config.consumerKey || !config.consumerSecret) {
+    console.warn('⚠️ DISCOGS_CONSUMER_KEY / DISCOGS_CONSUMER_SECRET not set: login will fail');
+  }
+  if (!config.youtubeApiKey) {
+    console.warn('⚠️ YOUTUBE_API_KEY not set: YouTube requests will fail');
+  }
+});
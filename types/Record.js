@@ -21,7 +21,8 @@
  * @property {string} label - Primary label name
  * @property {number} [labelReleaseCount] - Number of releases from this label
  * @property {string} country - Country of release
- * @property {number} [price] - Price (optional)
+ * @property {number|null} [price] - Lowest marketplace price, filled in by enrichWithMarketplacePrices
+ * @property {MarketplaceStats} [marketplace] - Marketplace stats the price came from
  * @property {string} imageUrl - Primary image URL
  * @property {string[]} formats - Array of format strings
  * @property {Track[]} [tracklist] - Array of track objects
@@ -31,6 +32,22 @@
  * @property {number} [community.have] - Have count
  */
 
+/**
+ * @typedef {Object} PriceSuggestion
+ * @property {string} condition - Discogs media condition (e.g., "Very Good Plus (VG+)")
+ * @property {number} value - Suggested price
+ * @property {string} currency - Currency code (e.g., "USD")
+ */
+
+/**
+ * @typedef {Object} MarketplaceStats
+ * @property {number|null} lowestPrice - Lowest listed price, null when nothing is for sale
+ * @property {string} currency - Currency code of lowestPrice
+ * @property {number} numForSale - Number of copies listed
+ * @property {boolean} blockedFromSale - True if Discogs blocks this release from sale
+ * @property {PriceSuggestion[]|null} [suggestions] - Suggested prices by condition (logged-in sellers only)
+ */
+
 /**
  * @typedef {Object} SearchState
  * @property {string} searchText - Main search query
@@ -42,7 +59,9 @@
  * @property {number|null} yearTo - End year filter
  * @property {string} artist - Artist filter (optional)
  * @property {string} label - Label filter
- * @property {string} country - Country filter
+ * @property {string[]} countryFilters - Selected country filters
+ * @property {string[]} formatFilters - Selected format filters
+ * @property {{size?: string, speed?: string, flags?: string[]}} formatDetails - Vinyl size, speed and pressing flags (see utils/recordFormats)
  * @property {number} [maxReleases] - Max label releases filter
  * @property {Object} pagination - Pagination state
  * @property {number} pagination.currentPage - Current page number
@@ -66,6 +85,8 @@
 export const RecordTypes = {
   Track: 'Track',
   Record: 'Record',
+  PriceSuggestion: 'PriceSuggestion',
+  MarketplaceStats: 'MarketplaceStats',
   SearchState: 'SearchState',
   APIResponse: 'APIResponse',
 };
\ No newline at end of file
@@ -6,19 +6,95 @@
  * 
  * Features:
  * - Request deduplication based on URL and parameters
- * - Memory-efficient LRU cache for responses
+ * - Size-bounded LRU cache for responses (by entry count and approximate bytes)
+ * - Per-endpoint TTLs with stale-while-revalidate
+ * - Release, master, artist and label payloads persisted across app restarts
  * - Automatic cleanup of expired cache entries
  * - Request cancellation for component unmounting
  * - Debug logging for request patterns
  */
 
+import persistentCacheStore from './PersistentCacheStore';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Cache policies keyed by the endpoint name passed to executeRequest
+ * - ttl:       How long a response is served without asking Discogs again
+ * - staleTime: How long after ttl a response is still served while it refreshes in the background
+ * - persist:   Whether the response is written to disk and survives restarts
+ * Catalogue data barely changes, so it stays fresh for a day and usable for a month.
+ */
+const CACHE_POLICIES = {
+  getReleaseDetails: { ttl: DAY, staleTime: 30 * DAY, persist: true },
+  getMasterRelease: { ttl: DAY, staleTime: 30 * DAY, persist: true },
+  getMasterVersions: { ttl: 6 * HOUR, staleTime: 7 * DAY, persist: true },
+  getArtistInfo: { ttl: DAY, staleTime: 30 * DAY, persist: true },
+  getArtistReleases: { ttl: 6 * HOUR, staleTime: 7 * DAY, persist: true },
+  getLabelInfo: { ttl: DAY, staleTime: 30 * DAY, persist: true },
+  getLabelReleasesById: { ttl: 6 * HOUR, staleTime: 7 * DAY, persist: true },
+  resolveLabelId: { ttl: 30 * DAY, staleTime: 0, persist: true },
+  getLabelReleases: { ttl: 3 * MINUTE, staleTime: 0, persist: false },
+};
+
 class APIRequestManager {
   constructor() {
     this.activeRequests = new Map(); // URL -> Promise
-    this.cache = new Map(); // URL -> { data, timestamp, ttl }
+    this.cache = new Map(); // URL -> { data, timestamp, ttl, staleTime, persist, size }, least recently used first
     this.abortControllers = new Map(); // URL -> AbortController
-    this.maxCacheSize = 50; // Maximum cached responses
+    this.maxCacheSize = 200; // Maximum cached responses
+    this.maxCacheBytes = 2 * 1024 * 1024; // ~2 MB of serialized responses
+    this.cacheBytes = 0;
     this.defaultTTL = 5 * 60 * 1000; // 5 minutes default cache TTL
+
+    // Requests wait for the saved cache so a cold start can still hit it
+    this.hydration = this.hydrate();
+  }
+
+  /**
+   * Load persisted responses from disk into the in-memory cache
+   * Responses cached during this session win over older saved copies.
+   */
+  async hydrate() {
+    const savedEntries = (await persistentCacheStore.load()) || [];
+    const now = Date.now();
+    const liveEntries = Array.from(this.cache.entries());
+
+    this.cache.clear();
+    this.cacheBytes = 0;
+
+    for (const [key, entry] of [...savedEntries, ...liveEntries]) {
+      if (now - entry.timestamp > entry.ttl + entry.staleTime) {
+        continue;
+      }
+      this.setEntry(key, entry);
+    }
+
+    this.enforceCacheLimits();
+  }
+
+  /**
+   * Resolve the cache policy for an endpoint
+   * An explicit cacheTTL from the caller overrides the endpoint's ttl.
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - executeRequest options
+   * @returns {{ttl: number, staleTime: number, persist: boolean}}
+   */
+  getCachePolicy(endpoint, options = {}) {
+    const policy = {
+      ttl: this.defaultTTL,
+      staleTime: 0,
+      persist: false,
+      ...CACHE_POLICIES[endpoint],
+    };
+
+    if (options.cacheTTL !== undefined) {
+      policy.ttl = options.cacheTTL;
+    }
+
+    return policy;
   }
 
   /**
@@ -48,9 +124,61 @@ class APIRequestManager {
   }
 
   /**
-   * Get cached response if valid
+   * Insert or replace a cache entry as the most recently used
+   * @param {string} requestKey - Request key
+   * @param {Object} entry - Cache entry
+   */
+  setEntry(requestKey, entry) {
+    this.deleteEntry(requestKey);
+    this.cache.set(requestKey, entry);
+    this.cacheBytes += entry.size || 0;
+  }
+
+  /**
+   * Remove a cache entry and release its bytes
+   * @param {string} requestKey - Request key
+   * @returns {Object|undefined} Removed entry
+   */
+  deleteEntry(requestKey) {
+    const entry = this.cache.get(requestKey);
+    if (entry) {
+      this.cache.delete(requestKey);
+      this.cacheBytes -= entry.size || 0;
+    }
+    return entry;
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits its limits
+   */
+  enforceCacheLimits() {
+    let evictedPersisted = false;
+
+    while (this.cache.size > this.maxCacheSize || this.cacheBytes > this.maxCacheBytes) {
+      const oldestKey = this.cache.keys().next().value;
+      const evicted = this.deleteEntry(oldestKey);
+      evictedPersisted = evictedPersisted || evicted?.persist;
+      console.log(`🧹 Cache evicted least recently used entry: ${oldestKey}`);
+    }
+
+    if (evictedPersisted) {
+      this.persistCache();
+    }
+  }
+
+  /**
+   * Save persistable entries to disk (debounced by the store)
+   */
+  persistCache() {
+    const entries = Array.from(this.cache.entries()).filter(([, entry]) => entry.persist);
+    persistentCacheStore.save(entries);
+  }
+
+  /**
+   * Get cached response if it can still be served
+   * A hit moves the entry to the most recently used position.
    * @param {string} requestKey - Request key
-   * @returns {Object|null} Cached data or null
+   * @returns {{data: Object, isStale: boolean}|null} Cached data or null
    */
   getCachedResponse(requestKey) {
     const cached = this.cache.get(requestKey);
@@ -59,37 +187,63 @@ class APIRequestManager {
       return null;
     }
 
-    // Check if cache entry has expired
-    if (Date.now() - cached.timestamp > cached.ttl) {
-      this.cache.delete(requestKey);
+    const age = Date.now() - cached.timestamp;
+
+    // Check if cache entry is past its stale window too
+    if (age > cached.ttl + cached.staleTime) {
+      this.deleteEntry(requestKey);
       console.log(`🗑️ Cache expired for ${requestKey}`);
+      if (cached.persist) {
+        this.persistCache();
+      }
       return null;
     }
 
-    console.log(`💾 Cache hit for ${requestKey}`);
-    return cached.data;
+    this.setEntry(requestKey, cached);
+    if (cached.persist) {
+      this.persistCache();
+    }
+
+    const isStale = age > cached.ttl;
+    console.log(`💾 Cache hit${isStale ? ' (stale)' : ''} for ${requestKey}`);
+    return { data: cached.data, isStale };
   }
 
   /**
    * Cache a response
    * @param {string} requestKey - Request key
    * @param {Object} data - Response data
-   * @param {number} ttl - Time to live in milliseconds
+   * @param {Object} [policy] - Cache policy from getCachePolicy
    */
-  cacheResponse(requestKey, data, ttl = this.defaultTTL) {
-    // Implement simple LRU by removing oldest entry if cache is full
-    if (this.cache.size >= this.maxCacheSize) {
-      const oldestKey = this.cache.keys().next().value;
-      this.cache.delete(oldestKey);
-      console.log(`🧹 Cache evicted oldest entry: ${oldestKey}`);
+  cacheResponse(requestKey, data, policy = this.getCachePolicy()) {
+    let size = 0;
+    try {
+      size = JSON.stringify(data)?.length || 0;
+    } catch {
+      // Unserializable data can live in memory but never on disk
+      policy = { ...policy, persist: false };
+    }
+
+    if (size > this.maxCacheBytes) {
+      console.log(`⚠️ Response too large to cache: ${requestKey}`);
+      return;
     }
 
-    this.cache.set(requestKey, {
+    this.setEntry(requestKey, {
       data: data,
       timestamp: Date.now(),
-      ttl: ttl
+      ttl: policy.ttl,
+      staleTime: policy.staleTime,
+      persist: policy.persist,
+      size: size
     });
 
+    this.enforceCacheLimits();
+
+    if (policy.persist) {
+      this.persistCache();
+    }
+
     console.log(`💾 Cached response for ${requestKey}`);
   }
 
@@ -99,24 +253,63 @@ class APIRequestManager {
    * @param {Object} params - Request parameters
    * @param {Function} requestFunction - Function that executes the actual request
    * @param {Object} options - Additional options
+   * @param {boolean} [options.useCache=true] - Read from and write to the cache
+   * @param {number} [options.cacheTTL] - Override the endpoint's fresh lifetime
+   * @param {boolean} [options.forceRefresh=false] - Skip the cache read
+   * @param {Function} [options.onRevalidated] - Called with fresh data after a stale hit refreshes
    * @returns {Promise} Request promise
    */
   async executeRequest(endpoint, params, requestFunction, options = {}) {
+    await this.hydration;
+
     const requestKey = this.generateRequestKey(endpoint, params);
     const { 
       useCache = true, 
-      cacheTTL = this.defaultTTL,
-      forceRefresh = false 
+      forceRefresh = false,
+      onRevalidated
     } = options;
+    const policy = this.getCachePolicy(endpoint, options);
 
     // Check cache first (if not forcing refresh)
     if (useCache && !forceRefresh) {
       const cachedResponse = this.getCachedResponse(requestKey);
       if (cachedResponse) {
-        return cachedResponse;
+        if (cachedResponse.isStale) {
+          this.revalidate(requestKey, requestFunction, policy, onRevalidated);
+        }
+        return cachedResponse.data;
       }
     }
 
+    return this.startRequest(requestKey, requestFunction, useCache, policy);
+  }
+
+  /**
+   * Refresh a stale response in the background
+   * @param {string} requestKey - Request key
+   * @param {Function} requestFunction - Request function
+   * @param {Object} policy - Cache policy
+   * @param {Function} [onRevalidated] - Receives the fresh data
+   */
+  revalidate(requestKey, requestFunction, policy, onRevalidated) {
+    console.log(`♻️ Revalidating stale response for ${requestKey}`);
+
+    this.startRequest(requestKey, requestFunction, true, policy)
+      .then(data => onRevalidated?.(data))
+      .catch(() => {
+        // The stale copy is already on screen; executeWithCleanup logged the failure
+      });
+  }
+
+  /**
+   * Start a request, or join the one already in flight for the same key
+   * @param {string} requestKey - Request key
+   * @param {Function} requestFunction - Request function
+   * @param {boolean} useCache - Whether to cache the result
+   * @param {Object} policy - Cache policy
+   * @returns {Promise}
+   */
+  startRequest(requestKey, requestFunction, useCache, policy) {
     // If request is already active, return the existing promise
     if (this.isRequestActive(requestKey)) {
       console.log(`🔄 Deduplicating request for ${requestKey}`);
@@ -133,7 +326,7 @@ class APIRequestManager {
       requestFunction,
       abortController.signal,
       useCache,
-      cacheTTL
+      policy
     );
 
     // Store active request
@@ -149,17 +342,17 @@ class APIRequestManager {
    * @param {Function} requestFunction - Request function
    * @param {AbortSignal} signal - Abort signal
    * @param {boolean} useCache - Whether to cache the result
-   * @param {number} cacheTTL - Cache TTL
+   * @param {Object} policy - Cache policy
    * @returns {Promise}
    */
-  async executeWithCleanup(requestKey, requestFunction, signal, useCache, cacheTTL) {
+  async executeWithCleanup(requestKey, requestFunction, signal, useCache, policy) {
     try {
       // Execute the actual request
       const result = await requestFunction(signal);
 
       // Cache the result if requested
       if (useCache) {
-        this.cacheResponse(requestKey, result, cacheTTL);
+        this.cacheResponse(requestKey, result, policy);
       }
 
       console.log(`✅ Request completed: ${requestKey}`);
@@ -209,10 +402,12 @@ class APIRequestManager {
   }
 
   /**
-   * Clear all cached data
+   * Clear all cached data, in memory and on disk
    */
   clearCache() {
     this.cache.clear();
+    this.cacheBytes = 0;
+    persistentCacheStore.clear();
     console.log('🗑️ Cache cleared');
   }
 
@@ -224,6 +419,9 @@ class APIRequestManager {
     return {
       size: this.cache.size,
       maxSize: this.maxCacheSize,
+      bytes: this.cacheBytes,
+      maxBytes: this.maxCacheBytes,
+      persisted: Array.from(this.cache.values()).filter(entry => entry.persist).length,
       activeRequests: this.activeRequests.size,
       entries: Array.from(this.cache.keys())
     };
@@ -235,11 +433,13 @@ class APIRequestManager {
   cleanupExpiredCache() {
     const now = Date.now();
     let cleanedCount = 0;
+    let cleanedPersisted = false;
 
-    for (const [key, cached] of this.cache.entries()) {
-      if (now - cached.timestamp > cached.ttl) {
-        this.cache.delete(key);
+    for (const [key, cached] of Array.from(this.cache.entries())) {
+      if (now - cached.timestamp > cached.ttl + cached.staleTime) {
+        this.deleteEntry(key);
         cleanedCount++;
+        cleanedPersisted = cleanedPersisted || cached.persist;
       }
     }
 
@@ -247,6 +447,10 @@ class APIRequestManager {
       console.log(`🧹 Cleaned up ${cleanedCount} expired cache entries`);
     }
 
+    if (cleanedPersisted) {
+      this.persistCache();
+    }
+
     return cleanedCount;
   }
 
@@ -0,0 +1,335 @@
+/**
+ * CollectionManager
+ *
+ * Mirrors the logged-in user's Discogs collection on the device, so the
+ * Collection tab and "in collection" badges work instantly and offline.
+ *
+ * Features:
+ * - Full sync of every folder page, at most one sync at a time
+ * - Release ID index for badge lookups
+ * - Add, remove and custom field edits applied to the mirror once Discogs accepts them
+ * - Persisted across app restarts, cleared on logout or when the session is revoked
+ * - Listener subscription for the useCollection hook
+ */
+
+import {
+  ALL_FOLDER_ID,
+  UNCATEGORIZED_FOLDER_ID,
+  addToCollectionFolder,
+  editCollectionFieldValue,
+  getCollectionFields,
+  getCollectionFolderReleases,
+  getCollectionFolders,
+  getIdentity,
+  removeFromCollectionFolder,
+} from '../api/collection';
+import { isAuthenticated } from '../api/oauth';
+import { PersistentCacheStore } from './PersistentCacheStore';
+import sessionManager, { SESSION_STATUS } from './SessionManager';
+
+const SYNC_MAX_AGE_MS = 60 * 60 * 1000; // Re-sync on use when the mirror is older than an hour
+
+class CollectionManager {
+  constructor() {
+    this.store = new PersistentCacheStore({ fileName: 'collection.json', directory: 'document' });
+    this.username = null;
+    this.folders = [];
+    this.fields = [];
+    this.items = [];
+    this.releaseIndex = new Map(); // releaseId -> collection items (one per copy)
+    this.lastSyncedAt = null;
+    this.isSyncing = false;
+    this.error = null;
+    this.syncPromise = null;
+    this.listeners = new Set();
+
+    this.ready = this.load();
+
+    // Follow login, logout and revoked sessions
+    let sessionStatus = sessionManager.getState().status;
+    sessionManager.subscribe(({ status }) => {
+      if (status === sessionStatus) return;
+      sessionStatus = status;
+
+      if (status === SESSION_STATUS.LOGGED_IN) {
+        this.syncIfStale();
+      } else if (status === SESSION_STATUS.LOGGED_OUT) {
+        this.ready.then(() => this.clear());
+      }
+    });
+  }
+
+  /**
+   * Load the mirror from disk
+   */
+  async load() {
+    const saved = await this.store.load();
+    if (saved) {
+      this.username = saved.username || null;
+      this.folders = saved.folders || [];
+      this.fields = saved.fields || [];
+      this.items = saved.items || [];
+      this.lastSyncedAt = saved.lastSyncedAt || null;
+      this.rebuildIndex();
+      this.notifyListeners();
+    }
+  }
+
+  persist() {
+    this.store.save({
+      username: this.username,
+      folders: this.folders,
+      fields: this.fields,
+      items: this.items,
+      lastSyncedAt: this.lastSyncedAt,
+    });
+    this.notifyListeners();
+  }
+
+  /**
+   * Snapshot for the UI
+   * @returns {{username: string|null, folders: Object[], fields: Object[], items: Object[], lastSyncedAt: number|null, isSyncing: boolean, error: Error|null}}
+   */
+  getState() {
+    return {
+      username: this.username,
+      folders: this.folders,
+      fields: this.fields,
+      items: this.items,
+      lastSyncedAt: this.lastSyncedAt,
+      isSyncing: this.isSyncing,
+      error: this.error,
+    };
+  }
+
+  /**
+   * Subscribe to collection changes
+   * @param {Function} listener - Called with getState() after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('❌ Collection listener failed:', error.message);
+      }
+    });
+  }
+
+  rebuildIndex() {
+    this.releaseIndex = new Map();
+    this.items.forEach(item => {
+      const copies = this.releaseIndex.get(item.id) || [];
+      copies.push(item);
+      this.releaseIndex.set(item.id, copies);
+    });
+  }
+
+  /**
+   * Whether the user owns at least one copy of a release
+   * @param {number|string} releaseId - Discogs release ID
+   * @returns {boolean}
+   */
+  isInCollection(releaseId) {
+    return this.releaseIndex.has(Number(releaseId));
+  }
+
+  /**
+   * Copies of a release in the collection
+   * @param {number|string} releaseId - Discogs release ID
+   * @returns {Object[]}
+   */
+  getCopies(releaseId) {
+    return this.releaseIndex.get(Number(releaseId)) || [];
+  }
+
+  // ==========================================
+  // SYNC
+  // ==========================================
+
+  /**
+   * Mirror the whole collection from Discogs
+   * Clears the mirror when nobody is logged in. Failures keep the previous mirror.
+   * @returns {Promise<void>}
+   */
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  /**
+   * Sync unless the mirror is recent
+   * @param {number} [maxAge] - Maximum mirror age in milliseconds
+   */
+  async syncIfStale(maxAge = SYNC_MAX_AGE_MS) {
+    await this.ready;
+    if (!this.lastSyncedAt || Date.now() - this.lastSyncedAt > maxAge) {
+      await this.sync();
+    }
+  }
+
+  async runSync() {
+    await this.ready;
+
+    if (!(await isAuthenticated())) {
+      this.clear();
+      return;
+    }
+
+    this.isSyncing = true;
+    this.error = null;
+    this.notifyListeners();
+
+    try {
+      const identity = await getIdentity();
+      const username = identity.username;
+      console.log('📚 Syncing collection for', username);
+
+      const folders = await getCollectionFolders(username);
+      const fields = await getCollectionFields(username);
+
+      const items = [];
+      let page = 1;
+      let pages = 1;
+      do {
+        const { results, pagination } = await getCollectionFolderReleases(username, ALL_FOLDER_ID, { page });
+        items.push(...results);
+        pages = pagination.pages || 1;
+        page++;
+      } while (page <= pages);
+
+      this.username = username;
+      this.folders = folders;
+      this.fields = fields;
+      this.items = items;
+      this.lastSyncedAt = Date.now();
+      this.rebuildIndex();
+      console.log(`✅ Collection synced: ${items.length} releases in ${folders.length} folders`);
+    } catch (error) {
+      console.error('❌ Collection sync failed:', error.message);
+      this.error = error;
+    } finally {
+      this.isSyncing = false;
+      this.persist();
+    }
+  }
+
+  /**
+   * Forget the mirrored collection, e.g. after logout
+   */
+  clear() {
+    if (!this.username && this.items.length === 0 && !this.error) return;
+
+    this.username = null;
+    this.folders = [];
+    this.fields = [];
+    this.items = [];
+    this.lastSyncedAt = null;
+    this.error = null;
+    this.rebuildIndex();
+    this.persist();
+  }
+
+  async getUsername() {
+    await this.ready;
+    if (!this.username) {
+      const identity = await getIdentity();
+      this.username = identity.username;
+    }
+    return this.username;
+  }
+
+  adjustFolderCount(folderId, delta) {
+    this.folders = this.folders.map(folder => (
+      folder.id === folderId || folder.id === ALL_FOLDER_ID
+        ? { ...folder, count: Math.max(0, folder.count + delta) }
+        : folder
+    ));
+  }
+
+  // ==========================================
+  // EDITS
+  // ==========================================
+
+  /**
+   * Add a copy of a release to the collection
+   * @param {Object} record - Record in our app format
+   * @param {number} [folderId] - Target folder, "Uncategorized" by default
+   * @returns {Promise<Object>} - The new collection item
+   */
+  async addRelease(record, folderId = UNCATEGORIZED_FOLDER_ID) {
+    const username = await this.getUsername();
+    const { instance_id: instanceId } = await addToCollectionFolder(username, folderId, record.id);
+
+    const item = {
+      ...record,
+      instanceId,
+      folderId,
+      rating: 0,
+      dateAdded: new Date().toISOString(),
+      notes: [],
+    };
+
+    this.items = [item, ...this.items];
+    this.adjustFolderCount(folderId, 1);
+    this.rebuildIndex();
+    this.persist();
+
+    return item;
+  }
+
+  /**
+   * Remove one copy from the collection
+   * @param {Object} item - Collection item (needs id, folderId and instanceId)
+   */
+  async removeItem(item) {
+    const username = await this.getUsername();
+    await removeFromCollectionFolder(username, item.folderId, item.id, item.instanceId);
+
+    this.items = this.items.filter(existing => existing.instanceId !== item.instanceId);
+    this.adjustFolderCount(item.folderId, -1);
+    this.rebuildIndex();
+    this.persist();
+  }
+
+  /**
+   * Set a custom field value on one copy
+   * @param {Object} item - Collection item
+   * @param {number} fieldId - Custom field ID
+   * @param {string} value - New value
+   */
+  async setFieldValue(item, fieldId, value) {
+    const username = await this.getUsername();
+    await editCollectionFieldValue(
+      username,
+      { folderId: item.folderId, releaseId: item.id, instanceId: item.instanceId },
+      fieldId,
+      value
+    );
+
+    this.items = this.items.map(existing => {
+      if (existing.instanceId !== item.instanceId) return existing;
+
+      const notes = existing.notes.filter(note => note.field_id !== fieldId);
+      return { ...existing, notes: value ? [...notes, { field_id: fieldId, value }] : notes };
+    });
+    this.rebuildIndex();
+    this.persist();
+  }
+}
+
+// Create a singleton instance
+const collectionManager = new CollectionManager();
+
+export default collectionManager;
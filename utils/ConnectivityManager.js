@@ -0,0 +1,147 @@
+/**
+ * ConnectivityManager
+ *
+ * Tracks whether Discogs is reachable so screens can switch to offline mode.
+ * There is no native network listener in this app, so connectivity is inferred
+ * from real traffic: a request that never reaches the server marks us offline,
+ * and any response (even an error status) marks us online again.
+ *
+ * Features:
+ * - Online/offline state with the time it last changed
+ * - Background probe while offline to notice when the network returns
+ * - Immediate probe when the app comes back to the foreground
+ * - Listener subscription for hooks and queues
+ */
+
+import { AppState } from 'react-native';
+import { DISCOGS_BASE_URL } from '../api/discogsConfig';
+
+const PROBE_URL = `${DISCOGS_BASE_URL}/`;
+const PROBE_INTERVAL_MS = 15000;
+const PROBE_TIMEOUT_MS = 5000;
+
+class ConnectivityManager {
+  constructor() {
+    this.isOnline = true;
+    this.offlineSince = null;
+    this.listeners = new Set();
+    this.probeTimer = null;
+    this.isProbing = false;
+
+    AppState.addEventListener('change', (state) => {
+      if (state === 'active' && !this.isOnline) {
+        this.probe();
+      }
+    });
+  }
+
+  /**
+   * Get the current connectivity status
+   * @returns {{isOnline: boolean, offlineSince: number|null}}
+   */
+  getStatus() {
+    return {
+      isOnline: this.isOnline,
+      offlineSince: this.offlineSince,
+    };
+  }
+
+  /**
+   * Subscribe to connectivity changes
+   * @param {Function} listener - Called with the status on every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners of the current status
+   */
+  notifyListeners() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error('❌ Connectivity listener failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Record a request that never reached the server
+   */
+  reportNetworkFailure() {
+    if (!this.isOnline) return;
+
+    this.isOnline = false;
+    this.offlineSince = Date.now();
+    console.log('📴 Network unreachable, switching to offline mode');
+
+    this.startProbing();
+    this.notifyListeners();
+  }
+
+  /**
+   * Record a request that got any response from the server
+   */
+  reportSuccess() {
+    if (this.isOnline) return;
+
+    this.isOnline = true;
+    this.offlineSince = null;
+    console.log('📶 Network is back, leaving offline mode');
+
+    this.stopProbing();
+    this.notifyListeners();
+  }
+
+  /**
+   * Poll the Discogs API root until it answers
+   */
+  startProbing() {
+    if (this.probeTimer) return;
+
+    this.probeTimer = setInterval(() => {
+      this.probe();
+    }, PROBE_INTERVAL_MS);
+  }
+
+  stopProbing() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Check reachability with a lightweight request
+   * Bypasses the rate-limit queue; the API root is a tiny, unauthenticated response.
+   * @returns {Promise<boolean>} Whether Discogs answered
+   */
+  async probe() {
+    if (this.isProbing) return this.isOnline;
+
+    this.isProbing = true;
+    const abortController = new AbortController();
+    const timeout = setTimeout(() => abortController.abort(), PROBE_TIMEOUT_MS);
+
+    try {
+      await fetch(PROBE_URL, { method: 'HEAD', signal: abortController.signal });
+      this.reportSuccess();
+      return true;
+    } catch {
+      return false;
+    } finally {
+      clearTimeout(timeout);
+      this.isProbing = false;
+    }
+  }
+}
+
+// Create a singleton instance
+const connectivityManager = new ConnectivityManager();
+
+export default connectivityManager;
@@ -0,0 +1,241 @@
+/**
+ * CratesManager
+ *
+ * Named lists of records ("crates") kept on the device. Works without a
+ * Discogs login, so users of the public search can still keep what they find.
+ *
+ * Features:
+ * - Create, rename and delete crates
+ * - Add, remove and reorder records in a crate
+ * - Persisted across app restarts
+ * - Push a crate to the Discogs wantlist once the user logs in
+ * - Listener subscription for crate buttons and screens
+ */
+
+import { PersistentCacheStore } from './PersistentCacheStore';
+import wantlistManager from './WantlistManager';
+
+const DEFAULT_CRATE_NAME = 'My Crate';
+
+class CratesManager {
+  constructor() {
+    this.store = new PersistentCacheStore({ fileName: 'crates.json', directory: 'document' });
+    this.crates = [];
+    this.listeners = new Set();
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Load crates from disk
+   */
+  async load() {
+    const saved = await this.store.load();
+    if (Array.isArray(saved)) {
+      this.crates = saved;
+      this.notifyListeners();
+    }
+  }
+
+  persist() {
+    this.store.save(this.crates);
+    this.notifyListeners();
+  }
+
+  /**
+   * Subscribe to crate changes
+   * @param {Function} listener - Called with the crates after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const crates = this.getCrates();
+    this.listeners.forEach(listener => {
+      try {
+        listener(crates);
+      } catch (error) {
+        console.error('❌ Crates listener failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * All crates, most recently changed first
+   * @returns {Object[]}
+   */
+  getCrates() {
+    return [...this.crates].sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * @param {string} crateId
+   * @returns {Object|null}
+   */
+  getCrate(crateId) {
+    return this.crates.find(crate => crate.id === crateId) || null;
+  }
+
+  /**
+   * Whether a crate holds a release
+   * @param {string} crateId
+   * @param {number|string} releaseId - Discogs release ID
+   * @returns {boolean}
+   */
+  crateContains(crateId, releaseId) {
+    const crate = this.getCrate(crateId);
+    return !!crate && crate.records.some(record => record.id === Number(releaseId));
+  }
+
+  /**
+   * Whether any crate holds a release
+   * @param {number|string} releaseId - Discogs release ID
+   * @returns {boolean}
+   */
+  isInAnyCrate(releaseId) {
+    return this.crates.some(crate => crate.records.some(record => record.id === Number(releaseId)));
+  }
+
+  updateCrate(crateId, changes) {
+    this.crates = this.crates.map(crate => (
+      crate.id === crateId ? { ...crate, ...changes, updatedAt: Date.now() } : crate
+    ));
+    this.persist();
+  }
+
+  // ==========================================
+  // CRATES
+  // ==========================================
+
+  /**
+   * Create an empty crate
+   * @param {string} [name] - Crate name
+   * @returns {Promise<Object>} The new crate
+   */
+  async createCrate(name) {
+    await this.ready;
+
+    const now = Date.now();
+    const crate = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name?.trim() || DEFAULT_CRATE_NAME,
+      records: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.crates = [...this.crates, crate];
+    this.persist();
+    console.log('📦 Created crate:', crate.name);
+
+    return crate;
+  }
+
+  /**
+   * @param {string} crateId
+   * @param {string} name - New name; blank names are ignored
+   */
+  async renameCrate(crateId, name) {
+    await this.ready;
+    if (!name?.trim()) return;
+
+    this.updateCrate(crateId, { name: name.trim() });
+  }
+
+  /**
+   * @param {string} crateId
+   */
+  async deleteCrate(crateId) {
+    await this.ready;
+
+    this.crates = this.crates.filter(crate => crate.id !== crateId);
+    this.persist();
+  }
+
+  // ==========================================
+  // RECORDS
+  // ==========================================
+
+  /**
+   * Add a record to the end of a crate; records already in it stay where they are
+   * @param {string} crateId
+   * @param {Object} record - Record in our app format
+   */
+  async addRecord(crateId, record) {
+    await this.ready;
+
+    const crate = this.getCrate(crateId);
+    const releaseId = Number(record.id);
+    if (!crate || crate.records.some(existing => existing.id === releaseId)) return;
+
+    this.updateCrate(crateId, {
+      records: [...crate.records, { ...record, id: releaseId, addedAt: Date.now() }],
+    });
+  }
+
+  /**
+   * @param {string} crateId
+   * @param {number|string} releaseId - Discogs release ID
+   */
+  async removeRecord(crateId, releaseId) {
+    await this.ready;
+
+    const crate = this.getCrate(crateId);
+    if (!crate) return;
+
+    this.updateCrate(crateId, {
+      records: crate.records.filter(record => record.id !== Number(releaseId)),
+    });
+  }
+
+  /**
+   * Move a record to a new position in its crate
+   * @param {string} crateId
+   * @param {number} fromIndex - Current position
+   * @param {number} toIndex - New position
+   */
+  async moveRecord(crateId, fromIndex, toIndex) {
+    await this.ready;
+
+    const crate = this.getCrate(crateId);
+    if (!crate || toIndex < 0 || toIndex >= crate.records.length || fromIndex === toIndex) return;
+
+    const records = [...crate.records];
+    const [moved] = records.splice(fromIndex, 1);
+    records.splice(toIndex, 0, moved);
+    this.updateCrate(crateId, { records });
+  }
+
+  /**
+   * Add every release in a crate to the Discogs wantlist
+   * Throws an AuthError when nobody is logged in. Offline, the additions are
+   * queued and sent on reconnect.
+   * @param {string} crateId
+   * @returns {Promise<number>} Number of releases newly added
+   */
+  async pushToWantlist(crateId) {
+    await this.ready;
+
+    const crate = this.getCrate(crateId);
+    if (!crate) return 0;
+
+    // Masters and labels can't go on a wantlist
+    const releases = crate.records.filter(record =>
+      (!record.type || record.type === 'release') && !wantlistManager.isWanted(record.id)
+    );
+    for (const record of releases) {
+      await wantlistManager.add(record);
+    }
+
+    console.log(`💖 Pushed ${releases.length} releases from crate "${crate.name}" to the wantlist`);
+    return releases.length;
+  }
+}
+
+// Create a singleton instance
+const cratesManager = new CratesManager();
+
+export default cratesManager;
@@ -0,0 +1,84 @@
+/**
+ * LabelReleaseCountCache
+ *
+ * Remembers how many releases each Discogs label has. Label search results
+ * don't include the count, so small-label discovery has to look it up per label;
+ * caching it means re-running a search only costs requests for new labels.
+ *
+ * Features:
+ * - Persisted across app restarts (cache directory, the OS may purge it)
+ * - Counts expire after a week, since small labels keep releasing
+ * - Bounded size, oldest lookups dropped first
+ */
+
+import { PersistentCacheStore } from './PersistentCacheStore';
+
+const COUNT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 5000;
+
+class LabelReleaseCountCache {
+  constructor() {
+    this.store = new PersistentCacheStore({ fileName: 'label-release-counts.json' });
+    this.counts = new Map(); // labelId -> { count, checkedAt }, oldest first
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Load saved counts from disk
+   * Counts looked up before the load finished win over saved ones.
+   */
+  async load() {
+    const saved = await this.store.load();
+    if (!Array.isArray(saved)) return;
+
+    const liveEntries = Array.from(this.counts.entries());
+    this.counts = new Map(saved);
+    liveEntries.forEach(([labelId, entry]) => this.counts.set(labelId, entry));
+  }
+
+  /**
+   * Cached release count for a label
+   * @param {number} labelId - Discogs label ID
+   * @returns {number|null} Release count, or null when unknown or expired
+   */
+  get(labelId) {
+    const entry = this.counts.get(labelId);
+    if (!entry) return null;
+
+    if (Date.now() - entry.checkedAt > COUNT_TTL_MS) {
+      this.counts.delete(labelId);
+      return null;
+    }
+    return entry.count;
+  }
+
+  /**
+   * Remember a label's release count
+   * @param {number} labelId - Discogs label ID
+   * @param {number} count - Number of releases on the label
+   */
+  set(labelId, count) {
+    this.counts.delete(labelId);
+    this.counts.set(labelId, { count, checkedAt: Date.now() });
+
+    while (this.counts.size > MAX_ENTRIES) {
+      this.counts.delete(this.counts.keys().next().value);
+    }
+
+    this.store.save(Array.from(this.counts.entries()));
+  }
+
+  /**
+   * Forget all counts
+   */
+  clear() {
+    this.counts.clear();
+    this.store.clear();
+  }
+}
+
+// Create a singleton instance
+const labelReleaseCountCache = new LabelReleaseCountCache();
+
+export default labelReleaseCountCache;
@@ -0,0 +1,153 @@
+/**
+ * LuckyHistory
+ *
+ * Recent "Feeling lucky" picks, so a good find isn't lost after digging again.
+ * Each entry keeps the record as opened on the detail screen and the filters it
+ * was dug with, so it can be reopened and dug from again.
+ *
+ * Features:
+ * - Persisted across app restarts
+ * - Most recent first, capped at MAX_ENTRIES
+ * - Re-picking a record moves it to the top instead of duplicating it
+ * - Listener subscription for the detail screen
+ */
+
+import { PersistentCacheStore } from './PersistentCacheStore';
+
+const MAX_ENTRIES = 20;
+
+/**
+ * The record fields the detail screen needs from its params
+ * @param {Object} record - Search result
+ * @returns {Object}
+ */
+export const toLuckyRecord = (record) => ({
+  id: record.id,
+  title: record.title,
+  artists: record.artists || [{ name: record.artist || 'Unknown Artist' }],
+  year: record.year,
+  thumb: record.thumb || record.cover_image,
+  cover_image: record.cover_image || record.thumb,
+  label: record.label,
+  country: record.country,
+  format: record.format,
+  genre: record.genre,
+  style: record.style,
+  catno: record.catno,
+  master_id: record.master_id,
+  community: record.community,
+});
+
+/**
+ * Params for /record-detail opened in lucky mode ("Dig again" and the history strip)
+ * @param {Object} entry - History entry
+ * @returns {Object}
+ */
+export const buildLuckyRecordParams = (entry) => ({
+  recordId: entry.record.id.toString(),
+  record: JSON.stringify(entry.record),
+  luckyFilters: JSON.stringify(entry.filters || {}),
+});
+
+class LuckyHistory {
+  constructor() {
+    this.store = new PersistentCacheStore({ fileName: 'lucky-history.json', directory: 'document' });
+    this.entries = [];
+    this.listeners = new Set();
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Load picks from disk
+   */
+  async load() {
+    const saved = await this.store.load();
+    if (Array.isArray(saved)) {
+      this.entries = saved;
+      this.notifyListeners();
+    }
+  }
+
+  persist() {
+    this.store.save(this.entries);
+    this.notifyListeners();
+  }
+
+  /**
+   * Subscribe to history changes
+   * @param {Function} listener - Called with the entries after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const entries = this.getEntries();
+    this.listeners.forEach(listener => {
+      try {
+        listener(entries);
+      } catch (error) {
+        console.error('❌ Lucky history listener failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Picks, most recent first
+   * @returns {Object[]}
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Release IDs already picked, to avoid landing on them again
+   * @returns {number[]}
+   */
+  getPickedIds() {
+    return this.entries.map(entry => entry.record.id);
+  }
+
+  /**
+   * Record a pick
+   * @param {Object} record - Search result that was picked
+   * @param {Object} filters - advancedSearch filters it was dug with
+   * @returns {Promise<Object>} The new entry
+   */
+  async add(record, filters) {
+    await this.ready;
+
+    const entry = {
+      record: toLuckyRecord(record),
+      filters,
+      pickedAt: Date.now(),
+    };
+
+    this.entries = [
+      entry,
+      ...this.entries.filter(existing => existing.record.id !== record.id),
+    ].slice(0, MAX_ENTRIES);
+
+    console.log('🍀 Lucky pick:', record.title);
+    this.persist();
+
+    return entry;
+  }
+
+  /**
+   * Forget all picks
+   */
+  async clear() {
+    await this.ready;
+    this.entries = [];
+    this.persist();
+  }
+}
+
+// Create a singleton instance
+const luckyHistory = new LuckyHistory();
+
+export default luckyHistory;
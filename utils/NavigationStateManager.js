@@ -98,6 +98,14 @@ class NavigationStateManager {
     return this.currentScreen?.name === 'LabelReleases';
   }
 
+  /**
+   * Check if we're currently in an artist detail screen
+   * @returns {boolean}
+   */
+  isInArtistDetail() {
+    return this.currentScreen?.name === 'ArtistDetail';
+  }
+
   /**
    * Get the current record ID (if in record detail screen)
    * @returns {string|null}
@@ -114,6 +122,14 @@ class NavigationStateManager {
     return this.isInLabelReleases() ? this.currentScreen?.itemId : null;
   }
 
+  /**
+   * Get the current artist ID (if in artist detail screen)
+   * @returns {string|number|null}
+   */
+  getCurrentArtistId() {
+    return this.isInArtistDetail() ? this.currentScreen?.itemId : null;
+  }
+
   /**
    * Validate and execute navigation if allowed
    * @param {string} targetScreen - Target screen name
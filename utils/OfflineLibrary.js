@@ -0,0 +1,394 @@
+/**
+ * OfflineLibrary
+ *
+ * Keeps records and labels the user opened or saved browsable without a network.
+ * Full release details (tracklist, credits, images) and label catalogue pages are
+ * stored in the document directory, and their cover images are downloaded next to them.
+ *
+ * Features:
+ * - Opened items are remembered automatically, most recent first, with a cap
+ * - Saved (pinned) items are never evicted
+ * - Cover and label images downloaded one at a time in the background
+ * - Each entry keeps when it was stored so screens can show its age
+ * - Listener subscription for the Saved screen
+ */
+
+import { Directory, File, Paths } from 'expo-file-system';
+import { Platform } from 'react-native';
+import connectivityManager from './ConnectivityManager';
+import { PersistentCacheStore } from './PersistentCacheStore';
+
+const MAX_OPENED_RELEASES = 100; // Unsaved releases kept for offline browsing
+const MAX_OPENED_LABELS = 30;
+const MAX_LABEL_THUMBNAILS = 50; // Catalogue thumbnails downloaded per label
+const IMAGE_DIRECTORY = 'offline-images';
+
+/**
+ * Stable file name for a remote image URL
+ * @param {string} url - Remote image URL
+ * @returns {string} - File name
+ */
+const getImageFileName = (url) => {
+  // djb2 hash keeps names short and unique per URL
+  let hash = 5381;
+  for (let i = 0; i < url.length; i++) {
+    hash = ((hash << 5) + hash + url.charCodeAt(i)) >>> 0;
+  }
+  const extension = url.split('?')[0].match(/\.(jpe?g|png|gif|webp)$/i)?.[0] || '.jpg';
+  return `${hash.toString(36)}${extension}`;
+};
+
+/**
+ * Key for a label entry; the ID when known, otherwise the lowercased name
+ */
+const getLabelKey = ({ labelId, labelName }) => (
+  labelId ? `id:${labelId}` : `name:${labelName?.trim().toLowerCase()}`
+);
+
+class OfflineLibrary {
+  constructor() {
+    this.store = new PersistentCacheStore({ fileName: 'offline-library.json', directory: 'document' });
+    this.isSupported = Platform.OS !== 'web';
+    this.releases = {}; // releaseId -> { record, details, pinned, updatedAt }
+    this.labels = {}; // labelKey -> { labelId, labelName, profile, releases, pagination, pinned, updatedAt }
+    this.images = {}; // remote URL -> local file URI
+    this.imageQueue = [];
+    this.isDownloading = false;
+    this.listeners = new Set();
+
+    this.ready = this.load();
+
+    // Finish image downloads that were interrupted by going offline
+    connectivityManager.subscribe(({ isOnline }) => {
+      if (isOnline) {
+        this.processImageQueue();
+      }
+    });
+  }
+
+  /**
+   * Load the library from disk
+   */
+  async load() {
+    const saved = await this.store.load();
+    if (saved) {
+      this.releases = saved.releases || {};
+      this.labels = saved.labels || {};
+      this.images = saved.images || {};
+    }
+  }
+
+  /**
+   * Save to disk and notify listeners
+   */
+  persist() {
+    this.store.save({
+      releases: this.releases,
+      labels: this.labels,
+      images: this.images,
+    });
+    this.notifyListeners();
+  }
+
+  /**
+   * Subscribe to library changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('❌ Offline library listener failed:', error.message);
+      }
+    });
+  }
+
+  // ==========================================
+  // RELEASES
+  // ==========================================
+
+  /**
+   * Remember a release the user opened
+   * @param {Object} record - Record as passed to the detail screen
+   * @param {Object} [details] - Full release from getReleaseDetails
+   */
+  async rememberRelease(record, details = null) {
+    await this.ready;
+    if (!record?.id) return;
+
+    const existing = this.releases[record.id];
+    this.releases[record.id] = {
+      record,
+      details: details || existing?.details || null,
+      pinned: existing?.pinned || false,
+      updatedAt: Date.now(),
+    };
+
+    this.queueImages(this.getReleaseImageUrls(this.releases[record.id]));
+    this.trimUnpinned(this.releases, MAX_OPENED_RELEASES);
+    this.persist();
+  }
+
+  /**
+   * Save or unsave a release for offline use
+   * Unsaved releases stay in the library as opened items until evicted.
+   * @param {Object} record - Record as passed to the detail screen
+   * @param {Object} [details] - Full release from getReleaseDetails
+   * @param {boolean} saved - Whether the release should be kept
+   */
+  async setReleaseSaved(record, details, saved) {
+    await this.ready;
+    if (!record?.id) return;
+
+    const existing = this.releases[record.id];
+    this.releases[record.id] = {
+      record: existing?.record || record,
+      details: details || existing?.details || null,
+      pinned: saved,
+      updatedAt: existing?.updatedAt || Date.now(),
+    };
+
+    console.log(`${saved ? '📥 Saved' : '📤 Unsaved'} release for offline use:`, record.id);
+    this.queueImages(this.getReleaseImageUrls(this.releases[record.id]));
+    this.trimUnpinned(this.releases, MAX_OPENED_RELEASES);
+    this.persist();
+  }
+
+  /**
+   * Get a stored release
+   * @param {number} releaseId - Discogs release ID
+   * @returns {Promise<Object|null>} - { record, details, pinned, updatedAt }
+   */
+  async getRelease(releaseId) {
+    await this.ready;
+    return this.releases[releaseId] || null;
+  }
+
+  /**
+   * List stored releases, most recently stored first
+   * @returns {Promise<Object[]>}
+   */
+  async getReleases() {
+    await this.ready;
+    return Object.values(this.releases).sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  getReleaseImageUrls(entry) {
+    return [
+      entry.record?.cover_image,
+      entry.record?.thumb,
+      entry.details?.images?.[0]?.uri,
+    ];
+  }
+
+  // ==========================================
+  // LABELS
+  // ==========================================
+
+  /**
+   * Remember a label catalogue the user browsed
+   * @param {Object} label - Label data
+   * @param {number} [label.labelId] - Discogs label ID
+   * @param {string} label.labelName - Label name
+   * @param {Object} [label.profile] - Result of getLabelInfo
+   * @param {Object[]} label.releases - Catalogue pages loaded so far
+   * @param {Object} [label.pagination] - Pagination of the last loaded page
+   */
+  async rememberLabel({ labelId, labelName, profile, releases, pagination }) {
+    await this.ready;
+    if (!labelId && !labelName) return;
+
+    const key = getLabelKey({ labelId, labelName });
+    const existing = this.labels[key];
+    this.labels[key] = {
+      labelId: labelId || null,
+      labelName,
+      profile: profile || existing?.profile || null,
+      releases: releases || [],
+      pagination: pagination || null,
+      pinned: existing?.pinned || false,
+      updatedAt: Date.now(),
+    };
+
+    this.queueImages(this.getLabelImageUrls(this.labels[key]));
+    this.trimUnpinned(this.labels, MAX_OPENED_LABELS);
+    this.persist();
+  }
+
+  /**
+   * Save or unsave a label for offline use
+   * @param {Object} label - { labelId, labelName }
+   * @param {boolean} saved - Whether the label should be kept
+   */
+  async setLabelSaved({ labelId, labelName }, saved) {
+    await this.ready;
+
+    const entry = this.findLabel({ labelId, labelName });
+    if (!entry) return;
+
+    entry.pinned = saved;
+    console.log(`${saved ? '📥 Saved' : '📤 Unsaved'} label for offline use:`, labelName);
+    this.trimUnpinned(this.labels, MAX_OPENED_LABELS);
+    this.persist();
+  }
+
+  /**
+   * Get a stored label by ID or name
+   * @param {Object} label - { labelId, labelName }
+   * @returns {Promise<Object|null>}
+   */
+  async getLabel({ labelId, labelName }) {
+    await this.ready;
+    return this.findLabel({ labelId, labelName });
+  }
+
+  /**
+   * List stored labels, most recently stored first
+   * @returns {Promise<Object[]>}
+   */
+  async getLabels() {
+    await this.ready;
+    return Object.values(this.labels).sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  findLabel({ labelId, labelName }) {
+    const name = labelName?.trim().toLowerCase();
+    return Object.values(this.labels).find(entry =>
+      (labelId && entry.labelId === labelId) ||
+      (name && entry.labelName?.trim().toLowerCase() === name)
+    ) || null;
+  }
+
+  getLabelImageUrls(entry) {
+    const labelImage = entry.profile?.images?.find(image => image.type === 'primary') || entry.profile?.images?.[0];
+    return [
+      labelImage?.uri,
+      ...entry.releases.slice(0, MAX_LABEL_THUMBNAILS).map(release => release.thumb),
+    ];
+  }
+
+  // ==========================================
+  // EVICTION
+  // ==========================================
+
+  /**
+   * Drop the oldest unsaved entries beyond the cap
+   * @param {Object} collection - this.releases or this.labels
+   * @param {number} maxUnpinned - Entries to keep
+   */
+  trimUnpinned(collection, maxUnpinned) {
+    const unpinned = Object.entries(collection)
+      .filter(([, entry]) => !entry.pinned)
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt);
+
+    if (unpinned.length <= maxUnpinned) return;
+
+    unpinned.slice(maxUnpinned).forEach(([key]) => {
+      delete collection[key];
+    });
+    this.pruneImages();
+  }
+
+  // ==========================================
+  // IMAGES
+  // ==========================================
+
+  /**
+   * Local copy of an image when downloaded, otherwise the remote URL
+   * @param {string} url - Remote image URL
+   * @returns {string}
+   */
+  resolveImageUri(url) {
+    return (url && this.images[url]) || url;
+  }
+
+  getImageDirectory() {
+    return new Directory(Paths.document, IMAGE_DIRECTORY);
+  }
+
+  queueImages(urls) {
+    if (!this.isSupported) return;
+
+    urls
+      .filter(url => url && !this.images[url] && !this.imageQueue.includes(url))
+      .forEach(url => this.imageQueue.push(url));
+
+    this.processImageQueue();
+  }
+
+  /**
+   * Download queued images one at a time
+   */
+  async processImageQueue() {
+    if (this.isDownloading || this.imageQueue.length === 0) return;
+    this.isDownloading = true;
+    let downloadedCount = 0;
+
+    try {
+      const directory = this.getImageDirectory();
+      if (!directory.exists) {
+        directory.create({ idempotent: true });
+      }
+
+      while (this.imageQueue.length > 0 && connectivityManager.isOnline) {
+        const url = this.imageQueue.shift();
+        try {
+          const file = new File(directory, getImageFileName(url));
+          if (!file.exists) {
+            await File.downloadFileAsync(url, file);
+          }
+          this.images[url] = file.uri;
+          downloadedCount++;
+        } catch (error) {
+          // Offline or the image is gone; the next visit queues it again
+          console.warn('⚠️ Could not download image for offline use:', error.message);
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Offline image directory unavailable:', error.message);
+      this.imageQueue = [];
+    } finally {
+      this.isDownloading = false;
+    }
+
+    if (downloadedCount > 0) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Delete downloaded images no stored entry refers to
+   */
+  pruneImages() {
+    const referenced = new Set([
+      ...Object.values(this.releases).flatMap(entry => this.getReleaseImageUrls(entry)),
+      ...Object.values(this.labels).flatMap(entry => this.getLabelImageUrls(entry)),
+    ]);
+
+    Object.entries(this.images).forEach(([url, uri]) => {
+      if (referenced.has(url)) return;
+
+      delete this.images[url];
+      try {
+        const file = new File(uri);
+        if (file.exists) {
+          file.delete();
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not delete offline image:', error.message);
+      }
+    });
+  }
+}
+
+// Create a singleton instance
+const offlineLibrary = new OfflineLibrary();
+
+export default offlineLibrary;
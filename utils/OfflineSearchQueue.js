@@ -0,0 +1,210 @@
+/**
+ * OfflineSearchQueue
+ *
+ * Holds searches made while offline and runs them once Discogs is reachable again.
+ * Finished searches keep their results until the user opens or dismisses them.
+ *
+ * Features:
+ * - Persisted across app restarts
+ * - Identical searches are queued once
+ * - Runs queued searches one at a time through the rate-limited client
+ * - Rate-limited searches wait and retry a few times before failing
+ * - Listener subscription for the search screen
+ */
+
+import { advancedSearch } from '../api/discogs';
+import { NetworkError, RateLimitError } from '../api/errors';
+import connectivityManager from './ConnectivityManager';
+import { PersistentCacheStore } from './PersistentCacheStore';
+
+const DEFAULT_RATE_LIMIT_WAIT_SECONDS = 60; // When Discogs doesn't say how long to wait
+const MAX_RATE_LIMIT_RETRIES = 3; // The client has already retried each of these itself
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const QUEUED_SEARCH_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+class OfflineSearchQueue {
+  constructor() {
+    this.store = new PersistentCacheStore({ fileName: 'offline-search-queue.json', directory: 'document' });
+    this.entries = [];
+    this.isProcessing = false;
+    this.listeners = new Set();
+
+    this.ready = this.load();
+
+    // Searches queued before the app was closed run on the next launch
+    this.ready.then(() => this.processQueue());
+
+    connectivityManager.subscribe(({ isOnline }) => {
+      if (isOnline) {
+        this.processQueue();
+      }
+    });
+  }
+
+  /**
+   * Load queued searches from disk
+   * A search interrupted by the app closing goes back to the queue.
+   */
+  async load() {
+    const saved = await this.store.load();
+    if (Array.isArray(saved)) {
+      this.entries = saved.map(entry => (
+        entry.status === QUEUED_SEARCH_STATUS.RUNNING
+          ? { ...entry, status: QUEUED_SEARCH_STATUS.QUEUED }
+          : entry
+      ));
+    }
+  }
+
+  persist() {
+    this.store.save(this.entries);
+    this.notifyListeners();
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Called with the entries after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const entries = this.getEntries();
+    this.listeners.forEach(listener => {
+      try {
+        listener(entries);
+      } catch (error) {
+        console.error('❌ Search queue listener failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Current entries, oldest first
+   * @returns {Object[]}
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Queue a search to run when the network returns
+   * @param {Object} searchParams - Parameters for advancedSearch
+   * @param {string} description - Short summary shown in the queue
+   * @returns {Promise<Object>} The queued entry
+   */
+  async enqueue(searchParams, description) {
+    await this.ready;
+
+    const paramsKey = JSON.stringify(searchParams);
+    const existing = this.entries.find(entry =>
+      JSON.stringify(entry.searchParams) === paramsKey &&
+      entry.status !== QUEUED_SEARCH_STATUS.FAILED
+    );
+    if (existing) {
+      return existing;
+    }
+
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      searchParams,
+      description,
+      status: QUEUED_SEARCH_STATUS.QUEUED,
+      queuedAt: Date.now(),
+      completedAt: null,
+      results: null,
+      error: null,
+      rateLimitRetries: 0,
+    };
+
+    this.entries.push(entry);
+    console.log('📥 Queued offline search:', description);
+    this.persist();
+
+    return entry;
+  }
+
+  /**
+   * Remove an entry, e.g. after its results were opened
+   * @param {string} entryId - Entry ID
+   */
+  async remove(entryId) {
+    await this.ready;
+    this.entries = this.entries.filter(entry => entry.id !== entryId);
+    this.persist();
+  }
+
+  /**
+   * Run queued searches one at a time while online
+   */
+  async processQueue() {
+    await this.ready;
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      let entry;
+      while (connectivityManager.isOnline &&
+             (entry = this.entries.find(item => item.status === QUEUED_SEARCH_STATUS.QUEUED))) {
+        this.updateEntry(entry.id, { status: QUEUED_SEARCH_STATUS.RUNNING });
+
+        try {
+          console.log('🔍 Running queued search:', entry.description);
+          const results = await advancedSearch(entry.searchParams);
+          this.updateEntry(entry.id, {
+            status: QUEUED_SEARCH_STATUS.DONE,
+            results,
+            completedAt: Date.now(),
+          });
+        } catch (error) {
+          if (error instanceof NetworkError) {
+            // Dropped again; wait for the next reconnect
+            this.updateEntry(entry.id, { status: QUEUED_SEARCH_STATUS.QUEUED });
+            break;
+          }
+          const rateLimitRetries = (entry.rateLimitRetries || 0) + 1;
+          if (error instanceof RateLimitError && rateLimitRetries <= MAX_RATE_LIMIT_RETRIES) {
+            // Likely every queued search firing at once after a reconnect; wait it out and retry
+            const waitSeconds = error.retryAfter || DEFAULT_RATE_LIMIT_WAIT_SECONDS;
+            console.log(`⏳ Rate limited while replaying searches, retrying in ${waitSeconds}s (${rateLimitRetries}/${MAX_RATE_LIMIT_RETRIES})`);
+            this.updateEntry(entry.id, { status: QUEUED_SEARCH_STATUS.QUEUED, rateLimitRetries });
+            await sleep(waitSeconds * 1000);
+            continue;
+          }
+          console.error('❌ Queued search failed:', error.message);
+          this.updateEntry(entry.id, {
+            status: QUEUED_SEARCH_STATUS.FAILED,
+            error: error instanceof RateLimitError
+              ? 'Discogs is rate limiting searches right now. Try again in a few minutes.'
+              : error.message,
+            completedAt: Date.now(),
+          });
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  updateEntry(entryId, changes) {
+    this.entries = this.entries.map(entry => (
+      entry.id === entryId ? { ...entry, ...changes } : entry
+    ));
+    this.persist();
+  }
+}
+
+// Create a singleton instance
+const offlineSearchQueue = new OfflineSearchQueue();
+
+export default offlineSearchQueue;
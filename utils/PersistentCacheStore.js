@@ -0,0 +1,137 @@
+/**
+ * PersistentCacheStore
+ *
+ * Keeps a JSON snapshot on disk so in-memory state survives app restarts.
+ * The default instance backs APIRequestManager's response cache; the offline
+ * library and search queue create their own stores in the document directory.
+ *
+ * Features:
+ * - Async load of the last snapshot on startup
+ * - Debounced writes so a burst of changes costs one disk write
+ * - Corrupt or unreadable snapshots are discarded instead of crashing the app
+ * - No-op on web, where expo-file-system is unavailable
+ */
+
+import { File, Paths } from 'expo-file-system';
+import { Platform } from 'react-native';
+
+const CACHE_FILE_NAME = 'api-response-cache.json';
+const SNAPSHOT_VERSION = 1; // Bump when the entry shape changes to drop old snapshots
+const WRITE_DELAY_MS = 2000;
+
+export class PersistentCacheStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.fileName] - Snapshot file name
+   * @param {string} [options.directory='cache'] - 'cache' (OS may purge) or 'document' (kept until deleted)
+   * @param {number} [options.version] - Snapshot version; mismatching snapshots are discarded
+   */
+  constructor({ fileName = CACHE_FILE_NAME, directory = 'cache', version = SNAPSHOT_VERSION } = {}) {
+    this.isSupported = Platform.OS !== 'web';
+    this.fileName = fileName;
+    this.directory = directory;
+    this.version = version;
+    this.pendingEntries = null;
+    this.writeTimer = null;
+  }
+
+  /**
+   * Get the snapshot file handle
+   * @returns {File}
+   */
+  getFile() {
+    return new File(this.directory === 'document' ? Paths.document : Paths.cache, this.fileName);
+  }
+
+  /**
+   * Load the saved entries
+   * @returns {Promise<any|null>} Saved entries, or null when there is no usable snapshot
+   */
+  async load() {
+    if (!this.isSupported) return null;
+
+    try {
+      const file = this.getFile();
+      if (!file.exists) return null;
+
+      const snapshot = JSON.parse(await file.text());
+      if (snapshot?.version !== this.version || snapshot.entries === undefined) {
+        console.log(`🗑️ Discarding outdated snapshot ${this.fileName}`);
+        return null;
+      }
+
+      console.log(`💾 Loaded ${this.fileName} from disk`);
+      return snapshot.entries;
+
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${this.fileName}, starting empty:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Schedule a write of the given entries
+   * Only the latest entries are written when several saves land within WRITE_DELAY_MS.
+   * @param {any} entries - JSON-serializable entries
+   */
+  save(entries) {
+    if (!this.isSupported) return;
+
+    this.pendingEntries = entries;
+
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, WRITE_DELAY_MS);
+  }
+
+  /**
+   * Write pending entries immediately
+   */
+  flush() {
+    if (!this.isSupported || !this.pendingEntries) return;
+
+    const entries = this.pendingEntries;
+    this.pendingEntries = null;
+
+    try {
+      const file = this.getFile();
+      if (!file.exists) {
+        file.create();
+      }
+      file.write(JSON.stringify({ version: this.version, entries }));
+      console.log(`💾 Saved ${this.fileName} to disk`);
+    } catch (error) {
+      console.warn(`⚠️ Could not write ${this.fileName}:`, error.message);
+    }
+  }
+
+  /**
+   * Delete the snapshot from disk
+   */
+  clear() {
+    if (!this.isSupported) return;
+
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+    this.pendingEntries = null;
+
+    try {
+      const file = this.getFile();
+      if (file.exists) {
+        file.delete();
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not delete ${this.fileName}:`, error.message);
+    }
+  }
+}
+
+// Create a singleton instance for the API response cache
+const persistentCacheStore = new PersistentCacheStore();
+
+export default persistentCacheStore;
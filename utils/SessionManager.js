@@ -0,0 +1,221 @@
+/**
+ * SessionManager
+ *
+ * Single source of truth for whether the user is logged in with Discogs.
+ * Stored tokens alone don't prove much: the user can revoke the app on
+ * discogs.com at any time. The session is checked against /oauth/identity at
+ * startup and whenever Discogs answers 401 to a signed request, and a revoked
+ * session is cleared so the app falls back to logged-out mode.
+ *
+ * Features:
+ * - Token validation at startup, after login and on 401 responses
+ * - Cached username and avatar, shown straight away on the next launch
+ * - Offline startup keeps the cached session and validates on reconnect
+ * - Auth-change events for AuthButton, screens and the account mirrors
+ */
+
+import { getIdentity, getUserProfile } from '../api/collection';
+import { subscribeToSessionRejected } from '../api/discogsClient';
+import { AuthError } from '../api/errors';
+import { isAuthenticated, logout } from '../api/oauth';
+import connectivityManager from './ConnectivityManager';
+import { PersistentCacheStore } from './PersistentCacheStore';
+
+export const SESSION_STATUS = {
+  UNKNOWN: 'unknown', // Not checked yet
+  LOGGED_IN: 'loggedIn',
+  LOGGED_OUT: 'loggedOut',
+};
+
+// Why the session last changed status
+export const SESSION_CHANGE_REASON = {
+  STARTUP: 'startup',
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+};
+
+class SessionManager {
+  constructor() {
+    this.store = new PersistentCacheStore({ fileName: 'session.json', directory: 'document' });
+    this.status = SESSION_STATUS.UNKNOWN;
+    this.reason = null;
+    this.user = null; // { id, username, avatarUrl }
+    this.lastValidatedAt = null;
+    this.isValidating = false;
+    this.validatePromise = null;
+    this.listeners = new Set();
+
+    this.ready = this.load();
+    this.ready.then(() => this.validate());
+
+    // A 401 to a signed request may mean the tokens were revoked
+    subscribeToSessionRejected((path) => {
+      if (this.status === SESSION_STATUS.LOGGED_IN && path !== '/oauth/identity') {
+        console.log('🔐 Discogs rejected the session on', path, '- checking tokens');
+        this.validate();
+      }
+    });
+
+    // Sessions restored offline haven't been checked yet
+    connectivityManager.subscribe(({ isOnline }) => {
+      if (isOnline && this.status === SESSION_STATUS.LOGGED_IN && !this.lastValidatedAt) {
+        this.validate();
+      }
+    });
+  }
+
+  /**
+   * Restore the cached user; tokens still have to be present
+   */
+  async load() {
+    const saved = await this.store.load();
+    if (saved?.user && await isAuthenticated()) {
+      this.user = saved.user;
+      this.setStatus(SESSION_STATUS.LOGGED_IN, SESSION_CHANGE_REASON.STARTUP);
+      this.notifyListeners();
+    }
+  }
+
+  persist() {
+    this.store.save({ user: this.user });
+    this.notifyListeners();
+  }
+
+  /**
+   * Snapshot for the UI
+   * @returns {{status: string, reason: string|null, user: Object|null, isLoggedIn: boolean, isValidating: boolean, lastValidatedAt: number|null}}
+   */
+  getState() {
+    return {
+      status: this.status,
+      reason: this.reason,
+      user: this.user,
+      isLoggedIn: this.status === SESSION_STATUS.LOGGED_IN,
+      isValidating: this.isValidating,
+      lastValidatedAt: this.lastValidatedAt,
+    };
+  }
+
+  /**
+   * Subscribe to auth changes
+   * @param {Function} listener - Called with getState() after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('❌ Session listener failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isLoggedIn() {
+    return this.status === SESSION_STATUS.LOGGED_IN;
+  }
+
+  setStatus(status, reason) {
+    if (this.status === status) return;
+
+    console.log(`🔐 Discogs session ${status} (${reason})`);
+    this.status = status;
+    this.reason = reason;
+  }
+
+  /**
+   * Check the stored tokens against Discogs, at most one check at a time
+   * @param {string} [reason] - Reported to listeners when the status changes
+   */
+  async validate(reason = SESSION_CHANGE_REASON.STARTUP) {
+    if (!this.validatePromise) {
+      this.validatePromise = this.runValidate(reason).finally(() => {
+        this.validatePromise = null;
+      });
+    }
+    return this.validatePromise;
+  }
+
+  async runValidate(reason) {
+    await this.ready;
+
+    if (!(await isAuthenticated())) {
+      this.user = null;
+      this.setStatus(SESSION_STATUS.LOGGED_OUT, reason);
+      this.persist();
+      return;
+    }
+
+    this.isValidating = true;
+    this.notifyListeners();
+
+    try {
+      const identity = await getIdentity();
+
+      // The avatar is a nice-to-have; keep the cached one if the profile fails
+      let avatarUrl = this.user?.username === identity.username ? this.user.avatarUrl : null;
+      try {
+        const profile = await getUserProfile(identity.username);
+        avatarUrl = profile.avatarUrl;
+      } catch (error) {
+        console.warn('⚠️ Could not load Discogs profile:', error.message);
+      }
+
+      this.user = { id: identity.id, username: identity.username, avatarUrl };
+      this.lastValidatedAt = Date.now();
+      this.setStatus(SESSION_STATUS.LOGGED_IN, reason);
+      console.log('✅ Discogs session valid for', identity.username);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        // Revoked on discogs.com (or otherwise dead): forget the tokens
+        console.log('🔐 Discogs tokens were rejected, logging out');
+        await logout();
+        this.user = null;
+        this.lastValidatedAt = null;
+        this.setStatus(SESSION_STATUS.LOGGED_OUT, SESSION_CHANGE_REASON.REVOKED);
+      } else {
+        // Offline or rate limited: trust the stored tokens until we can check
+        console.warn('⚠️ Could not validate Discogs session:', error.message);
+        this.setStatus(SESSION_STATUS.LOGGED_IN, reason);
+      }
+    } finally {
+      this.isValidating = false;
+      this.persist();
+    }
+  }
+
+  /**
+   * Call once an access token has been stored
+   */
+  async handleLogin() {
+    await this.validate(SESSION_CHANGE_REASON.LOGIN);
+  }
+
+  /**
+   * Clear the tokens and the cached user
+   */
+  async logout() {
+    await this.ready;
+    await logout();
+
+    this.user = null;
+    this.lastValidatedAt = null;
+    this.setStatus(SESSION_STATUS.LOGGED_OUT, SESSION_CHANGE_REASON.LOGOUT);
+    this.persist();
+  }
+}
+
+// Create a singleton instance
+const sessionManager = new SessionManager();
+
+export default sessionManager;
@@ -0,0 +1,442 @@
+/**
+ * WantlistManager
+ *
+ * Mirrors the logged-in user's Discogs wantlist on the device and queues
+ * changes, so hearts toggle instantly and work offline.
+ *
+ * Features:
+ * - Full sync of every wantlist page, at most one sync at a time
+ * - Add, edit and remove applied locally first, then sent to Discogs in order
+ * - Changes made offline are kept on disk and sent on reconnect
+ * - Queued changes to the same release are merged (e.g. add then remove cancels out)
+ * - Listener subscription for hearts and the wantlist screen
+ */
+
+import { getIdentity } from '../api/collection';
+import { AuthError, NetworkError, RateLimitError } from '../api/errors';
+import { isAuthenticated } from '../api/oauth';
+import {
+  addToWantlist,
+  editWantlistItem,
+  getWantlist,
+  removeFromWantlist,
+} from '../api/wantlist';
+import connectivityManager from './ConnectivityManager';
+import { PersistentCacheStore } from './PersistentCacheStore';
+import sessionManager, { SESSION_STATUS } from './SessionManager';
+
+const SYNC_MAX_AGE_MS = 60 * 60 * 1000; // Re-sync on use when the mirror is older than an hour
+
+export const WANTLIST_CHANGE = {
+  ADD: 'add',
+  EDIT: 'edit',
+  REMOVE: 'remove',
+};
+
+/**
+ * Errors that mean "try again later" rather than "this change can never succeed"
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => (
+  error instanceof NetworkError ||
+  error instanceof AuthError ||
+  error instanceof RateLimitError
+);
+
+class WantlistManager {
+  constructor() {
+    this.store = new PersistentCacheStore({ fileName: 'wantlist.json', directory: 'document' });
+    this.username = null;
+    this.items = [];
+    this.itemIndex = new Map(); // releaseId -> wantlist item
+    this.pendingChanges = []; // Changes not yet accepted by Discogs, oldest first
+    this.inFlightChange = null; // Change being sent right now; never merged with
+    this.lastSyncedAt = null;
+    this.isSyncing = false;
+    this.error = null;
+    this.syncPromise = null;
+    this.flushPromise = null;
+    this.listeners = new Set();
+
+    this.ready = this.load();
+
+    // Follow login, logout and revoked sessions. Changes made before the app
+    // was closed are sent once the session is restored on the next launch.
+    let sessionStatus = sessionManager.getState().status;
+    sessionManager.subscribe(({ status }) => {
+      if (status === sessionStatus) return;
+      sessionStatus = status;
+
+      if (status === SESSION_STATUS.LOGGED_IN) {
+        this.flushPendingChanges();
+        this.syncIfStale();
+      } else if (status === SESSION_STATUS.LOGGED_OUT) {
+        this.ready.then(() => this.clear());
+      }
+    });
+
+    connectivityManager.subscribe(({ isOnline }) => {
+      if (isOnline) {
+        this.flushPendingChanges();
+      }
+    });
+  }
+
+  /**
+   * Load the mirror and queued changes from disk
+   */
+  async load() {
+    const saved = await this.store.load();
+    if (saved) {
+      this.username = saved.username || null;
+      this.items = saved.items || [];
+      this.pendingChanges = saved.pendingChanges || [];
+      this.lastSyncedAt = saved.lastSyncedAt || null;
+      this.rebuildIndex();
+      this.notifyListeners();
+    }
+  }
+
+  persist() {
+    this.store.save({
+      username: this.username,
+      items: this.items,
+      pendingChanges: this.pendingChanges,
+      lastSyncedAt: this.lastSyncedAt,
+    });
+    this.notifyListeners();
+  }
+
+  /**
+   * Snapshot for the UI
+   * @returns {{username: string|null, items: Object[], pendingCount: number, lastSyncedAt: number|null, isSyncing: boolean, error: Error|null}}
+   */
+  getState() {
+    return {
+      username: this.username,
+      items: this.items,
+      pendingCount: this.pendingChanges.length,
+      lastSyncedAt: this.lastSyncedAt,
+      isSyncing: this.isSyncing,
+      error: this.error,
+    };
+  }
+
+  /**
+   * Subscribe to wantlist changes
+   * @param {Function} listener - Called with getState() after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('❌ Wantlist listener failed:', error.message);
+      }
+    });
+  }
+
+  rebuildIndex() {
+    this.itemIndex = new Map(this.items.map(item => [item.id, item]));
+  }
+
+  /**
+   * Whether a release is on the wantlist, including changes not yet sent
+   * @param {number|string} releaseId - Discogs release ID
+   * @returns {boolean}
+   */
+  isWanted(releaseId) {
+    return this.itemIndex.has(Number(releaseId));
+  }
+
+  /**
+   * Wantlist item for a release
+   * @param {number|string} releaseId - Discogs release ID
+   * @returns {Object|null}
+   */
+  getItem(releaseId) {
+    return this.itemIndex.get(Number(releaseId)) || null;
+  }
+
+  // ==========================================
+  // EDITS
+  // ==========================================
+
+  /**
+   * Add or remove a release
+   * @param {Object} record - Record in our app format
+   * @returns {Promise<boolean>} - Whether the release is now wanted
+   */
+  async toggle(record) {
+    if (this.isWanted(record.id)) {
+      await this.remove(record.id);
+      return false;
+    }
+    await this.add(record);
+    return true;
+  }
+
+  /**
+   * Add a release to the wantlist
+   * @param {Object} record - Record in our app format
+   * @param {Object} [details] - Optional notes and rating
+   */
+  async add(record, details = {}) {
+    await this.ensureLoggedIn();
+
+    const releaseId = Number(record.id);
+    const item = {
+      ...record,
+      id: releaseId,
+      notes: details.notes || '',
+      rating: details.rating || 0,
+      dateAdded: new Date().toISOString(),
+    };
+
+    this.items = [item, ...this.items.filter(existing => existing.id !== releaseId)];
+    this.queueChange(releaseId, WANTLIST_CHANGE.ADD, { notes: item.notes, rating: item.rating });
+  }
+
+  /**
+   * Set the notes and rating of a wanted release
+   * @param {number|string} releaseId - Discogs release ID
+   * @param {Object} details - Notes and rating
+   * @param {string} details.notes - User notes
+   * @param {number} details.rating - User rating from 0 to 5
+   */
+  async update(releaseId, details) {
+    await this.ensureLoggedIn();
+
+    const id = Number(releaseId);
+    this.items = this.items.map(item => (
+      item.id === id ? { ...item, notes: details.notes, rating: details.rating } : item
+    ));
+    this.queueChange(id, WANTLIST_CHANGE.EDIT, { notes: details.notes, rating: details.rating });
+  }
+
+  /**
+   * Remove a release from the wantlist
+   * @param {number|string} releaseId - Discogs release ID
+   */
+  async remove(releaseId) {
+    await this.ensureLoggedIn();
+
+    const id = Number(releaseId);
+    this.items = this.items.filter(item => item.id !== id);
+    this.queueChange(id, WANTLIST_CHANGE.REMOVE);
+  }
+
+  async ensureLoggedIn() {
+    await this.ready;
+    if (!(await isAuthenticated())) {
+      throw new AuthError('Log in with Discogs to use your wantlist.', { service: 'oauth' });
+    }
+  }
+
+  /**
+   * Queue a change, merged with any queued change to the same release
+   * @param {number} releaseId - Discogs release ID
+   * @param {string} action - WANTLIST_CHANGE value
+   * @param {Object} [details] - Notes and rating for add and edit
+   */
+  queueChange(releaseId, action, details = {}) {
+    const queued = this.pendingChanges.find(change =>
+      change.releaseId === releaseId && change !== this.inFlightChange
+    );
+    const others = this.pendingChanges.filter(change => change !== queued);
+    let merged = { releaseId, action, details };
+
+    if (queued?.action === WANTLIST_CHANGE.ADD) {
+      // Discogs hasn't seen the release yet: edits ride along with the add, a remove cancels it
+      merged = action === WANTLIST_CHANGE.REMOVE ? null : { ...queued, details };
+    } else if (queued?.action === WANTLIST_CHANGE.REMOVE && action === WANTLIST_CHANGE.ADD) {
+      // Still on Discogs, so re-adding only needs the new notes and rating
+      merged = { releaseId, action: WANTLIST_CHANGE.EDIT, details };
+    }
+
+    this.pendingChanges = merged ? [...others, merged] : others;
+    this.rebuildIndex();
+    this.persist();
+
+    this.flushPendingChanges();
+  }
+
+  /**
+   * Send queued changes to Discogs in order
+   * Stops at the first change that can be retried later and keeps it queued.
+   * @returns {Promise<void>}
+   */
+  flushPendingChanges() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.runFlush().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async runFlush() {
+    await this.ready;
+    if (this.pendingChanges.length === 0 || !connectivityManager.getStatus().isOnline) {
+      return;
+    }
+
+    try {
+      const username = await this.getUsername();
+
+      while (this.pendingChanges.length > 0) {
+        const change = this.pendingChanges[0];
+        this.inFlightChange = change;
+        try {
+          await this.sendChange(username, change);
+        } catch (error) {
+          if (isRetryableError(error)) {
+            throw error;
+          }
+          // e.g. a release that no longer exists; the next sync shows the real state
+          console.error('❌ Dropping wantlist change:', change.action, change.releaseId, error.message);
+        } finally {
+          this.inFlightChange = null;
+        }
+
+        this.pendingChanges = this.pendingChanges.filter(pending => pending !== change);
+        this.persist();
+      }
+      console.log('✅ Wantlist changes sent');
+    } catch (error) {
+      console.log('💤 Wantlist changes kept for later:', error.message);
+    }
+  }
+
+  sendChange(username, { releaseId, action, details }) {
+    switch (action) {
+      case WANTLIST_CHANGE.ADD:
+        return addToWantlist(username, releaseId, details);
+      case WANTLIST_CHANGE.EDIT:
+        return editWantlistItem(username, releaseId, details);
+      default:
+        return removeFromWantlist(username, releaseId);
+    }
+  }
+
+  async getUsername() {
+    if (!this.username) {
+      const identity = await getIdentity();
+      this.username = identity.username;
+    }
+    return this.username;
+  }
+
+  // ==========================================
+  // SYNC
+  // ==========================================
+
+  /**
+   * Send queued changes, then mirror the whole wantlist from Discogs
+   * Clears the mirror when nobody is logged in. Failures keep the previous mirror.
+   * @returns {Promise<void>}
+   */
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  /**
+   * Sync unless the mirror is recent
+   * @param {number} [maxAge] - Maximum mirror age in milliseconds
+   */
+  async syncIfStale(maxAge = SYNC_MAX_AGE_MS) {
+    await this.ready;
+    if (!this.lastSyncedAt || Date.now() - this.lastSyncedAt > maxAge) {
+      await this.sync();
+    }
+  }
+
+  async runSync() {
+    await this.ready;
+
+    if (!(await isAuthenticated())) {
+      this.clear();
+      return;
+    }
+
+    this.isSyncing = true;
+    this.error = null;
+    this.notifyListeners();
+
+    try {
+      await this.flushPendingChanges();
+      const username = await this.getUsername();
+
+      const serverItems = [];
+      let page = 1;
+      let pages = 1;
+      do {
+        const { results, pagination } = await getWantlist(username, { page });
+        serverItems.push(...results);
+        pages = pagination.pages || 1;
+        page++;
+      } while (page <= pages);
+
+      this.items = this.applyPendingChanges(serverItems);
+      this.lastSyncedAt = Date.now();
+      this.rebuildIndex();
+      console.log(`✅ Wantlist synced: ${serverItems.length} releases, ${this.pendingChanges.length} changes queued`);
+    } catch (error) {
+      console.error('❌ Wantlist sync failed:', error.message);
+      this.error = error;
+    } finally {
+      this.isSyncing = false;
+      this.persist();
+    }
+  }
+
+  /**
+   * Lay changes Discogs hasn't received yet over a fresh server copy
+   * @param {Object[]} serverItems - Wantlist as Discogs has it
+   * @returns {Object[]}
+   */
+  applyPendingChanges(serverItems) {
+    return this.pendingChanges.reduce((items, change) => {
+      const withoutRelease = items.filter(item => item.id !== change.releaseId);
+      const localItem = this.getItem(change.releaseId);
+
+      if (change.action === WANTLIST_CHANGE.REMOVE || !localItem) {
+        return withoutRelease;
+      }
+      return [localItem, ...withoutRelease];
+    }, serverItems);
+  }
+
+  /**
+   * Forget the mirrored wantlist and queued changes, e.g. after logout
+   */
+  clear() {
+    if (!this.username && this.items.length === 0 && this.pendingChanges.length === 0 && !this.error) return;
+
+    this.username = null;
+    this.items = [];
+    this.pendingChanges = [];
+    this.lastSyncedAt = null;
+    this.error = null;
+    this.rebuildIndex();
+    this.persist();
+  }
+}
+
+// Create a singleton instance
+const wantlistManager = new WantlistManager();
+
+export default wantlistManager;
@@ -0,0 +1,108 @@
+/**
+ * Barcode helpers for identifying records
+ *
+ * Records carry UPC-A (12 digits, North America) or EAN-13 / EAN-8 barcodes.
+ * All three end in a GS1 mod-10 check digit, so a mistyped digit can be caught
+ * before spending a request on it.
+ */
+
+export const BARCODE_TYPES = {
+  EAN_8: 'EAN-8',
+  UPC_A: 'UPC-A',
+  EAN_13: 'EAN-13',
+};
+
+const BARCODE_TYPES_BY_LENGTH = {
+  8: BARCODE_TYPES.EAN_8,
+  12: BARCODE_TYPES.UPC_A,
+  13: BARCODE_TYPES.EAN_13,
+};
+
+/**
+ * Strip the spaces and dashes printed between barcode digit groups
+ * e.g. "0 36000-29145 2" -> "036000291452"
+ * @param {string} input - Barcode as typed
+ * @returns {string} - Barcode without separators
+ */
+export const normalizeBarcode = (input) => {
+  return (input || '').replace(/[\s-]/g, '');
+};
+
+/**
+ * Calculate the GS1 check digit for the digits before it
+ * Weights alternate 3, 1, 3, ... starting from the rightmost digit.
+ * @param {string} digits - Barcode without its check digit
+ * @returns {number} - Check digit (0-9)
+ */
+export const calculateCheckDigit = (digits) => {
+  const sum = digits
+    .split('')
+    .reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Validate a typed UPC/EAN barcode
+ * @param {string} input - Barcode as typed
+ * @returns {{isValid: boolean, barcode: string, type: string|null, error: string|null}}
+ *   barcode is the normalized digits; error explains what is wrong when invalid
+ */
+export const validateBarcode = (input) => {
+  const barcode = normalizeBarcode(input);
+  const type = BARCODE_TYPES_BY_LENGTH[barcode.length] || null;
+
+  if (!barcode) {
+    return { isValid: false, barcode, type, error: 'Enter the digits under the barcode.' };
+  }
+  if (!/^\d+$/.test(barcode)) {
+    return { isValid: false, barcode, type, error: 'Barcodes only contain digits.' };
+  }
+  if (!type) {
+    return {
+      isValid: false,
+      barcode,
+      type,
+      error: `Expected 8, 12 or 13 digits (UPC or EAN), got ${barcode.length}.`,
+    };
+  }
+
+  const expected = calculateCheckDigit(barcode.slice(0, -1));
+  if (Number(barcode.slice(-1)) !== expected) {
+    return {
+      isValid: false,
+      barcode,
+      type,
+      error: `Check digit doesn't match (expected ${expected}). Check for a mistyped digit.`,
+    };
+  }
+
+  return { isValid: true, barcode, type, error: null };
+};
+
+/**
+ * Forms the same barcode is commonly stored under
+ * A UPC-A is an EAN-13 with a leading zero, and Discogs has both spellings.
+ * @param {string} barcode - Valid, normalized barcode
+ * @returns {string[]} - Barcode first, then its alternate form if any
+ */
+export const getBarcodeVariants = (barcode) => {
+  if (barcode.length === 12) {
+    return [barcode, `0${barcode}`];
+  }
+  if (barcode.length === 13 && barcode.startsWith('0')) {
+    return [barcode, barcode.slice(1)];
+  }
+  return [barcode];
+};
+
+/**
+ * Normalize a catalog number for comparison
+ * Labels print the same number as "WARP 12", "WARP-12" or "warp12".
+ * @param {string} catno - Catalog number
+ * @returns {string} - Uppercase catalog number without spaces, dashes or dots
+ */
+export const normalizeCatalogNumber = (catno) => {
+  return (catno || '').replace(/[\s.\-_/]/g, '').toUpperCase();
+};
@@ -5,9 +5,10 @@
 /**
  * Format price for display
  * @param {number|string} price - Price value to format
+ * @param {string} [currency='USD'] - ISO currency code (Discogs marketplace currencies)
  * @returns {string} - Formatted price string
  */
-export const formatPrice = (price) => {
+export const formatPrice = (price, currency = 'USD') => {
   if (!price || price === 0) {
     return 'Free';
   }
@@ -21,7 +22,7 @@ export const formatPrice = (price) => {
   // Format as currency
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD',
+    currency,
     minimumFractionDigits: 0,
     maximumFractionDigits: 2,
   }).format(numPrice);
@@ -53,4 +54,58 @@ export const truncateText = (text, maxLength = 50) => {
     return text || '';
   }
   return text.substring(0, maxLength - 3) + '...';
-};
\ No newline at end of file
+};
+
+/**
+ * Remove Discogs' numeric disambiguation suffix from a name
+ * e.g. "Model 500 (2)" -> "Model 500"
+ * @param {string} name - Artist or label name from Discogs
+ * @returns {string} - Display name
+ */
+export const formatDiscogsName = (name) => {
+  return (name || '').replace(/\s\(\d+\)$/, '');
+};
+
+/**
+ * Convert Discogs profile markup to plain text
+ * Handles [a=Name], [l=Name], [a123], [url=...]text[/url] and [b]/[i] tags.
+ * @param {string} text - Profile text from the Discogs API
+ * @returns {string} - Plain text
+ */
+export const cleanDiscogsMarkup = (text) => {
+  if (!text) return '';
+
+  return text
+    .replace(/\[url=[^\]]*\](.*?)\[\/url\]/gi, '$1')
+    .replace(/\[[alrm]=([^\]]+)\]/gi, (_, name) => formatDiscogsName(name))
+    .replace(/\[[alrm]\d+\]/gi, '')
+    .replace(/\[\/?[biu]\]/gi, '')
+    .replace(/\r\n/g, '\n')
+    .trim();
+};
+
+/**
+ * Describe how long ago a timestamp was, e.g. "3 hours ago"
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - Relative time string
+ */
+export const formatTimeAgo = (timestamp) => {
+  if (!timestamp) {
+    return 'at an unknown time';
+  }
+
+  const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+  const units = [
+    { name: 'day', seconds: 86400 },
+    { name: 'hour', seconds: 3600 },
+    { name: 'minute', seconds: 60 },
+  ];
+
+  for (const unit of units) {
+    const count = Math.floor(seconds / unit.seconds);
+    if (count >= 1) {
+      return `${count} ${unit.name}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+  return 'just now';
+};
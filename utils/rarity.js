@@ -0,0 +1,200 @@
+/**
+ * Rarity scoring
+ *
+ * Turns what Discogs knows about a release into a 0–100 rarity score and a tier
+ * from Common to Holy Grail. Five signals feed it:
+ * - demand: wants per owner (want / have)
+ * - owners: how many Discogs users have it
+ * - availability: copies for sale on the marketplace
+ * - label size: releases on its label
+ * - versions: pressings of the same master
+ *
+ * Search results only carry the community counts (plus marketplace stats and
+ * label size when those were loaded), so signals that are missing are left out
+ * and the rest reweighted. The detail screen fills in all five.
+ */
+
+export const RARITY_TIERS = [
+  { key: 'common', label: 'Common', minScore: 0 },
+  { key: 'uncommon', label: 'Uncommon', minScore: 30 },
+  { key: 'scarce', label: 'Scarce', minScore: 50 },
+  { key: 'rare', label: 'Rare', minScore: 65 },
+  { key: 'veryRare', label: 'Very Rare', minScore: 80 },
+  { key: 'holyGrail', label: 'Holy Grail', minScore: 90 },
+];
+
+const RARITY_SIGNALS = {
+  demand: { label: 'Demand', weight: 0.3 },
+  owners: { label: 'Owners', weight: 0.3 },
+  availability: { label: 'For sale', weight: 0.2 },
+  labelSize: { label: 'Label size', weight: 0.1 },
+  versions: { label: 'Versions', weight: 0.1 },
+};
+
+const clampScore = (value) => Math.round(Math.min(100, Math.max(0, value)));
+
+const isKnown = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Score one signal; higher is rarer
+ * Counts are scored on a log scale so the step from 1 to 10 owners weighs as
+ * much as the step from 100 to 1,000.
+ */
+const scoreSignal = (key, value) => {
+  switch (key) {
+    case 'demand':
+      // 1 want per owner scores 50, 3 or more score 100
+      return clampScore(50 * Math.log2(1 + value));
+    case 'owners':
+      // 0 owners 100, 9 owners 75, 99 owners 50, 999 owners 25
+      return clampScore(100 - 25 * Math.log10(1 + value));
+    case 'availability':
+      // None for sale 100, 1 for sale 90, 9 for sale 65, 99 for sale 30
+      return clampScore(100 - 35 * Math.log10(1 + value));
+    case 'labelSize':
+      // A one-release label 100, 10 releases 70, 100 releases 40
+      return clampScore(100 - 30 * Math.log10(Math.max(1, value)));
+    case 'versions':
+      // The only pressing 100, 10 versions 60, 100 versions 20
+      return clampScore(100 - 40 * Math.log10(Math.max(1, value)));
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Plain-language reading of a signal for the score breakdown
+ */
+const explainSignal = (key, value, inputs) => {
+  switch (key) {
+    case 'demand':
+      return `${inputs.want} want it for ${inputs.have} who have it (${value.toFixed(1)} per owner)`;
+    case 'owners':
+      return value === 1 ? '1 Discogs user has it' : `${value} Discogs users have it`;
+    case 'availability':
+      return value === 0 ? 'No copies for sale' : `${value} ${value === 1 ? 'copy' : 'copies'} for sale`;
+    case 'labelSize':
+      return `${value} ${value === 1 ? 'release' : 'releases'} on the label`;
+    case 'versions':
+      return value === 1 ? 'The only version of this release' : `${value} versions of this release`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Tier for a score
+ * @param {number} score - Rarity score (0–100)
+ * @returns {{key: string, label: string, minScore: number}}
+ */
+export const getRarityTier = (score) => (
+  [...RARITY_TIERS].reverse().find(tier => score >= tier.minScore) || RARITY_TIERS[0]
+);
+
+/**
+ * Position of a tier from Common (0) to Holy Grail
+ * @param {string} tierKey - RARITY_TIERS key
+ * @returns {number} - -1 for an unknown key
+ */
+export const getRarityTierRank = (tierKey) => RARITY_TIERS.findIndex(tier => tier.key === tierKey);
+
+/**
+ * Rarity inputs
+ * @typedef {Object} RarityInputs
+ * @property {number} [want] - Discogs users wanting it
+ * @property {number} [have] - Discogs users owning it
+ * @property {number} [numForSale] - Copies on the marketplace
+ * @property {number} [labelReleaseCount] - Releases on its label
+ * @property {number} [versionCount] - Versions of its master (1 without a master)
+ */
+
+/**
+ * Rarity score, tier and breakdown
+ * @typedef {Object} Rarity
+ * @property {number} score - 0 (common) to 100 (holy grail)
+ * @property {string} tier - RARITY_TIERS key
+ * @property {string} tierLabel - e.g. 'Very Rare'
+ * @property {{key: string, label: string, value: number, score: number, weight: number, explanation: string}[]} breakdown
+ *   - Signals used; weights are renormalized over them and sum to 1
+ * @property {number} signalsUsed - How many of the five signals were known
+ */
+
+/**
+ * Score a release's rarity
+ * @param {RarityInputs} inputs - Known signals; unknown ones are left out
+ * @returns {Rarity|null} - null when nothing is known (no community counts)
+ */
+export const scoreRarity = (inputs = {}) => {
+  const values = {
+    demand: isKnown(inputs.want) && isKnown(inputs.have) ? inputs.want / Math.max(1, inputs.have) : null,
+    owners: isKnown(inputs.have) ? inputs.have : null,
+    availability: isKnown(inputs.numForSale) ? inputs.numForSale : null,
+    labelSize: isKnown(inputs.labelReleaseCount) && inputs.labelReleaseCount > 0 ? inputs.labelReleaseCount : null,
+    versions: isKnown(inputs.versionCount) && inputs.versionCount > 0 ? inputs.versionCount : null,
+  };
+
+  const used = Object.keys(RARITY_SIGNALS).filter(key => values[key] !== null);
+  if (used.length === 0) return null;
+
+  const totalWeight = used.reduce((total, key) => total + RARITY_SIGNALS[key].weight, 0);
+  const breakdown = used.map(key => ({
+    key,
+    label: RARITY_SIGNALS[key].label,
+    value: values[key],
+    score: scoreSignal(key, values[key]),
+    weight: RARITY_SIGNALS[key].weight / totalWeight,
+    explanation: explainSignal(key, values[key], inputs),
+  }));
+
+  const score = clampScore(breakdown.reduce((total, signal) => total + signal.score * signal.weight, 0));
+  const tier = getRarityTier(score);
+
+  return {
+    score,
+    tier: tier.key,
+    tierLabel: tier.label,
+    breakdown,
+    signalsUsed: used.length,
+  };
+};
+
+/**
+ * Rarity of a search result from what the result carries
+ * @param {Object} record - Transformed search result
+ * @returns {Rarity|null}
+ */
+export const scoreSearchResultRarity = (record) => scoreRarity({
+  want: record.community?.want,
+  have: record.community?.have,
+  numForSale: record.marketplace?.numForSale,
+  labelReleaseCount: record.sourceLabel?.releaseCount,
+});
+
+/**
+ * Attach `rarity` to search results
+ * @param {Object[]} records - Transformed search results
+ * @returns {Object[]}
+ */
+export const withRarity = (records) => records.map(record => ({ ...record, rarity: scoreSearchResultRarity(record) }));
+
+/**
+ * Keep records at or above a tier
+ * Records without a score are dropped once a tier is set.
+ * @param {Object[]} records - Records with `rarity`
+ * @param {string} [minTier] - RARITY_TIERS key
+ * @returns {Object[]} - The same array when no tier is set
+ */
+export const filterByRarity = (records, minTier) => {
+  const minRank = getRarityTierRank(minTier);
+  if (minRank <= 0) return records;
+  return records.filter(record => record.rarity && getRarityTierRank(record.rarity.tier) >= minRank);
+};
+
+/**
+ * Rarest first; records without a score go last
+ * @param {Object[]} records - Records with `rarity`
+ * @returns {Object[]} - New sorted array
+ */
+export const sortByRarity = (records) => (
+  [...records].sort((a, b) => (b.rarity?.score ?? -1) - (a.rarity?.score ?? -1))
+);
@@ -0,0 +1,223 @@
+/**
+ * Record format parsing
+ *
+ * Release details describe each format as `{ name, qty, descriptions, text }`, e.g.
+ *   { name: 'Vinyl', qty: '2', descriptions: ['12"', '45 RPM', 'Limited Edition'], text: 'Red Marbled' }
+ * while search results flatten the same information into one string list
+ * (['Vinyl', '12"', '45 RPM', 'Limited Edition']). Both are parsed into the same
+ * structured summary, which drives the vinyl filters and the badges on record cards.
+ */
+
+import { FORMATS, FORMAT_DESCRIPTIONS } from '../constants/discogsTaxonomy';
+
+// Format descriptor filters offered on the search screen
+export const FORMAT_SIZES = ['12"', '10"', '7"'];
+export const FORMAT_SPEEDS = ['33 ⅓ RPM', '45 RPM', '78 RPM'];
+
+export const FORMAT_FLAGS = {
+  limited: { label: 'Limited', description: 'Limited Edition', badge: 'Ltd' },
+  promo: { label: 'Promo', description: 'Promo', badge: 'Promo' },
+  whiteLabel: { label: 'White Label', description: 'White Label', badge: 'WL' },
+  testPressing: { label: 'Test Pressing', description: 'Test Pressing', badge: 'TP' },
+  reissue: { label: 'Reissue', description: 'Reissue', badge: 'RE' },
+  colouredVinyl: { label: 'Coloured Vinyl', description: null, badge: 'Colour' },
+};
+
+// Discogs puts vinyl colour in the free text ("Red Marbled", "Clear"), never in descriptions
+const COLOUR_WORDS = [
+  'red', 'blue', 'green', 'yellow', 'orange', 'purple', 'violet', 'pink', 'white', 'grey', 'gray',
+  'gold', 'silver', 'brown', 'clear', 'transparent', 'translucent', 'marbled', 'splatter',
+  'swirl', 'coloured', 'colored', 'smoke', 'glow', 'crystal', 'cream', 'bone', 'magenta', 'teal',
+];
+const COLOUR_PATTERN = new RegExp(`\\b(${COLOUR_WORDS.join('|')})\\b`, 'i');
+
+// Media a colour can apply to
+const VINYL_MEDIA = ['vinyl', 'acetate', 'flexi-disc', 'lathe cut', 'shellac'];
+
+/**
+ * Structured summary of a release's formats
+ * @typedef {Object} FormatSummary
+ * @property {string[]} media - Format names, e.g. ['Vinyl']
+ * @property {number} quantity - Total number of items (discs, tapes, ...)
+ * @property {string[]} sizes - e.g. ['12"']
+ * @property {string[]} speeds - e.g. ['45 RPM']
+ * @property {string[]} descriptions - Every other description, e.g. ['LP', 'Album', 'Promo']
+ * @property {string[]} text - Free text such as the vinyl colour
+ * @property {Object<string, boolean>} flags - One entry per FORMAT_FLAGS key
+ */
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const hasDescription = (descriptions, wanted) => (
+  descriptions.some(description => description.toLowerCase() === wanted.toLowerCase())
+);
+
+/**
+ * Build the summary from format names, descriptions and text
+ */
+const summarize = ({ media, quantity, descriptions, text }) => {
+  const isVinyl = media.some(name => VINYL_MEDIA.includes(name.toLowerCase()));
+  const sizes = descriptions.filter(description => FORMAT_SIZES.includes(description));
+  const speeds = descriptions.filter(description => FORMAT_SPEEDS.includes(description));
+
+  const flags = Object.fromEntries(
+    Object.entries(FORMAT_FLAGS).map(([key, flag]) => [
+      key,
+      flag.description ? hasDescription(descriptions, flag.description) : false,
+    ])
+  );
+  flags.colouredVinyl = isVinyl && text.some(part => COLOUR_PATTERN.test(part) && !/^black$/i.test(part.trim()));
+
+  return {
+    media: unique(media),
+    quantity,
+    sizes: unique(sizes),
+    speeds: unique(speeds),
+    descriptions: unique(descriptions.filter(description => !sizes.includes(description) && !speeds.includes(description))),
+    text: unique(text),
+    flags,
+  };
+};
+
+/**
+ * Parse the `formats` array of a release
+ * @param {{name: string, qty?: string, descriptions?: string[], text?: string}[]} formats - From /releases/{id}
+ * @returns {FormatSummary}
+ */
+export const parseReleaseFormats = (formats = []) => {
+  const list = Array.isArray(formats) ? formats.filter(format => format && typeof format === 'object') : [];
+
+  return summarize({
+    media: list.map(format => format.name),
+    quantity: list.reduce((total, format) => total + (parseInt(format.qty, 10) || 1), 0),
+    descriptions: list.flatMap(format => format.descriptions || []),
+    text: list.map(format => format.text).filter(Boolean),
+  });
+};
+
+const FORMAT_NAMES = FORMATS.map(format => format.name);
+const DESCRIPTION_NAMES = FORMAT_DESCRIPTIONS.map(description => description.name);
+
+/**
+ * Parse the flattened format list of a search result
+ * Format names from the taxonomy become media, known descriptions are sorted into
+ * sizes, speeds and descriptions, and anything else is treated as free text.
+ * Search results carry one list for all formats, so quantity is only a guess.
+ * @param {string[]|string} formats - Record `formats` array, or the joined `format` string
+ * @returns {FormatSummary}
+ */
+export const parseSearchFormats = (formats) => {
+  const parts = (Array.isArray(formats) ? formats : (formats || '').split(','))
+    .map(part => String(part).trim())
+    .filter(Boolean);
+
+  const isKnown = (names, part) => names.some(name => name.toLowerCase() === part.toLowerCase());
+  const media = parts.filter(part => isKnown(FORMAT_NAMES, part));
+  const descriptions = parts.filter(part => !isKnown(FORMAT_NAMES, part) && isKnown(DESCRIPTION_NAMES, part));
+  const text = parts.filter(part => !isKnown(FORMAT_NAMES, part) && !isKnown(DESCRIPTION_NAMES, part));
+
+  return summarize({ media, quantity: media.length, descriptions, text });
+};
+
+/**
+ * Short badges for a record card, most telling first
+ * @param {FormatSummary} summary - From parseReleaseFormats or parseSearchFormats
+ * @returns {{key: string, label: string, highlight: boolean}[]} - highlight marks collector-relevant flags
+ */
+export const getFormatBadges = (summary) => {
+  const badges = [];
+
+  if (summary.quantity > 1) {
+    badges.push({ key: 'qty', label: `${summary.quantity}×`, highlight: false });
+  }
+  summary.sizes.forEach(size => badges.push({ key: `size-${size}`, label: size, highlight: false }));
+  if (summary.descriptions.some(description => description === 'LP')) {
+    badges.push({ key: 'lp', label: 'LP', highlight: false });
+  }
+  summary.speeds.forEach(speed => badges.push({ key: `speed-${speed}`, label: speed.replace(' RPM', ''), highlight: false }));
+
+  Object.entries(FORMAT_FLAGS).forEach(([key, flag]) => {
+    if (summary.flags[key]) {
+      badges.push({ key, label: flag.badge, highlight: key !== 'reissue' });
+    }
+  });
+
+  return badges;
+};
+
+/**
+ * One line per format for the record detail screen
+ * e.g. '2 × Vinyl, 12", 45 RPM, Limited Edition — Red Marbled'
+ * @param {Object[]} formats - Release `formats` array
+ * @returns {string[]}
+ */
+export const describeReleaseFormats = (formats = []) => {
+  return (Array.isArray(formats) ? formats : [])
+    .filter(format => format && typeof format === 'object')
+    .map(format => {
+      const qty = parseInt(format.qty, 10) > 1 ? `${format.qty} × ` : '';
+      const details = [format.name, ...(format.descriptions || [])].join(', ');
+      return `${qty}${details}${format.text ? ` — ${format.text}` : ''}`;
+    });
+};
+
+/**
+ * Format descriptor filters
+ * @typedef {Object} FormatDetailsFilter
+ * @property {string} [size] - One of FORMAT_SIZES
+ * @property {string} [speed] - One of FORMAT_SPEEDS
+ * @property {string[]} [flags] - FORMAT_FLAGS keys that must all be present
+ */
+
+/**
+ * Whether any format descriptor filter is set
+ * @param {FormatDetailsFilter} [formatDetails]
+ * @returns {boolean}
+ */
+export const hasFormatDetails = (formatDetails) => (
+  !!formatDetails && !!(formatDetails.size || formatDetails.speed || formatDetails.flags?.length)
+);
+
+/**
+ * Check a summary against the format descriptor filters
+ * @param {FormatSummary} summary - Parsed formats of a record
+ * @param {FormatDetailsFilter} formatDetails - Filters; all must match
+ * @returns {boolean}
+ */
+export const matchesFormatDetails = (summary, formatDetails) => {
+  if (!hasFormatDetails(formatDetails)) return true;
+  if (formatDetails.size && !summary.sizes.includes(formatDetails.size)) return false;
+  if (formatDetails.speed && !summary.speeds.includes(formatDetails.speed)) return false;
+  return (formatDetails.flags || []).every(flag => summary.flags[flag]);
+};
+
+/**
+ * The Discogs `format` value that narrows the search most for these filters
+ * Discogs matches descriptions with `format`, but only one value, so the rarest
+ * one is sent and the rest are checked on the results.
+ * @param {FormatDetailsFilter} formatDetails
+ * @returns {string|null}
+ */
+export const getFormatSearchHint = (formatDetails) => {
+  if (!hasFormatDetails(formatDetails)) return null;
+
+  const flags = formatDetails.flags || [];
+  const rarestFlag = ['testPressing', 'whiteLabel', 'promo'].find(flag => flags.includes(flag));
+  if (rarestFlag) return FORMAT_FLAGS[rarestFlag].description;
+  if (formatDetails.size) return formatDetails.size;
+  if (formatDetails.speed) return formatDetails.speed;
+
+  const otherFlag = ['limited', 'reissue'].find(flag => flags.includes(flag));
+  return otherFlag ? FORMAT_FLAGS[otherFlag].description : null;
+};
+
+/**
+ * Keep the search results whose formats match the descriptor filters
+ * @param {Object[]} records - Transformed search results (with `formats`)
+ * @param {FormatDetailsFilter} [formatDetails]
+ * @returns {Object[]} - The same array when no filter is set
+ */
+export const filterByFormatDetails = (records, formatDetails) => {
+  if (!hasFormatDetails(formatDetails)) return records;
+  return records.filter(record => matchesFormatDetails(parseSearchFormats(record.formats || record.format), formatDetails));
+};
@@ -0,0 +1,166 @@
+/**
+ * Sorting and faceting for loaded search results
+ *
+ * Discogs returns results in relevance order with no facet counts, so both are
+ * worked out on the device from the pages loaded so far. Facet counts therefore
+ * describe the loaded records, not every match on Discogs.
+ */
+
+import { scoreSearchResultRarity } from './rarity';
+
+export const RESULT_SORTS = [
+  { key: 'relevance', label: 'Relevance' },
+  { key: 'yearDesc', label: 'Year (newest first)' },
+  { key: 'yearAsc', label: 'Year (oldest first)' },
+  { key: 'title', label: 'Title A–Z' },
+  { key: 'artist', label: 'Artist A–Z' },
+  { key: 'label', label: 'Label A–Z' },
+  { key: 'haveAsc', label: 'Fewest owners' },
+  { key: 'haveDesc', label: 'Most owners' },
+  { key: 'wantDesc', label: 'Most wanted' },
+  { key: 'rarity', label: 'Rarest first' },
+  { key: 'priceAsc', label: 'Lowest price', needsPrice: true },
+  { key: 'priceDesc', label: 'Highest price', needsPrice: true },
+];
+
+/**
+ * Sort value for a record, or null when unknown
+ * Unknown values sort last whichever way the sort runs.
+ */
+const SORT_VALUES = {
+  yearDesc: record => record.year || null,
+  yearAsc: record => record.year || null,
+  title: record => (record.album || record.title || '').toLowerCase() || null,
+  artist: record => (record.artist || '').toLowerCase() || null,
+  label: record => (record.label || record.labels?.[0] || '').toLowerCase() || null,
+  haveAsc: record => record.community?.have ?? null,
+  haveDesc: record => record.community?.have ?? null,
+  wantDesc: record => record.community?.want ?? null,
+  rarity: record => (record.rarity || scoreSearchResultRarity(record))?.score ?? null,
+  priceAsc: record => record.price ?? null,
+  priceDesc: record => record.price ?? null,
+};
+
+const DESCENDING_SORTS = ['yearDesc', 'haveDesc', 'wantDesc', 'rarity', 'priceDesc'];
+
+/**
+ * Sorts that make sense for these records
+ * Price sorts are only offered once some record has a price (price filter searches).
+ * @param {Object[]} records - Loaded records
+ * @returns {{key: string, label: string}[]}
+ */
+export const getAvailableSorts = (records) => {
+  const hasPrices = records.some(record => record.price !== null && record.price !== undefined);
+  return RESULT_SORTS.filter(sort => !sort.needsPrice || hasPrices);
+};
+
+/**
+ * Sort records; relevance keeps Discogs' order
+ * @param {Object[]} records - Records to sort
+ * @param {string} sortKey - RESULT_SORTS key
+ * @returns {Object[]} - New array, or the same one for relevance
+ */
+export const sortRecords = (records, sortKey) => {
+  const getValue = SORT_VALUES[sortKey];
+  if (!getValue) return records;
+
+  const direction = DESCENDING_SORTS.includes(sortKey) ? -1 : 1;
+
+  return records
+    .map((record, index) => ({ record, index, value: getValue(record) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return (a.value === null) - (b.value === null) || a.index - b.index;
+      }
+      const order = typeof a.value === 'string'
+        ? a.value.localeCompare(b.value)
+        : a.value - b.value;
+      return order * direction || a.index - b.index;
+    })
+    .map(({ record }) => record);
+};
+
+/**
+ * Splits a legacy joined field ("Electronic, Jazz") when the array is missing
+ */
+const toList = (values, joined) => {
+  if (Array.isArray(values) && values.length > 0) return values;
+  return (joined || '').split(',').map(value => value.trim()).filter(Boolean);
+};
+
+export const FACET_FIELDS = [
+  { key: 'genre', label: 'Genre', getValues: record => toList(record.genres, record.genre) },
+  { key: 'style', label: 'Style', getValues: record => toList(record.styles, record.style) },
+  { key: 'country', label: 'Country', getValues: record => (record.country ? [record.country] : []) },
+  { key: 'format', label: 'Format', getValues: record => toList(record.formats, record.format) },
+  { key: 'label', label: 'Label', getValues: record => toList(record.labels, record.label) },
+  {
+    key: 'decade',
+    label: 'Decade',
+    getValues: record => (record.year ? [`${Math.floor(record.year / 10) * 10}s`] : []),
+  },
+];
+
+/**
+ * Count the values of each facet field over the records
+ * @param {Object[]} records - Loaded records
+ * @returns {Object<string, {value: string, count: number}[]>} - Per field, most common first
+ */
+export const buildFacets = (records) => Object.fromEntries(
+  FACET_FIELDS.map(field => {
+    const counts = new Map();
+    records.forEach(record => {
+      new Set(field.getValues(record)).forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+
+    const values = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return [field.key, values];
+  })
+);
+
+/**
+ * Number of facet values selected
+ * @param {Object<string, string[]>} selected - Selected values per field
+ * @returns {number}
+ */
+export const countSelectedFacets = (selected) => (
+  Object.values(selected).reduce((total, values) => total + values.length, 0)
+);
+
+/**
+ * Keep the records matching the selected facets
+ * Values within a field are alternatives (Techno or House); fields narrow each
+ * other (Techno and Germany).
+ * @param {Object[]} records - Loaded records
+ * @param {Object<string, string[]>} selected - Selected values per field
+ * @returns {Object[]} - The same array when nothing is selected
+ */
+export const filterByFacets = (records, selected) => {
+  const active = FACET_FIELDS.filter(field => selected[field.key]?.length > 0);
+  if (active.length === 0) return records;
+
+  return records.filter(record => active.every(field => {
+    const values = field.getValues(record);
+    return selected[field.key].some(value => values.includes(value));
+  }));
+};
+
+/**
+ * Add or remove one facet value
+ * @param {Object<string, string[]>} selected - Selected values per field
+ * @param {string} fieldKey - FACET_FIELDS key
+ * @param {string} value - Facet value
+ * @returns {Object<string, string[]>} - New selection
+ */
+export const toggleFacet = (selected, fieldKey, value) => {
+  const current = selected[fieldKey] || [];
+  return {
+    ...selected,
+    [fieldKey]: current.includes(value)
+      ? current.filter(item => item !== value)
+      : [...current, value],
+  };
+};
@@ -0,0 +1,44 @@
+/**
+ * User-facing descriptions of search failures
+ *
+ * Shared by the search screen and the record detail screen's "Dig again",
+ * so a failed dig reads the same wherever it was started.
+ */
+
+import { AuthError, NetworkError, RateLimitError } from '../api/errors';
+
+/**
+ * Map a search failure to what the user sees and how they can recover
+ * @param {Error} error - Error thrown by the search
+ * @returns {{type: string, title: string, message: string}} - type is 'auth', 'rateLimit', 'network' or 'generic'
+ */
+export const describeSearchError = (error) => {
+  if (error instanceof AuthError) {
+    return {
+      type: 'auth',
+      title: 'Authentication Error',
+      message: 'Discogs rejected the request. Log in to your Discogs account and try again.',
+    };
+  }
+  if (error instanceof RateLimitError) {
+    return {
+      type: 'rateLimit',
+      title: 'Rate Limit Reached',
+      message: error.retryAfter
+        ? `The Discogs API is temporarily limiting requests. You can search again in ${error.retryAfter} seconds.`
+        : 'The Discogs API is temporarily limiting requests. Please wait a moment before searching again.',
+    };
+  }
+  if (error instanceof NetworkError) {
+    return {
+      type: 'network',
+      title: 'Network Error',
+      message: 'Please check your internet connection and try again.',
+    };
+  }
+  return {
+    type: 'generic',
+    title: 'Search Error',
+    message: 'Failed to search records. Please try again.',
+  };
+};
@@ -0,0 +1,356 @@
+/**
+ * Search query language
+ *
+ * Lets the search box carry filters as field prefixes, e.g.
+ *   artist:"Basic Channel" label:Chain year:1993-1996 style:dub-techno -format:CD country:DE
+ *
+ * - field:value maps to the advancedSearch filter of the same name
+ * - quotes keep spaces in a value; unquoted genre/style values read hyphens as spaces
+ * - genre, style, country and format take several values separated by commas
+ *   (style:techno,dub-techno); advancedSearch fans those out into one search each
+ * - year takes 1993, 1993-1996, 1993- or -1996; country takes names or codes like DE
+ * - a leading "-" excludes matches; Discogs can't do this, so exclusions are
+ *   applied to each page of results (see applyExclusions)
+ * - everything else, including words with an unknown prefix, is free text sent as `q`
+ */
+
+// Prefixable fields. `filters` lists the advancedSearch filters each one sets.
+// `multiple` fields take comma-separated values and set an array.
+export const QUERY_FIELDS = {
+  artist: { filters: ['artist'] },
+  label: { filters: ['label'] },
+  genre: { filters: ['genre'], hyphenIsSpace: true, multiple: true },
+  style: { filters: ['style'], hyphenIsSpace: true, multiple: true },
+  country: { filters: ['country'], multiple: true },
+  year: { filters: ['yearFrom', 'yearTo'] },
+  format: { filters: ['format'], multiple: true },
+  catno: { filters: ['catno'] },
+};
+
+// Two-letter codes for countries Discogs spells out; Discogs itself uses "US" and "UK"
+const COUNTRY_CODES = {
+  AT: 'Austria',
+  AU: 'Australia',
+  BE: 'Belgium',
+  BR: 'Brazil',
+  CA: 'Canada',
+  CH: 'Switzerland',
+  DE: 'Germany',
+  DK: 'Denmark',
+  ES: 'Spain',
+  FI: 'Finland',
+  FR: 'France',
+  GB: 'UK',
+  IT: 'Italy',
+  JP: 'Japan',
+  NL: 'Netherlands',
+  NO: 'Norway',
+  SE: 'Sweden',
+  UK: 'UK',
+  US: 'US',
+};
+
+const YEAR_PATTERN = /^(\d{4})?(?:(-)(\d{4})?)?$/;
+
+/**
+ * One piece of the query
+ * @typedef {Object} QueryToken
+ * @property {number} start - Offset of the first character in the query
+ * @property {number} end - Offset just past the last character
+ * @property {string} raw - Token as typed
+ * @property {string|null} field - Field name, or null for free text
+ * @property {string|string[]} value - Value without quotes; an array for `multiple` fields
+ * @property {boolean} negated - Whether the token starts with "-"
+ * @property {string|null} error - What is wrong with the token, if anything
+ */
+
+/**
+ * Parsed search query
+ * @typedef {Object} ParsedSearchQuery
+ * @property {string} text - Free text for the `q` parameter
+ * @property {Object} filters - advancedSearch filters set by field prefixes
+ * @property {{field: string, value: string}[]} exclusions - Negated terms; field is 'text' for free text
+ * @property {QueryToken[]} tokens - Every token in order, for highlighting
+ * @property {QueryToken[]} errors - Tokens that could not be parsed
+ */
+
+/**
+ * Parse a year value into a range
+ * @param {string} value - e.g. "1993", "1993-1996", "1993-" or "-1996"
+ * @returns {{yearFrom: string, yearTo: string}|null} - null when the value is not a year or range
+ */
+export const parseYearRange = (value) => {
+  const match = YEAR_PATTERN.exec(value);
+  if (!match || (!match[1] && !match[3])) return null;
+
+  const [, from = '', dash, to = ''] = match;
+  if (from && to && Number(from) > Number(to)) return null;
+
+  // A single year is both ends; an open range keeps one end empty
+  return dash ? { yearFrom: from, yearTo: to } : { yearFrom: from, yearTo: from };
+};
+
+/**
+ * Format a year range as a query value
+ * @param {string} yearFrom - Start year
+ * @param {string} yearTo - End year
+ * @returns {string} - e.g. "1993", "1993-1996", "1993-"; empty when neither is a full year
+ */
+export const formatYearRange = (yearFrom, yearTo) => {
+  const from = /^\d{4}$/.test(yearFrom || '') ? yearFrom : '';
+  const to = /^\d{4}$/.test(yearTo || '') ? yearTo : '';
+
+  if (!from && !to) return '';
+  if (from === to) return from;
+  return `${from}-${to}`;
+};
+
+/**
+ * Read the value of a token starting at `index`
+ * @returns {{value: string, end: number, quoted: boolean, error: string|null}}
+ */
+const readValue = (input, index) => {
+  if (input[index] === '"') {
+    const close = input.indexOf('"', index + 1);
+    if (close === -1) {
+      return { value: input.slice(index + 1), end: input.length, quoted: true, error: 'Missing closing quote' };
+    }
+    return { value: input.slice(index + 1, close), end: close + 1, quoted: true, error: null };
+  }
+
+  let end = index;
+  while (end < input.length && !/\s/.test(input[end])) end++;
+  return { value: input.slice(index, end), end, quoted: false, error: null };
+};
+
+/**
+ * Convert one value to the form the filters use
+ */
+const normalizeSingleValue = (field, value, quoted) => {
+  if (field === 'country') {
+    return COUNTRY_CODES[value.toUpperCase()] || value;
+  }
+  if (QUERY_FIELDS[field].hyphenIsSpace && !quoted) {
+    return value.replace(/-/g, ' ');
+  }
+  return value;
+};
+
+/**
+ * Check a field value and convert it to the form the filters use
+ * @returns {{value: string|string[], error: string|null}}
+ */
+const normalizeFieldValue = (field, value, quoted) => {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return { value: '', error: `${field}: needs a value, e.g. ${field}:"…"` };
+  }
+  if (field === 'year' && !parseYearRange(trimmed)) {
+    return { value: trimmed, error: 'year: takes a year or range, e.g. year:1993 or year:1993-1996' };
+  }
+  if (QUERY_FIELDS[field].multiple) {
+    const values = trimmed.split(',').map(part => part.trim()).filter(Boolean);
+    if (values.length === 0) {
+      return { value: [], error: `${field}: needs a value, e.g. ${field}:"…"` };
+    }
+    return { value: values.map(part => normalizeSingleValue(field, part, quoted)), error: null };
+  }
+  return { value: normalizeSingleValue(field, trimmed, quoted), error: null };
+};
+
+/**
+ * Split a query into tokens
+ * @param {string} input - Query as typed
+ * @returns {QueryToken[]}
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    const negated = input[index] === '-' && index + 1 < input.length && !/\s/.test(input[index + 1]);
+    if (negated) index++;
+
+    // Only known fields are prefixes; titles like "Live:Evil" or "Re:Generation" stay free text
+    const fieldMatch = /^([a-z_]+):/i.exec(input.slice(index));
+    const field = fieldMatch?.[1].toLowerCase();
+    let token;
+
+    if (fieldMatch && QUERY_FIELDS[field]) {
+      const { value, end, quoted, error } = readValue(input, index + fieldMatch[0].length);
+      const normalized = normalizeFieldValue(field, value, quoted);
+      token = { field, value: normalized.value, error: error || normalized.error };
+      index = end;
+    } else {
+      const { value, end, error } = readValue(input, index);
+      token = { field: null, value, error };
+      index = end;
+    }
+
+    tokens.push({ start, end: index, raw: input.slice(start, index), negated, ...token });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a search query into free text, filters and exclusions
+ * @param {string} input - Query as typed
+ * @returns {ParsedSearchQuery}
+ */
+export const parseSearchQuery = (input = '') => {
+  const tokens = tokenize(input);
+  const filters = {};
+  const exclusions = [];
+  const textParts = [];
+  const seenFields = new Set();
+
+  tokens.forEach(token => {
+    if (token.error) return;
+
+    if (token.negated) {
+      const values = Array.isArray(token.value) ? token.value : [token.value];
+      values.forEach(value => exclusions.push({ field: token.field || 'text', value }));
+      return;
+    }
+
+    if (!token.field) {
+      textParts.push(token.raw);
+      return;
+    }
+
+    // Discogs takes one value per filter
+    if (seenFields.has(token.field)) {
+      token.error = `${token.field}: is already set earlier in the query`;
+      return;
+    }
+    seenFields.add(token.field);
+
+    if (token.field === 'year') {
+      Object.assign(filters, parseYearRange(token.value));
+    } else {
+      filters[token.field] = token.value;
+    }
+  });
+
+  return {
+    text: textParts.join(' '),
+    filters,
+    exclusions,
+    tokens,
+    errors: tokens.filter(token => token.error),
+  };
+};
+
+/**
+ * Format a field value for the query, quoting it when needed
+ * @param {string} field - Field name
+ * @param {string|string[]} value - Filter value, or values for `multiple` fields
+ * @returns {string} - e.g. artist:"Basic Channel" or style:dub-techno,techno
+ */
+const formatFieldToken = (field, value) => {
+  const values = (Array.isArray(value) ? value : [value]).map(part => part.trim().replace(/[",]/g, ''));
+
+  if (QUERY_FIELDS[field].hyphenIsSpace && values.every(part => !part.includes('-'))) {
+    return `${field}:${values.map(part => part.replace(/\s+/g, '-')).join(',')}`;
+  }
+  const joined = values.join(',');
+  return /\s/.test(joined) ? `${field}:"${joined}"` : `${field}:${joined}`;
+};
+
+/**
+ * Set or remove a field in a query, leaving the rest as typed
+ * The token is replaced where it stands; a new field is appended.
+ * @param {string} query - Query as typed
+ * @param {string} field - Field name from QUERY_FIELDS
+ * @param {string|string[]} value - New value; empty removes the field
+ * @returns {string} - Updated query
+ */
+export const setQueryField = (query, field, value) => {
+  const hasValue = Array.isArray(value) ? value.length > 0 : !!value;
+  const replacement = hasValue ? formatFieldToken(field, value) : '';
+  const matching = tokenize(query).filter(token => token.field === field && !token.negated);
+
+  if (matching.length === 0) {
+    return replacement ? [query.trimEnd(), replacement].filter(Boolean).join(' ') : query;
+  }
+
+  // Rewrite from the end so earlier offsets stay valid
+  let updated = query;
+  [...matching].reverse().forEach((token, index) => {
+    const isFirst = index === matching.length - 1;
+    updated = updated.slice(0, token.start) + (isFirst ? replacement : '') + updated.slice(token.end);
+  });
+
+  return updated.replace(/\s{2,}/g, ' ').trim();
+};
+
+/**
+ * Lowercase and treat hyphens as spaces, so "Dub-Techno" matches "dub techno"
+ */
+const normalizeForMatch = (value) => String(value ?? '').toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Values of a record to compare an exclusion against
+ * @param {Object} record - Search result record
+ * @param {string} field - Exclusion field
+ * @returns {string[]}
+ */
+const getRecordValues = (record, field) => {
+  switch (field) {
+    case 'artist':
+      return [record.artist, ...(record.artists || []).map(artist => artist.name)];
+    case 'label':
+      return record.labels?.length ? record.labels : [record.label];
+    case 'genre':
+      return record.genres || [];
+    case 'style':
+      return record.styles || [];
+    case 'format':
+      return record.formats || [];
+    case 'country':
+      return [record.country];
+    case 'catno':
+      return [record.catno];
+    default:
+      return [record.title];
+  }
+};
+
+/**
+ * Whether a record matches an exclusion term
+ * Names and free text match on a substring; genres, styles, formats,
+ * countries and catalog numbers need an exact (case-insensitive) match.
+ */
+const matchesExclusion = (record, { field, value }) => {
+  if (field === 'year') {
+    const range = parseYearRange(value);
+    const year = Number(record.year) || 0;
+    return !!range && !!year &&
+      (!range.yearFrom || year >= Number(range.yearFrom)) &&
+      (!range.yearTo || year <= Number(range.yearTo));
+  }
+
+  const wanted = normalizeForMatch(value);
+  const values = getRecordValues(record, field).filter(Boolean).map(normalizeForMatch);
+  const isSubstringField = field === 'artist' || field === 'label' || field === 'text';
+
+  return values.some(candidate => (isSubstringField ? candidate.includes(wanted) : candidate === wanted));
+};
+
+/**
+ * Drop records matching any exclusion term
+ * @param {Object[]} records - Search result records
+ * @param {{field: string, value: string}[]} exclusions - From parseSearchQuery
+ * @returns {Object[]} - Records that match none of the exclusions
+ */
+export const applyExclusions = (records, exclusions) => {
+  if (!exclusions?.length) return records;
+  return records.filter(record => !exclusions.some(exclusion => matchesExclusion(record, exclusion)));
+};